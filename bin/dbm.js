@@ -8,11 +8,22 @@
 const path = require('path');
 const fs = require('fs');
 const inquirer = require('inquirer');
-const mysql = require('mysql2/promise');
-const { mergeExports, loadConfig } = require('../merge-export.js');
-
-// 获取命令行参数
-const args = process.argv.slice(2);
+const {
+    mergeExports, planExport, loadConfig, fileTimestamp, createConnection, tableExists, rollbackTarget, verifyExport, DbmError, ConfigError
+} = require('../merge-export.js');
+const { getDialect, describeAddress } = require('../lib/dialects');
+const { COMMANDS, CONNECTION_OPTIONS, PROFILE_OPTIONS, parseCommandLine, peekLanguage, formatOptions, formatRows, formatCommandHelp } = require('../lib/cli');
+const { LOCALES, t, setLocale } = require('../lib/i18n');
+const { consoleLogger, createConsoleLogger } = require('../lib/logger');
+const { createProgressDisplay } = require('../lib/progress');
+
+// 日志输出与交互提示，--json / --ndjson 时写入 stderr，使 stdout 只包含 JSON（见 configureOutput）
+let log = consoleLogger;
+let prompt = inquirer.prompt;
+// 导出进度的显示，与日志输出到同一个流（见 lib/progress）
+let progressDisplay = createProgressDisplay({ logger: consoleLogger });
+// JSON 输出方式：json 在结束时输出一个 JSON 文档，ndjson 逐行输出进度事件与结果，null 为不输出 JSON
+let jsonMode = null;
 
 // 预设表组合
 const PRESET_TABLES = {
@@ -39,12 +50,7 @@ async function getM2MJunctionTables(connection, tableNames) {
         const junctionTables = [];
 
         // 检查 fields 表是否存在
-        const [tableCheck] = await connection.query(
-            "SELECT COUNT(*) as count FROM information_schema.tables WHERE table_schema = DATABASE() AND table_name = 'fields'",
-            []
-        );
-
-        if (tableCheck[0].count === 0) {
+        if (tableNames.length === 0 || !(await tableExists(connection, 'fields'))) {
             return junctionTables;
         }
 
@@ -90,24 +96,13 @@ async function getM2MJunctionTables(connection, tableNames) {
 async function getBusinessTables(sourceConfig, includeJunctionTables = true) {
     let connection;
     try {
-        console.log('\n🔍 正在连接 Source 数据库获取业务表列表...');
-
-        connection = await mysql.createConnection({
-            host: sourceConfig.host,
-            port: sourceConfig.port,
-            user: sourceConfig.user,
-            password: sourceConfig.password,
-            database: sourceConfig.database
-        });
+        log.info(`\n🔍 ${t('bin.fetchingBusinessTables')}`);
 
-        // 检查 collections 表是否存在
-        const [tableCheck] = await connection.query(
-            "SELECT COUNT(*) as count FROM information_schema.tables WHERE table_schema = ? AND table_name = 'collections'",
-            [sourceConfig.database]
-        );
+        connection = await createConnection(sourceConfig);
 
-        if (tableCheck[0].count === 0) {
-            console.log('   ⚠ collections 表不存在，无法获取业务表列表');
+        // 检查 collections 表是否存在
+        if (!(await tableExists(connection, 'collections'))) {
+            log.info(`   ⚠ ${t('bin.collectionsMissing')}`);
             return [];
         }
 
@@ -117,30 +112,25 @@ async function getBusinessTables(sourceConfig, includeJunctionTables = true) {
         );
 
         const tableNames = rows.map(row => row.name);
-        console.log(`   ✓ 找到 ${tableNames.length} 个业务表`);
+        log.info(`   ✓ ${t('bin.businessTablesFound', { count: tableNames.length })}`);
 
         // 验证这些表在数据库中是否真实存在（过滤虚拟表）
         const validTables = [];
         for (const tableName of tableNames) {
-            const [check] = await connection.query(
-                "SELECT COUNT(*) as count FROM information_schema.tables WHERE table_schema = ? AND table_name = ?",
-                [sourceConfig.database, tableName]
-            );
-
-            if (check[0].count > 0) {
+            if (await tableExists(connection, tableName)) {
                 validTables.push(tableName);
             }
         }
 
-        console.log(`   ✓ 验证后有效表数量: ${validTables.length} 个`);
+        log.info(`   ✓ ${t('bin.validTables', { count: validTables.length })}`);
 
         // 获取多对多关联表
         if (includeJunctionTables && validTables.length > 0) {
             const junctionTables = await getM2MJunctionTables(connection, validTables);
             if (junctionTables.length > 0) {
-                console.log(`   ✓ 找到 ${junctionTables.length} 个多对多关联表`);
+                log.info(`   ✓ ${t('bin.junctionTablesFound', { count: junctionTables.length })}`);
                 // 合并并去重
-                const newTables = junctionTables.filter(t => !validTables.includes(t));
+                const newTables = junctionTables.filter(table => !validTables.includes(table));
                 return [...validTables, ...newTables];
             }
         }
@@ -148,7 +138,7 @@ async function getBusinessTables(sourceConfig, includeJunctionTables = true) {
         return validTables;
 
     } catch (error) {
-        console.error(`   ✗ 获取业务表失败: ${error.message}`);
+        log.error(`   ✗ ${t('bin.businessTablesFailed', { message: error.message })}`);
         return [];
     } finally {
         if (connection) {
@@ -157,148 +147,247 @@ async function getBusinessTables(sourceConfig, includeJunctionTables = true) {
     }
 }
 
-// 显示帮助信息
-function showHelp() {
-    console.log(`
-DBM - Database Configuration Data Export Tool
-用于 NocoBase 应用版本升级时的单库配置数据导出与覆盖补丁生成工具
-
-用法:
-  dbm [配置文件]                    使用指定配置文件导出
-  dbm                              使用当前目录的 config.json
-  dbm --help, -h                   显示此帮助信息
-  dbm --version, -v                显示版本信息
-  dbm --init                       交互式生成配置文件（兼容旧版本）
-
-新的交互式模式:
-  如果未提供配置文件，将自动进入交互式配置并立即执行导出
-
-命令行参数模式:
-  dbm --host 127.0.0.1 --port 3306 --user root --password pass --database dbname [其他选项]
-
-命令行选项:
-  --host, -h             数据库主机（默认: 127.0.0.1）
-  --port, -P             数据库端口（默认: 3306）
-  --user, -u             数据库用户名（默认: root）
-  --password, -p         数据库密码
-  --database, -d         数据库名（必需）
-  --exclude-tables       排除的业务表（逗号分隔，可选 - 如未提供将自动从数据库动态读取并包含预设环境数据表）
-  --output-file, -o      输出 SQL 文件路径（默认自动添加时间戳）
-  --db-underscored       表名转换 true/false（默认: auto）
-
-环境变量:
-  DB_HOST                数据库主机
-  DB_PORT                数据库端口
-  DB_USER                数据库用户名
-  DB_PASSWORD            数据库密码
-  DB_NAME                数据库名
-  DB_EXCLUDE_TABLES      排除的业务表（逗号分隔，可选 - 如未提供将自动从数据库动态读取并包含预设环境数据表）
-  DB_OUTPUT_FILE         输出 SQL 文件路径
-  DB_UNDERSCORED         表名转换 true/false
-
-示例:
-  dbm                              # 使用 ./config.json 或交互式配置
-  dbm ./my-config.json             # 使用自定义配置文件
-  dbm --host localhost --database nocobase --user root --password 123456
-  DB_HOST=localhost DB_NAME=nocobase dbm  # 使用环境变量
-
-配置文件格式:
+// 配置文件与命名环境的示例，不随语言变化
+const CONFIG_EXAMPLE = `
   {
     "source": {
+      "dialect": "mysql",
       "host": "127.0.0.1",
       "port": 3306,
       "user": "root",
-      "password": "password",
+      "passwordEnv": "NOCOBASE_DB_PASSWORD",
       "database": "database_name"
     },
+    "target": {
+      "host": "127.0.0.1",
+      "port": 3306,
+      "user": "root",
+      "password": "password",
+      "database": "target_database_name"
+    },
     "export": {
-      "excludeTables": ["users", "roles"],
+      "excludeTables": ["users", "roles", "audit_*"],
+      "includeTables": [],
+      "where": { "users": "id = 1" },
+      "strategy": "truncate",
+      "strategies": { "uiSchemas": "upsert" },
       "outputFile": "./config_export.sql",
-      "dbUnderscored": true
+      "gzip": false,
+      "split": false,
+      "dbUnderscored": true,
+      "engine": "external",
+      "apply": false,
+      "backup": true,
+      "schemaCheck": "error",
+      "matchColumns": false
+    }
+  }`;
+
+const PROFILES_EXAMPLE = `
+  {
+    "export": { "excludeTables": ["users", "roles"] },
+    "profiles": {
+      "base": { "dialect": "mysql", "port": 3306, "user": "root" },
+      "prod": { "extends": "base", "host": "10.0.0.1", "database": "nocobase" },
+      "staging": { "extends": "base", "host": "10.0.0.2", "database": "nocobase", "target": "dev" },
+      "dev": { "extends": "base", "host": "127.0.0.1", "database": "nocobase_dev" }
     }
-  }
+  }`;
+
+// 显示帮助信息
+function showHelp() {
+    const config = `[${t('cli.arg.config')}]`;
+    const usage = [
+        [`dbm [export] ${config} [${t('help.arg.options')}]`, t('help.usage.export')],
+        [`dbm plan ${config} [--json-file ${t('cli.value.file')}]`, t('cli.command.plan')],
+        ['dbm init', t('help.usage.init')],
+        [`dbm rollback <${t('cli.arg.rollbackFile')}> ${config}`, t('cli.command.rollback')],
+        [`dbm verify <${t('cli.arg.exportPath')}>`, t('cli.command.verify')],
+        [`dbm <${t('help.arg.command')}> --help`, t('help.usage.commandHelp')],
+        ['dbm --help, -?', t('help.usage.help')],
+        ['dbm --version, -v', t('help.usage.version')],
+        [`dbm ... --lang <${LOCALES.join('|')}>`, t('cli.option.lang')]
+    ];
+    const environment = [
+        'DB_DIALECT', 'DB_SCHEMA', 'DB_HOST', 'DB_PORT', 'DB_USER', 'DB_PASSWORD', 'DB_PASSWORD_FILE', 'DB_NAME',
+        'DB_EXCLUDE_TABLES', 'DB_INCLUDE_TABLES', 'DB_OUTPUT_FILE', 'DB_UNDERSCORED', 'DB_EXPORT_ENGINE', 'DB_MERGE_STRATEGY'
+    ].map(name => [name, t(`help.env.${name}`)]);
+    const examples = [
+        ['dbm', 'default'],
+        ['dbm ./my-config.json', 'config'],
+        ['dbm ./my-config.json --apply', 'apply'],
+        ['dbm ./my-config.json --split --gzip', 'split'],
+        ['dbm plan ./my-config.json --json-file plan.json', 'plan'],
+        ['dbm verify ./config_export_20251015_143025.sql', 'verify'],
+        ['dbm --profile staging', 'profile'],
+        ['dbm export --from prod --to staging', 'fromTo'],
+        ['dbm ./my-config.json --json --quiet', 'json'],
+        ['dbm --lang en', 'lang'],
+        ['dbm -h localhost -u root -d nocobase --password-env DB_PASSWORD'],
+        ['dbm --dialect postgres --host localhost --port 5432 --user postgres --database nocobase --schema public'],
+        ['DB_HOST=localhost DB_NAME=nocobase dbm', 'env']
+    ].map(([command, key]) => (key ? `  ${command.padEnd(31)}  # ${t(`help.example.${key}`)}` : `  ${command}`));
+
+    console.log(`
+${t('help.title')}
+${t('help.description')}
+
+${t('cli.usage')}:
+${formatRows(usage)}
+
+${t('help.cliMode')}:
+  dbm -h 127.0.0.1 -P 3306 -u root --password-prompt -d dbname [${t('help.arg.otherOptions')}]
+  ${t('help.cliModeNote')}
+
+${t('help.exportOptions')}:
+${formatOptions(COMMANDS.export.options)}
+
+${t('help.environment')}:
+${formatRows(environment)}
+
+${t('help.examples')}:
+${examples.join('\n')}
+
+${t('help.configFormat')}:${CONFIG_EXAMPLE}
+
+${t('help.profilesFormat')}:${PROFILES_EXAMPLE}
 `);
 }
 
 // 显示版本信息
 function showVersion() {
     const packageJson = require('../package.json');
-    console.log(`dbm version ${packageJson.version}`);
+    console.log(t('help.version', { version: packageJson.version }));
 }
 
 // 交互式生成配置文件
-async function initConfig(saveToFile = true) {
+async function initConfig(saveToFile = true, timestamp = fileTimestamp()) {
     const configPath = path.join(process.cwd(), 'config.json');
 
     if (saveToFile && fs.existsSync(configPath)) {
-        const { overwrite } = await inquirer.prompt([
+        const { overwrite } = await prompt([
             {
                 type: 'confirm',
                 name: 'overwrite',
-                message: 'config.json 已存在，是否覆盖？',
+                message: t('init.overwrite'),
                 default: false
             }
         ]);
 
         if (!overwrite) {
-            console.log('操作已取消');
+            log.info(t('bin.cancelled'));
             process.exit(0);
         }
     }
 
-    console.log('\n🔧 配置数据库导出工具\n');
+    log.info(`\n🔧 ${t('init.title')}\n`);
 
     // 数据库配置
-    console.log('📦 数据库配置（仅导出该库的纯配置数据）:\n');
-    const sourceAnswers = await inquirer.prompt([
+    log.info(`📦 ${t('init.databaseSection')}:\n`);
+    const sourceAnswers = await prompt([
+        {
+            type: 'list',
+            name: 'dialect',
+            message: `${t('init.dialect')}:`,
+            choices: [
+                { name: 'MySQL', value: 'mysql' },
+                { name: 'MariaDB', value: 'mariadb' },
+                { name: 'PostgreSQL', value: 'postgres' }
+            ],
+            default: process.env.DB_DIALECT || 'mysql'
+        },
         {
             type: 'input',
             name: 'host',
-            message: '数据库主机:',
+            message: `${t('init.host')}:`,
             default: process.env.DB_HOST || '127.0.0.1'
         },
         {
             type: 'number',
             name: 'port',
-            message: '数据库端口:',
-            default: process.env.DB_PORT ? parseInt(process.env.DB_PORT, 10) : 3306
+            message: `${t('init.port')}:`,
+            default: (answers) => process.env.DB_PORT ? parseInt(process.env.DB_PORT, 10) : getDialect(answers).defaultPort
         },
         {
             type: 'input',
             name: 'user',
-            message: '数据库用户名:',
+            message: `${t('init.user')}:`,
             default: process.env.DB_USER || 'root'
         },
         {
             type: 'password',
             name: 'password',
-            message: '数据库密码:',
+            message: `${t('init.password')}:`,
             default: process.env.DB_PASSWORD || '',
             mask: '*'
         },
         {
             type: 'input',
             name: 'database',
-            message: '数据库名:',
+            message: `${t('init.database')}:`,
             default: process.env.DB_NAME || '',
-            validate: (input) => input.trim() !== '' || '数据库名不能为空'
+            validate: (input) => input.trim() !== '' || t('init.databaseRequired')
+        },
+        {
+            type: 'input',
+            name: 'schema',
+            message: `${t('init.schema')}:`,
+            default: process.env.DB_SCHEMA || 'public',
+            when: (answers) => getDialect(answers).name === 'postgres'
         }
     ]);
 
+    // 保存到配置文件时选择密码的来源，默认不把明文密码写入 config.json
+    let passwordSource = 'plain';
+    if (saveToFile) {
+        const passwordAnswers = await prompt([
+            {
+                type: 'list',
+                name: 'passwordSource',
+                message: `${t('init.passwordSource')}:`,
+                choices: [
+                    { name: t('init.passwordSource.prompt'), value: 'prompt' },
+                    { name: t('init.passwordSource.env'), value: 'env' },
+                    { name: t('init.passwordSource.file'), value: 'file' },
+                    { name: t('init.passwordSource.plain'), value: 'plain' }
+                ],
+                default: 'prompt'
+            },
+            {
+                type: 'input',
+                name: 'passwordEnv',
+                message: `${t('init.passwordEnv')}:`,
+                default: 'DB_PASSWORD',
+                when: (answers) => answers.passwordSource === 'env'
+            },
+            {
+                type: 'input',
+                name: 'passwordFile',
+                message: `${t('init.passwordFile')}:`,
+                validate: (input) => input.trim() !== '' || t('init.passwordFileRequired'),
+                when: (answers) => answers.passwordSource === 'file'
+            }
+        ]);
+        passwordSource = passwordAnswers.passwordSource;
+        if (passwordSource === 'env') sourceAnswers.passwordEnv = passwordAnswers.passwordEnv;
+        if (passwordSource === 'file') sourceAnswers.passwordFile = passwordAnswers.passwordFile;
+        if (passwordSource === 'prompt') sourceAnswers.passwordPrompt = true;
+    }
+
     // 导出配置
-    console.log('\n⚙️  导出配置:\n');
+    log.info(`\n⚙️  ${t('init.exportSection')}:\n`);
 
     // 选择预设表组合
-    const { presetChoice } = await inquirer.prompt([
+    const { presetChoice } = await prompt([
         {
             type: 'list',
             name: 'presetChoice',
-            message: '选择业务表组合（这些表的数据将不被导出）:',
+            message: `${t('init.preset')}:`,
             choices: [
-                { name: '组合1: 环境数据（工作流、变量、认证表等业务表）', value: 'approval' },
-                { name: '组合2: 业务数据（从 collections 表获取的所有业务表）', value: 'business' },
-                { name: '组合3: 全部业务数据（组合1 + 组合2）', value: 'all' },
-                { name: '自定义（手动输入）', value: 'custom' }
+                { name: t('init.preset.approval'), value: 'approval' },
+                { name: t('init.preset.business'), value: 'business' },
+                { name: t('init.preset.all'), value: 'all' },
+                { name: t('init.preset.custom'), value: 'custom' }
             ],
             default: 'approval'
         }
@@ -308,30 +397,24 @@ async function initConfig(saveToFile = true) {
 
     if (presetChoice === 'approval') {
         excludeTables = PRESET_TABLES.approval;
-        console.log(`   ✓ 已选择审批数据组合 (${excludeTables.length} 个表)`);
-        excludeTables.forEach(t => console.log(`      - ${t}`));
+        log.info(`   ✓ ${t('init.approvalSelected', { count: excludeTables.length })}`);
+        excludeTables.forEach(table => log.info(`      - ${table}`));
 
         // 获取审批表的多对多关联表
         let connection;
         try {
-            connection = await mysql.createConnection({
-                host: sourceAnswers.host,
-                port: sourceAnswers.port,
-                user: sourceAnswers.user,
-                password: sourceAnswers.password,
-                database: sourceAnswers.database
-            });
+            connection = await createConnection(sourceAnswers);
 
             const junctionTables = await getM2MJunctionTables(connection, excludeTables);
             if (junctionTables.length > 0) {
-                console.log(`   ✓ 找到 ${junctionTables.length} 个审批相关的多对多关联表`);
-                junctionTables.forEach(t => console.log(`      - ${t}`));
-                const newTables = junctionTables.filter(t => !excludeTables.includes(t));
+                log.info(`   ✓ ${t('init.approvalJunctionFound', { count: junctionTables.length })}`);
+                junctionTables.forEach(table => log.info(`      - ${table}`));
+                const newTables = junctionTables.filter(table => !excludeTables.includes(table));
                 excludeTables = [...excludeTables, ...newTables];
-                console.log(`   ✓ 总计: ${excludeTables.length} 个表`);
+                log.info(`   ✓ ${t('init.total', { count: excludeTables.length })}`);
             }
         } catch (error) {
-            console.log(`   ⚠ 获取关联表失败: ${error.message}`);
+            log.info(`   ⚠ ${t('init.junctionFailed', { message: error.message })}`);
         } finally {
             if (connection) {
                 await connection.end();
@@ -340,65 +423,59 @@ async function initConfig(saveToFile = true) {
     } else if (presetChoice === 'business') {
         const businessTables = await getBusinessTables(sourceAnswers);
         if (businessTables.length === 0) {
-            console.log('   ⚠ 未找到业务表，将使用空列表');
+            log.info(`   ⚠ ${t('init.noBusinessTables')}`);
         }
         excludeTables = businessTables;
     } else if (presetChoice === 'all') {
-        console.log('   📋 组合3: 合并审批数据 + 业务数据 + 多对多关联表');
+        log.info(`   📋 ${t('init.allPreset')}`);
 
         // 先添加审批数据
-        console.log(`   ✓ 审批数据 (${PRESET_TABLES.approval.length} 个表)`);
+        log.info(`   ✓ ${t('init.approvalTables', { count: PRESET_TABLES.approval.length })}`);
         excludeTables = [...PRESET_TABLES.approval];
 
         // 再添加业务数据（已包含多对多关联表）
         const businessTables = await getBusinessTables(sourceAnswers, true);
         if (businessTables.length > 0) {
             // 去重合并（避免重复表名）
-            const uniqueBusinessTables = businessTables.filter(t => !excludeTables.includes(t));
+            const uniqueBusinessTables = businessTables.filter(table => !excludeTables.includes(table));
             excludeTables = [...excludeTables, ...uniqueBusinessTables];
-            console.log(`   ✓ 业务数据及其关联表 (${uniqueBusinessTables.length} 个新表)`);
+            log.info(`   ✓ ${t('init.businessAdded', { count: uniqueBusinessTables.length })}`);
         } else {
-            console.log('   ⚠ 未找到业务表');
+            log.info(`   ⚠ ${t('init.businessMissing')}`);
         }
 
         // 获取审批表的多对多关联表
         let connection;
         try {
-            connection = await mysql.createConnection({
-                host: sourceAnswers.host,
-                port: sourceAnswers.port,
-                user: sourceAnswers.user,
-                password: sourceAnswers.password,
-                database: sourceAnswers.database
-            });
+            connection = await createConnection(sourceAnswers);
 
             const approvalJunctionTables = await getM2MJunctionTables(connection, PRESET_TABLES.approval);
             if (approvalJunctionTables.length > 0) {
-                const newTables = approvalJunctionTables.filter(t => !excludeTables.includes(t));
+                const newTables = approvalJunctionTables.filter(table => !excludeTables.includes(table));
                 if (newTables.length > 0) {
                     excludeTables = [...excludeTables, ...newTables];
-                    console.log(`   ✓ 审批相关的多对多关联表 (${newTables.length} 个新表)`);
+                    log.info(`   ✓ ${t('init.approvalJunctionAdded', { count: newTables.length })}`);
                 }
             }
         } catch (error) {
-            console.log(`   ⚠ 获取审批关联表失败: ${error.message}`);
+            log.info(`   ⚠ ${t('init.approvalJunctionFailed', { message: error.message })}`);
         } finally {
             if (connection) {
                 await connection.end();
             }
         }
 
-        console.log(`   ✓ 总计: ${excludeTables.length} 个表`);
+        log.info(`   ✓ ${t('init.total', { count: excludeTables.length })}`);
     } else {
         // 自定义输入
-        const { customTables } = await inquirer.prompt([
+        const { customTables } = await prompt([
             {
                 type: 'input',
                 name: 'customTables',
-                message: '业务表名单（这些表的数据将被排除），用逗号分隔（留空将在执行时自动从数据库动态读取）:',
+                message: `${t('init.customTables')}:`,
                 default: 'workflow_cc_tasks,user_workflow_tasks,approval_records,approval_executions,jobs,executions,approvals,workflow_stats',
                 filter: (input) => {
-                    return input.split(',').map(t => t.trim()).filter(t => t);
+                    return input.split(',').map(table => table.trim()).filter(table => table);
                 }
             }
         ]);
@@ -406,31 +483,44 @@ async function initConfig(saveToFile = true) {
     }
 
     // 询问 DB_UNDERSCORED 配置
-    const { dbUnderscored } = await inquirer.prompt([
+    const { dbUnderscored } = await prompt([
         {
             type: 'list',
             name: 'dbUnderscored',
-            message: 'NocoBase DB_UNDERSCORED 配置（表名是否使用下划线命名）:',
+            message: `${t('init.underscored')}:`,
             choices: [
-                { name: '未设置 / 自动检测（保持原表名）', value: undefined },
-                { name: '启用（true）- 驼峰转下划线，如 userRoles -> user_roles', value: true },
-                { name: '禁用（false）- 下划线转驼峰，如 user_roles -> userRoles', value: false }
+                { name: t('init.underscored.auto'), value: undefined },
+                { name: t('init.underscored.true'), value: true },
+                { name: t('init.underscored.false'), value: false }
             ],
             default: process.env.DB_UNDERSCORED === 'true' ? true : process.env.DB_UNDERSCORED === 'false' ? false : undefined
         }
     ]);
 
+    // 选择导出引擎
+    const { engine } = await prompt([
+        {
+            type: 'list',
+            name: 'engine',
+            message: `${t('init.engine')}:`,
+            choices: [
+                { name: t('init.engine.external', { command: getDialect(sourceAnswers).dumpCommand }), value: 'external' },
+                { name: t('init.engine.builtin'), value: 'builtin' }
+            ],
+            default: process.env.DB_EXPORT_ENGINE || 'external'
+        }
+    ]);
+
     // 自动生成带时间戳的文件名
-    const timestamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\..+/, '').replace('T', '_');
     let outputFile = process.env.DB_OUTPUT_FILE || `./merged_export_${timestamp}.sql`;
     // 如果用户提供的文件名没有时间戳，自动添加时间戳（如果还没有）
     if (process.env.DB_OUTPUT_FILE && !/\d{8}_\d{6}/.test(outputFile)) {
         outputFile = outputFile.replace(/\.sql$/, `_${timestamp}.sql`);
     }
 
-    console.log(`\n   输出文件: ${outputFile}`);
+    log.info(`\n   ${t('init.outputFile', { file: outputFile })}`);
     if (dbUnderscored !== undefined) {
-        console.log(`   DB_UNDERSCORED: ${dbUnderscored ? '启用（驼峰->下划线）' : '禁用（下划线->驼峰）'}`);
+        log.info(`   DB_UNDERSCORED: ${dbUnderscored ? t('init.underscoredEnabled') : t('init.underscoredDisabled')}`);
     }
 
     // 生成配置对象
@@ -439,139 +529,369 @@ async function initConfig(saveToFile = true) {
         export: {
             excludeTables: excludeTables,
             outputFile: outputFile,
-            dbUnderscored: dbUnderscored
+            dbUnderscored: dbUnderscored,
+            engine: engine
         }
     };
 
     // 写入文件（如果要求保存）
     if (saveToFile) {
-        fs.writeFileSync(configPath, JSON.stringify(config, null, 2), 'utf8');
-        console.log('\n✓ 配置文件已生成: config.json');
-        console.log('\n配置摘要:');
-        console.log(`  数据库: ${sourceAnswers.user}@${sourceAnswers.host}:${sourceAnswers.port}/${sourceAnswers.database}`);
-        console.log(`  排除表数量: ${excludeTables.length} 个`);
+        // 只有选择明文保存时才把密码写入文件
+        const { password, ...sourceWithoutPassword } = sourceAnswers;
+        const savedConfig = passwordSource === 'plain' ? config : { ...config, source: sourceWithoutPassword };
+        fs.writeFileSync(configPath, JSON.stringify(savedConfig, null, 2), 'utf8');
+        log.info(`\n✓ ${t('init.saved')}`);
+        log.info(`\n${t('init.summary')}`);
+        log.info(`  ${t('init.summaryDatabase', { address: `${sourceAnswers.user}@${sourceAnswers.host}:${sourceAnswers.port}/${sourceAnswers.database}` })}`);
+        log.info(`  ${t('init.summaryExcludeCount', { count: excludeTables.length })}`);
         if (excludeTables.length <= 10) {
-            console.log(`  排除表: ${excludeTables.join(', ')}`);
+            log.info(`  ${t('init.summaryExclude', { tables: excludeTables.join(', ') })}`);
         } else {
-            console.log(`  排除表: ${excludeTables.slice(0, 5).join(', ')} ... (共 ${excludeTables.length} 个)`);
+            log.info(`  ${t('init.summaryExcludeMore', { tables: excludeTables.slice(0, 5).join(', '), count: excludeTables.length })}`);
         }
-        console.log(`  输出文件: ${outputFile} (自动添加时间戳)`);
-        console.log('\n运行以下命令开始导出:');
-        console.log('  dbm\n');
+        log.info(`  ${t('init.summaryOutput', { file: outputFile })}`);
+        log.info(`\n${t('init.nextStep')}`);
+        log.info('  dbm\n');
     } else {
-        console.log('\n✓ 配置完成，开始导出...\n');
+        log.info(`\n✓ ${t('init.done')}\n`);
     }
 
     return config;
 }
 
-// 处理命令行参数
-async function main() {
-    // 处理帮助和版本信息
-    if (args.length > 0) {
-        if (args[0] === '--help' || args[0] === '-h') {
-            showHelp();
-            return;
-        } else if (args[0] === '--version' || args[0] === '-v') {
-            showVersion();
-            return;
-        } else if (args[0] === '--init') {
-            // 生成配置文件并退出（兼容旧行为）
-            await initConfig(true);
-            return;
-        }
+// 命令行中选择命名环境的参数（--profile / --from / --to）
+function profileSelectionOf(options) {
+    const selection = {};
+    PROFILE_OPTIONS.forEach(name => {
+        if (options[name] !== undefined) selection[name] = options[name];
+    });
+    return selection;
+}
+
+// 使用回滚脚本恢复 target 数据库: dbm rollback <回滚文件> [配置文件]
+async function runRollback(rollbackArgs, options) {
+    const [rollbackFile, configFile] = rollbackArgs;
+    if (!fs.existsSync(rollbackFile)) {
+        throw new ConfigError(t('bin.rollbackMissing', { file: rollbackFile }));
+    }
+
+    const configPath = path.resolve(process.cwd(), configFile || 'config.json');
+    log.info(`${t('bin.usingConfig', { path: configPath })}\n`);
+    const config = await loadConfig(configPath, profileSelectionOf(options));
+    if (!config.target) {
+        throw new ConfigError(t('bin.rollbackNoTarget'));
     }
 
-    // 解析命令行参数
-    const cliConfig = {};
-    for (let i = 0; i < args.length; i++) {
-        const arg = args[i];
-        if (arg.startsWith('--')) {
-            const key = arg.slice(2);
-            // 检查下一个参数是否是值（不是以 -- 开头）
-            if (i + 1 < args.length && !args[i + 1].startsWith('--')) {
-                const value = args[i + 1];
-                cliConfig[key] = value;
-                i++; // 跳过值
-            } else {
-                // 布尔标志（如 --db-underscored 后面可能没有值，但需要值）
-                cliConfig[key] = true; // 默认 true，实际可能需要值
+    if (!options.yes && process.stdin.isTTY) {
+        const { confirmed } = await prompt([
+            {
+                type: 'confirm',
+                name: 'confirmed',
+                message: t('bin.rollbackConfirm', { database: config.target.database }),
+                default: false
             }
+        ]);
+        if (!confirmed) {
+            log.info(t('bin.cancelled'));
+            process.exit(0);
         }
     }
 
-    // 检查是否通过命令行提供了数据库配置
-    const hasCliDbConfig = cliConfig.host && cliConfig.port && cliConfig.user && cliConfig.database;
-    // 注意：password 可能为空，但通常需要
+    const result = await rollbackTarget(config.target, rollbackFile, { logger: log });
+    log.info(`\n✓ ${t('bin.rollbackDone')}`);
+    reportResult({ rollbackFile, ...result });
+}
 
-    // 检查是否通过环境变量提供了数据库配置
-    const hasEnvDbConfig = process.env.DB_HOST && process.env.DB_NAME;
-    // DB_USER 可以有默认值 'root'，DB_PORT 可以有默认值 '3306'，DB_PASSWORD 可以为空
+// 校验导出文件，校验未通过时以非零状态码退出，便于在 CI 中阻止部署
+async function runVerify(verifyArgs) {
+    const [outputPath] = verifyArgs;
+    if (!fs.existsSync(outputPath)) {
+        throw new ConfigError(t('bin.exportMissing', { path: outputPath }));
+    }
 
-    let config;
+    const result = await verifyExport(outputPath, { logger: log });
+    reportResult(result);
+    if (!result.ok) {
+        process.exit(1);
+    }
+}
 
-    if (hasCliDbConfig) {
+// 确定导出 / 预览使用的配置，优先级: 指定的配置文件 > 命令行数据库参数 > 环境变量 > ./config.json > 交互式配置
+async function resolveRunConfig(runArgs, options, timestamp) {
+    const [configFile] = runArgs;
+    const profileSelection = profileSelectionOf(options);
+    const hasProfileSelection = Object.keys(profileSelection).length > 0;
+    const cliConnectionOptions = CONNECTION_OPTIONS.filter(name => options[name] !== undefined);
+
+    if (cliConnectionOptions.length > 0 && (configFile || hasProfileSelection)) {
+        throw new Error(t('bin.cliConflict', { name: cliConnectionOptions[0] }));
+    }
+
+    if (configFile) {
+        const configPath = path.resolve(process.cwd(), configFile);
+        if (!fs.existsSync(configPath)) {
+            throw new Error(t('bin.configMissing', { path: configPath }));
+        }
+        log.info(`${t('bin.usingConfig', { path: configPath })}\n`);
+        return loadConfig(configPath, profileSelection);
+    }
+
+    if (cliConnectionOptions.length > 0) {
+        if (!options.database) {
+            throw new Error(t('bin.databaseRequired'));
+        }
         // 使用命令行参数构建配置
-        console.log('使用命令行参数配置...\n');
-        config = buildConfigFromCli(cliConfig);
-    } else if (hasEnvDbConfig) {
-        // 使用环境变量构建配置
-        console.log('使用环境变量配置...\n');
+        log.info(`${t('bin.usingCli')}\n`);
+        if (options.password) {
+            log.info(`⚠ ${t('bin.passwordVisible')}\n`);
+        }
+        return buildConfigFromCli(options, timestamp);
+    }
+
+    // 检查是否通过环境变量提供了数据库配置
+    // DB_USER 可以有默认值 'root'，DB_PORT 默认使用对应数据库类型的端口，DB_PASSWORD 可以为空
+    if (process.env.DB_HOST && process.env.DB_NAME && !hasProfileSelection) {
+        log.info(`${t('bin.usingEnv')}\n`);
         const envConfig = {
+            dialect: process.env.DB_DIALECT,
+            schema: process.env.DB_SCHEMA,
             host: process.env.DB_HOST,
-            port: process.env.DB_PORT || '3306',
+            port: process.env.DB_PORT,
             user: process.env.DB_USER || 'root',
             password: process.env.DB_PASSWORD || '',
+            'password-file': process.env.DB_PASSWORD_FILE,
             database: process.env.DB_NAME,
             'exclude-tables': process.env.DB_EXCLUDE_TABLES,
+            'include-tables': process.env.DB_INCLUDE_TABLES,
             'output-file': process.env.DB_OUTPUT_FILE,
-            'db-underscored': process.env.DB_UNDERSCORED
+            'db-underscored': process.env.DB_UNDERSCORED,
+            engine: process.env.DB_EXPORT_ENGINE,
+            strategy: process.env.DB_MERGE_STRATEGY
         };
-        config = buildConfigFromCli(envConfig);
-    } else if (args.length === 0) {
-        // 没有参数，检查默认配置文件
-        const configPath = path.join(process.cwd(), 'config.json');
-
-        if (fs.existsSync(configPath)) {
-            // 使用现有配置文件
-            console.log(`使用配置文件: ${configPath}\n`);
-            config = await loadConfig(configPath);
-        } else {
-            // 没有配置文件，进入交互式配置并直接导出
-            console.log('未找到配置文件，进入交互式配置模式...\n');
-            config = await initConfig(false);
-        }
+        return buildConfigFromCli(envConfig, timestamp);
+    }
+
+    // 检查默认配置文件
+    const configPath = path.join(process.cwd(), 'config.json');
+    if (fs.existsSync(configPath)) {
+        log.info(`${t('bin.usingConfig', { path: configPath })}\n`);
+        return loadConfig(configPath, profileSelection);
+    }
+    if (hasProfileSelection) {
+        throw new Error(t('bin.profilesNeedConfig', { path: configPath }));
+    }
+    // 没有配置文件，进入交互式配置并直接导出（或预览）
+    log.info(`${t('bin.interactive')}\n`);
+    return initConfig(false, timestamp);
+}
+
+// 命令行中的导出设置覆盖配置文件 / 环境变量中的对应设置
+function applyExportOptions(exportConfig, options) {
+    const splitList = value => value.split(',').map(s => s.trim()).filter(s => s);
+    if (options['exclude-tables'] !== undefined) exportConfig.excludeTables = splitList(options['exclude-tables']);
+    if (options['include-tables'] !== undefined) exportConfig.includeTables = splitList(options['include-tables']);
+    if (options['db-underscored'] !== undefined) exportConfig.dbUnderscored = parseUnderscored(options['db-underscored']);
+    if (options['output-file'] !== undefined) exportConfig.outputFile = options['output-file'];
+    if (options.engine !== undefined) exportConfig.engine = options.engine;
+    if (options.strategy !== undefined) exportConfig.strategy = options.strategy;
+    if (options.concurrency !== undefined) exportConfig.concurrency = Number(options.concurrency);
+    ['apply', 'diff', 'gzip', 'split', 'resume'].forEach(name => {
+        if (options[name]) exportConfig[name] = true;
+    });
+}
+
+// 子命令用法错误：输出错误与对应的帮助提示
+function reportUsageError(error) {
+    log.error(`✗ ${error.message}`);
+    log.error(t('bin.usageHint', { command: error.command === 'export' ? '' : `${error.command} ` }));
+    process.exit(1);
+}
+
+// 导出或预览失败：输出错误信息后以非零状态码退出
+function reportRunError(title, error) {
+    log.error(`\n✗ ${title}:`);
+    log.error(error.message);
+    reportJsonError(error);
+    process.exit(1);
+}
+
+// 根据 --json / --ndjson 与 --quiet / --verbose 设置输出
+function configureOutput(options) {
+    jsonMode = options.ndjson ? 'ndjson' : (options.json ? 'json' : null);
+    const level = options.quiet ? 'quiet' : (options.verbose ? 'verbose' : 'normal');
+    progressDisplay = createProgressDisplay({
+        logger: createConsoleLogger({ level, stderr: jsonMode !== null }),
+        stream: jsonMode ? process.stderr : process.stdout,
+        enabled: level !== 'quiet'
+    });
+    log = progressDisplay.logger;
+    if (jsonMode) {
+        prompt = inquirer.createPromptModule({ output: process.stderr });
+    }
+}
+
+// 向 stdout 写入一行 JSON（--ndjson 的进度事件）
+function writeJsonLine(value) {
+    process.stdout.write(`${JSON.stringify(value)}\n`);
+}
+
+// 输出命令的结果：--json 为一个 JSON 文档，--ndjson 为最后一行 { type: 'result', ... }
+function reportResult(result) {
+    if (jsonMode === 'json') {
+        process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+    } else if (jsonMode === 'ndjson') {
+        writeJsonLine({ type: 'result', ...result });
+    }
+}
+
+// 以 JSON 输出错误：--json 为 { error }，--ndjson 为最后一行 { type: 'error', error }
+function reportJsonError(error) {
+    if (!jsonMode) return;
+    const description = { name: error.name, code: error.code || null, message: error.message };
+    ['database', 'table', 'completedTables', 'rollbackFile', 'checkpointFile', 'report'].forEach(key => {
+        if (error[key] !== undefined) description[key] = error[key];
+    });
+    if (jsonMode === 'json') {
+        process.stdout.write(`${JSON.stringify({ error: description }, null, 2)}\n`);
     } else {
-        // 有参数，第一个参数可能是配置文件路径
-        const configPath = path.resolve(process.cwd(), args[0]);
-
-        // 检查是否是文件路径（不是以 -- 开头的选项）
-        if (!args[0].startsWith('--') && fs.existsSync(configPath)) {
-            // 使用指定的配置文件
-            console.log(`使用配置文件: ${configPath}\n`);
-            config = await loadConfig(configPath);
+        writeJsonLine({ type: 'error', error: description });
+    }
+}
+
+async function main() {
+    const argv = process.argv.slice(2);
+    // --lang 在解析参数前生效，使参数错误也以指定的语言输出；无效的值由解析时报错
+    const lang = peekLanguage(argv);
+    if (LOCALES.includes(lang)) {
+        setLocale(lang);
+    }
+
+    let parsed;
+    try {
+        parsed = parseCommandLine(argv);
+    } catch (error) {
+        reportUsageError(error);
+    }
+    const { command, explicit, options, args } = parsed;
+    configureOutput(options);
+
+    // 处理帮助和版本信息
+    if (options.version) {
+        showVersion();
+        return;
+    }
+    if (options.help) {
+        if (command && explicit) {
+            console.log(formatCommandHelp(command));
         } else {
-            // 否则视为命令行选项但缺少必要参数
-            console.error('✗ 命令行参数缺少必要的数据库配置');
-            console.log('\n请提供以下参数: --host, --port, --user, --password, --database');
-            console.log('或使用交互式配置模式（不提供任何参数）');
-            process.exit(1);
+            showHelp();
+        }
+        return;
+    }
+
+    if (command === 'init') {
+        await initConfig(true);
+        return;
+    }
+    if (command === 'rollback') {
+        await runRollback(args, options);
+        return;
+    }
+    if (command === 'verify') {
+        await runVerify(args);
+        return;
+    }
+
+    // export 与 plan 使用相同的配置来源，plan 只在最后执行预览而不是导出
+    // 文件名中的时间戳只生成一次，与 mergeExports 使用同一个值，--resume 才能找到其他时间戳的检查点
+    const timestamp = fileTimestamp();
+    const config = await resolveRunConfig(args, options, timestamp);
+    if (!config.source) {
+        throw new ConfigError(t('bin.sourceMissing'));
+    }
+    // 旧版配置文件可能没有 export 部分
+    config.export = config.export || {};
+    applyExportOptions(config.export, options);
+
+    if (command === 'plan') {
+        try {
+            const plan = await planExport(config, { jsonFile: options['json-file'], logger: log });
+            reportResult(plan);
+        } catch (error) {
+            reportRunError(t('bin.planFailed'), error);
         }
+        return;
     }
 
-    // 执行导出
-    await mergeExports(config);
+    // 写入 target 前确认（非交互终端或使用 --yes 时跳过）
+    if (config.export.apply && config.target && !options.yes && process.stdin.isTTY) {
+        const { confirmed } = await prompt([
+            {
+                type: 'confirm',
+                name: 'confirmed',
+                message: t('bin.applyConfirm', { database: config.target.database, address: describeAddress(config.target) }),
+                default: false
+            }
+        ]);
+        if (!confirmed) {
+            log.info(t('bin.cancelled'));
+            process.exit(0);
+        }
+    }
+
+    // 执行导出，显示每个表的进度，--ndjson 时同时逐行输出进度事件
+    try {
+        const result = await mergeExports(config, {
+            timestamp,
+            logger: log,
+            onProgress: (event) => {
+                progressDisplay.onProgress(event);
+                if (jsonMode === 'ndjson') writeJsonLine(event);
+            }
+        });
+        if (options['json-file']) {
+            fs.writeFileSync(options['json-file'], `${JSON.stringify(result, null, 2)}\n`, 'utf8');
+            log.info(t('bin.jsonWritten', { file: path.resolve(options['json-file']) }));
+        }
+        reportResult(result);
+    } catch (error) {
+        reportRunError(t('bin.exportFailed'), error);
+    }
+}
+
+// db-underscored 的取值：true / false，auto 或其他值为自动检测（undefined）
+function parseUnderscored(value) {
+    if (value === 'true' || value === true) return true;
+    if (value === 'false' || value === false) return false;
+    return undefined;
 }
 
 // 从命令行参数构建配置对象
-function buildConfigFromCli(cliConfig) {
+function buildConfigFromCli(cliConfig, timestamp = fileTimestamp()) {
+    const dialect = getDialect(cliConfig);
     const source = {
+        dialect: cliConfig.dialect || dialect.name,
         host: cliConfig.host || '127.0.0.1',
-        port: parseInt(cliConfig.port, 10) || 3306,
+        port: parseInt(cliConfig.port, 10) || dialect.defaultPort,
         user: cliConfig.user || 'root',
         password: cliConfig.password || '',
         database: cliConfig.database || ''
     };
+    if (dialect.name === 'postgres') {
+        source.schema = cliConfig.schema || 'public';
+    }
+    // 密码来源（见 lib/credentials）
+    if (cliConfig['password-file']) source.passwordFile = cliConfig['password-file'];
+    if (cliConfig['password-env']) source.passwordEnv = cliConfig['password-env'];
+    if (cliConfig['defaults-extra-file']) source.defaultsExtraFile = cliConfig['defaults-extra-file'];
+    if (cliConfig['password-prompt']) source.passwordPrompt = true;
+    // Unix socket 与 TLS（见 lib/tls）
+    if (cliConfig.socket) source.socketPath = cliConfig.socket;
+    const ssl = {};
+    ['mode', 'ca', 'cert', 'key'].forEach(name => {
+        if (cliConfig[`ssl-${name}`]) ssl[name] = cliConfig[`ssl-${name}`];
+    });
+    if (Object.keys(ssl).length > 0) source.ssl = ssl;
 
     // 处理 excludeTables
     let excludeTables = [];
@@ -582,19 +902,17 @@ function buildConfigFromCli(cliConfig) {
     }
     // 如果没有提供，使用空数组（将在导出时处理）
 
+    // 处理 includeTables
+    const includeTables = cliConfig['include-tables']
+        ? cliConfig['include-tables'].split(',').map(s => s.trim()).filter(s => s)
+        : [];
+
     // 处理 dbUnderscored
-    let dbUnderscored = undefined;
-    if (cliConfig['db-underscored'] !== undefined) {
-        const val = cliConfig['db-underscored'];
-        if (val === 'true' || val === true) dbUnderscored = true;
-        else if (val === 'false' || val === false) dbUnderscored = false;
-        // 否则保持 undefined
-    }
+    const dbUnderscored = parseUnderscored(cliConfig['db-underscored']);
 
     // 处理输出文件
     let outputFile = cliConfig['output-file'] || cliConfig.outputFile || './merged_export.sql';
     // 自动添加时间戳（如果还没有）
-    const timestamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\..+/, '').replace('T', '_');
     if (!/\d{8}_\d{6}/.test(outputFile)) {
         outputFile = outputFile.replace(/\.sql$/, `_${timestamp}.sql`);
     }
@@ -603,14 +921,23 @@ function buildConfigFromCli(cliConfig) {
         source,
         export: {
             excludeTables,
+            includeTables,
             outputFile,
-            dbUnderscored
+            dbUnderscored,
+            engine: cliConfig.engine || 'external',
+            strategy: cliConfig.strategy || 'truncate'
         }
     };
 }
 
 // 运行主函数
 main().catch(error => {
-    console.error('发生错误:', error.message);
+    // 配置、连接等已知错误的信息已包含原因，直接输出
+    if (error instanceof DbmError) {
+        log.error(`✗ ${error.message}`);
+    } else {
+        log.error(`${t('bin.error')} ${error.message}`);
+    }
+    reportJsonError(error);
     process.exit(1);
 });
@@ -0,0 +1,218 @@
+/**
+ * 将导出的 SQL 脚本直接写入目标数据库
+ */
+
+const { openScript } = require('./output');
+const { t, allTranslations } = require('./i18n');
+
+// 从 TRUNCATE / INSERT 等语句中提取表名（去掉引号和 schema 前缀）
+function statementTable(statement) {
+    const match = statement.match(/^\s*(?:TRUNCATE\s+TABLE|INSERT\s+(?:IGNORE\s+)?INTO|REPLACE\s+INTO|DELETE\s+FROM|UPDATE)\s+((?:[`"][^`"]+[`"]|[\w$]+)(?:\.(?:[`"][^`"]+[`"]|[\w$]+))?)/i);
+    if (!match) return null;
+    const parts = match[1].split('.');
+    return parts[parts.length - 1].replace(/^[`"]|[`"]$/g, '');
+}
+
+// 按分号拆分 SQL 脚本，流式读取文件（.gz 文件自动解压），跳过 -- 注释与 psql 元命令（如 \restrict），
+// 正确处理字符串、带引号的标识符中的分号（MySQL 字符串支持反斜杠转义）
+async function* readStatements(file, dialect) {
+    const backslashEscapes = dialect.name !== 'postgres';
+    const stream = openScript(file);
+
+    let statement = '';
+    let empty = true;          // 当前语句是否还没有有效字符
+    let prev = '';             // 上一个字符（语句外或语句中）
+    let quote = null;          // 当前所在的引号字符: ' " `
+    let escaped = false;       // 上一个字符是否为反斜杠（仅在字符串中）
+    let lineComment = false;   // 是否在 -- 注释或元命令行中
+    let blockComment = false;  // 是否在 /* */ 注释中（保留在语句中，如 /*!40101 ... */）
+
+    for await (const chunk of stream) {
+        for (let i = 0; i < chunk.length; i++) {
+            const char = chunk[i];
+
+            if (lineComment) {
+                if (char === '\n') {
+                    lineComment = false;
+                    prev = char;
+                }
+                continue;
+            }
+
+            if (quote) {
+                statement += char;
+                if (escaped) {
+                    escaped = false;
+                } else if (char === '\\' && backslashEscapes && quote === "'") {
+                    escaped = true;
+                } else if (char === quote) {
+                    quote = null;
+                }
+                prev = char;
+                continue;
+            }
+
+            if (blockComment) {
+                statement += char;
+                if (char === '/' && prev === '*') {
+                    blockComment = false;
+                }
+                prev = char;
+                continue;
+            }
+
+            // 第二个 "-" 出现时确认是注释，去掉已追加的第一个 "-"
+            if (char === '-' && prev === '-') {
+                statement = statement.slice(0, -1);
+                lineComment = true;
+                prev = '';
+                continue;
+            }
+
+            // 语句外以反斜杠开头的行是 psql 元命令，数据库无法执行
+            if (char === '\\' && empty) {
+                lineComment = true;
+                continue;
+            }
+
+            statement += char;
+            if (empty && !/\s/.test(char) && char !== '-') {
+                empty = false;
+            }
+
+            if (char === "'" || char === '"' || char === '`') {
+                quote = char;
+            } else if (char === '*' && prev === '/') {
+                blockComment = true;
+            } else if (char === ';') {
+                const sql = statement.trim();
+                statement = '';
+                empty = true;
+                if (sql !== ';') {
+                    yield sql;
+                }
+            }
+            prev = char;
+        }
+    }
+
+    if (!empty && statement.trim() !== '') {
+        yield statement.trim();
+    }
+}
+
+// 在目标数据库上依次执行一个或多个脚本文件（按表拆分的导出为多个文件），每写完一个表的数据回调一次；PostgreSQL 的 TRUNCATE 支持事务，整个脚本在同一事务中执行，
+// MySQL 的 TRUNCATE 会隐式提交，只能逐表执行，失败时报告出错的表以及已写入完成的表
+async function applyScript(connection, files, onTableDone) {
+    const { dialect } = connection;
+    const transactional = dialect.name === 'postgres';
+    const tableStatements = new Map();
+    const completedTables = [];
+    let currentTable = null;
+    let statementCount = 0;
+
+    const finishTable = () => {
+        if (currentTable) {
+            completedTables.push(currentTable);
+            if (onTableDone) onTableDone(currentTable, tableStatements.get(currentTable));
+        }
+        currentTable = null;
+    };
+
+    if (transactional) {
+        await connection.query('BEGIN');
+    }
+
+    try {
+        for (const file of files) {
+            for await (const sql of readStatements(file, dialect)) {
+                const table = statementTable(sql);
+                // 清空语句（TRUNCATE / 带 where 过滤的表的 DELETE）出现在数据之前，只按数据语句划分表的边界
+                const isData = table && !/^\s*(TRUNCATE|DELETE)\b/i.test(sql);
+                if (isData && table !== currentTable) {
+                    finishTable();
+                    currentTable = table;
+                }
+
+                try {
+                    await connection.query(sql);
+                } catch (error) {
+                    const snippet = sql.length > 200 ? `${sql.slice(0, 200)}...` : sql;
+                    const wrapped = new Error(t(table ? 'apply.statementFailedInTable' : 'apply.statementFailed', {
+                        index: statementCount + 1, table, message: error.message, statement: snippet
+                    }));
+                    wrapped.table = table;
+                    wrapped.completedTables = [...completedTables];
+                    throw wrapped;
+                }
+
+                statementCount++;
+                if (table) {
+                    tableStatements.set(table, (tableStatements.get(table) || 0) + 1);
+                }
+            }
+        }
+        finishTable();
+
+        if (transactional) {
+            await connection.query('COMMIT');
+        }
+    } catch (error) {
+        if (transactional) {
+            await connection.query('ROLLBACK').catch(() => {});
+        }
+        throw error;
+    }
+
+    return { statements: statementCount, tables: completedTables, transactional };
+}
+
+// 匹配头部中的一行注释，文本为 keys 在任意语言中的翻译，占位符处捕获值；用于识别其他语言生成的脚本
+function headerPattern(keys) {
+    const alternatives = keys.flatMap(allTranslations).map(message => message
+        .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+        .replace(/\\\{\w+\\\}/g, '(.+)')
+        .replace(/ +/g, '\\s+'));
+    return new RegExp(`^--\\s+(?:${alternatives.join('|')})$`, 'm');
+}
+
+// 读取脚本头部注释中的元数据（脚本类型、数据库类型、库名、时间），.gz 文件自动解压
+async function readScriptHeader(file) {
+    const stream = openScript(file);
+    let text = '';
+    try {
+        for await (const chunk of stream) {
+            text += chunk;
+            if (text.length >= 8192) break;
+        }
+    } finally {
+        stream.destroy();
+    }
+
+    const pick = (...keys) => {
+        const match = text.match(headerPattern(keys));
+        return match ? match.slice(1).find(value => value !== undefined).trim() : null;
+    };
+
+    let kind = null;
+    if (headerPattern(['header.rollbackTitle']).test(text)) {
+        kind = 'rollback';
+    } else if (headerPattern(['header.exportTitle']).test(text)) {
+        kind = 'export';
+    }
+
+    return {
+        kind,
+        time: pick('header.exportTime', 'header.backupTime'),
+        dialect: pick('header.dialect'),
+        // 第一个数据库字段：导出脚本为 source 库，回滚脚本为被备份的库
+        database: pick('header.database')
+    };
+}
+
+module.exports = {
+    statementTable,
+    readScriptHeader,
+    readStatements,
+    applyScript
+};
@@ -0,0 +1,145 @@
+/**
+ * 导出的断点续传
+ * 导出过程中每写完一个表，将已完成的表与输出的写入位置保存到检查点文件 <导出文件>.checkpoint.json；
+ * 导出中断或失败后，dbm export --resume 读取检查点，保留 <导出文件>.partial 中已完成的表，从下一个表继续导出
+ * 检查点只记录导出步骤，备份 target 与写入 target 在继续导出后重新执行
+ * 导出完成后删除检查点；失败时没有任何表完成则同时删除检查点与未完成的输出
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { ConfigError } = require('./errors');
+const { t } = require('./i18n');
+
+const CHECKPOINT_VERSION = 1;
+
+function checkpointPath(outputPath) {
+    return `${outputPath}.checkpoint.json`;
+}
+
+// 先写入临时文件再重命名，进程在写入过程中退出时不会留下不完整的检查点
+async function writeJson(file, value) {
+    const temporary = `${file}.tmp`;
+    await fs.promises.writeFile(temporary, `${JSON.stringify(value, null, 2)}\n`, 'utf8');
+    await fs.promises.rename(temporary, file);
+}
+
+// 读取检查点文件，内容无效时抛出 ConfigError
+async function readCheckpoint(file) {
+    let checkpoint;
+    try {
+        checkpoint = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (error) {
+        throw new ConfigError(t('checkpoint.invalid', { file, message: error.message }), { cause: error });
+    }
+    if (checkpoint.version !== CHECKPOINT_VERSION || !Array.isArray(checkpoint.completed)) {
+        throw new ConfigError(t('checkpoint.invalid', { file, message: t('checkpoint.unsupportedVersion', { version: checkpoint.version }) }));
+    }
+    return { ...checkpoint, file };
+}
+
+// 查找可以继续的导出：outputPath 为本次导出的输出路径，其中的 timestamp 可以匹配任意时间戳，
+// 有多个时使用时间戳最新的一个；没有时返回 null
+async function findCheckpoint(outputPath, timestamp) {
+    const directory = path.dirname(outputPath);
+    const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const name = path.basename(outputPath).split(timestamp).map(escape).join('\\d{8}_\\d{6}');
+    const pattern = new RegExp(`^${name}\\.checkpoint\\.json$`);
+
+    let files;
+    try {
+        files = await fs.promises.readdir(directory);
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+    const matches = files.filter(file => pattern.test(file)).sort();
+    if (matches.length === 0) {
+        return null;
+    }
+    return readCheckpoint(path.join(directory, matches[matches.length - 1]));
+}
+
+// 按键名排序后序列化，使相同的设置总是得到相同的文本
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+// 影响导出内容的设置的摘要：导出引擎、各表的行过滤条件、合并策略与列匹配方案
+// 这些设置在两次导出之间变化时，继续导出会在同一个文件中混合不同设置生成的数据
+function settingsHash({ engine = 'external', where = null, strategies = null, columnPlans = null }) {
+    const settings = { engine, where: where || {}, strategies: strategies || {}, columnPlans: columnPlans || null };
+    return crypto.createHash('sha256').update(stableStringify(settings)).digest('hex');
+}
+
+// 检查点与本次导出是否一致：相同的 source 库、输出格式、导出的表（包括顺序）与导出设置（见 settingsHash）
+// 返回不一致的原因，一致时返回 null
+function checkpointMismatch(checkpoint, expected) {
+    if (checkpoint.source.database !== expected.source.database || checkpoint.source.host !== expected.source.host) {
+        return t('checkpoint.mismatch.source', { database: checkpoint.source.database });
+    }
+    if (checkpoint.split !== expected.split || checkpoint.gzip !== expected.gzip) {
+        return t('checkpoint.mismatch.format');
+    }
+    if (checkpoint.tables.join('\n') !== expected.tables.join('\n')) {
+        return t('checkpoint.mismatch.tables');
+    }
+    if (checkpoint.settings !== expected.settings) {
+        return t('checkpoint.mismatch.settings');
+    }
+    return null;
+}
+
+// 创建导出的检查点：info 为 { outputPath, split, gzip, source, tables, settings }，resume 为继续的检查点（可选）
+// record 作为 lib/output 的 onCheckpoint，每写完一个表保存一次；保存按调用顺序依次进行，flush() 等待全部保存完成
+function createCheckpoint(file, info, resume = null) {
+    const state = {
+        version: CHECKPOINT_VERSION,
+        startedAt: resume ? resume.startedAt : new Date().toISOString(),
+        updatedAt: null,
+        ...info,
+        completed: resume ? [...resume.completed] : [],
+        output: resume ? resume.output : null
+    };
+
+    let saving = Promise.resolve();
+
+    return {
+        file,
+        get completed() {
+            return state.completed;
+        },
+        record(table, rows, output) {
+            state.completed.push({ table, rows });
+            state.output = output;
+            state.updatedAt = new Date().toISOString();
+            const snapshot = JSON.parse(JSON.stringify(state));
+            const saved = saving.then(() => writeJson(file, snapshot));
+            saving = saved.catch(() => {});
+            return saved;
+        },
+        async flush() {
+            await saving;
+        },
+        async remove() {
+            await saving;
+            await fs.promises.rm(file, { force: true });
+        }
+    };
+}
+
+module.exports = {
+    checkpointPath,
+    readCheckpoint,
+    findCheckpoint,
+    settingsHash,
+    checkpointMismatch,
+    createCheckpoint
+};
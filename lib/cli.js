@@ -0,0 +1,327 @@
+/**
+ * 命令行的子命令、参数定义与解析
+ *   dbm [export] [配置文件] [选项]     导出（默认子命令）
+ *   dbm plan [配置文件] [选项]         预览导出计划
+ *   dbm init                         交互式生成配置文件
+ *   dbm rollback <回滚文件> [配置文件]  使用回滚脚本恢复 target
+ *   dbm verify <导出文件或目录>         校验导出文件
+ * 参数支持 --name value、--name=value 与短参数 -P 3306 / -P3306；
+ * 未知参数、缺少值、多余的位置参数以及不在可选范围内的值都会报错，而不是被忽略
+ */
+
+const { LOCALES, t } = require('./i18n');
+const { displayWidth } = require('./text');
+
+// 参数定义：short 为短参数，value 为值的说明（cli.value.* 中的名称，没有 value 的参数为开关），choices 为可选值，
+// conflicts 为不能同时使用的参数
+// 参数说明为 cli.option.<参数名>，在输出帮助时按当前语言读取
+const OPTIONS = {
+    help: { short: '?' },
+    version: { short: 'v' },
+    lang: { value: 'language', choices: LOCALES },
+
+    // 数据库连接
+    dialect: { value: 'type', choices: ['mysql', 'mariadb', 'postgres', 'postgresql'] },
+    schema: { value: 'schema' },
+    host: { short: 'h', value: 'host' },
+    port: { short: 'P', value: 'port', pattern: /^\d+$/ },
+    user: { short: 'u', value: 'user' },
+    password: { short: 'p', value: 'password' },
+    'password-prompt': {},
+    'password-file': { value: 'file' },
+    'password-env': { value: 'variable' },
+    'defaults-extra-file': { value: 'file' },
+    database: { short: 'd', value: 'database' },
+    socket: { value: 'path' },
+    'ssl-mode': { value: 'mode', choices: ['required', 'verify-ca', 'verify-identity', 'disabled'] },
+    'ssl-ca': { value: 'file' },
+    'ssl-cert': { value: 'file' },
+    'ssl-key': { value: 'file' },
+
+    // 导出设置
+    'exclude-tables': { value: 'tables' },
+    'include-tables': { value: 'tables' },
+    'output-file': { short: 'o', value: 'file' },
+    'db-underscored': { value: 'value', choices: ['true', 'false', 'auto'] },
+    engine: { value: 'engine', choices: ['external', 'builtin'] },
+    strategy: { value: 'strategy', choices: ['truncate', 'upsert', 'insert-ignore', 'replace'] },
+    apply: {},
+    diff: {},
+    gzip: {},
+    split: {},
+    concurrency: { short: 'j', value: 'count', pattern: /^[1-9]\d*$/ },
+    resume: { conflicts: ['diff'] },
+    yes: { short: 'y' },
+
+    // 命名环境
+    profile: { value: 'name' },
+    from: { value: 'name' },
+    to: { value: 'name' },
+
+    // 输出格式与日志级别
+    json: {},
+    ndjson: { conflicts: ['json'] },
+    'json-file': { value: 'file' },
+    quiet: { short: 'q', conflicts: ['verbose'] },
+    verbose: {}
+};
+
+const GLOBAL_OPTIONS = ['help', 'version', 'lang'];
+const CONNECTION_OPTIONS = [
+    'dialect', 'schema', 'host', 'port', 'user', 'password', 'password-prompt', 'password-file', 'password-env',
+    'defaults-extra-file', 'database', 'socket', 'ssl-mode', 'ssl-ca', 'ssl-cert', 'ssl-key'
+];
+const PROFILE_OPTIONS = ['profile', 'from', 'to'];
+const TABLE_OPTIONS = ['exclude-tables', 'include-tables', 'db-underscored'];
+const OUTPUT_OPTIONS = ['json', 'ndjson', 'json-file', 'quiet', 'verbose'];
+
+// 子命令定义：args 为位置参数（name 为 cli.arg.* 中的名称，optional 为可选），options 为可用的参数
+// 子命令说明为 cli.command.<子命令>
+const COMMANDS = {
+    export: {
+        args: [{ name: 'config', optional: true }],
+        options: [
+            ...CONNECTION_OPTIONS, ...TABLE_OPTIONS,
+            'output-file', 'engine', 'strategy', 'apply', 'diff', 'gzip', 'split', 'concurrency', 'resume', 'yes',
+            ...PROFILE_OPTIONS, ...OUTPUT_OPTIONS
+        ]
+    },
+    plan: {
+        args: [{ name: 'config', optional: true }],
+        options: [...CONNECTION_OPTIONS, ...TABLE_OPTIONS, ...PROFILE_OPTIONS, 'json', 'json-file', 'quiet', 'verbose']
+    },
+    init: {
+        args: [],
+        options: []
+    },
+    rollback: {
+        args: [{ name: 'rollbackFile' }, { name: 'config', optional: true }],
+        options: [...PROFILE_OPTIONS, 'yes', 'json', 'quiet', 'verbose']
+    },
+    verify: {
+        args: [{ name: 'exportPath' }],
+        options: ['json', 'quiet', 'verbose']
+    }
+};
+
+const DEFAULT_COMMAND = 'export';
+
+// 命令行用法错误，command 为出错的子命令，用于提示对应的帮助
+function usageError(command, message) {
+    const error = new Error(message);
+    error.command = command;
+    return error;
+}
+
+// 根据长参数名或短参数查找参数定义
+function findOption(command, token) {
+    const allowed = [...GLOBAL_OPTIONS, ...COMMANDS[command].options];
+    const name = token.startsWith('--')
+        ? token.slice(2)
+        : Object.keys(OPTIONS).find(key => OPTIONS[key].short === token.slice(1));
+    if (!name || !OPTIONS[name]) {
+        throw usageError(command, t('cli.error.unknownOption', { option: token }));
+    }
+    if (!allowed.includes(name)) {
+        throw usageError(command, t('cli.error.unsupportedOption', { command, name }));
+    }
+    return name;
+}
+
+// 检查参数值是否符合定义
+function checkValue(command, name, value) {
+    const option = OPTIONS[name];
+    if (option.choices && !option.choices.includes(value)) {
+        throw usageError(command, t('cli.error.invalidChoice', { name, value, choices: option.choices.join(', ') }));
+    }
+    if (option.pattern && !option.pattern.test(value)) {
+        throw usageError(command, t('cli.error.invalidValue', { name, value }));
+    }
+    return value;
+}
+
+// 解析命令行参数（不含 node 与脚本路径）
+// 返回 { command, explicit, options, args }，explicit 表示是否显式指定了子命令，options 以长参数名为键，开关参数为 true
+function parseCommandLine(argv) {
+    const tokens = [...argv];
+    let command = DEFAULT_COMMAND;
+    let explicit = true;
+    if (tokens[0] === 'help') {
+        // dbm help [子命令]
+        tokens.shift();
+        const target = tokens.shift();
+        if (target && !COMMANDS[target]) {
+            throw usageError(DEFAULT_COMMAND, t('cli.error.unknownCommand', { command: target, choices: Object.keys(COMMANDS).join(', ') }));
+        }
+        return { command: target || null, explicit: Boolean(target), options: { help: true }, args: [] };
+    }
+    if (tokens[0] === '--init') {
+        // 兼容旧版本的 dbm --init
+        tokens.shift();
+        command = 'init';
+    } else if (COMMANDS[tokens[0]]) {
+        command = tokens.shift();
+    } else {
+        explicit = false;
+    }
+
+    const options = {};
+    const args = [];
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+
+        // -- 之后的内容都视为位置参数
+        if (token === '--') {
+            args.push(...tokens.slice(i + 1));
+            break;
+        }
+        if (!token.startsWith('-') || token === '-') {
+            args.push(token);
+            continue;
+        }
+
+        let flag = token;
+        let inlineValue;
+        if (token.startsWith('--')) {
+            const index = token.indexOf('=');
+            if (index !== -1) {
+                flag = token.slice(0, index);
+                inlineValue = token.slice(index + 1);
+            }
+        } else if (token.length > 2) {
+            // -P3306
+            flag = token.slice(0, 2);
+            inlineValue = token.slice(2);
+        }
+
+        const name = findOption(command, flag);
+        const option = OPTIONS[name];
+        if (name in options) {
+            throw usageError(command, t('cli.error.duplicate', { name }));
+        }
+
+        if (!option.value) {
+            if (inlineValue !== undefined) {
+                throw usageError(command, t('cli.error.flagWithValue', { name }));
+            }
+            options[name] = true;
+            continue;
+        }
+
+        let value = inlineValue;
+        if (value === undefined) {
+            const next = tokens[i + 1];
+            if (next === undefined || (next.startsWith('-') && next !== '-')) {
+                const hint = name === 'host' ? t('cli.error.hostHint') : '';
+                throw usageError(command, t('cli.error.missingValue', { name, value: formatValue(option) }) + hint);
+            }
+            value = next;
+            i++;
+        }
+        if (value === '') {
+            throw usageError(command, t('cli.error.emptyValue', { name }));
+        }
+        options[name] = checkValue(command, name, value);
+    }
+
+    Object.keys(options).forEach(name => {
+        (OPTIONS[name].conflicts || []).forEach(other => {
+            if (other in options) {
+                throw usageError(command, t('cli.error.conflict', { name, other }));
+            }
+        });
+    });
+
+    // 请求帮助或版本时不检查位置参数
+    if (options.help || options.version) {
+        return { command, explicit, options, args };
+    }
+
+    const spec = COMMANDS[command].args;
+    const required = spec.filter(arg => !arg.optional);
+    if (args.length < required.length) {
+        throw usageError(command, t('cli.error.missingArgument', { name: t(`cli.arg.${required[args.length].name}`) }));
+    }
+    if (args.length > spec.length) {
+        throw usageError(command, t('cli.error.extraArguments', { args: args.slice(spec.length).join(' ') }));
+    }
+    return { command, explicit, options, args };
+}
+
+// 参数值的显示名称，如 <主机>
+function formatValue(option) {
+    return `<${t(`cli.value.${option.value}`)}>`;
+}
+
+// 在解析前找出 --lang 的值，使解析时的错误信息也使用指定的语言
+function peekLanguage(argv) {
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--') break;
+        if (argv[i].startsWith('--lang=')) return argv[i].slice('--lang='.length);
+        if (argv[i] === '--lang') return argv[i + 1];
+    }
+    return undefined;
+}
+
+// 子命令的用法行
+function formatUsage(command) {
+    const args = COMMANDS[command].args.map(arg => {
+        const name = t(`cli.arg.${arg.name}`);
+        return arg.optional ? `[${name}]` : `<${name}>`;
+    });
+    const options = COMMANDS[command].options.length > 0 ? [`[${t('cli.options')}]`] : [];
+    return ['dbm', command, ...args, ...options].join(' ');
+}
+
+// 参数列表的帮助文本
+function formatOptions(names) {
+    const rows = names.map(name => {
+        const option = OPTIONS[name];
+        let flag = `--${name}`;
+        if (option.short) flag += `, -${option.short}`;
+        if (option.value) flag += ` ${formatValue(option)}`;
+        const choices = option.choices ? ` [${option.choices.join('/')}]` : '';
+        return [flag, t(`cli.option.${name}`) + choices];
+    });
+    return formatRows(rows);
+}
+
+// 两列对齐的帮助文本，第一列按显示宽度补齐
+function formatRows(rows) {
+    const width = Math.max(...rows.map(row => displayWidth(row[0]))) + 2;
+    return rows.map(([left, right]) => `  ${left}${' '.repeat(width - displayWidth(left))}${right}`).join('\n');
+}
+
+// 子命令的帮助文本
+function formatCommandHelp(command) {
+    const definition = COMMANDS[command];
+    let text = `${t('cli.usage')}: ${formatUsage(command)}\n\n${t(`cli.command.${command}`)}\n`;
+    const groups = [
+        [t('cli.group.connection'), CONNECTION_OPTIONS],
+        [t('cli.group.profiles'), PROFILE_OPTIONS],
+        [t('cli.group.output'), OUTPUT_OPTIONS],
+        [t('cli.options'), null]
+    ];
+    const listed = [];
+    groups.forEach(([title, names]) => {
+        const members = definition.options.filter(name => (names ? names.includes(name) : !listed.includes(name)));
+        if (members.length === 0) return;
+        listed.push(...members);
+        text += `\n${title}:\n${formatOptions(members)}\n`;
+    });
+    text += `\n${formatOptions(GLOBAL_OPTIONS)}\n`;
+    return text;
+}
+
+module.exports = {
+    OPTIONS,
+    COMMANDS,
+    CONNECTION_OPTIONS,
+    PROFILE_OPTIONS,
+    parseCommandLine,
+    peekLanguage,
+    formatRows,
+    formatUsage,
+    formatOptions,
+    formatCommandHelp
+};
@@ -0,0 +1,178 @@
+/**
+ * 数据库密码的来源
+ * 连接配置中可以不直接写 password，而是使用以下来源（按顺序取第一个配置了的来源）:
+ *   password           明文密码（不推荐写入配置文件）
+ *   passwordEnv        从指定名称的环境变量读取，如 "NOCOBASE_PROD_PASSWORD"
+ *   passwordFile       从文件读取（去掉末尾换行），如 Docker / Kubernetes 的 secret 文件
+ *   defaultsExtraFile  MySQL 选项文件 [client] 中的 password；MySQL 未配置任何来源时读取 ~/.my.cnf
+ *   passwordPrompt     为 true 时在运行时从终端输入
+ * mysqldump 通过临时选项文件（--defaults-extra-file）、pg_dump 通过临时 PGPASSFILE 获取密码，
+ * 密码不会出现在命令行参数和子进程的环境变量中
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const inquirer = require('inquirer');
+const { ConfigError } = require('./errors');
+const { t } = require('./i18n');
+
+// 每个连接配置只解析一次，避免多次连接时重复输入密码
+const resolvedPasswords = new WeakMap();
+
+// 展开路径开头的 ~
+function expandHome(file) {
+    return file.replace(/^~(?=$|[\\/])/, os.homedir());
+}
+
+// 解析 MySQL 选项文件（my.cnf 格式），返回 { 分组名: { 选项: 值 } }
+function parseOptionFile(content) {
+    const groups = {};
+    let current = null;
+    content.split(/\r?\n/).forEach(rawLine => {
+        const line = rawLine.trim();
+        if (!line || line.startsWith('#') || line.startsWith(';') || line.startsWith('!')) return;
+        const group = line.match(/^\[([^\]]+)\]$/);
+        if (group) {
+            current = group[1].trim().toLowerCase();
+            groups[current] = groups[current] || {};
+            return;
+        }
+        if (!current) return;
+        const index = line.indexOf('=');
+        const key = (index === -1 ? line : line.slice(0, index)).trim().replace(/_/g, '-');
+        let value = index === -1 ? '' : line.slice(index + 1).trim();
+        const quoted = value.match(/^(["'])((?:\\.|(?!\1).)*)\1\s*(?:#.*)?$/);
+        if (quoted) {
+            value = quoted[2].replace(/\\(.)/g, '$1');
+        } else {
+            value = value.replace(/\s+#.*$/, '');
+        }
+        groups[current][key] = value;
+    });
+    return groups;
+}
+
+// 读取选项文件 [client] 分组中的密码，文件不存在时返回 null
+async function readOptionFilePassword(file) {
+    let content;
+    try {
+        content = await fs.promises.readFile(expandHome(file), 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw new ConfigError(t('credentials.optionFileReadFailed', { file, message: error.message }));
+    }
+    const client = parseOptionFile(content).client || {};
+    return client.password !== undefined ? client.password : null;
+}
+
+// 在终端输入密码
+async function promptPassword(config) {
+    if (!process.stdin.isTTY) {
+        throw new ConfigError(t('credentials.promptNotTty', { database: config.database }));
+    }
+    const address = config.socketPath || `${config.host}:${config.port}`;
+    // 提示写入 stderr，stdout 被重定向或输出 JSON（--json）时仍可在终端输入
+    const prompt = inquirer.createPromptModule({ output: process.stderr });
+    const { password } = await prompt([
+        {
+            type: 'password',
+            name: 'password',
+            message: t('credentials.prompt', { user: config.user, address, database: config.database }),
+            mask: '*'
+        }
+    ]);
+    return password;
+}
+
+async function readPassword(config, options) {
+    if (config.password) {
+        return config.password;
+    }
+    if (config.passwordEnv) {
+        const value = process.env[config.passwordEnv];
+        if (value === undefined) {
+            throw new ConfigError(t('credentials.envMissing', { name: config.passwordEnv }));
+        }
+        return value;
+    }
+    if (config.passwordFile) {
+        try {
+            const content = await fs.promises.readFile(expandHome(config.passwordFile), 'utf8');
+            return content.replace(/\r?\n$/, '');
+        } catch (error) {
+            throw new ConfigError(t('credentials.fileReadFailed', { file: config.passwordFile, message: error.message }));
+        }
+    }
+    if (options.optionFile) {
+        const file = config.defaultsExtraFile || path.join(os.homedir(), '.my.cnf');
+        const password = await readOptionFilePassword(file);
+        if (password !== null) {
+            return password;
+        }
+        if (config.defaultsExtraFile && !fs.existsSync(expandHome(config.defaultsExtraFile))) {
+            throw new ConfigError(t('credentials.optionFileMissing', { file: config.defaultsExtraFile }));
+        }
+    }
+    if (config.passwordPrompt) {
+        return promptPassword(config);
+    }
+    return null;
+}
+
+// 获取连接配置的密码，没有配置任何来源时返回 null
+// options.optionFile: 是否读取 MySQL 选项文件（defaultsExtraFile / ~/.my.cnf）
+function resolvePassword(config, options = {}) {
+    if (!resolvedPasswords.has(config)) {
+        resolvedPasswords.set(config, readPassword(config, options));
+    }
+    return resolvedPasswords.get(config);
+}
+
+// 在私有临时目录中写入仅当前用户可读的文件，返回 { path, remove }
+async function writeSecretFile(name, content) {
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'dbm-'));
+    const file = path.join(dir, name);
+    await fs.promises.writeFile(file, content, { encoding: 'utf8', mode: 0o600 });
+    return {
+        path: file,
+        async remove() {
+            await fs.promises.unlink(file).catch(() => {});
+            await fs.promises.rmdir(dir).catch(() => {});
+        }
+    };
+}
+
+// 生成 mysqldump 使用的选项文件：包含配置的 defaultsExtraFile，并写入解析出的密码
+// 没有密码时直接使用配置的 defaultsExtraFile（可能为 null）
+async function createMysqlOptionFile(config) {
+    const password = await resolvePassword(config, { optionFile: true });
+    if (password === null) {
+        return config.defaultsExtraFile
+            ? { path: expandHome(config.defaultsExtraFile), async remove() {} }
+            : null;
+    }
+    let content = '';
+    if (config.defaultsExtraFile) {
+        content += `!include ${path.resolve(expandHome(config.defaultsExtraFile))}\n`;
+    }
+    content += '[client]\n';
+    content += `password="${password.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"\n`;
+    return writeSecretFile('my.cnf', content);
+}
+
+// 生成 pg_dump 使用的密码文件（PGPASSFILE 格式），没有密码时返回 null
+async function createPgPassFile(config) {
+    const password = await resolvePassword(config);
+    if (password === null) {
+        return null;
+    }
+    return writeSecretFile('pgpass', `*:*:*:*:${password.replace(/\\/g, '\\\\').replace(/:/g, '\\:')}\n`);
+}
+
+module.exports = {
+    parseOptionFile,
+    resolvePassword,
+    createMysqlOptionFile,
+    createPgPassFile
+};
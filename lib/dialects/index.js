@@ -0,0 +1,38 @@
+/**
+ * 数据库方言选择
+ * 取值与 NocoBase 的 DB_DIALECT 环境变量保持一致：mysql / mariadb / postgres
+ */
+
+const mysqlDialect = require('./mysql');
+const postgresDialect = require('./postgres');
+const { ConfigError } = require('../errors');
+const { t } = require('../i18n');
+
+const DIALECTS = {
+    mysql: mysqlDialect,
+    mariadb: mysqlDialect,
+    postgres: postgresDialect,
+    postgresql: postgresDialect
+};
+
+// 根据连接配置获取方言实现（未配置时默认为 mysql）
+function getDialect(config) {
+    const name = String((config && config.dialect) || 'mysql').toLowerCase();
+    const dialect = DIALECTS[name];
+    if (!dialect) {
+        throw new ConfigError(t('dialect.unsupported', { name, choices: 'mysql, mariadb, postgres' }));
+    }
+    return dialect;
+}
+
+// 连接地址的显示文本：配置了 socketPath 时为 socket 路径，否则为 host:port（未配置端口时为方言的默认端口）
+function describeAddress(config) {
+    return config.socketPath ? `socket ${config.socketPath}` : `${config.host}:${config.port || getDialect(config).defaultPort}`;
+}
+
+module.exports = {
+    getDialect,
+    describeAddress,
+    mysqlDialect,
+    postgresDialect
+};
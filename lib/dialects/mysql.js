@@ -0,0 +1,388 @@
+/**
+ * MySQL / MariaDB 方言实现
+ */
+
+const { execFile } = require('child_process');
+const mysql = require('mysql2/promise');
+const { runDumpProcess } = require('../dump-process');
+const { resolvePassword, createMysqlOptionFile } = require('../credentials');
+const { normalizeSsl, readTlsFiles } = require('../tls');
+const { ConfigError } = require('../errors');
+const { t } = require('../i18n');
+
+// 外部导出命令
+const DUMP_COMMAND = 'mysqldump';
+const DEFAULT_PORT = 3306;
+
+// mysql2 的 ssl 选项，未配置或 mode 为 disabled 时返回 undefined
+function sslOptions(config) {
+    const ssl = normalizeSsl(config);
+    if (!ssl || ssl.mode === 'disabled') {
+        return undefined;
+    }
+    return {
+        ...readTlsFiles(ssl),
+        rejectUnauthorized: ssl.mode !== 'required',
+        verifyIdentity: ssl.mode === 'verify-identity'
+    };
+}
+
+// 创建数据库连接，密码来源见 lib/credentials；配置了 socketPath 时通过 Unix socket 连接
+async function connect(config) {
+    const password = await resolvePassword(config, { optionFile: true });
+    const endpoint = config.socketPath
+        ? { socketPath: config.socketPath }
+        : { host: config.host, port: config.port };
+    return mysql.createConnection({
+        ...endpoint,
+        user: config.user,
+        password: password === null ? undefined : password,
+        database: config.database,
+        ssl: sslOptions(config),
+        charset: 'utf8mb4',  // 强制使用 utf8mb4 字符集
+        supportBigNumbers: true,
+        bigNumberStrings: true  // 将 BIGINT 作为字符串返回，避免精度丢失
+    });
+}
+
+// 标识符加反引号
+function quoteIdentifier(name) {
+    return `\`${String(name).replace(/`/g, '``')}\``;
+}
+
+// 读取行数据时的类型转换：日期时间与 JSON 按原始文本读取，
+// 避免时区换算、零日期和 JSON 重新序列化（大整数精度）带来的数据差异
+function rawTypeCast(field, next) {
+    if (field.type === 'JSON') {
+        return field.string('utf8');
+    }
+    if (['DATE', 'NEWDATE', 'DATETIME', 'TIMESTAMP', 'TIME'].includes(field.type)) {
+        return field.string();
+    }
+    return next();
+}
+
+// 获取表的可写入列（跳过生成列）
+async function listColumns(connection, table) {
+    const [rows] = await connection.query(
+        `SELECT column_name AS column_name, data_type AS data_type, extra AS extra
+         FROM information_schema.columns
+         WHERE table_schema = DATABASE() AND table_name = ?
+         ORDER BY ordinal_position`,
+        [table]
+    );
+    // 注意 MySQL 8 中带默认表达式的列 extra 为 DEFAULT_GENERATED，这类列仍需导出
+    return rows
+        .filter(row => !/\b(VIRTUAL|STORED|PERSISTENT) GENERATED\b/i.test(row.extra || ''))
+        .map(row => ({ name: row.column_name, type: row.data_type }));
+}
+
+// 获取表的主键列
+async function listPrimaryKey(connection, table) {
+    const [rows] = await connection.query(
+        `SELECT column_name AS column_name
+         FROM information_schema.key_column_usage
+         WHERE table_schema = DATABASE() AND table_name = ? AND constraint_name = 'PRIMARY'
+         ORDER BY ordinal_position`,
+        [table]
+    );
+    return rows.map(row => row.column_name);
+}
+
+// 写入显式的 id 时 AUTO_INCREMENT 会自动调整，不需要重置序列
+async function listSequenceColumns() {
+    return [];
+}
+
+// 获取当前库所有表的列定义，用于 source 与 target 的结构对比
+async function listAllColumns(connection) {
+    const [rows] = await connection.query(
+        `SELECT table_name AS table_name, column_name AS column_name, column_type AS column_type,
+                is_nullable AS is_nullable, column_default AS column_default, extra AS extra
+         FROM information_schema.columns
+         WHERE table_schema = DATABASE()
+         ORDER BY table_name, ordinal_position`
+    );
+    const columns = {};
+    rows.forEach(row => {
+        const extra = row.extra || '';
+        if (!columns[row.table_name]) columns[row.table_name] = [];
+        columns[row.table_name].push({
+            name: row.column_name,
+            type: String(row.column_type).toLowerCase(),
+            nullable: row.is_nullable === 'YES',
+            hasDefault: row.column_default !== null || /auto_increment|GENERATED/i.test(extra),
+            generated: /\b(VIRTUAL|STORED|PERSISTENT) GENERATED\b/i.test(extra)
+        });
+    });
+    return columns;
+}
+
+// 获取当前库所有基础表的行数与数据大小（InnoDB 的行数为估算值）
+async function tableStats(connection) {
+    const [rows] = await connection.query(
+        `SELECT table_name AS table_name, table_rows AS table_rows, data_length AS data_length
+         FROM information_schema.tables
+         WHERE table_schema = DATABASE() AND table_type = 'BASE TABLE'`
+    );
+    const stats = {};
+    rows.forEach(row => {
+        stats[row.table_name] = {
+            rows: row.table_rows === null ? null : Number(row.table_rows),
+            bytes: row.data_length === null ? null : Number(row.data_length)
+        };
+    });
+    return stats;
+}
+
+// 以流的方式逐行读取查询结果（每行为按列顺序排列的数组）
+async function* iterateRows(connection, sql) {
+    // mysql2/promise 连接底层的回调式连接支持 stream()，可按需读取，避免一次性载入整表
+    const stream = connection.connection
+        .query({ sql, rowsAsArray: true, typeCast: rawTypeCast })
+        .stream();
+    for await (const row of stream) {
+        yield row;
+    }
+}
+
+// 以字符串返回的数值类型（BIGINT / DECIMAL），导出时不加引号以保证精度
+const NUMERIC_STRING_TYPES = ['bigint', 'decimal', 'numeric'];
+
+// 将 JS 值转换为 SQL 字面量
+function literal(value, column) {
+    if (value === null || value === undefined) {
+        return 'NULL';
+    }
+    // BLOB / BINARY / BIT 等二进制数据以十六进制输出，与 mysqldump --hex-blob 一致
+    if (Buffer.isBuffer(value)) {
+        return value.length > 0 ? `0x${value.toString('hex')}` : "''";
+    }
+    if (typeof value === 'number' || typeof value === 'bigint') {
+        return String(value);
+    }
+    if (typeof value === 'boolean') {
+        return value ? '1' : '0';
+    }
+    if (column && NUMERIC_STRING_TYPES.includes(column.type) && /^-?\d+(\.\d+)?$/.test(value)) {
+        return value;
+    }
+    return mysql.escape(String(value));
+}
+
+// NOT NULL 且没有默认值的列在无法从 source 获取数据时使用的类型默认值
+function zeroValue(type) {
+    const enumMatch = type.match(/^(?:enum|set)\('((?:[^']|'')*)'/);
+    if (enumMatch) return `'${enumMatch[1]}'`;
+    if (/int|decimal|numeric|float|double|bit|year/.test(type)) return '0';
+    if (/json/.test(type)) return "'{}'";
+    if (/^(datetime|timestamp)/.test(type)) return 'CURRENT_TIMESTAMP';
+    if (/^date/.test(type)) return 'CURRENT_DATE';
+    if (/^time/.test(type)) return "'00:00:00'";
+    return "''";
+}
+
+// MariaDB 的 mysqldump 不支持 --ssl-mode，TLS 模式对应的参数；
+// 没有只校验证书链而不校验主机名的模式，verify-ca 与 verify-identity 一样校验服务器证书与主机名
+const MARIADB_SSL_ARGS = {
+    disabled: ['--skip-ssl'],
+    required: ['--ssl', '--skip-ssl-verify-server-cert'],
+    'verify-ca': ['--ssl', '--ssl-verify-server-cert'],
+    'verify-identity': ['--ssl', '--ssl-verify-server-cert']
+};
+
+// 本机的 mysqldump 是否为 MariaDB 的客户端（mysqldump --version 中包含 MariaDB），只检测一次
+let mariadbClient = null;
+function isMariaDbClient() {
+    if (!mariadbClient) {
+        mariadbClient = new Promise((resolve) => {
+            execFile(DUMP_COMMAND, ['--version'], { timeout: 10000 }, (error, stdout) => {
+                resolve(!error && /mariadb/i.test(stdout));
+            });
+        });
+    }
+    return mariadbClient;
+}
+
+// mysqldump 的连接参数：Unix socket 或主机与端口，以及 TLS 设置
+// MySQL 客户端使用 --ssl-mode（需要 5.7.11+），mariadb 为 true 时使用 MariaDB 客户端的 --ssl 系列参数
+function connectionArgs(config, mariadb = false) {
+    const args = config.socketPath
+        ? [`--socket=${config.socketPath}`]
+        : ['-h', config.host, '-P', String(config.port || DEFAULT_PORT)];
+    const ssl = normalizeSsl(config);
+    if (ssl) {
+        if (mariadb) {
+            // verify-ca 需要用 ssl.ca 校验证书链，不能退化为不校验证书
+            if (ssl.mode === 'verify-ca' && !ssl.ca) {
+                throw new ConfigError(t('tls.mariadbVerifyCaWithoutCa'));
+            }
+            args.push(...MARIADB_SSL_ARGS[ssl.mode]);
+        } else {
+            args.push(`--ssl-mode=${ssl.mode.toUpperCase().replace('-', '_')}`);
+        }
+        if (ssl.ca) args.push(`--ssl-ca=${ssl.ca}`);
+        if (ssl.cert) args.push(`--ssl-cert=${ssl.cert}`);
+        if (ssl.key) args.push(`--ssl-key=${ssl.key}`);
+    }
+    return args;
+}
+
+// 使用 mysqldump 导出指定表的数据并写入 output 流
+// options.where: 行过滤条件，mysqldump 会对本次导出的所有表应用该条件，因此带条件的表需要单独导出
+// options.strategy: 合并策略，insert-ignore / replace 分别对应 --insert-ignore / --replace
+// options.logger: verbose 时输出 mysqldump 的命令参数；options.onData: 标准输出的回调（见 lib/dump-process）
+async function dumpTables(config, tables, output, options = {}) {
+    // 密码写入临时选项文件，不出现在命令行参数与环境变量（MYSQL_PWD）中；--defaults-extra-file 必须是第一个参数
+    const optionFile = await createMysqlOptionFile(config);
+    const args = optionFile ? [`--defaults-extra-file=${optionFile.path}`] : [];
+
+    // mysqldump 参数：只导出数据，不带建结构，排除业务表，完整的 insert 语句
+    // dialect 为 mariadb 或本机的 mysqldump 来自 MariaDB 时使用 MariaDB 的 TLS 参数
+    const mariadb = Boolean(normalizeSsl(config)) &&
+        (String(config.dialect).toLowerCase() === 'mariadb' || await isMariaDbClient());
+    args.push(...connectionArgs(config, mariadb));
+    args.push(
+        '-u', config.user,
+        '--single-transaction',
+        '--skip-lock-tables',
+        '--skip-add-locks',
+        '--hex-blob',
+        '--no-create-info',
+        '--complete-insert',
+        '--skip-triggers',
+        '--default-character-set=utf8mb4'
+    );
+    if (options.where) {
+        args.push(`--where=${options.where}`);
+    }
+    if (options.strategy === 'insert-ignore') {
+        args.push('--insert-ignore');
+    } else if (options.strategy === 'replace') {
+        args.push('--replace');
+    }
+    args.push(config.database, ...tables);
+
+    try {
+        await runDumpProcess(DUMP_COMMAND, args, { ...process.env }, output, { logger: options.logger, onData: options.onData });
+    } finally {
+        if (optionFile) await optionFile.remove();
+    }
+}
+
+// mysqldump 在每个表的数据前输出注释: -- Dumping data for table `name`，返回其中的表名
+function dumpTableMarker(line) {
+    const match = /^-- Dumping data for table `((?:[^`]|``)+)`/.exec(line);
+    return match ? match[1].replace(/``/g, '`') : null;
+}
+
+// mysqldump 的 INSERT 语句一行包含多行数据，按 ),( 分隔统计（字符串中包含 ),( 时会偏多，只用于显示进度）
+function countInsertRows(line) {
+    if (!/^(INSERT|REPLACE) /.test(line)) return 0;
+    return line.split('),(').length;
+}
+
+module.exports = {
+    name: 'mysql',
+    dumpCommand: DUMP_COMMAND,
+    // mysqldump 支持 --where 行过滤
+    dumpSupportsWhere: true,
+    // mysqldump 能直接生成的合并策略，其他策略需要内置引擎
+    dumpStrategies: ['truncate', 'insert-ignore', 'replace'],
+    truncateTogether: false,
+    // 多个 mysqldump 进程无法共享一致性快照，并行导出需要内置引擎
+    dumpSharesSnapshot: false,
+    defaultPort: DEFAULT_PORT,
+    // 当前库（schema）的 SQL 表达式
+    currentSchema: 'DATABASE()',
+    connect,
+    quoteIdentifier,
+    connectionArgs,
+    dumpTables,
+    dumpTableMarker,
+    countInsertRows,
+    listColumns,
+    listAllColumns,
+    listPrimaryKey,
+    listSequenceColumns,
+    tableStats,
+    iterateRows,
+    literal,
+    zeroValue,
+
+    // 开启一致性快照事务，保证多表读取时数据一致（与 mysqldump --single-transaction 相同）
+    async beginSnapshot(connection) {
+        await connection.query('SET SESSION TRANSACTION ISOLATION LEVEL REPEATABLE READ');
+        await connection.query('START TRANSACTION WITH CONSISTENT SNAPSHOT');
+    },
+
+    async endSnapshot(connection) {
+        await connection.query('COMMIT');
+    },
+
+    // 并行导出时多个连接共享一致性快照（见 lib/parallel）：加全局读锁，各连接开启快照事务后释放锁，
+    // 加锁期间 source 的写入会短暂等待；需要 RELOAD 权限
+    async beginSharedSnapshot(connection) {
+        await connection.query('FLUSH TABLES WITH READ LOCK');
+        return null;
+    },
+
+    async joinSharedSnapshot(connection) {
+        await connection.query('SET SESSION TRANSACTION ISOLATION LEVEL REPEATABLE READ');
+        await connection.query('START TRANSACTION WITH CONSISTENT SNAPSHOT');
+    },
+
+    async releaseSharedSnapshot(connection) {
+        await connection.query('UNLOCK TABLES');
+    },
+
+    insertPrefix(config, table, columns, strategy = 'truncate') {
+        const columnList = columns.map(column => quoteIdentifier(column.name)).join(', ');
+        let verb = 'INSERT INTO';
+        if (strategy === 'insert-ignore') verb = 'INSERT IGNORE INTO';
+        if (strategy === 'replace') verb = 'REPLACE INTO';
+        return `${verb} ${quoteIdentifier(table)} (${columnList}) VALUES`;
+    },
+
+    // 追加在 VALUES 之后的冲突处理子句；VALUES() 在 MySQL 8.0.20 起不推荐，但 MariaDB 只支持这种写法
+    insertSuffix(config, table, columns, strategy) {
+        if (strategy !== 'upsert') return '';
+        const updates = columns.map(column => {
+            const name = quoteIdentifier(column.name);
+            return `${name} = VALUES(${name})`;
+        });
+        return `\nON DUPLICATE KEY UPDATE ${updates.join(', ')}`;
+    },
+
+    // 导入前的会话设置，添加 MySQL 兼容的字符集设置，防止乱码
+    scriptHeader() {
+        return 'SET NAMES utf8mb4;\n' +
+            '/*!40101 SET NAMES utf8mb4 */;\n' +
+            'SET FOREIGN_KEY_CHECKS=0;\n';
+    },
+
+    scriptFooter() {
+        return 'SET FOREIGN_KEY_CHECKS=1;\n';
+    },
+
+    // MySQL 的 TRUNCATE 只能清空一个表，导入时 FOREIGN_KEY_CHECKS=0 跳过外键检查
+    truncateStatement(config, tables) {
+        return tables.map(table => `TRUNCATE TABLE ${quoteIdentifier(table)};`).join('\n');
+    },
+
+    deleteStatement(config, table, where) {
+        return `DELETE FROM ${quoteIdentifier(table)} WHERE (${where});`;
+    },
+
+    updateStatement(config, table, assignments, where) {
+        return `UPDATE ${quoteIdentifier(table)} SET ${assignments} WHERE (${where});`;
+    },
+
+    // outputFile 可以是 .gz 文件或拆分目录下的通配符路径
+    usage(outputFile) {
+        const command = 'mysql -u username -p target_database_name';
+        if (/\.gz$/.test(outputFile)) return `gunzip -c ${outputFile} | ${command}`;
+        if (outputFile.includes('*')) return `cat ${outputFile} | ${command}`;
+        return `${command} < ${outputFile}`;
+    }
+};
@@ -0,0 +1,442 @@
+/**
+ * PostgreSQL 方言实现
+ * 对应 NocoBase 的 DB_DIALECT=postgres，表所在 schema 由 DB_SCHEMA 决定（默认 public）
+ */
+
+const { runDumpProcess } = require('../dump-process');
+const { resolvePassword, createPgPassFile } = require('../credentials');
+const { normalizeSsl, readTlsFiles } = require('../tls');
+const { t } = require('../i18n');
+
+// 外部导出命令
+const DUMP_COMMAND = 'pg_dump';
+const DEFAULT_PORT = 5432;
+
+// 获取 schema 名称（NocoBase DB_SCHEMA 配置）
+function getSchema(config) {
+    return config.schema || 'public';
+}
+
+// 标识符加双引号
+function quoteIdentifier(name) {
+    return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+// 带 schema 前缀的表名
+function qualifiedName(config, table) {
+    return `${quoteIdentifier(getSchema(config))}.${quoteIdentifier(table)}`;
+}
+
+// 将 mysql 风格的 ? 占位符转换为 $1, $2 ...（工具内部的查询不会在字符串字面量中使用 ?）
+function toPositionalParams(sql) {
+    let index = 0;
+    return sql.replace(/\?/g, () => `$${++index}`);
+}
+
+// pg 的 ssl 选项，未配置或 mode 为 disabled 时返回 false
+function sslOptions(config) {
+    const ssl = normalizeSsl(config);
+    if (!ssl || ssl.mode === 'disabled') {
+        return false;
+    }
+    const options = { ...readTlsFiles(ssl), rejectUnauthorized: ssl.mode !== 'required' };
+    if (ssl.mode === 'verify-ca') {
+        // 只校验证书链，不校验主机名
+        options.checkServerIdentity = () => undefined;
+    }
+    return options;
+}
+
+// pg_dump 使用的 libpq sslmode
+const LIBPQ_SSL_MODES = {
+    disabled: 'disable',
+    required: 'require',
+    'verify-ca': 'verify-ca',
+    'verify-identity': 'verify-full'
+};
+
+// 创建数据库连接，返回与 mysql2 一致的 query / end 接口；密码来源见 lib/credentials
+// socketPath 为 Unix socket 所在的目录（如 /var/run/postgresql），配置后代替 host
+async function connect(config) {
+    // 连接时才加载 pg（需要 Node.js 16+），只使用 MySQL 时不加载
+    const pg = require('pg');
+    const password = await resolvePassword(config);
+    const client = new pg.Client({
+        host: config.socketPath || config.host,
+        port: config.port,
+        user: config.user,
+        password: password === null ? undefined : password,
+        database: config.database,
+        ssl: sslOptions(config)
+    });
+    await client.connect();
+
+    try {
+        await client.query("SET client_encoding TO 'UTF8'");
+        // 将 search_path 指向 NocoBase 的 schema，使 collections / fields 等表可直接访问
+        await client.query(`SET search_path TO ${quoteIdentifier(getSchema(config))}`);
+    } catch (error) {
+        await client.end();
+        throw error;
+    }
+
+    return {
+        client,
+        async query(sql, params = []) {
+            // 无参数时原样执行，避免误替换脚本数据中的 ? 字符
+            const text = params.length > 0 ? toPositionalParams(sql) : sql;
+            const result = await client.query(text, params);
+            return [result.rows, result.fields];
+        },
+        end() {
+            return client.end();
+        }
+    };
+}
+
+// 读取行数据时不做类型解析，所有值保持 PostgreSQL 的文本输出格式，
+// 写回时以字符串字面量由目标列类型自动转换（bytea 为 \x 十六进制格式，json 保持原文）
+const RAW_TYPES = {
+    getTypeParser: () => value => value
+};
+
+// 游标每次读取的行数
+const FETCH_SIZE = 1000;
+
+// 获取表的可写入列（跳过生成列）
+async function listColumns(connection, table) {
+    const [rows] = await connection.query(
+        `SELECT column_name, data_type, is_generated, identity_generation
+         FROM information_schema.columns
+         WHERE table_schema = current_schema() AND table_name = ?
+         ORDER BY ordinal_position`,
+        [table]
+    );
+    return rows
+        .filter(row => row.is_generated !== 'ALWAYS')
+        .map(row => ({
+            name: row.column_name,
+            type: row.data_type,
+            identityAlways: row.identity_generation === 'ALWAYS'
+        }));
+}
+
+// 获取表的主键列
+async function listPrimaryKey(connection, table) {
+    const [rows] = await connection.query(
+        `SELECT kcu.column_name
+         FROM information_schema.table_constraints tc
+         JOIN information_schema.key_column_usage kcu
+           ON kcu.constraint_name = tc.constraint_name
+          AND kcu.table_schema = tc.table_schema
+          AND kcu.table_name = tc.table_name
+         WHERE tc.constraint_type = 'PRIMARY KEY' AND tc.table_schema = current_schema() AND tc.table_name = ?
+         ORDER BY kcu.ordinal_position`,
+        [table]
+    );
+    return rows.map(row => row.column_name);
+}
+
+// 获取表中拥有序列的列（serial / identity 列）
+async function listSequenceColumns(connection, table) {
+    const [rows] = await connection.query(
+        `SELECT column_name
+         FROM information_schema.columns
+         WHERE table_schema = current_schema() AND table_name = ?
+           AND pg_get_serial_sequence(format('%I.%I', table_schema, table_name), column_name::text) IS NOT NULL
+         ORDER BY ordinal_position`,
+        [table]
+    );
+    return rows.map(row => row.column_name);
+}
+
+// 组合列类型描述（带长度 / 精度），便于对比类型变化
+function describeType(row) {
+    if (row.character_maximum_length) {
+        return `${row.data_type}(${row.character_maximum_length})`;
+    }
+    if (row.data_type === 'numeric' && row.numeric_precision) {
+        return `numeric(${row.numeric_precision},${row.numeric_scale || 0})`;
+    }
+    return row.data_type;
+}
+
+// 获取当前 schema 所有表的列定义，用于 source 与 target 的结构对比
+async function listAllColumns(connection) {
+    const [rows] = await connection.query(
+        `SELECT table_name, column_name, data_type, character_maximum_length, numeric_precision, numeric_scale,
+                is_nullable, column_default, is_identity, is_generated
+         FROM information_schema.columns
+         WHERE table_schema = current_schema()
+         ORDER BY table_name, ordinal_position`
+    );
+    const columns = {};
+    rows.forEach(row => {
+        if (!columns[row.table_name]) columns[row.table_name] = [];
+        columns[row.table_name].push({
+            name: row.column_name,
+            type: describeType(row),
+            nullable: row.is_nullable === 'YES',
+            hasDefault: row.column_default !== null || row.is_identity === 'YES' || row.is_generated === 'ALWAYS',
+            generated: row.is_generated === 'ALWAYS'
+        });
+    });
+    return columns;
+}
+
+// 获取当前 schema 所有表的行数与数据大小
+// information_schema 中没有这些信息，从 pg_class 读取（行数为 ANALYZE 的估算值，从未分析过的表为 null）
+async function tableStats(connection) {
+    const [rows] = await connection.query(
+        `SELECT c.relname AS table_name, c.reltuples AS table_rows, pg_table_size(c.oid) AS data_length
+         FROM pg_class c
+         JOIN pg_namespace n ON n.oid = c.relnamespace
+         WHERE n.nspname = current_schema() AND c.relkind IN ('r', 'p')`
+    );
+    const stats = {};
+    rows.forEach(row => {
+        const estimate = Number(row.table_rows);
+        stats[row.table_name] = {
+            rows: estimate < 0 ? null : Math.round(estimate),
+            bytes: Number(row.data_length)
+        };
+    });
+    return stats;
+}
+
+// 通过游标分批读取查询结果（每行为按列顺序排列的数组），必须在 beginSnapshot 开启的事务中调用
+async function* iterateRows(connection, sql) {
+    const { client } = connection;
+    await client.query(`DECLARE dbm_export_cursor NO SCROLL CURSOR FOR ${sql}`);
+    try {
+        while (true) {
+            const result = await client.query({
+                text: `FETCH ${FETCH_SIZE} FROM dbm_export_cursor`,
+                rowMode: 'array',
+                types: RAW_TYPES
+            });
+            if (result.rows.length === 0) {
+                break;
+            }
+            for (const row of result.rows) {
+                yield row;
+            }
+        }
+    } finally {
+        // 读取出错时事务已中止，游标会随事务结束自动关闭，这里忽略关闭失败
+        await client.query('CLOSE dbm_export_cursor').catch(() => {});
+    }
+}
+
+// 将值转换为 SQL 字面量（脚本头部已开启 standard_conforming_strings，反斜杠无需转义）
+function literal(value) {
+    if (value === null || value === undefined) {
+        return 'NULL';
+    }
+    if (typeof value === 'number' || typeof value === 'bigint') {
+        return String(value);
+    }
+    if (typeof value === 'boolean') {
+        return value ? 'true' : 'false';
+    }
+    return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+// NOT NULL 且没有默认值的列在无法从 source 获取数据时使用的类型默认值
+function zeroValue(type) {
+    if (/int|numeric|real|double|decimal/.test(type)) return '0';
+    if (type === 'boolean') return 'false';
+    if (/json/.test(type)) return "'{}'";
+    if (type === 'ARRAY') return "'{}'";
+    if (type === 'uuid') return 'gen_random_uuid()';
+    if (/^timestamp/.test(type)) return 'CURRENT_TIMESTAMP';
+    if (type === 'date') return 'CURRENT_DATE';
+    if (/^time/.test(type)) return "'00:00:00'";
+    return "''";
+}
+
+// 使用 pg_dump 导出指定表的数据并写入 output 流
+// options.strategy: 合并策略，insert-ignore 对应 --on-conflict-do-nothing（pg_dump 12+）
+// options.snapshot: 并行导出时导入的快照（pg_export_snapshot() 的返回值，见 lib/parallel）
+// options.logger: verbose 时输出 pg_dump 的命令参数；options.onData: 标准输出的回调（见 lib/dump-process）
+async function dumpTables(config, tables, output, options = {}) {
+    // pg_dump 参数：只导出数据，使用带列名的 INSERT 语句，便于通过 psql 导入
+    const args = [
+        '-h', config.socketPath || config.host,
+        '-p', String(config.port || DEFAULT_PORT),
+        '-U', config.user,
+        '-d', config.database,
+        '--data-only',
+        '--column-inserts',
+        '--no-owner',
+        '--no-privileges',
+        '--encoding=UTF8'
+    ];
+    if (options.strategy === 'insert-ignore') {
+        args.push('--on-conflict-do-nothing');
+    }
+    if (options.snapshot) {
+        args.push(`--snapshot=${options.snapshot}`);
+    }
+    // 双引号包裹的表名会按原样匹配，不会被转为小写或当作通配符
+    tables.forEach(table => {
+        args.push('-t', qualifiedName(config, table));
+    });
+
+    // 密码写入临时 PGPASSFILE，不出现在子进程的环境变量（PGPASSWORD）中
+    const passFile = await createPgPassFile(config);
+    const env = { ...process.env };
+    if (passFile) {
+        env.PGPASSFILE = passFile.path;
+    }
+    // TLS 设置通过 libpq 的环境变量传递
+    const ssl = normalizeSsl(config);
+    if (ssl) {
+        env.PGSSLMODE = LIBPQ_SSL_MODES[ssl.mode];
+        if (ssl.ca) env.PGSSLROOTCERT = ssl.ca;
+        if (ssl.cert) env.PGSSLCERT = ssl.cert;
+        if (ssl.key) env.PGSSLKEY = ssl.key;
+    }
+
+    try {
+        await runDumpProcess(DUMP_COMMAND, args, env, output, { logger: options.logger, onData: options.onData });
+    } finally {
+        if (passFile) await passFile.remove();
+    }
+}
+
+// pg_dump 在每个表的数据前输出注释: -- Data for Name: name; Type: TABLE DATA; ...，返回其中的表名
+function dumpTableMarker(line) {
+    const match = /^-- Data for Name: (.+?); Type: TABLE DATA;/.exec(line);
+    return match ? match[1] : null;
+}
+
+// --column-inserts 时每行数据为一条 INSERT 语句
+function countInsertRows(line) {
+    return line.startsWith('INSERT INTO ') ? 1 : 0;
+}
+
+module.exports = {
+    name: 'postgres',
+    dumpCommand: DUMP_COMMAND,
+    // pg_dump 不支持行过滤，带 where 条件的导出需要使用内置引擎
+    dumpSupportsWhere: false,
+    // pg_dump 能直接生成的合并策略，其他策略需要内置引擎
+    dumpStrategies: ['truncate', 'insert-ignore'],
+    // TRUNCATE 被外键引用的表时，引用它的表必须在同一条语句中清空，所有表合并为一条 TRUNCATE
+    truncateTogether: true,
+    // pg_dump 可以通过 --snapshot 导入其他事务导出的快照，并行导出时多个进程读取同一个快照
+    dumpSharesSnapshot: true,
+    defaultPort: DEFAULT_PORT,
+    // 当前 schema 的 SQL 表达式（连接时已设置 search_path）
+    currentSchema: 'current_schema()',
+    getSchema,
+    connect,
+    quoteIdentifier,
+    qualifiedName,
+    dumpTables,
+    dumpTableMarker,
+    countInsertRows,
+    listColumns,
+    listAllColumns,
+    listPrimaryKey,
+    listSequenceColumns,
+    tableStats,
+    iterateRows,
+    literal,
+    zeroValue,
+
+    // 开启可重复读的只读事务，保证多表读取时数据一致
+    async beginSnapshot(connection) {
+        await connection.query('BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY');
+    },
+
+    async endSnapshot(connection) {
+        await connection.query('COMMIT');
+    },
+
+    // 并行导出时多个连接与 pg_dump 共享同一个快照（见 lib/parallel）：协调连接导出快照，
+    // 其事务保持到导出结束，使 pg_dump 进程在此期间都能导入该快照
+    async beginSharedSnapshot(connection) {
+        await connection.query('BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY');
+        const [rows] = await connection.query('SELECT pg_export_snapshot() AS snapshot');
+        return rows[0].snapshot;
+    },
+
+    // SET TRANSACTION SNAPSHOT 必须是事务中的第一条语句
+    async joinSharedSnapshot(connection, snapshot) {
+        await connection.query('BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY');
+        await connection.query(`SET TRANSACTION SNAPSHOT '${snapshot.replace(/'/g, "''")}'`);
+    },
+
+    async releaseSharedSnapshot() {},
+
+    insertPrefix(config, table, columns) {
+        const columnList = columns.map(column => quoteIdentifier(column.name)).join(', ');
+        // GENERATED ALWAYS 的标识列需要显式覆盖才能写入原有 id
+        const overriding = columns.some(column => column.identityAlways) ? ' OVERRIDING SYSTEM VALUE' : '';
+        return `INSERT INTO ${qualifiedName(config, table)} (${columnList})${overriding} VALUES`;
+    },
+
+    // 追加在 VALUES 之后的冲突处理子句；PostgreSQL 没有 REPLACE，replace 与 upsert 一样按主键覆盖整行
+    insertSuffix(config, table, columns, strategy, primaryKey) {
+        if (strategy === 'insert-ignore') {
+            return '\nON CONFLICT DO NOTHING';
+        }
+        if (strategy !== 'upsert' && strategy !== 'replace') {
+            return '';
+        }
+        if (primaryKey.length === 0) {
+            throw new Error(t('dialect.noPrimaryKey', { table, strategy }));
+        }
+        const conflictTarget = `(${primaryKey.map(quoteIdentifier).join(', ')})`;
+        const updates = columns
+            .filter(column => !primaryKey.includes(column.name))
+            .map(column => `${quoteIdentifier(column.name)} = EXCLUDED.${quoteIdentifier(column.name)}`);
+        if (updates.length === 0) {
+            return `\nON CONFLICT ${conflictTarget} DO NOTHING`;
+        }
+        return `\nON CONFLICT ${conflictTarget} DO UPDATE SET ${updates.join(', ')}`;
+    },
+
+    // 导入期间通过 session_replication_role 跳过外键约束与触发器（需要超级用户权限）
+    scriptHeader() {
+        return "SET client_encoding = 'UTF8';\n" +
+            'SET standard_conforming_strings = on;\n' +
+            'SET session_replication_role = replica;\n';
+    },
+
+    scriptFooter() {
+        return 'SET session_replication_role = DEFAULT;\n';
+    },
+
+    // TRUNCATE 会检查外键（session_replication_role 不会跳过），被引用的表只能与引用它的表在同一条语句中清空，
+    // 因此所有表合并为一条 TRUNCATE
+    truncateStatement(config, tables) {
+        return `TRUNCATE TABLE ${tables.map(table => qualifiedName(config, table)).join(', ')};`;
+    },
+
+    // 写入显式的 id 不会推进序列，按表中的最大值重置，下一次 nextval() 返回最大值 + 1（空表为 1）
+    sequenceResetStatement(config, table, column) {
+        const tableName = qualifiedName(config, table).replace(/'/g, "''");
+        const columnName = String(column).replace(/'/g, "''");
+        return `SELECT setval(pg_get_serial_sequence('${tableName}', '${columnName}'), ` +
+            `COALESCE(MAX(${quoteIdentifier(column)}), 0) + 1, false) FROM ${qualifiedName(config, table)};`;
+    },
+
+    deleteStatement(config, table, where) {
+        return `DELETE FROM ${qualifiedName(config, table)} WHERE (${where});`;
+    },
+
+    updateStatement(config, table, assignments, where) {
+        return `UPDATE ${qualifiedName(config, table)} SET ${assignments} WHERE (${where});`;
+    },
+
+    // outputFile 可以是 .gz 文件或拆分目录下的通配符路径
+    usage(outputFile) {
+        const command = 'psql -U username -d target_database_name';
+        if (/\.gz$/.test(outputFile)) return `gunzip -c ${outputFile} | ${command}`;
+        if (outputFile.includes('*')) return `cat ${outputFile} | ${command}`;
+        return `${command} -f ${outputFile}`;
+    }
+};
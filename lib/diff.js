@@ -0,0 +1,201 @@
+/**
+ * 差异导出
+ * 按主键对比 source 与 target 的配置表，只生成让 target 与 source 一致所需的 INSERT / UPDATE / DELETE 语句
+ * 每个表对比的同时将差异语句写入临时目录中的文件，内存中只保留 target 每行的主键与哈希；
+ * 全部表对比完成后（SQL 文件头部需要每个表的变更数量）再由 writeDiff 按顺序写入导出输出
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { once } = require('events');
+const { write, copyFile } = require('./output');
+
+// 单条 INSERT 语句的最大字节数，与内置导出引擎一致
+const MAX_STATEMENT_BYTES = 1024 * 1024;
+
+// 主键值之间的分隔符（SQL 字面量中不会出现 NUL 字符）
+const KEY_SEPARATOR = '\u0000';
+
+// 逐行读取表数据，每行转换为 SQL 字面量数组，两端的值以相同方式格式化后才能直接比较
+async function* readLiterals(connection, dialect, table, columns, where) {
+    const columnList = columns.map(column => dialect.quoteIdentifier(column.name)).join(', ');
+    let sql = `SELECT ${columnList} FROM ${dialect.quoteIdentifier(table)}`;
+    if (where) {
+        sql += ` WHERE (${where})`;
+    }
+    for await (const row of dialect.iterateRows(connection, sql)) {
+        yield row.map((value, i) => dialect.literal(value, columns[i]));
+    }
+}
+
+function rowHash(literals) {
+    return crypto.createHash('sha1').update(literals.join(KEY_SEPARATOR)).digest('hex');
+}
+
+// 结束文件写入流并等待关闭
+async function closeStream(stream) {
+    const closed = once(stream, 'close');
+    stream.end();
+    await closed;
+}
+
+// 对比单个表，差异语句写入 workDir 中以 name 开头的文件（先 DELETE 避免唯一约束冲突，再 UPDATE，最后批量 INSERT）
+// plan 为列匹配方案（可选）：新增的行为 plan.fills 中 target 必填的列写入固定值，与全量导出一致
+// 返回 { table, full, inserts, updates, deletes, file }，inserts / updates / deletes 为变更行数，没有变更时 file 为 null
+// 没有主键的表无法逐行对比，返回 full: true，由调用方按全量导出
+async function diffTable(sourceConn, targetConn, config, table, where, plan, workDir, name) {
+    const { dialect } = sourceConn;
+    const sourceColumns = await dialect.listColumns(sourceConn, table);
+    const targetNames = new Set((await dialect.listColumns(targetConn, table)).map(column => column.name));
+    // 只对比两端都存在的列
+    const columns = sourceColumns.filter(column => targetNames.has(column.name));
+    const primaryKey = await dialect.listPrimaryKey(sourceConn, table);
+    const keyIndexes = primaryKey.map(column => columns.findIndex(item => item.name === column));
+
+    if (primaryKey.length === 0 || keyIndexes.includes(-1)) {
+        return { table, full: true };
+    }
+
+    const keyOf = literals => keyIndexes.map(i => literals[i]).join(KEY_SEPARATOR);
+    const keyCondition = keyLiterals => primaryKey
+        .map((column, i) => `${dialect.quoteIdentifier(column)} = ${keyLiterals[i]}`)
+        .join(' AND ');
+
+    const targetRows = new Map();
+    for await (const literals of readLiterals(targetConn, dialect, table, columns, where)) {
+        targetRows.set(keyOf(literals), rowHash(literals));
+    }
+
+    // DELETE 要在读完 source 后才能确定，UPDATE 与 INSERT 先分别写入临时文件
+    const updateFile = path.join(workDir, `${name}.update.sql`);
+    const insertFile = path.join(workDir, `${name}.insert.sql`);
+    const updateStream = fs.createWriteStream(updateFile);
+    const insertStream = fs.createWriteStream(insertFile);
+    let inserts = 0;
+    let updates = 0;
+
+    const fills = plan ? plan.fills : [];
+    const insertColumns = [...columns, ...fills.map(fill => ({ name: fill.name }))];
+    const prefix = dialect.insertPrefix(config, table, insertColumns) + '\n';
+    const fillValues = fills.map(fill => fill.value);
+    let values = [];
+    let valuesBytes = 0;
+    const flush = async () => {
+        if (values.length === 0) return;
+        await write(insertStream, prefix + values.join(',\n') + ';\n');
+        values = [];
+        valuesBytes = 0;
+    };
+
+    try {
+        for await (const literals of readLiterals(sourceConn, dialect, table, columns, where)) {
+            const key = keyOf(literals);
+            const hash = targetRows.get(key);
+            if (hash === undefined) {
+                const tuple = `(${[...literals, ...fillValues].join(',')})`;
+                const tupleBytes = Buffer.byteLength(tuple, 'utf8');
+                if (valuesBytes + tupleBytes > MAX_STATEMENT_BYTES) {
+                    await flush();
+                }
+                values.push(tuple);
+                valuesBytes += tupleBytes;
+                inserts++;
+            } else {
+                if (hash !== rowHash(literals)) {
+                    const assignments = columns
+                        .map((column, i) => (keyIndexes.includes(i) ? null : `${dialect.quoteIdentifier(column.name)} = ${literals[i]}`))
+                        .filter(Boolean)
+                        .join(', ');
+                    const keyLiterals = keyIndexes.map(i => literals[i]);
+                    await write(updateStream, dialect.updateStatement(config, table, assignments, keyCondition(keyLiterals)) + '\n');
+                    updates++;
+                }
+                targetRows.delete(key);
+            }
+        }
+        await flush();
+    } finally {
+        await closeStream(updateStream);
+        await closeStream(insertStream);
+    }
+
+    // 剩下的是 target 中有、source 中没有的行
+    const deletes = targetRows.size;
+    let file = null;
+    if (inserts + updates + deletes > 0) {
+        file = path.join(workDir, `${name}.sql`);
+        const stream = fs.createWriteStream(file);
+        try {
+            await write(stream, `--\n-- Changes for table ${table}: ${inserts} insert, ${updates} update, ${deletes} delete\n--\n\n`);
+            for (const key of targetRows.keys()) {
+                await write(stream, dialect.deleteStatement(config, table, keyCondition(key.split(KEY_SEPARATOR))) + '\n');
+            }
+            await copyFile(updateFile, stream);
+            await copyFile(insertFile, stream);
+            // 插入了新行时重置 target 的序列（PostgreSQL），避免之后新增的行主键冲突
+            if (inserts > 0) {
+                const sequenceColumns = (await dialect.listSequenceColumns(sourceConn, table))
+                    .filter(name => columns.some(column => column.name === name));
+                for (const column of sequenceColumns) {
+                    await write(stream, dialect.sequenceResetStatement(config, table, column) + '\n');
+                }
+            }
+            await write(stream, '\n');
+        } finally {
+            await closeStream(stream);
+        }
+    }
+    await fs.promises.unlink(updateFile);
+    await fs.promises.unlink(insertFile);
+
+    return { table, full: false, inserts, updates, deletes, file };
+}
+
+// 在两端的一致性快照中依次对比多个表，返回每个表的变更数量与差异文件（见 diffTable）
+// options.where: 各表的行过滤条件；options.columnPlans: 列匹配方案（可选）；
+// options.workDir: 存放差异文件的目录，由调用方创建与删除；options.onTableDone: 每个表对比完成后的回调
+async function diffTables(sourceConn, targetConn, config, tables, options = {}) {
+    const { where = {}, columnPlans = null, workDir, onTableDone } = options;
+    const { dialect } = sourceConn;
+    const results = [];
+
+    await dialect.beginSnapshot(sourceConn);
+    try {
+        await dialect.beginSnapshot(targetConn);
+        try {
+            for (let i = 0; i < tables.length; i++) {
+                const name = String(i + 1).padStart(4, '0');
+                const table = tables[i];
+                const plan = columnPlans ? columnPlans[table] : null;
+                const result = await diffTable(sourceConn, targetConn, config, table, where[table], plan, workDir, name);
+                results.push(result);
+                if (onTableDone) onTableDone(result);
+            }
+        } finally {
+            await dialect.endSnapshot(targetConn);
+        }
+    } finally {
+        await dialect.endSnapshot(sourceConn);
+    }
+
+    return results;
+}
+
+// 按对比顺序将各表的差异文件写入 output（lib/output 创建的导出输出）
+async function writeDiff(results, output) {
+    for (const result of results) {
+        if (!result.file) {
+            continue;
+        }
+        const stream = await output.openTable(result.table);
+        await copyFile(result.file, stream);
+        await output.closeTable(result.table, result.inserts + result.updates + result.deletes);
+        await fs.promises.unlink(result.file);
+    }
+}
+
+module.exports = {
+    diffTables,
+    writeDiff
+};
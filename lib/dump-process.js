@@ -0,0 +1,53 @@
+/**
+ * 外部导出进程（mysqldump / pg_dump）的通用执行封装
+ */
+
+const { spawn } = require('child_process');
+const { DumpError } = require('./errors');
+const { t } = require('./i18n');
+
+// 执行导出命令，并将标准输出以流的方式写入 output，避免内存溢出
+// output 由调用方负责关闭，以便多次导出依次写入同一个文件
+// options.logger: 以 debug 级别输出完整的命令参数（密码通过临时文件传递，不会出现在参数中）
+// options.onData: 收到标准输出时的回调，用于统计导出进度（见 lib/progress 的 createDumpMeter）
+function runDumpProcess(command, args, env, output, options = {}) {
+    if (options.logger) {
+        options.logger.debug(`   ↳ $ ${[command, ...args].join(' ')}`);
+    }
+    return new Promise((resolve, reject) => {
+        const dumpProcess = spawn(command, args, { env });
+
+        dumpProcess.stdout.setEncoding('utf8');
+        dumpProcess.stderr.setEncoding('utf8');
+
+        let errors = '';
+
+        dumpProcess.stdout.pipe(output, { end: false });
+        if (options.onData) {
+            dumpProcess.stdout.on('data', options.onData);
+        }
+
+        dumpProcess.stderr.on('data', (data) => {
+            errors += data;
+        });
+
+        // close 在标准输出读取完毕后触发，此时全部数据已交给 output，保证后续写入内容的顺序
+        dumpProcess.on('close', (code) => {
+            dumpProcess.stdout.unpipe(output);
+            if (code !== 0) {
+                reject(new DumpError(t('dump.failed', { command, errors }), { exitCode: code }));
+            } else {
+                resolve();
+            }
+        });
+
+        dumpProcess.on('error', (err) => {
+            dumpProcess.stdout.unpipe(output);
+            reject(new DumpError(t('dump.spawnFailed', { command, message: err.message }), { cause: err }));
+        });
+    });
+}
+
+module.exports = {
+    runDumpProcess
+};
@@ -0,0 +1,119 @@
+/**
+ * 内置 JavaScript 导出引擎
+ * 通过已有的数据库连接流式读取行数据并生成多行 INSERT 语句，不依赖 mysqldump / pg_dump
+ */
+
+const { write } = require('./output');
+
+// 单条 INSERT 语句的最大字节数，远小于 MySQL 默认的 max_allowed_packet
+const MAX_STATEMENT_BYTES = 1024 * 1024;
+// 每读取多少行回调一次导出进度
+const PROGRESS_ROWS = 1000;
+
+// 导出单个表的数据，返回导出的行数
+// tableOptions.plan: 列匹配方案（可选），只导出 plan.columns 中的列，并为 plan.fills 中的列写入固定值
+// tableOptions.where: 行过滤条件（可选），只导出满足条件的行
+// tableOptions.strategy: 合并策略（可选），决定 INSERT 的写法与冲突处理子句
+// tableOptions.onProgress: 导出进度回调（可选），参数为已读取的行数与已生成的 INSERT 语句字节数
+async function dumpTable(connection, dialect, config, table, stream, tableOptions = {}) {
+    const { plan, where, strategy = 'truncate', onProgress = () => {} } = tableOptions;
+    let columns = await dialect.listColumns(connection, table);
+    const fills = plan ? plan.fills : [];
+    if (plan) {
+        columns = columns.filter(column => plan.columns.includes(column.name));
+    }
+    if (columns.length === 0) {
+        return 0;
+    }
+
+    const columnList = columns.map(column => dialect.quoteIdentifier(column.name)).join(', ');
+    let sql = `SELECT ${columnList} FROM ${dialect.quoteIdentifier(table)}`;
+    if (where) {
+        sql += ` WHERE (${where})`;
+    }
+    const insertColumns = [...columns, ...fills.map(fill => ({ name: fill.name }))];
+    const prefix = dialect.insertPrefix(config, table, insertColumns, strategy) + '\n';
+    const primaryKey = strategy === 'truncate' ? [] : await dialect.listPrimaryKey(connection, table);
+    const suffix = dialect.insertSuffix(config, table, insertColumns, strategy, primaryKey);
+    const fillValues = fills.map(fill => fill.value);
+    // 导出的列中拥有序列的列，写入数据后重置 target 的序列（PostgreSQL）
+    const sequenceColumns = (await dialect.listSequenceColumns(connection, table))
+        .filter(name => columns.some(column => column.name === name));
+
+    await write(stream, `--\n-- Data for table ${table}\n--\n\n`);
+    // 流式读取不经过 connection.query，单独输出查询（见 merge-export 的 createConnection）
+    if (connection.traceQuery) {
+        connection.traceQuery(sql);
+    }
+
+    let rowCount = 0;
+    let values = [];
+    let valuesBytes = 0;
+    let writtenBytes = 0;
+
+    const flush = async () => {
+        if (values.length === 0) return;
+        const statement = prefix + values.join(',\n') + suffix + ';\n';
+        await write(stream, statement);
+        writtenBytes += Buffer.byteLength(statement, 'utf8');
+        values = [];
+        valuesBytes = 0;
+    };
+
+    for await (const row of dialect.iterateRows(connection, sql)) {
+        const literals = row.map((value, i) => dialect.literal(value, columns[i]));
+        const tuple = `(${literals.concat(fillValues).join(',')})`;
+        const tupleBytes = Buffer.byteLength(tuple, 'utf8');
+        if (valuesBytes + tupleBytes > MAX_STATEMENT_BYTES) {
+            await flush();
+        }
+        values.push(tuple);
+        valuesBytes += tupleBytes;
+        rowCount++;
+        if (rowCount % PROGRESS_ROWS === 0) {
+            onProgress(rowCount, writtenBytes + valuesBytes);
+        }
+    }
+    await flush();
+    onProgress(rowCount, writtenBytes);
+
+    for (const column of sequenceColumns) {
+        await write(stream, dialect.sequenceResetStatement(config, table, column) + '\n');
+    }
+    await write(stream, '\n');
+    return rowCount;
+}
+
+// 在一致性快照中依次导出多个表的数据并写入 output（lib/output 创建的导出输出），返回每个表导出的行数
+// options.columnPlans: 各表的列匹配方案；options.where: 各表的行过滤条件；options.strategies: 各表的合并策略；
+// options.onTableStart: 每个表开始导出时的回调，可以返回该表的进度回调（见 dumpTable 的 tableOptions.onProgress）；
+// options.onTableDone: 每个表导出完成后的回调
+async function dumpTables(connection, config, tables, output, options = {}) {
+    const { dialect } = connection;
+    const { columnPlans = null, where = {}, strategies = {}, onTableStart, onTableDone } = options;
+    const results = [];
+
+    await dialect.beginSnapshot(connection);
+    try {
+        for (const table of tables) {
+            const plan = columnPlans ? columnPlans[table] : null;
+            const stream = await output.openTable(table);
+            const onProgress = onTableStart ? onTableStart(table) : undefined;
+            const rows = await dumpTable(connection, dialect, config, table, stream, {
+                plan, where: where[table], strategy: strategies[table], onProgress
+            });
+            await output.closeTable(table, rows);
+            results.push({ table, rows });
+            if (onTableDone) onTableDone(table, rows);
+        }
+    } finally {
+        await dialect.endSnapshot(connection);
+    }
+
+    return results;
+}
+
+module.exports = {
+    dumpTable,
+    dumpTables
+};
@@ -0,0 +1,42 @@
+/**
+ * 导出流程的错误类型
+ * 作为库调用时可以通过 instanceof 或 code 区分失败的原因:
+ *   ConfigError       ERR_DBM_CONFIG       配置文件无法读取、配置项无效或互相冲突
+ *   ConnectionError   ERR_DBM_CONNECTION   无法连接数据库（error.database 为连接的库名）
+ *   SchemaCheckError  ERR_DBM_SCHEMA       source 与 target 的表结构不兼容（error.report 为检查结果）
+ *   DumpError         ERR_DBM_DUMP         mysqldump / pg_dump 或内置引擎导出失败
+ *   ApplyError        ERR_DBM_APPLY        写入 target 失败（error.table、error.completedTables、error.rollbackFile）
+ * 原始错误保存在 error.cause 中
+ */
+
+class DbmError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        Object.assign(this, details);
+    }
+}
+
+class ConfigError extends DbmError {}
+ConfigError.prototype.code = 'ERR_DBM_CONFIG';
+
+class ConnectionError extends DbmError {}
+ConnectionError.prototype.code = 'ERR_DBM_CONNECTION';
+
+class SchemaCheckError extends DbmError {}
+SchemaCheckError.prototype.code = 'ERR_DBM_SCHEMA';
+
+class DumpError extends DbmError {}
+DumpError.prototype.code = 'ERR_DBM_DUMP';
+
+class ApplyError extends DbmError {}
+ApplyError.prototype.code = 'ERR_DBM_APPLY';
+
+module.exports = {
+    DbmError,
+    ConfigError,
+    ConnectionError,
+    SchemaCheckError,
+    DumpError,
+    ApplyError
+};
@@ -0,0 +1,49 @@
+/**
+ * 排除表的来源说明
+ * 排除列表由配置的排除表、预设环境数据表、collections 业务表和多对多关联表合并而成，
+ * 每个排除表都带有一个 reason 对象说明它被排除的原因:
+ *   { kind: 'configured' }                         配置的排除表（excludeTables）
+ *   { kind: 'preset' }                             预设环境数据表
+ *   { kind: 'pattern', pattern: 'audit_*' }        匹配 excludeTables 中的通配符 / 正则
+ *   { kind: 'collection', collection: 'users' }    collections 中登记的业务表
+ *   { kind: 'junction', fields: ['users.roles'] }  排除表的多对多字段的 through 表
+ *   { kind: 'inherits', parent: 'orders' }         继承了排除表的子 collection
+ *   { kind: 'treePath', collection: 'categories' } 树形 collection 的路径表
+ *   { kind: 'attachment', fields: ['orders.files'] } 排除表的关系字段指向的文件 collection / 附件表
+ *   { kind: 'sequence', fields: ['orders.code'] }  排除表的序列字段的状态表
+ * 经过 DB_UNDERSCORED 转换的表名额外带有 renamedFrom（转换前的表名）
+ */
+
+const { t } = require('./i18n');
+
+// 排除原因的说明，用于日志、SQL 文件头部与导出结果
+function describeReason(reason) {
+    let text;
+    if (reason.kind === 'collection') {
+        text = t('reason.collection', { collection: reason.collection });
+    } else if (reason.kind === 'junction') {
+        text = t('reason.junction', { fields: reason.fields.join(', ') });
+    } else if (reason.kind === 'inherits') {
+        text = t('reason.inherits', { parent: reason.parent });
+    } else if (reason.kind === 'treePath') {
+        text = t('reason.treePath', { collection: reason.collection });
+    } else if (reason.kind === 'attachment') {
+        text = t('reason.attachment', { fields: reason.fields.join(', ') });
+    } else if (reason.kind === 'sequence') {
+        text = t('reason.sequence', { fields: reason.fields.join(', ') });
+    } else if (reason.kind === 'preset') {
+        text = t('reason.preset');
+    } else if (reason.kind === 'pattern') {
+        text = t('reason.pattern', { pattern: reason.pattern });
+    } else {
+        text = t('reason.configured');
+    }
+    if (reason.renamedFrom) {
+        text += t('reason.renamed', { table: reason.renamedFrom });
+    }
+    return text;
+}
+
+module.exports = {
+    describeReason
+};
@@ -0,0 +1,84 @@
+/**
+ * 命令行、日志与 SQL 文件头部的多语言文本
+ * 文本按 key 保存在 lib/locales/<语言>.js 中，使用 {name} 作为占位符
+ * 语言由 --lang 指定（setLocale），未指定时根据系统语言（LC_ALL / LC_MESSAGES / LANG，其次为 Intl 的语言设置）选择:
+ * 中文环境使用 zh-CN，其他环境使用 en；无法判断时使用 zh-CN
+ */
+
+const { ConfigError } = require('./errors');
+
+const LOCALES = ['zh-CN', 'en'];
+const DEFAULT_LOCALE = 'zh-CN';
+
+const catalogs = {
+    'zh-CN': require('./locales/zh-CN'),
+    en: require('./locales/en')
+};
+
+let currentLocale = null;
+
+// 将 zh_CN.UTF-8、en-US、zh 等写法归一为支持的语言，不支持时返回 null
+function normalizeLocale(value) {
+    if (!value) return null;
+    const language = String(value).split(/[._@]/)[0].toLowerCase();
+    if (language === 'c' || language === 'posix') return null;
+    if (language.startsWith('zh')) return 'zh-CN';
+    if (language.startsWith('en')) return 'en';
+    return /^[a-z]{2,3}(-|$)/.test(language) ? 'en' : null;
+}
+
+// 根据系统语言选择
+function detectLocale(env = process.env) {
+    const fromEnv = [env.LC_ALL, env.LC_MESSAGES, env.LANG]
+        .map(normalizeLocale)
+        .find(Boolean);
+    if (fromEnv) return fromEnv;
+    try {
+        return normalizeLocale(Intl.DateTimeFormat().resolvedOptions().locale) || DEFAULT_LOCALE;
+    } catch (error) {
+        return DEFAULT_LOCALE;
+    }
+}
+
+// 指定输出语言，作为库调用时对之后的全部输出生效
+function setLocale(locale) {
+    if (!LOCALES.includes(locale)) {
+        throw new ConfigError(t('i18n.unsupported', { locale, choices: LOCALES.join(', ') }));
+    }
+    currentLocale = locale;
+}
+
+// 当前语言，首次使用时根据系统语言确定
+function getLocale() {
+    if (!currentLocale) {
+        currentLocale = detectLocale();
+    }
+    return currentLocale;
+}
+
+// 替换 {name} 占位符，未提供的参数保持原样
+function format(message, params) {
+    return message.replace(/\{(\w+)\}/g, (match, name) => (params[name] === undefined ? match : String(params[name])));
+}
+
+// 当前语言的文本，缺少翻译时使用 zh-CN，仍不存在时返回 key
+function t(key, params = {}) {
+    const message = catalogs[getLocale()][key] !== undefined ? catalogs[getLocale()][key] : catalogs[DEFAULT_LOCALE][key];
+    return message === undefined ? key : format(message, params);
+}
+
+// 某个 key 在所有语言中的文本，用于识别任意语言生成的 SQL 文件头部
+function allTranslations(key) {
+    return LOCALES.map(locale => catalogs[locale][key]).filter(message => message !== undefined);
+}
+
+module.exports = {
+    LOCALES,
+    DEFAULT_LOCALE,
+    normalizeLocale,
+    detectLocale,
+    setLocale,
+    getLocale,
+    t,
+    allTranslations
+};
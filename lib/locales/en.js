@@ -0,0 +1,548 @@
+/**
+ * 英文文本，key 与 zh-CN 一一对应
+ */
+
+module.exports = {
+    // 写入 target（lib/apply）
+    'apply.statementFailed': 'Statement {index} failed: {message}\n   Statement: {statement}',
+    'apply.statementFailedInTable': 'Statement {index} failed [table {table}]: {message}\n   Statement: {statement}',
+    'apply.transactional': 'The whole script runs in one transaction and is rolled back on failure',
+    'apply.perTable': 'MySQL cannot roll back TRUNCATE, writing table by table and reporting the failing table',
+    'apply.tableDone': '{table}: {statements} statements',
+    'apply.done': '{statements} statements executed, {tables} tables written',
+    'apply.failedTable': 'Failed table: {table}',
+    'apply.unknownTable': '(unknown)',
+    'apply.rolledBack': 'Transaction rolled back, the target database was not modified',
+    'apply.completedTables': 'Tables already written ({count}): {tables}',
+    'apply.none': 'none',
+    'apply.partial': 'The remaining configuration tables may have been emptied, fix the problem and run again',
+
+    // 数据库密码（lib/credentials）
+    'credentials.optionFileReadFailed': 'Failed to read MySQL option file {file}: {message}',
+    'credentials.promptNotTty': 'A password is required for {database}, but the terminal is not interactive (use passwordFile / passwordEnv)',
+    'credentials.prompt': 'Database password ({user}@{address}/{database}):',
+    'credentials.envMissing': 'Environment variable {name} is not set (passwordEnv)',
+    'credentials.fileReadFailed': 'Failed to read password file {file}: {message}',
+    'credentials.optionFileMissing': 'MySQL option file not found: {file}',
+
+    // 数据库方言（lib/dialects）
+    'dialect.unsupported': 'Unsupported database type: {name} (choices: {choices})',
+    'dialect.noPrimaryKey': 'Table {table} has no primary key and cannot use the {strategy} merge strategy',
+
+    // mysqldump / pg_dump（lib/dump-process）
+    'dump.failed': '{command} failed: {errors}',
+    'dump.spawnFailed': 'Failed to run {command}: {message}',
+
+    // 导出清单（lib/manifest）
+    'manifest.readFailed': 'Failed to read {file}: {message}',
+    'manifest.invalidJson': '{file} is not valid JSON: {message}',
+
+    // 表名模式（lib/table-patterns）
+    'patterns.invalidRegex': 'Invalid table name regular expression: {entry} ({message})',
+
+    // TLS 设置（lib/tls）
+    'tls.invalid': 'ssl must be true or an object with mode / ca / cert / key',
+    'tls.unknownMode': 'Unknown ssl.mode: {mode} (choices: {choices})',
+    'tls.certWithoutKey': 'ssl.cert and ssl.key must be configured together',
+    'tls.fileMissing': 'ssl.{name} file not found: {file}',
+    'tls.mariadbVerifyCaWithoutCa': 'ssl.mode verify-ca with the MariaDB mysqldump requires ssl.ca',
+
+    // 表结构检查（lib/schema-check）
+    'schema.missingTableSkipped': '{table}: table does not exist in the target and will not be exported',
+    'schema.missingTable': '{table}: table does not exist in the target',
+    'schema.missingColumnSkipped': '{column}: column does not exist in the target and will not be exported',
+    'schema.missingColumn': '{column}: column does not exist in the target',
+    'schema.requiredColumnFilled': '{column}: new target column is NOT NULL without a default, the type default will be filled in',
+    'schema.requiredColumn': '{column}: new target column is NOT NULL without a default',
+    'schema.extraColumn': '{column}: new target column will use its default value',
+    'schema.typeChanged': '{column}: type differs (source: {source}, target: {target})',
+    'schema.skippedDialect': 'Source and target database types differ, skipping the schema check',
+    'schema.checking': 'Checking schema compatibility of the configuration tables between source and target...',
+    'schema.ok': 'The schemas of {count} configuration tables match',
+    'schema.summary': '{tables} tables differ: {errors} incompatibilities, {warnings} warnings',
+    'schema.failed': 'The schema check found {count} incompatibilities, export stopped (set "schemaCheck": "warn" to only warn and continue)',
+    'schema.ignored': 'schemaCheck is warn, ignoring incompatibilities and continuing',
+    'columns.computing': 'Working out the columns shared by source and target...',
+    'columns.missingTables': '{count} configuration tables do not exist in the target and are skipped: {tables}',
+    'columns.skipped': 'skipped columns {columns}',
+    'columns.filled': 'filled columns {columns}',
+    'columns.summary': '{adjusted} tables need column adjustments, the other {unchanged} tables have matching columns',
+
+    // 命名环境（lib/profiles）
+    'profiles.undefined': 'Undefined profile: {name} (choices: {choices})',
+    'profiles.cycle': 'Circular profile inheritance: {chain}',
+    'profiles.notDefined': 'The config file defines no profiles, --profile / --from / --to cannot be used',
+    'profiles.conflict': '--profile cannot be combined with --from / --to',
+    'profiles.selectionRequired': 'The config file defines profiles, select the source with --profile <name> or --from <name> (choices: {choices})',
+    'profiles.invalidTarget': 'The target of profile {name} must be a profile name',
+    'profiles.sameProfile': 'Source and target cannot be the same profile: {name}',
+
+    // 排除原因（lib/exclusions）
+    'reason.collection': 'collection {collection}',
+    'reason.junction': 'm2m through-table of {fields}',
+    'reason.inherits': 'inherits from {parent}',
+    'reason.treePath': 'tree path table of {collection}',
+    'reason.attachment': 'attachment table of {fields}',
+    'reason.sequence': 'sequence state of {fields}',
+    'reason.preset': 'preset environment table',
+    'reason.pattern': 'matches {pattern}',
+    'reason.configured': 'manual',
+    'reason.renamed': ', renamed from {table} (DB_UNDERSCORED)',
+
+    // 导出文件校验（lib/verify）
+    'verify.notFound': 'File not found: {path}',
+    'verify.statFailed': 'Failed to read {path}: {message}',
+    'verify.noManifest': '{file} not found, skipping the byte size, sha256 and statement count checks',
+    'verify.headerReadFailed': 'Header: failed to read, the file may be incomplete: {message}',
+    'verify.headerMissing': 'Header: missing the dbm header comment, not a script exported by dbm',
+    'verify.dialectMismatch': 'database type {actual} does not match the manifest ({expected})',
+    'verify.databaseMismatch': 'database {actual} does not match the manifest ({expected})',
+    'verify.separator': '; ',
+    'verify.headerMismatch': 'Header: {problems}',
+    'verify.unknown': 'unknown',
+    'verify.headerOk': 'Header: {kind}, {dialect}, database {database}, time {time}',
+    'verify.fileMissing': '{name}: file not found',
+    'verify.sizeMismatch': '{name}: does not match the manifest (manifest: {expected} bytes, actual: {actual} bytes, same sha256)',
+    'verify.hashMismatch': '{name}: does not match the manifest (manifest: {expected} bytes, actual: {actual} bytes, different sha256)',
+    'verify.hashOk': '{name}: {bytes} bytes, sha256 matches',
+    'verify.tableHeaderMissing': '{name}: missing the dbm header comment',
+    'verify.readFailed': '{name}: failed to read, the file may be incomplete: {message}',
+    'verify.hashFailed': '{name}: failed to read: {message}',
+    'verify.footerMissing': '{name}: missing the trailing statement {footer}, the file may be incomplete',
+    'verify.footerOk': '{name}: trailer complete, {statements} statements',
+    'verify.statementMismatch': '{table}: {actual} statements, manifest records {expected}',
+    'verify.unexpectedTable': '{table}: not in the manifest, the file has {statements} statements',
+    'verify.statementsOk': 'Statement counts of {tables} tables match the manifest',
+    'verify.start': 'Verifying export: {path}',
+    'verify.passed': 'Verification passed',
+    'verify.failed': 'Verification failed: {count} checks did not pass',
+
+    // 命令行参数与帮助（lib/cli）
+    'cli.usage': 'Usage',
+    'cli.options': 'Options',
+    'cli.group.connection': 'Database connection',
+    'cli.group.profiles': 'Profiles',
+    'cli.command.export': 'Export configuration data (default command, may be omitted)',
+    'cli.command.plan': 'Preview the export plan: list the category, row count and size of every table without producing SQL',
+    'cli.command.init': 'Generate config.json interactively',
+    'cli.command.rollback': 'Restore the target database of the config file from a rollback script',
+    'cli.command.verify': 'Check the header, trailer, per-table statement counts and manifest checksums of an export, exiting non-zero on mismatch',
+    'cli.arg.config': 'config file',
+    'cli.arg.rollbackFile': 'rollback file',
+    'cli.arg.exportPath': 'export file or directory',
+    'cli.value.language': 'language',
+    'cli.value.type': 'type',
+    'cli.value.schema': 'schema',
+    'cli.value.host': 'host',
+    'cli.value.port': 'port',
+    'cli.value.user': 'user',
+    'cli.value.password': 'password',
+    'cli.value.file': 'file',
+    'cli.value.variable': 'variable',
+    'cli.value.database': 'database',
+    'cli.value.path': 'path',
+    'cli.value.mode': 'mode',
+    'cli.value.tables': 'tables',
+    'cli.value.value': 'value',
+    'cli.value.engine': 'engine',
+    'cli.value.strategy': 'strategy',
+    'cli.value.name': 'name',
+    'cli.value.count': 'count',
+    'cli.option.help': 'Show help',
+    'cli.option.version': 'Show version',
+    'cli.option.lang': 'Output language (defaults to the system locale)',
+    'cli.option.dialect': 'Database type (default: mysql)',
+    'cli.option.schema': 'PostgreSQL schema (default: public)',
+    'cli.option.host': 'Database host (default: 127.0.0.1)',
+    'cli.option.port': 'Database port (default: mysql 3306 / postgres 5432)',
+    'cli.option.user': 'Database user (default: root)',
+    'cli.option.password': 'Database password (visible in the process list, prefer the options below)',
+    'cli.option.password-prompt': 'Enter the password in the terminal at run time',
+    'cli.option.password-file': 'Read the password from a file',
+    'cli.option.password-env': 'Read the password from the given environment variable',
+    'cli.option.defaults-extra-file': 'MySQL option file (password in [client]), ~/.my.cnf is read when not given',
+    'cli.option.database': 'Database name (required for command-line connections)',
+    'cli.option.socket': 'Connect through a Unix socket (the socket file for MySQL, its directory for PostgreSQL) instead of host / port',
+    'cli.option.ssl-mode': 'TLS mode (verify-identity by default when --ssl-ca etc. are given)',
+    'cli.option.ssl-ca': 'TLS CA certificate file',
+    'cli.option.ssl-cert': 'TLS client certificate file',
+    'cli.option.ssl-key': 'TLS client private key file',
+    'cli.option.exclude-tables': 'Business tables to exclude (comma separated, supports audit_* wildcards and /regex/; when omitted, business tables are read from the database and the preset environment tables are included)',
+    'cli.option.include-tables': 'Tables to always export (comma separated, supports wildcards and regex, overrides every exclusion rule)',
+    'cli.option.output-file': 'Output SQL file path (a timestamp is added automatically)',
+    'cli.option.db-underscored': 'Table name conversion (default: auto)',
+    'cli.option.engine': 'Export engine (default: external; builtin needs no mysqldump / pg_dump)',
+    'cli.option.strategy': 'Merge strategy (default: truncate)',
+    'cli.option.apply': 'Write the export to the target database of the config file',
+    'cli.option.diff': 'Diff mode: compare source and target by primary key and export only INSERT / UPDATE / DELETE differences',
+    'cli.option.gzip': 'Compress the output with gzip (.sql.gz)',
+    'cli.option.split': 'Split the output into a directory with one file per table and a manifest.json',
+    'cli.option.concurrency': 'Number of tables to dump in parallel over connections sharing one consistent snapshot (default: 1)',
+    'cli.option.resume': 'Continue an interrupted export, skipping the tables already completed in its checkpoint',
+    'cli.option.yes': 'Do not ask for confirmation before writing to the target or rolling back',
+    'cli.option.profile': 'Use a profile of the config file as the source (the target is its target field)',
+    'cli.option.from': 'Profile to use as the source',
+    'cli.option.to': 'Profile to use as the target',
+    'cli.option.json': 'Print the result as JSON (stdout carries only the JSON, logs go to stderr)',
+    'cli.error.unknownOption': 'Unknown option: {option}',
+    'cli.error.unsupportedOption': 'dbm {command} does not support --{name}',
+    'cli.error.invalidChoice': 'Invalid value for --{name}: {value} (choices: {choices})',
+    'cli.error.invalidValue': 'Invalid value for --{name}: {value}',
+    'cli.error.unknownCommand': 'Unknown command: {command} (choices: {choices})',
+    'cli.error.duplicate': 'Option --{name} given more than once',
+    'cli.error.flagWithValue': '--{name} is a switch and takes no value',
+    'cli.error.missingValue': '--{name} requires {value}',
+    'cli.error.hostHint': ' (use --help for help)',
+    'cli.error.emptyValue': 'The value of --{name} cannot be empty',
+    'cli.error.missingArgument': 'Missing argument: <{name}>',
+    'cli.error.extraArguments': 'Unexpected arguments: {args}',
+    'cli.option.ndjson': 'Stream progress events and the final result as NDJSON, one per line (logs go to stderr)',
+    'cli.option.json-file': 'Write the JSON result to a file',
+    'cli.option.quiet': 'Only print warnings and errors',
+    'cli.option.verbose': 'Also print the executed queries and the mysqldump / pg_dump arguments',
+    'cli.group.output': 'Output',
+    'cli.error.conflict': '--{name} cannot be combined with --{other}',
+
+    // 导出流程（merge-export.js）
+    'export.configReadFailed': 'Failed to read the config file: {message}',
+    'export.connectFailed': 'Failed to connect to database [{database}]: {message}',
+    'export.tableCount': 'Exporting data of {count} configuration tables',
+    'export.headerWriteFailed': 'Failed to write the file header: {message}',
+    'export.dumpFailed': 'Failed to export the data: {message}',
+    'export.writeFailed': 'Failed to write the export file: {message}',
+    'export.workDirFailed': 'Failed to create the temporary directory: {message}',
+    'export.usingBuiltin': 'Using the built-in export engine (no mysqldump / pg_dump needed)',
+    'export.tableRows': '{table}: {rows} rows',
+    'export.parallel': 'Parallel export: {concurrency} connections sharing one consistent snapshot',
+    'export.tableProgress': 'Exporting {table} ({index} / {total})',
+    'export.tableProgressWhere': 'Exporting {table} ({index} / {total}) (WHERE {where})',
+    'export.batch': 'Export batch ({strategy}): {from} - {to} / {total}',
+    'export.tableWhere': 'Exporting {table} (WHERE {where})',
+    'export.diffTables': 'Comparing {count} configuration tables by primary key',
+    'export.diffNoPrimaryKey': '{table}: no primary key, exporting all rows',
+    'export.diffChanges': '{table}: {inserts} inserted, {updates} updated, {deletes} deleted',
+    'export.applyWithoutTarget': 'apply is enabled, but the config file has no target database',
+    'export.dialectMismatch': 'Source ({source}) and target ({target}) database types differ',
+    'export.schemaMismatch': 'Source and target schemas differ, the generated script cannot be written to the target',
+    'export.sameDatabase': 'Target and source are the same database, refusing to write',
+    'export.backupMissingTables': '{count} configuration tables do not exist in the target and are not backed up',
+    'export.backupDone': 'Rollback script written: {file}',
+    'rollback.notRollbackScript': '{file} is not a rollback script generated by dbm',
+    'rollback.databaseMismatch': 'The rollback script was taken from database {backup}, which does not match the target database {target}',
+    'rollback.dialectMismatch': 'The database type of the rollback script ({dialect}) does not match the target',
+    'rollback.file': 'Rollback script: {file}',
+    'rollback.time': 'Backup time: {time}',
+    'rollback.unknownTime': 'unknown',
+    'rollback.target': 'Target database: {database} ({address})',
+    'export.whereInvalid': 'export.where must be an object of the form { "table": "condition" }',
+    'export.whereEmpty': 'The export.where condition of table {table} must be a non-empty string',
+    'export.missingSource': 'The config has no source database',
+    'export.missingOutputFile': 'The config has no export.outputFile',
+    'export.engineSwitch.matchColumns': 'Column matching requires the built-in export engine',
+    'export.engineSwitch.where': '{command} does not support where row filters',
+    'export.engineSwitch.strategy': '{command} does not support the {strategy} merge strategy',
+    'export.engineSwitch.concurrency': 'Multiple {command} processes cannot share a consistent snapshot, so they cannot dump in parallel',
+    'export.title': 'NocoBase Configuration Data Export Tool',
+    'export.source': 'Source database: {database} ({dialect})',
+    'export.profile': 'Profile: {source}',
+    'export.profileTarget': 'Profile: {source} → {target}',
+    'export.schema': 'Schema: {schema}',
+    'export.target': 'Target database: {database} ({address})',
+    'export.targetApply': 'Target database: {database} ({address}), written after export',
+    'export.outputDir': 'Output directory: {path}',
+    'export.outputFile': 'Output file: {path}',
+    'export.format': 'Output format: {format}',
+    'export.format.split': 'one file per table (with manifest.json)',
+    'export.format.gzip': 'gzip compressed',
+    'export.listSeparator': ', ',
+    'export.engine': 'Export engine: {engine}',
+    'export.engine.builtin': 'built-in (builtin)',
+    'export.engineSwitched': '{reason}, switched to builtin',
+    'export.matchColumns': 'Column matching: only columns present in both source and target are exported',
+    'export.diffMode': 'Export mode: diff, comparing source and target by primary key',
+    'export.strategy': 'Merge strategy: {strategy}',
+    'export.strategyWithTables': 'Merge strategy: {strategy} ({count} per-table overrides)',
+    'export.underscoredOn': 'DB_UNDERSCORED: enabled',
+    'export.underscoredOff': 'DB_UNDERSCORED: disabled',
+    'export.duplicates': 'Removed {count} duplicate table names',
+    'export.unsupportedEngine': 'Unsupported export engine: {engine} (choices: {choices})',
+    'export.unsupportedSchemaCheck': 'Unsupported schemaCheck value: {value} (choices: {choices})',
+    'export.diffWithoutTarget': 'diff mode requires a target database in the config file',
+    'export.diffWithStrategy': 'diff mode cannot be combined with merge strategies (strategy / strategies)',
+    'export.unsupportedStrategy': 'Unsupported merge strategy: {strategy} (choices: {choices})',
+    'export.invalidConcurrency': 'concurrency must be an integer of at least 1: {value}',
+    'export.matchColumnsWithoutTarget': 'matchColumns requires a target database in the config file',
+    'export.matchColumnsDialect': 'matchColumns requires source and target to use the same database type',
+    'export.step.connect': 'Connecting to the source database and looking up junction tables...',
+    'export.connected': 'Connected',
+    'export.step.tables': 'Working out the configuration tables to export...',
+    'export.allTables': 'Tables in the database: {count}',
+    'export.excludedTables': 'Excluded business tables: {count}',
+    'export.configTables': 'Configuration tables to export: {count}',
+    'export.tableStrategy': '{table}: merge strategy {strategy}',
+    'export.tableFilter': '{table}: only rows WHERE {where}',
+    'export.whereTableMissing': 'Table {table} in where does not exist and is ignored',
+    'export.excludedList': 'Excluded tables ({count}):',
+    'export.nothingToExport': 'No configuration tables to export, nothing to do.',
+    'export.step.export': 'Exporting configuration data from the source database...',
+    'export.exported': 'Configuration data exported and overwrite script generated',
+    'export.reportWritten': 'Exclusion report written: {file}',
+    'export.step.backup': 'Backing up the configuration tables of target database {database}...',
+    'export.step.apply': 'Writing to target database {database}...',
+    'export.rollbackHint': 'Restore the target database with:',
+    'export.done': 'Export complete!',
+    'export.fileCount': 'Files: {count}',
+    'export.manifest': 'Manifest: {file} (dbm verify {path})',
+    'export.fileSize': 'File size: {size} MB',
+    'export.applied': 'Written to target database: {database}',
+    'export.undoHint': 'To undo this overwrite: dbm rollback {file}',
+    'export.rollbackPlaceholder': 'rollback script',
+    'export.usage': 'Usage:',
+    'export.readingConfig': 'Reading config file: {file}',
+    'export.failed': 'The export failed:',
+    'export.unexpected': 'Unexpected error:',
+
+    // 排除表与关联业务表的查询
+    'tables.junctionQuery': 'Looking up many-to-many junction tables...',
+    'tables.junctionNoFields': 'The fields table does not exist, skipping the junction table lookup',
+    'tables.junctionNoExcludes': 'The exclusion list is empty, skipping the junction table lookup',
+    'tables.junctionFields': 'Found {count} many-to-many fields',
+    'tables.convertedTo': 'converted to: {table}',
+    'tables.junctionParseFailed': 'Failed to parse the options of field {field}: {message}',
+    'tables.junctionFound': 'Found {count} unique junction tables:',
+    'tables.junctionNone': 'No junction tables found',
+    'tables.junctionFailed': 'Junction table lookup failed: {message}',
+    'tables.relatedQuery': 'Looking up business tables related to the excluded tables...',
+    'tables.relatedNoCollections': 'The collections table does not exist, skipping the inheritance and tree table lookup',
+    'tables.relatedNoFields': 'The fields table does not exist, skipping the relation field lookup',
+    'tables.relatedNone': 'No related business tables found',
+    'tables.relatedFailed': 'Related business table lookup failed: {message}',
+    'tables.dynamicStart': 'The exclusion list has no exact table names, reading business tables from the collections table...',
+    'tables.dynamicDone': 'Found {dynamic} business tables + {preset} preset environment tables = {total} excluded tables',
+    'tables.presetTables': 'Preset environment tables:',
+    'tables.dynamicNone': 'No business tables found, exporting all tables (no exclusions)',
+    'tables.underscored': 'DB_UNDERSCORED: {value}',
+    'tables.renamed': 'Table name conversion:',
+    'tables.renamedNone': '(no conversion needed)',
+    'tables.patterns': 'Matching exclusion patterns: {patterns}',
+    'tables.patternsNone': 'No matching tables',
+    'tables.relatedAdded': 'Added {count} related business tables to the exclusion list',
+    'tables.excludedTotal': 'Excluded business tables: {before} -> {after}',
+    'tables.forced': 'includeTables forces {count} tables to be exported:',
+    'tables.forcedTable': '{table} ({entry}), overrides: {reason}',
+    'tables.dynamicQuery': 'Reading the business table list from the collections table...',
+    'tables.dynamicNoCollections': 'The collections table does not exist, cannot read the business table list',
+    'tables.dynamicFound': 'Found {count} business tables',
+    'tables.dynamicValid': 'Tables that exist in the database: {count}',
+    'tables.dynamicFailed': 'Failed to read the business tables: {message}',
+
+    // 导出计划（dbm plan）
+    'plan.excluded': 'excluded: {reason}',
+    'plan.configWhere': 'configuration (only rows WHERE {where})',
+    'plan.configForced': 'configuration (exported, forced by includeTables {entry})',
+    'plan.config': 'configuration (exported)',
+    'plan.title': 'NocoBase configuration export plan (dry run, no SQL is produced)',
+    'plan.source': 'Source database ({dialect}): {database} @ {address}',
+    'plan.column.table': 'Table',
+    'plan.column.rows': 'Rows',
+    'plan.column.size': 'Size',
+    'plan.column.kind': 'Category / exclusion reason',
+    'plan.summaryConfig': 'Configuration tables to export: {tables}, about {rows} rows, {size}',
+    'plan.summaryExcluded': 'Tables to exclude: {tables}, about {rows} rows, {size}',
+    'plan.estimateNote': 'Row counts and sizes come from database statistics and may differ slightly from the actual values',
+    'plan.jsonWritten': 'Export plan written: {file}',
+
+    // SQL 文件头部
+    'header.exportTitle': 'NocoBase Configuration Data Export Tool',
+    'header.rollbackTitle': 'NocoBase Configuration Rollback Script',
+    'header.exportTime': 'Export Time: {time}',
+    'header.backupTime': 'Backup Time: {time}',
+    'header.source': 'SOURCE DATABASE:',
+    'header.target': 'TARGET DATABASE:',
+    'header.backupOf': 'BACKUP OF DATABASE:',
+    'header.dialect': 'Dialect:  {dialect}',
+    'header.host': 'Host:     {host}',
+    'header.database': 'Database: {database}',
+    'header.schema': 'Schema:   {schema}',
+    'header.user': 'User:     {user}',
+    'header.excluded': 'EXCLUDED BUSINESS TABLES (Not Exported):',
+    'header.excludedNone': 'EXCLUDED TABLES: None',
+    'header.forced': 'FORCED BY includeTables (Exported):',
+    'header.forcedTable': '{entry}, overrides: {reason}',
+    'header.strategy': 'MERGE STRATEGY: {strategy}',
+    'header.rowFilters': 'ROW FILTERS (only matching rows are deleted and re-inserted):',
+    'header.diff': 'DIFF SUMMARY (changes applied to the target, by primary key):',
+    'header.diffFull': '{table}: full export (no primary key)',
+    'header.diffTable': '{table}: {inserts} insert, {updates} update, {deletes} delete',
+    'header.diffUnchanged': 'unchanged tables: {count}',
+    'header.columns': 'COLUMN MATCHING (only columns present in both databases):',
+    'header.usage': 'USAGE:',
+    'header.warning': 'WARNING: This script will TRUNCATE the configuration tables\n         before inserting the new data.',
+    'header.warningDiff': 'WARNING: This script only contains the differences from the target\n         at export time. Apply it to that target database only.',
+    'header.warningRollback': 'WARNING: This script will TRUNCATE the configuration tables\n         and restore the data captured before the upgrade.',
+    'header.backupTables': 'CONFIGURATION TABLES: {count}',
+    'header.tableSource': 'Source Database: {database}',
+    'header.table': 'Table: {table}',
+    'header.tableSeeManifest': 'See 0000_header and manifest.json in this directory for the export details.',
+
+    // 命令行（bin/dbm.js）
+    'bin.fetchingBusinessTables': 'Connecting to the source database to list business tables...',
+    'bin.collectionsMissing': 'The collections table does not exist; cannot list business tables',
+    'bin.businessTablesFound': 'Found {count} business tables',
+    'bin.validTables': 'Tables that exist: {count}',
+    'bin.junctionTablesFound': 'Found {count} many-to-many junction tables',
+    'bin.businessTablesFailed': 'Failed to list business tables: {message}',
+    'bin.rollbackMissing': 'Rollback script not found: {file}',
+    'bin.usingConfig': 'Using config file: {path}',
+    'bin.rollbackNoTarget': 'The config file has no target database (with profiles, choose one with --to <name>)',
+    'bin.rollbackConfirm': 'This clears the configuration tables in target database {database} and restores the backup. Continue?',
+    'bin.cancelled': 'Cancelled',
+    'bin.rollbackDone': 'Rollback complete',
+    'bin.exportMissing': 'Export file not found: {path}',
+    'bin.cliConflict': 'Connection options (--{name}) cannot be combined with a config file or --profile / --from / --to',
+    'bin.configMissing': 'Config file not found: {path}',
+    'bin.databaseRequired': '--database / -d is required when connecting with command-line options',
+    'bin.usingCli': 'Using command-line options...',
+    'bin.passwordVisible': '--password is visible in the process list; prefer --password-prompt / --password-file / --password-env',
+    'bin.usingEnv': 'Using environment variables...',
+    'bin.profilesNeedConfig': 'Config file not found: {path}; --profile / --from / --to need profiles defined in a config file',
+    'bin.interactive': 'No config file found, starting interactive setup...',
+    'bin.usageHint': 'Run dbm {command}--help to see the available options',
+    'bin.sourceMissing': 'The configuration has no source database (with profiles, choose one with --profile or --from)',
+    'bin.planFailed': 'Failed to build the export plan',
+    'bin.applyConfirm': 'After the export, the configuration tables in target database {database} ({address}) will be cleared and overwritten. Continue?',
+    'bin.exportFailed': 'The export failed',
+    'bin.error': 'Error:',
+    'bin.jsonWritten': 'JSON result written: {file}',
+
+    // 交互式生成配置文件（dbm init）
+    'init.overwrite': 'config.json already exists. Overwrite it?',
+    'init.title': 'Configure the database export tool',
+    'init.databaseSection': 'Database (only its configuration data is exported)',
+    'init.dialect': 'Database type (NocoBase DB_DIALECT)',
+    'init.host': 'Database host',
+    'init.port': 'Database port',
+    'init.user': 'Database user',
+    'init.password': 'Database password',
+    'init.database': 'Database name',
+    'init.databaseRequired': 'Database name cannot be empty',
+    'init.schema': 'Schema (NocoBase DB_SCHEMA)',
+    'init.passwordSource': 'How the config file should store the password',
+    'init.passwordSource.prompt': 'Do not store it, ask on every run',
+    'init.passwordSource.env': 'Read it from an environment variable (passwordEnv)',
+    'init.passwordSource.file': 'Read it from a file (passwordFile)',
+    'init.passwordSource.plain': 'Store it in plain text in config.json (not recommended)',
+    'init.passwordEnv': 'Environment variable name',
+    'init.passwordFile': 'Password file path',
+    'init.passwordFileRequired': 'Password file path cannot be empty',
+    'init.exportSection': 'Export settings',
+    'init.preset': 'Business tables to exclude (their data is not exported)',
+    'init.preset.approval': 'Preset 1: environment data (workflows, variables, authenticators and similar tables)',
+    'init.preset.business': 'Preset 2: business data (every business table listed in collections)',
+    'init.preset.all': 'Preset 3: all business data (preset 1 + preset 2)',
+    'init.preset.custom': 'Custom (enter manually)',
+    'init.approvalSelected': 'Selected the approval preset ({count} tables)',
+    'init.approvalJunctionFound': 'Found {count} approval-related junction tables',
+    'init.total': 'Total: {count} tables',
+    'init.junctionFailed': 'Failed to list junction tables: {message}',
+    'init.noBusinessTables': 'No business tables found; using an empty list',
+    'init.allPreset': 'Preset 3: approval data + business data + junction tables',
+    'init.approvalTables': 'Approval data ({count} tables)',
+    'init.businessAdded': 'Business data and junction tables ({count} new tables)',
+    'init.businessMissing': 'No business tables found',
+    'init.approvalJunctionAdded': 'Approval-related junction tables ({count} new tables)',
+    'init.approvalJunctionFailed': 'Failed to list approval junction tables: {message}',
+    'init.customTables': 'Business tables to exclude, comma separated (leave empty to read them from the database at export time)',
+    'init.underscored': 'NocoBase DB_UNDERSCORED (whether table names use snake_case)',
+    'init.underscored.auto': 'Not set / detect automatically (keep table names)',
+    'init.underscored.true': 'Enabled (true) - camelCase to snake_case, e.g. userRoles -> user_roles',
+    'init.underscored.false': 'Disabled (false) - snake_case to camelCase, e.g. user_roles -> userRoles',
+    'init.engine': 'Export engine',
+    'init.engine.external': 'External command ({command}, must be installed)',
+    'init.engine.builtin': 'Built-in engine (pure JavaScript, no client tools needed)',
+    'init.outputFile': 'Output file: {file}',
+    'init.underscoredEnabled': 'enabled (camelCase -> snake_case)',
+    'init.underscoredDisabled': 'disabled (snake_case -> camelCase)',
+    'init.saved': 'Config file written: config.json',
+    'init.summary': 'Summary:',
+    'init.summaryDatabase': 'Database: {address}',
+    'init.summaryExcludeCount': 'Excluded tables: {count}',
+    'init.summaryExclude': 'Excluded: {tables}',
+    'init.summaryExcludeMore': 'Excluded: {tables} ... ({count} in total)',
+    'init.summaryOutput': 'Output file: {file} (timestamp added automatically)',
+    'init.nextStep': 'Run this command to start the export:',
+    'init.done': 'Configuration complete, starting the export...',
+
+    // 帮助信息（dbm --help）
+    'help.description': 'Exports the configuration data of a NocoBase database and builds overwrite patches for application upgrades',
+    'help.title': 'DBM - Database Configuration Data Export Tool',
+    'help.version': 'dbm version {version}',
+    'help.arg.options': 'options',
+    'help.arg.otherOptions': 'other options',
+    'help.arg.command': 'command',
+    'help.usage.export': 'Export configuration data (uses ./config.json when no config file is given, or interactive setup if it does not exist)',
+    'help.usage.init': 'Create a config file interactively (the old dbm --init still works)',
+    'help.usage.commandHelp': 'Show the options of a command, e.g. dbm plan --help',
+    'help.usage.help': 'Show this help',
+    'help.usage.version': 'Show the version',
+    'help.cliMode': 'Command-line options',
+    'help.cliModeNote': 'Values can be written as --name value or --name=value; unknown options and invalid values are rejected',
+    'help.exportOptions': 'Export options',
+    'help.environment': 'Environment variables',
+    'help.env.DB_DIALECT': 'Database type mysql/mariadb/postgres',
+    'help.env.DB_SCHEMA': 'PostgreSQL schema',
+    'help.env.DB_HOST': 'Database host',
+    'help.env.DB_PORT': 'Database port',
+    'help.env.DB_USER': 'Database user',
+    'help.env.DB_PASSWORD': 'Database password',
+    'help.env.DB_PASSWORD_FILE': 'Database password file',
+    'help.env.DB_NAME': 'Database name',
+    'help.env.DB_EXCLUDE_TABLES': 'Business tables to exclude (comma separated, optional - read from the database plus the environment-data preset when not given)',
+    'help.env.DB_INCLUDE_TABLES': 'Tables to always export (comma separated)',
+    'help.env.DB_OUTPUT_FILE': 'Output SQL file path',
+    'help.env.DB_UNDERSCORED': 'Table name conversion true/false',
+    'help.env.DB_EXPORT_ENGINE': 'Export engine external/builtin',
+    'help.env.DB_MERGE_STRATEGY': 'Merge strategy truncate/upsert/insert-ignore/replace',
+    'help.examples': 'Examples',
+    'help.example.default': 'Use ./config.json or interactive setup',
+    'help.example.config': 'Use a custom config file',
+    'help.example.apply': 'Export and write straight into the target database',
+    'help.example.split': 'Split the output per table and compress it',
+    'help.example.plan': 'Preview the export plan and write it to a JSON file',
+    'help.example.verify': 'Check that an export file is complete',
+    'help.example.profile': 'Use the staging profile from config.json',
+    'help.example.fromTo': 'Export from prod with staging as the target',
+    'help.example.lang': 'Print messages in English',
+    'help.example.env': 'Use environment variables',
+    'help.configFormat': 'Config file format',
+    'help.profilesFormat': 'Named profiles (extends inherits shared settings; the top-level export applies to every profile)',
+    'help.example.json': 'Print the result as JSON in CI',
+
+    // 语言设置（lib/i18n）
+    'i18n.unsupported': 'Unsupported language: {locale} (choices: {choices})',
+
+    // 导出进度（lib/progress）
+    'progress.rows': '{rows} rows',
+    'progress.rowsOf': '{rows} / ~{total} rows',
+    'progress.elapsed': 'elapsed {time}',
+    'progress.remaining': 'about {time} left',
+    'progress.statsFailed': 'Could not read table row statistics, remaining time will not be shown: {message}',
+
+    // 并行导出（lib/parallel）
+    'parallel.snapshotFailed': 'Could not start a shared snapshot for the parallel export: {message} (MySQL requires the RELOAD privilege; alternatively set concurrency to 1)',
+
+    // 断点续传（lib/checkpoint）
+    'checkpoint.found': 'Resuming export: {file} ({count} / {total} tables completed)',
+    'checkpoint.notFound': 'No interrupted export found, starting a full export',
+    'checkpoint.skipping': 'Resuming: skipping {count} completed tables, {remaining} tables remaining',
+    'checkpoint.kept': '{count} / {total} tables completed; the incomplete output and its checkpoint were kept ({file}). Run dbm export --resume to continue',
+    'checkpoint.diffUnsupported': 'Diff mode does not support resuming (--resume)',
+    'checkpoint.invalid': 'Invalid checkpoint file: {file} ({message})',
+    'checkpoint.unsupportedVersion': 'unsupported version {version}',
+    'checkpoint.mismatch': 'Cannot resume the export: {reason}. Delete {file} and run a full export',
+    'checkpoint.mismatch.source': 'the checkpoint belongs to another database ({database})',
+    'checkpoint.mismatch.format': 'the output format (gzip / split) differs from the checkpoint',
+    'checkpoint.mismatch.tables': 'the tables to export differ from the ones in the checkpoint',
+    'checkpoint.mismatch.settings': 'the engine, where filters, merge strategies or column matching differ from the checkpoint',
+    'checkpoint.outputTruncated': 'Cannot resume the export: {file} has only {size} bytes, fewer than the {bytes} bytes recorded in the checkpoint. Run a full export'
+};
@@ -0,0 +1,549 @@
+/**
+ * 简体中文文本（默认语言）
+ * key 的前缀表示使用的位置，{name} 为占位符，见 lib/i18n
+ */
+
+module.exports = {
+    // 写入 target（lib/apply）
+    'apply.statementFailed': '执行第 {index} 条语句失败: {message}\n   语句: {statement}',
+    'apply.statementFailedInTable': '执行第 {index} 条语句失败 [表 {table}]: {message}\n   语句: {statement}',
+    'apply.transactional': '整个脚本在同一事务中执行，失败时自动回滚',
+    'apply.perTable': 'MySQL 的 TRUNCATE 无法回滚，将逐表写入，失败时报告出错的表',
+    'apply.tableDone': '{table}: {statements} 条语句',
+    'apply.done': '共执行 {statements} 条语句，写入 {tables} 个表',
+    'apply.failedTable': '写入失败的表: {table}',
+    'apply.unknownTable': '(未知)',
+    'apply.rolledBack': '事务已回滚，target 数据库未被修改',
+    'apply.completedTables': '已写入完成的表 ({count} 个): {tables}',
+    'apply.none': '无',
+    'apply.partial': '其余配置表可能已被清空，请修复问题后重新执行',
+
+    // 数据库密码（lib/credentials）
+    'credentials.optionFileReadFailed': '读取 MySQL 选项文件 {file} 失败: {message}',
+    'credentials.promptNotTty': '需要输入 {database} 的数据库密码，但当前不是交互式终端（可使用 passwordFile / passwordEnv）',
+    'credentials.prompt': '请输入数据库密码 ({user}@{address}/{database}):',
+    'credentials.envMissing': '环境变量 {name} 未设置（passwordEnv）',
+    'credentials.fileReadFailed': '读取密码文件 {file} 失败: {message}',
+    'credentials.optionFileMissing': 'MySQL 选项文件不存在: {file}',
+
+    // 数据库方言（lib/dialects）
+    'dialect.unsupported': '不支持的数据库类型: {name}（可选: {choices}）',
+    'dialect.noPrimaryKey': '表 {table} 没有主键，无法使用 {strategy} 合并策略',
+
+    // mysqldump / pg_dump（lib/dump-process）
+    'dump.failed': '{command} 失败: {errors}',
+    'dump.spawnFailed': '执行 {command} 失败: {message}',
+
+    // 导出清单（lib/manifest）
+    'manifest.readFailed': '读取 {file} 失败: {message}',
+    'manifest.invalidJson': '{file} 不是有效的 JSON: {message}',
+
+    // 表名模式（lib/table-patterns）
+    'patterns.invalidRegex': '表名正则表达式无效: {entry} ({message})',
+
+    // TLS 设置（lib/tls）
+    'tls.invalid': 'ssl 必须是 true 或包含 mode / ca / cert / key 的对象',
+    'tls.unknownMode': '未知的 ssl.mode: {mode}（可选: {choices}）',
+    'tls.certWithoutKey': 'ssl.cert 与 ssl.key 需要同时配置',
+    'tls.fileMissing': 'ssl.{name} 文件不存在: {file}',
+    'tls.mariadbVerifyCaWithoutCa': 'MariaDB 的 mysqldump 使用 ssl.mode verify-ca 时需要配置 ssl.ca',
+
+    // 表结构检查（lib/schema-check）
+    'schema.missingTableSkipped': '{table}: target 中不存在该表，将跳过导出',
+    'schema.missingTable': '{table}: target 中不存在该表',
+    'schema.missingColumnSkipped': '{column}: target 中不存在该列，将不导出该列',
+    'schema.missingColumn': '{column}: target 中不存在该列',
+    'schema.requiredColumnFilled': '{column}: target 新增的列为 NOT NULL 且没有默认值，将填充类型默认值',
+    'schema.requiredColumn': '{column}: target 新增的列为 NOT NULL 且没有默认值',
+    'schema.extraColumn': '{column}: target 新增的列将使用默认值',
+    'schema.typeChanged': '{column}: 类型不同 (source: {source}, target: {target})',
+    'schema.skippedDialect': 'source 与 target 的数据库类型不同，跳过结构检查',
+    'schema.checking': '检查 source 与 target 配置表的结构兼容性...',
+    'schema.ok': '{count} 个配置表的结构一致',
+    'schema.summary': '共 {tables} 个表存在差异: {errors} 个不兼容项, {warnings} 个警告',
+    'schema.failed': '表结构检查发现 {count} 个不兼容项，已停止导出（设置 "schemaCheck": "warn" 可仅警告并继续）',
+    'schema.ignored': 'schemaCheck 为 warn，忽略不兼容项继续导出',
+    'columns.computing': '计算 source 与 target 的共有列...',
+    'columns.missingTables': 'target 中不存在 {count} 个配置表，跳过导出: {tables}',
+    'columns.skipped': '忽略列 {columns}',
+    'columns.filled': '填充列 {columns}',
+    'columns.summary': '{adjusted} 个表需要调整列，其余 {unchanged} 个表两端列一致',
+
+    // 命名环境（lib/profiles）
+    'profiles.undefined': '未定义的 profile: {name}（可选: {choices}）',
+    'profiles.cycle': 'profile 继承存在循环: {chain}',
+    'profiles.notDefined': '配置文件中没有定义 profiles，无法使用 --profile / --from / --to',
+    'profiles.conflict': '--profile 不能与 --from / --to 同时使用',
+    'profiles.selectionRequired': '配置文件定义了 profiles，请使用 --profile <名称> 或 --from <名称> 选择 source（可选: {choices}）',
+    'profiles.invalidTarget': 'profile {name} 的 target 必须是 profile 名称',
+    'profiles.sameProfile': 'source 与 target 不能是同一个 profile: {name}',
+
+    // 排除原因（lib/exclusions）
+    'reason.collection': 'collections 业务表 {collection}',
+    'reason.junction': '{fields} 的多对多关联表',
+    'reason.inherits': '继承自排除表 {parent}',
+    'reason.treePath': '树形表 {collection} 的路径表',
+    'reason.attachment': '{fields} 的附件表',
+    'reason.sequence': '{fields} 的序列状态表',
+    'reason.preset': '预设环境数据表',
+    'reason.pattern': '匹配排除表模式 {pattern}',
+    'reason.configured': '配置的排除表',
+    'reason.renamed': '，表名由 {table} 转换（DB_UNDERSCORED）',
+
+    // 导出文件校验（lib/verify）
+    'verify.notFound': '文件不存在: {path}',
+    'verify.statFailed': '读取 {path} 失败: {message}',
+    'verify.noManifest': '未找到 {file}，跳过字节数、sha256 与语句数的校验',
+    'verify.headerReadFailed': '文件头部: 读取失败，文件可能不完整: {message}',
+    'verify.headerMissing': '文件头部: 缺少 dbm 生成的头部注释，不是 dbm 导出的脚本',
+    'verify.dialectMismatch': '数据库类型 {actual} 与 manifest ({expected}) 不一致',
+    'verify.databaseMismatch': '数据库 {actual} 与 manifest ({expected}) 不一致',
+    'verify.separator': '；',
+    'verify.headerMismatch': '文件头部: {problems}',
+    'verify.unknown': '未知',
+    'verify.headerOk': '文件头部: {kind}，{dialect}，数据库 {database}，时间 {time}',
+    'verify.fileMissing': '{name}: 文件不存在',
+    'verify.sizeMismatch': '{name}: 与 manifest 不一致（manifest: {expected} 字节，实际: {actual} 字节，sha256 相同）',
+    'verify.hashMismatch': '{name}: 与 manifest 不一致（manifest: {expected} 字节，实际: {actual} 字节，sha256 不同）',
+    'verify.hashOk': '{name}: {bytes} 字节，sha256 一致',
+    'verify.tableHeaderMissing': '{name}: 缺少 dbm 生成的头部注释',
+    'verify.readFailed': '{name}: 读取失败，文件可能不完整: {message}',
+    'verify.hashFailed': '{name}: 读取失败: {message}',
+    'verify.footerMissing': '{name}: 缺少尾部语句 {footer}，文件可能不完整',
+    'verify.footerOk': '{name}: 尾部完整，共 {statements} 条语句',
+    'verify.statementMismatch': '{table}: {actual} 条语句，manifest 记录 {expected} 条',
+    'verify.unexpectedTable': '{table}: manifest 中没有该表，文件中有 {statements} 条语句',
+    'verify.statementsOk': '{tables} 个表的语句数与 manifest 一致',
+    'verify.start': '校验导出文件: {path}',
+    'verify.passed': '校验通过',
+    'verify.failed': '校验失败: {count} 项检查未通过',
+
+    // 命令行参数与帮助（lib/cli）
+    'cli.usage': '用法',
+    'cli.options': '选项',
+    'cli.group.connection': '数据库连接',
+    'cli.group.profiles': '命名环境',
+    'cli.command.export': '导出配置数据（默认子命令，可省略）',
+    'cli.command.plan': '预览导出计划：列出每个表的分类、行数与大小，不生成 SQL',
+    'cli.command.init': '交互式生成配置文件 config.json',
+    'cli.command.rollback': '使用回滚脚本恢复配置文件中的 target 数据库',
+    'cli.command.verify': '校验导出文件的头部、尾部、每表语句数与 manifest 校验和，不一致时以非零状态退出',
+    'cli.arg.config': '配置文件',
+    'cli.arg.rollbackFile': '回滚文件',
+    'cli.arg.exportPath': '导出文件或目录',
+    'cli.value.language': '语言',
+    'cli.value.type': '类型',
+    'cli.value.schema': 'schema',
+    'cli.value.host': '主机',
+    'cli.value.port': '端口',
+    'cli.value.user': '用户名',
+    'cli.value.password': '密码',
+    'cli.value.file': '文件',
+    'cli.value.variable': '变量名',
+    'cli.value.database': '数据库名',
+    'cli.value.path': '路径',
+    'cli.value.mode': '模式',
+    'cli.value.tables': '表名',
+    'cli.value.value': '值',
+    'cli.value.engine': '引擎',
+    'cli.value.strategy': '策略',
+    'cli.value.name': '名称',
+    'cli.value.count': '数量',
+    'cli.option.help': '显示帮助信息',
+    'cli.option.version': '显示版本信息',
+    'cli.option.lang': '输出语言（默认根据系统语言选择）',
+    'cli.option.dialect': '数据库类型（默认: mysql）',
+    'cli.option.schema': 'PostgreSQL schema（默认: public）',
+    'cli.option.host': '数据库主机（默认: 127.0.0.1）',
+    'cli.option.port': '数据库端口（默认: mysql 3306 / postgres 5432）',
+    'cli.option.user': '数据库用户名（默认: root）',
+    'cli.option.password': '数据库密码（会出现在进程列表中，建议使用以下方式）',
+    'cli.option.password-prompt': '运行时在终端输入密码',
+    'cli.option.password-file': '从文件读取密码',
+    'cli.option.password-env': '从指定的环境变量读取密码',
+    'cli.option.defaults-extra-file': 'MySQL 选项文件（[client] 中的 password），未指定时读取 ~/.my.cnf',
+    'cli.option.database': '数据库名（使用命令行连接时必需）',
+    'cli.option.socket': '通过 Unix socket 连接（MySQL 为 socket 文件，PostgreSQL 为 socket 所在目录），代替 host / port',
+    'cli.option.ssl-mode': 'TLS 模式（指定 --ssl-ca 等时默认 verify-identity）',
+    'cli.option.ssl-ca': 'TLS CA 证书文件',
+    'cli.option.ssl-cert': 'TLS 客户端证书文件',
+    'cli.option.ssl-key': 'TLS 客户端私钥文件',
+    'cli.option.exclude-tables': '排除的业务表（逗号分隔，支持 audit_* 通配符与 /正则/；未提供时自动从数据库读取业务表并包含预设环境数据表）',
+    'cli.option.include-tables': '强制导出的表（逗号分隔，支持通配符与正则，优先于所有排除规则）',
+    'cli.option.output-file': '输出 SQL 文件路径（自动添加时间戳）',
+    'cli.option.db-underscored': '表名转换（默认: auto）',
+    'cli.option.engine': '导出引擎（默认: external，builtin 无需安装 mysqldump / pg_dump）',
+    'cli.option.strategy': '合并策略（默认: truncate）',
+    'cli.option.apply': '导出后直接写入配置文件中的 target 数据库',
+    'cli.option.diff': '差异模式：按主键对比 source 与 target，只导出 INSERT / UPDATE / DELETE 差异',
+    'cli.option.gzip': '使用 gzip 压缩输出（.sql.gz）',
+    'cli.option.split': '按表拆分输出到目录，每个表一个文件，并生成 manifest.json',
+    'cli.option.concurrency': '同时导出的表数，多个连接共享一致性快照（默认: 1）',
+    'cli.option.resume': '从中断的导出继续，跳过检查点中已完成的表',
+    'cli.option.yes': '写入 target 或回滚前不再确认',
+    'cli.option.profile': '使用配置文件 profiles 中的命名环境作为 source（target 为该环境的 target 字段）',
+    'cli.option.from': '作为 source 的命名环境',
+    'cli.option.to': '作为 target 的命名环境',
+    'cli.option.json': '以 JSON 输出结果（stdout 只包含 JSON，日志输出到 stderr）',
+    'cli.error.unknownOption': '未知参数: {option}',
+    'cli.error.unsupportedOption': 'dbm {command} 不支持参数 --{name}',
+    'cli.error.invalidChoice': '--{name} 的值无效: {value}（可选: {choices}）',
+    'cli.error.invalidValue': '--{name} 的值无效: {value}',
+    'cli.error.unknownCommand': '未知的子命令: {command}（可选: {choices}）',
+    'cli.error.duplicate': '参数 --{name} 重复指定',
+    'cli.error.flagWithValue': '--{name} 是开关参数，不接受值',
+    'cli.error.missingValue': '--{name} 需要指定 {value}',
+    'cli.error.hostHint': '（查看帮助请使用 --help）',
+    'cli.error.emptyValue': '--{name} 的值不能为空',
+    'cli.error.missingArgument': '缺少参数: <{name}>',
+    'cli.error.extraArguments': '多余的参数: {args}',
+    'cli.option.ndjson': '以 NDJSON 逐行输出进度事件与最终结果（日志输出到 stderr）',
+    'cli.option.json-file': '将 JSON 结果写入文件',
+    'cli.option.quiet': '只输出警告与错误',
+    'cli.option.verbose': '额外输出执行的查询与 mysqldump / pg_dump 的命令参数',
+    'cli.group.output': '输出',
+    'cli.error.conflict': '--{name} 不能与 --{other} 同时使用',
+
+    // 导出流程（merge-export.js）
+    'export.configReadFailed': '读取配置文件失败: {message}',
+    'export.connectFailed': '连接数据库失败 [{database}]: {message}',
+    'export.tableCount': '共将导出 {count} 个配置表的数据',
+    'export.headerWriteFailed': '写入文件头部失败: {message}',
+    'export.dumpFailed': '导出数据失败: {message}',
+    'export.writeFailed': '写入导出文件失败: {message}',
+    'export.workDirFailed': '创建临时目录失败: {message}',
+    'export.usingBuiltin': '使用内置导出引擎（无需 mysqldump / pg_dump）',
+    'export.tableRows': '{table}: {rows} 行',
+    'export.parallel': '并行导出: {concurrency} 个连接共享一致性快照',
+    'export.tableProgress': '导出 {table} ({index} / {total})',
+    'export.tableProgressWhere': '导出 {table} ({index} / {total})（WHERE {where}）',
+    'export.batch': '导出批次 ({strategy}): {from} - {to} / {total}',
+    'export.tableWhere': '导出 {table}（WHERE {where}）',
+    'export.diffTables': '按主键对比 {count} 个配置表',
+    'export.diffNoPrimaryKey': '{table}: 没有主键，按全量导出',
+    'export.diffChanges': '{table}: 新增 {inserts}，修改 {updates}，删除 {deletes}',
+    'export.applyWithoutTarget': '已启用 apply，但配置文件中缺少 target 数据库配置',
+    'export.dialectMismatch': 'source ({source}) 与 target ({target}) 的数据库类型不一致',
+    'export.schemaMismatch': 'source 与 target 的 schema 不一致，生成的脚本无法写入 target',
+    'export.sameDatabase': 'target 与 source 是同一个数据库，已拒绝写入',
+    'export.backupMissingTables': 'target 中不存在 {count} 个配置表，跳过备份这些表',
+    'export.backupDone': '回滚脚本已生成: {file}',
+    'rollback.notRollbackScript': '{file} 不是 dbm 生成的回滚脚本',
+    'rollback.databaseMismatch': '回滚脚本备份自数据库 {backup}，与 target 数据库 {target} 不一致',
+    'rollback.dialectMismatch': '回滚脚本的数据库类型 ({dialect}) 与 target 不一致',
+    'rollback.file': '回滚脚本: {file}',
+    'rollback.time': '备份时间: {time}',
+    'rollback.unknownTime': '未知',
+    'rollback.target': 'Target 数据库: {database} ({address})',
+    'export.whereInvalid': 'export.where 必须是 { "表名": "条件" } 格式的对象',
+    'export.whereEmpty': 'export.where 中表 {table} 的条件必须是非空字符串',
+    'export.missingSource': '配置中缺少 source 数据库',
+    'export.missingOutputFile': '配置中缺少 export.outputFile',
+    'export.engineSwitch.matchColumns': '列匹配需要内置导出引擎',
+    'export.engineSwitch.where': '{command} 不支持 where 行过滤',
+    'export.engineSwitch.strategy': '{command} 不支持 {strategy} 合并策略',
+    'export.engineSwitch.concurrency': '多个 {command} 进程无法共享一致性快照，不能并行导出',
+    'export.title': 'NocoBase 配置数据全量导出工具',
+    'export.source': 'Source 数据库: {database} ({dialect})',
+    'export.profile': '环境: {source}',
+    'export.profileTarget': '环境: {source} → {target}',
+    'export.schema': 'Schema: {schema}',
+    'export.target': 'Target 数据库: {database} ({address})',
+    'export.targetApply': 'Target 数据库: {database} ({address})，导出后直接写入',
+    'export.outputDir': '输出目录: {path}',
+    'export.outputFile': '输出文件: {path}',
+    'export.format': '输出格式: {format}',
+    'export.format.split': '按表拆分（含 manifest.json）',
+    'export.format.gzip': 'gzip 压缩',
+    'export.listSeparator': '，',
+    'export.engine': '导出引擎: {engine}',
+    'export.engine.builtin': '内置 (builtin)',
+    'export.engineSwitched': '{reason}，已自动切换为 builtin',
+    'export.matchColumns': '列匹配: 只导出 source 与 target 共有的列',
+    'export.diffMode': '导出模式: 差异 (diff)，按主键对比 source 与 target',
+    'export.strategy': '合并策略: {strategy}',
+    'export.strategyWithTables': '合并策略: {strategy}（{count} 条按表配置）',
+    'export.underscoredOn': 'DB_UNDERSCORED: 启用',
+    'export.underscoredOff': 'DB_UNDERSCORED: 禁用',
+    'export.duplicates': '检测到 {count} 个重复表名已自动去重',
+    'export.unsupportedEngine': '不支持的导出引擎: {engine}（可选: {choices}）',
+    'export.unsupportedSchemaCheck': '不支持的 schemaCheck 取值: {value}（可选: {choices}）',
+    'export.diffWithoutTarget': 'diff 模式需要在配置文件中提供 target 数据库',
+    'export.diffWithStrategy': 'diff 模式不能与合并策略 (strategy / strategies) 同时使用',
+    'export.unsupportedStrategy': '不支持的合并策略: {strategy}（可选: {choices}）',
+    'export.invalidConcurrency': 'concurrency 必须是大于等于 1 的整数: {value}',
+    'export.matchColumnsWithoutTarget': 'matchColumns 需要在配置文件中提供 target 数据库',
+    'export.matchColumnsDialect': 'matchColumns 要求 source 与 target 的数据库类型一致',
+    'export.step.connect': '连接 source 数据库，查询多对多关联表...',
+    'export.connected': '连接成功',
+    'export.step.tables': '计算需要导出的配置表...',
+    'export.allTables': '数据库总表数: {count}',
+    'export.excludedTables': '排除业务表数: {count}',
+    'export.configTables': '需要导出数据的配置表数: {count}',
+    'export.tableStrategy': '{table}: 合并策略 {strategy}',
+    'export.tableFilter': '{table}: 只导出 WHERE {where} 的行',
+    'export.whereTableMissing': 'where 中的表 {table} 不存在，已忽略',
+    'export.excludedList': '被排除的表 ({count}):',
+    'export.nothingToExport': '没有需要导出的配置表，任务结束。',
+    'export.step.export': '从 source 数据库导出配置数据...',
+    'export.exported': '配置数据导出并生成覆盖补丁完成',
+    'export.reportWritten': '排除报告已写入: {file}',
+    'export.step.backup': '备份 target 数据库 {database} 的配置表...',
+    'export.step.apply': '写入 target 数据库 {database}...',
+    'export.rollbackHint': '可使用以下命令恢复 target 数据库:',
+    'export.done': '导出完成！',
+    'export.fileCount': '文件数量: {count}',
+    'export.manifest': '校验清单: {file}（dbm verify {path}）',
+    'export.fileSize': '文件大小: {size} MB',
+    'export.applied': '已写入 target 数据库: {database}',
+    'export.undoHint': '如需撤销本次覆盖: dbm rollback {file}',
+    'export.rollbackPlaceholder': '回滚脚本',
+    'export.usage': '使用方法:',
+    'export.readingConfig': '读取配置文件: {file}',
+    'export.failed': '导出过程中发生错误:',
+    'export.unexpected': '程序异常:',
+
+    // 排除表与关联业务表的查询
+    'tables.junctionQuery': '查询多对多关联表...',
+    'tables.junctionNoFields': 'fields 表不存在，跳过多对多关联表查询',
+    'tables.junctionNoExcludes': '排除表列表为空，跳过多对多关联表查询',
+    'tables.junctionFields': '找到 {count} 个多对多字段',
+    'tables.convertedTo': '转换为: {table}',
+    'tables.junctionParseFailed': '解析字段 {field} 的 options 失败: {message}',
+    'tables.junctionFound': '共找到 {count} 个唯一的多对多关联表:',
+    'tables.junctionNone': '未找到多对多关联表',
+    'tables.junctionFailed': '查询多对多关联表失败: {message}',
+    'tables.relatedQuery': '查询排除表关联的业务表...',
+    'tables.relatedNoCollections': 'collections 表不存在，跳过继承与树形表查询',
+    'tables.relatedNoFields': 'fields 表不存在，跳过关系字段查询',
+    'tables.relatedNone': '未找到关联的业务表',
+    'tables.relatedFailed': '查询关联业务表失败: {message}',
+    'tables.dynamicStart': '排除表列表中没有精确表名，自动从 collections 表动态获取业务表...',
+    'tables.dynamicDone': '已动态获取 {dynamic} 个业务表 + {preset} 个预设环境数据表 = {total} 个排除表',
+    'tables.presetTables': '预设环境数据表:',
+    'tables.dynamicNone': '未找到业务表，将继续导出所有表（无排除）',
+    'tables.underscored': 'DB_UNDERSCORED 配置: {value}',
+    'tables.renamed': '表名转换:',
+    'tables.renamedNone': '(无需转换)',
+    'tables.patterns': '匹配排除表模式: {patterns}',
+    'tables.patternsNone': '没有匹配的表',
+    'tables.relatedAdded': '已将 {count} 个关联业务表添加到排除列表',
+    'tables.excludedTotal': '排除业务表总数: {before} -> {after}',
+    'tables.forced': 'includeTables 强制导出 {count} 个表:',
+    'tables.forcedTable': '{table} ({entry})，覆盖排除原因: {reason}',
+    'tables.dynamicQuery': '正在从 collections 表动态获取业务表列表...',
+    'tables.dynamicNoCollections': 'collections 表不存在，无法动态获取业务表列表',
+    'tables.dynamicFound': '找到 {count} 个业务表',
+    'tables.dynamicValid': '验证后有效表数量: {count} 个',
+    'tables.dynamicFailed': '动态获取业务表失败: {message}',
+
+    // 导出计划（dbm plan）
+    'plan.excluded': '排除: {reason}',
+    'plan.configWhere': '配置表（只导出 WHERE {where} 的行）',
+    'plan.configForced': '配置表（导出，includeTables {entry} 强制导出）',
+    'plan.config': '配置表（导出）',
+    'plan.title': 'NocoBase 配置数据导出计划（dry run，不生成 SQL）',
+    'plan.source': 'Source 数据库 ({dialect}): {database} @ {address}',
+    'plan.column.table': '表名',
+    'plan.column.rows': '行数',
+    'plan.column.size': '大小',
+    'plan.column.kind': '分类 / 排除原因',
+    'plan.summaryConfig': '将导出配置表: {tables} 个，约 {rows} 行，{size}',
+    'plan.summaryExcluded': '将排除的表: {tables} 个，约 {rows} 行，{size}',
+    'plan.estimateNote': '行数与大小来自数据库统计信息，可能与实际值略有差异',
+    'plan.jsonWritten': '导出计划已写入: {file}',
+
+    // SQL 文件头部
+    'header.exportTitle': 'NocoBase 配置数据导出脚本',
+    'header.rollbackTitle': 'NocoBase 配置回滚脚本',
+    'header.exportTime': '导出时间: {time}',
+    'header.backupTime': '备份时间: {time}',
+    'header.source': 'SOURCE 数据库:',
+    'header.target': 'TARGET 数据库:',
+    'header.backupOf': '备份的数据库:',
+    'header.dialect': '类型:     {dialect}',
+    'header.host': '主机:     {host}',
+    'header.database': '数据库:   {database}',
+    'header.schema': 'Schema:   {schema}',
+    'header.user': '用户:     {user}',
+    'header.excluded': '排除的业务表（不导出）:',
+    'header.excludedNone': '排除的表: 无',
+    'header.forced': 'includeTables 强制导出的表:',
+    'header.forcedTable': '{entry}，覆盖: {reason}',
+    'header.strategy': '合并策略: {strategy}',
+    'header.rowFilters': '行过滤（只删除并重新写入满足条件的行）:',
+    'header.diff': '差异汇总（按主键写入 target 的变更）:',
+    'header.diffFull': '{table}: 全量导出（没有主键）',
+    'header.diffTable': '{table}: 新增 {inserts}，修改 {updates}，删除 {deletes}',
+    'header.diffUnchanged': '未变化的表: {count}',
+    'header.columns': '列匹配（只包含两端共有的列）:',
+    'header.usage': '使用方法:',
+    'header.warning': '警告: 此脚本会先 TRUNCATE 配置表，\n      再写入新的数据。',
+    'header.warningDiff': '警告: 此脚本只包含导出时与 target 的差异，\n      只能写入该 target 数据库。',
+    'header.warningRollback': '警告: 此脚本会 TRUNCATE 配置表，\n      并恢复升级前备份的数据。',
+    'header.backupTables': '配置表: {count}',
+    'header.tableSource': 'Source 数据库: {database}',
+    'header.table': '表: {table}',
+    'header.tableSeeManifest': '导出详情见本目录中的 0000_header 与 manifest.json。',
+
+    // 命令行（bin/dbm.js）
+    'bin.fetchingBusinessTables': '正在连接 Source 数据库获取业务表列表...',
+    'bin.collectionsMissing': 'collections 表不存在，无法获取业务表列表',
+    'bin.businessTablesFound': '找到 {count} 个业务表',
+    'bin.validTables': '验证后有效表数量: {count} 个',
+    'bin.junctionTablesFound': '找到 {count} 个多对多关联表',
+    'bin.businessTablesFailed': '获取业务表失败: {message}',
+    'bin.rollbackMissing': '回滚脚本不存在: {file}',
+    'bin.usingConfig': '使用配置文件: {path}',
+    'bin.rollbackNoTarget': '配置文件中缺少 target 数据库配置（使用 profiles 时可通过 --to <名称> 指定）',
+    'bin.rollbackConfirm': '将清空 target 数据库 {database} 的配置表并恢复为备份数据，是否继续？',
+    'bin.cancelled': '操作已取消',
+    'bin.rollbackDone': '回滚完成',
+    'bin.exportMissing': '导出文件不存在: {path}',
+    'bin.cliConflict': '命令行数据库参数（--{name}）不能与配置文件或 --profile / --from / --to 同时使用',
+    'bin.configMissing': '配置文件不存在: {path}',
+    'bin.databaseRequired': '使用命令行参数连接数据库时必须指定 --database / -d',
+    'bin.usingCli': '使用命令行参数配置...',
+    'bin.passwordVisible': '--password 会出现在进程列表中，建议使用 --password-prompt / --password-file / --password-env',
+    'bin.usingEnv': '使用环境变量配置...',
+    'bin.profilesNeedConfig': '未找到配置文件: {path}，--profile / --from / --to 需要在配置文件中定义 profiles',
+    'bin.interactive': '未找到配置文件，进入交互式配置模式...',
+    'bin.usageHint': '使用 dbm {command}--help 查看可用参数',
+    'bin.sourceMissing': '配置中缺少 source 数据库（使用 profiles 时请通过 --profile 或 --from 指定）',
+    'bin.planFailed': '生成导出计划时发生错误',
+    'bin.applyConfirm': '导出后将清空并覆盖 target 数据库 {database} ({address}) 的配置表，是否继续？',
+    'bin.exportFailed': '导出过程中发生错误',
+    'bin.error': '发生错误:',
+    'bin.jsonWritten': 'JSON 结果已写入: {file}',
+
+    // 交互式生成配置文件（dbm init）
+    'init.overwrite': 'config.json 已存在，是否覆盖？',
+    'init.title': '配置数据库导出工具',
+    'init.databaseSection': '数据库配置（仅导出该库的纯配置数据）',
+    'init.dialect': '数据库类型（对应 NocoBase 的 DB_DIALECT）',
+    'init.host': '数据库主机',
+    'init.port': '数据库端口',
+    'init.user': '数据库用户名',
+    'init.password': '数据库密码',
+    'init.database': '数据库名',
+    'init.databaseRequired': '数据库名不能为空',
+    'init.schema': 'Schema（对应 NocoBase 的 DB_SCHEMA）',
+    'init.passwordSource': '配置文件中如何保存数据库密码',
+    'init.passwordSource.prompt': '不保存，每次运行时输入',
+    'init.passwordSource.env': '从环境变量读取（passwordEnv）',
+    'init.passwordSource.file': '从文件读取（passwordFile）',
+    'init.passwordSource.plain': '明文保存在 config.json（不推荐）',
+    'init.passwordEnv': '环境变量名',
+    'init.passwordFile': '密码文件路径',
+    'init.passwordFileRequired': '密码文件路径不能为空',
+    'init.exportSection': '导出配置',
+    'init.preset': '选择业务表组合（这些表的数据将不被导出）',
+    'init.preset.approval': '组合1: 环境数据（工作流、变量、认证表等业务表）',
+    'init.preset.business': '组合2: 业务数据（从 collections 表获取的所有业务表）',
+    'init.preset.all': '组合3: 全部业务数据（组合1 + 组合2）',
+    'init.preset.custom': '自定义（手动输入）',
+    'init.approvalSelected': '已选择审批数据组合 ({count} 个表)',
+    'init.approvalJunctionFound': '找到 {count} 个审批相关的多对多关联表',
+    'init.total': '总计: {count} 个表',
+    'init.junctionFailed': '获取关联表失败: {message}',
+    'init.noBusinessTables': '未找到业务表，将使用空列表',
+    'init.allPreset': '组合3: 合并审批数据 + 业务数据 + 多对多关联表',
+    'init.approvalTables': '审批数据 ({count} 个表)',
+    'init.businessAdded': '业务数据及其关联表 ({count} 个新表)',
+    'init.businessMissing': '未找到业务表',
+    'init.approvalJunctionAdded': '审批相关的多对多关联表 ({count} 个新表)',
+    'init.approvalJunctionFailed': '获取审批关联表失败: {message}',
+    'init.customTables': '业务表名单（这些表的数据将被排除），用逗号分隔（留空将在执行时自动从数据库动态读取）',
+    'init.underscored': 'NocoBase DB_UNDERSCORED 配置（表名是否使用下划线命名）',
+    'init.underscored.auto': '未设置 / 自动检测（保持原表名）',
+    'init.underscored.true': '启用（true）- 驼峰转下划线，如 userRoles -> user_roles',
+    'init.underscored.false': '禁用（false）- 下划线转驼峰，如 user_roles -> userRoles',
+    'init.engine': '数据导出引擎',
+    'init.engine.external': '外部命令（{command}，需已安装）',
+    'init.engine.builtin': '内置引擎（纯 JavaScript，无需安装任何客户端工具）',
+    'init.outputFile': '输出文件: {file}',
+    'init.underscoredEnabled': '启用（驼峰->下划线）',
+    'init.underscoredDisabled': '禁用（下划线->驼峰）',
+    'init.saved': '配置文件已生成: config.json',
+    'init.summary': '配置摘要:',
+    'init.summaryDatabase': '数据库: {address}',
+    'init.summaryExcludeCount': '排除表数量: {count} 个',
+    'init.summaryExclude': '排除表: {tables}',
+    'init.summaryExcludeMore': '排除表: {tables} ... (共 {count} 个)',
+    'init.summaryOutput': '输出文件: {file} (自动添加时间戳)',
+    'init.nextStep': '运行以下命令开始导出:',
+    'init.done': '配置完成，开始导出...',
+
+    // 帮助信息（dbm --help）
+    'help.description': '用于 NocoBase 应用版本升级时的单库配置数据导出与覆盖补丁生成工具',
+    'help.title': 'DBM - 数据库配置数据导出工具',
+    'help.version': 'dbm 版本 {version}',
+    'help.arg.options': '选项',
+    'help.arg.otherOptions': '其他选项',
+    'help.arg.command': '子命令',
+    'help.usage.export': '导出配置数据（未指定配置文件时使用 ./config.json，不存在时进入交互式配置）',
+    'help.usage.init': '交互式生成配置文件（兼容旧版本的 dbm --init）',
+    'help.usage.commandHelp': '显示子命令的参数，如 dbm plan --help',
+    'help.usage.help': '显示此帮助信息',
+    'help.usage.version': '显示版本信息',
+    'help.cliMode': '命令行参数模式',
+    'help.cliModeNote': '参数值可以写作 --name value 或 --name=value，未知参数与无效的值会直接报错',
+    'help.exportOptions': '导出选项',
+    'help.environment': '环境变量',
+    'help.env.DB_DIALECT': '数据库类型 mysql/mariadb/postgres',
+    'help.env.DB_SCHEMA': 'PostgreSQL schema',
+    'help.env.DB_HOST': '数据库主机',
+    'help.env.DB_PORT': '数据库端口',
+    'help.env.DB_USER': '数据库用户名',
+    'help.env.DB_PASSWORD': '数据库密码',
+    'help.env.DB_PASSWORD_FILE': '数据库密码文件',
+    'help.env.DB_NAME': '数据库名',
+    'help.env.DB_EXCLUDE_TABLES': '排除的业务表（逗号分隔，可选 - 如未提供将自动从数据库动态读取并包含预设环境数据表）',
+    'help.env.DB_INCLUDE_TABLES': '强制导出的表（逗号分隔）',
+    'help.env.DB_OUTPUT_FILE': '输出 SQL 文件路径',
+    'help.env.DB_UNDERSCORED': '表名转换 true/false',
+    'help.env.DB_EXPORT_ENGINE': '导出引擎 external/builtin',
+    'help.env.DB_MERGE_STRATEGY': '合并策略 truncate/upsert/insert-ignore/replace',
+    'help.examples': '示例',
+    'help.example.default': '使用 ./config.json 或交互式配置',
+    'help.example.config': '使用自定义配置文件',
+    'help.example.apply': '导出并直接写入 target 数据库',
+    'help.example.split': '按表拆分并压缩输出',
+    'help.example.plan': '预览导出计划并写入 JSON 文件',
+    'help.example.verify': '校验导出文件是否完整',
+    'help.example.profile': '使用 config.json 中的 staging 环境',
+    'help.example.fromTo': '从 prod 导出并以 staging 为 target',
+    'help.example.lang': '使用英文输出',
+    'help.example.env': '使用环境变量',
+    'help.configFormat': '配置文件格式',
+    'help.profilesFormat': '命名环境（profiles，extends 继承共用设置，顶层 export 为所有环境共用）',
+    'help.example.json': '在 CI 中以 JSON 输出结果',
+
+    // 语言设置（lib/i18n）
+    'i18n.unsupported': '不支持的语言: {locale}（可选: {choices}）',
+
+    // 导出进度（lib/progress）
+    'progress.rows': '{rows} 行',
+    'progress.rowsOf': '{rows} / ~{total} 行',
+    'progress.elapsed': '已用 {time}',
+    'progress.remaining': '剩余约 {time}',
+    'progress.statsFailed': '无法读取表的行数统计，不显示剩余时间: {message}',
+
+    // 并行导出（lib/parallel）
+    'parallel.snapshotFailed': '无法为并行导出开启共享快照: {message}（MySQL 需要 RELOAD 权限，也可以将 concurrency 设为 1）',
+
+    // 断点续传（lib/checkpoint）
+    'checkpoint.found': '继续导出: {file}（已完成 {count} / {total} 个表）',
+    'checkpoint.notFound': '没有找到可以继续的导出，将重新完整导出',
+    'checkpoint.skipping': '继续导出：跳过已完成的 {count} 个表，剩余 {remaining} 个表',
+    'checkpoint.kept': '已完成 {count} / {total} 个表，未完成的输出与检查点已保留（{file}），使用 dbm export --resume 继续',
+    'checkpoint.diffUnsupported': '差异模式（diff）不支持继续导出（--resume）',
+    'checkpoint.invalid': '检查点文件无效: {file}（{message}）',
+    'checkpoint.unsupportedVersion': '不支持的版本 {version}',
+    'checkpoint.mismatch': '无法继续导出: {reason}，请删除 {file} 后重新完整导出',
+    'checkpoint.mismatch.source': '检查点来自其他数据库（{database}）',
+    'checkpoint.mismatch.format': '输出格式（gzip / split）与检查点不同',
+    'checkpoint.mismatch.tables': '需要导出的表与检查点记录的不同',
+    'checkpoint.mismatch.settings': '导出引擎、where 过滤条件、合并策略或列匹配与检查点不同',
+    'checkpoint.outputTruncated': '无法继续导出: {file} 只有 {size} 字节，少于检查点记录的 {bytes} 字节，请重新完整导出'
+};
@@ -0,0 +1,55 @@
+/**
+ * 导出流程的日志输出
+ * 默认输出到控制台；作为库调用时可以传入自定义 logger（实现 info / warn / error / debug 中需要的方法，
+ * 缺少的方法不输出），或传入 silentLogger 关闭全部输出
+ * 日志级别（命令行的 --quiet / --verbose）:
+ *   quiet    只输出警告与错误
+ *   normal   默认输出
+ *   verbose  额外输出 debug 信息：执行的查询与 mysqldump / pg_dump 的命令参数
+ */
+
+const LOG_LEVELS = ['quiet', 'normal', 'verbose'];
+
+const noop = () => {};
+
+// 控制台输出；stderr 为 true 时普通输出也写入 stderr，使 stdout 只包含 JSON 结果（--json / --ndjson）
+function createConsoleLogger({ level = 'normal', stderr = false } = {}) {
+    const write = stderr ? message => console.error(message) : message => console.log(message);
+    return {
+        info: level === 'quiet' ? noop : write,
+        warn: write,
+        error: message => console.error(message),
+        debug: level === 'verbose' ? write : noop
+    };
+}
+
+// 控制台输出，与命令行中看到的内容一致
+const consoleLogger = createConsoleLogger();
+
+const silentLogger = {
+    info: noop,
+    warn: noop,
+    error: noop,
+    debug: noop
+};
+
+// 补全 logger 缺少的方法，未传入时使用控制台输出
+function createLogger(logger) {
+    if (!logger) {
+        return consoleLogger;
+    }
+    return {
+        info: typeof logger.info === 'function' ? logger.info.bind(logger) : noop,
+        warn: typeof logger.warn === 'function' ? logger.warn.bind(logger) : noop,
+        error: typeof logger.error === 'function' ? logger.error.bind(logger) : noop,
+        debug: typeof logger.debug === 'function' ? logger.debug.bind(logger) : noop
+    };
+}
+
+module.exports = {
+    LOG_LEVELS,
+    consoleLogger,
+    silentLogger,
+    createConsoleLogger,
+    createLogger
+};
@@ -0,0 +1,120 @@
+/**
+ * 导出结果的清单（manifest）
+ * 导出完成时记录每个文件的字节数、sha256 以及每个表的语句数，供 dbm verify 校验文件是否完整:
+ *   单文件: <输出文件>.manifest.json
+ *   按表拆分: <输出目录>/manifest.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { readStatements, statementTable } = require('./apply');
+const { ConfigError } = require('./errors');
+const { t } = require('./i18n');
+
+// 按表拆分时目录中的清单文件名
+const MANIFEST_FILE = 'manifest.json';
+
+// 清单文件的路径
+function manifestPath(outputPath, split) {
+    return split ? path.join(outputPath, MANIFEST_FILE) : `${outputPath}.manifest.json`;
+}
+
+// 计算文件的 sha256 与字节数
+async function hashFile(file) {
+    const hash = crypto.createHash('sha256');
+    let bytes = 0;
+    for await (const chunk of fs.createReadStream(file)) {
+        hash.update(chunk);
+        bytes += chunk.length;
+    }
+    return { bytes, sha256: hash.digest('hex') };
+}
+
+// 统计脚本中每个表的语句数，并返回最后一条语句（用于检查尾部是否完整）
+async function countStatements(file, dialect) {
+    const tables = {};
+    let total = 0;
+    let last = null;
+    for await (const sql of readStatements(file, dialect)) {
+        const table = statementTable(sql);
+        if (table) {
+            tables[table] = (tables[table] || 0) + 1;
+        }
+        total++;
+        last = sql;
+    }
+    return { tables, total, last };
+}
+
+// 根据导出输出的文件信息（lib/output 的 close() 返回值）生成并写入清单，返回清单内容
+// extra: 附加信息（导出模式、source / target 等）
+async function writeManifest(outputInfo, dialect, extra = {}) {
+    const manifest = {
+        generatedAt: new Date().toISOString(),
+        ...extra,
+        dialect: dialect.name,
+        gzip: outputInfo.gzip,
+        split: outputInfo.split
+    };
+
+    if (outputInfo.split) {
+        for (const item of outputInfo.tables) {
+            const counts = await countStatements(path.join(outputInfo.path, item.file), dialect);
+            item.statements = counts.tables[item.table] || 0;
+        }
+        manifest.header = outputInfo.header;
+        manifest.tables = outputInfo.tables;
+        manifest.totalRows = outputInfo.tables.reduce((sum, item) => sum + (item.rows || 0), 0);
+    } else {
+        const counts = await countStatements(outputInfo.path, dialect);
+        manifest.file = path.basename(outputInfo.path);
+        manifest.sha256 = outputInfo.sha256;
+        manifest.tables = Object.keys(counts.tables).map(table => ({ table, statements: counts.tables[table] }));
+    }
+    manifest.totalBytes = outputInfo.bytes;
+
+    const file = manifestPath(outputInfo.path, outputInfo.split);
+    await fs.promises.writeFile(file, JSON.stringify(manifest, null, 2) + '\n', 'utf8');
+    return manifest;
+}
+
+// 读取导出结果的清单，单文件没有清单时返回 null；清单无法读取或不是有效的 JSON 时抛出 ConfigError
+async function readManifest(outputPath) {
+    const split = (await fs.promises.stat(outputPath)).isDirectory();
+    const file = manifestPath(outputPath, split);
+    let content;
+    try {
+        content = await fs.promises.readFile(file, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT' && !split) {
+            return null;
+        }
+        throw new ConfigError(t('manifest.readFailed', { file, message: error.message }), { cause: error });
+    }
+    try {
+        return JSON.parse(content);
+    } catch (error) {
+        throw new ConfigError(t('manifest.invalidJson', { file, message: error.message }), { cause: error });
+    }
+}
+
+// 按执行顺序列出导出结果中的 SQL 文件：单文件直接返回，拆分目录按清单顺序返回
+async function listScriptFiles(outputPath) {
+    const stats = await fs.promises.stat(outputPath);
+    if (!stats.isDirectory()) {
+        return [outputPath];
+    }
+    const manifest = await readManifest(outputPath);
+    return [manifest.header, ...manifest.tables].map(item => path.join(outputPath, item.file));
+}
+
+module.exports = {
+    MANIFEST_FILE,
+    manifestPath,
+    hashFile,
+    countStatements,
+    writeManifest,
+    readManifest,
+    listScriptFiles
+};
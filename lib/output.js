@@ -0,0 +1,260 @@
+/**
+ * 导出结果的写入
+ * 默认写入单个 .sql 文件；可选 gzip 压缩，或按表拆分为目录下的多个文件
+ * 写入过程中输出位于 <输出路径>.partial，close() 时才重命名为输出路径，中断或失败时不会留下看起来完整的导出文件
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { PassThrough, finished } = require('stream');
+const { once } = require('events');
+const { ConfigError } = require('./errors');
+const { t } = require('./i18n');
+
+// 写入数据并处理背压
+async function write(stream, chunk) {
+    if (!stream.write(chunk)) {
+        await once(stream, 'drain');
+    }
+}
+
+// 将文件的内容写入流（处理背压）
+async function copyFile(file, stream) {
+    for await (const chunk of fs.createReadStream(file)) {
+        await write(stream, chunk);
+    }
+}
+
+// 写入过程中的输出路径
+function partialPath(outputPath) {
+    return `${outputPath}.partial`;
+}
+
+// 打开一个输出文件，写入的内容可选经过 gzip 压缩，同时统计实际落盘的字节数与 sha256
+// resumeAt: 从已有文件的该字节数处继续写入（之后的内容被截断），并重新计算保留部分的 sha256
+async function openFile(file, gzip, resumeAt = null) {
+    const hash = crypto.createHash('sha256');
+    let bytes = 0;
+    if (resumeAt !== null) {
+        const { size } = await fs.promises.stat(file);
+        if (size < resumeAt) {
+            throw new ConfigError(t('checkpoint.outputTruncated', { file, bytes: resumeAt, size }));
+        }
+        await fs.promises.truncate(file, resumeAt);
+        for await (const chunk of fs.createReadStream(file)) {
+            hash.update(chunk);
+            bytes += chunk.length;
+        }
+    }
+
+    // 打开失败（目录不存在、没有权限等）时抛出错误
+    const fileStream = fs.createWriteStream(file, { flags: resumeAt === null ? 'w' : 'a' });
+    await once(fileStream, 'open');
+
+    // 写入文件失败（如磁盘已满）时销毁写入的流，等待 drain 的写入方会收到该错误，mark() / close() 也会抛出
+    let failure = null;
+    const tap = new PassThrough();
+    const fail = (error) => {
+        if (failure) return;
+        failure = error;
+        tap.destroy(error);
+        if (gzip) stream.destroy(error);
+    };
+    fileStream.on('error', fail);
+    tap.on('error', fail);
+    tap.on('data', (chunk) => {
+        hash.update(chunk);
+        bytes += chunk.length;
+    });
+    tap.pipe(fileStream);
+
+    // gzip 时每个可恢复的位置开始一个新的压缩成员，多个成员连接后仍是有效的 gzip 文件
+    const createMember = () => {
+        const member = zlib.createGzip();
+        member.on('error', fail);
+        member.pipe(tap, { end: false });
+        return member;
+    };
+    let stream = gzip ? createMember() : tap;
+
+    // 结束当前的压缩成员，等待压缩后的内容全部交给 tap
+    const endMember = async () => {
+        const ended = once(stream, 'end');
+        stream.end();
+        await ended;
+    };
+
+    return {
+        get stream() {
+            return stream;
+        },
+        // 标记可以恢复写入的位置：等待已写入的内容全部写入文件，返回此时文件的字节数
+        async mark() {
+            if (gzip && (stream.bytesWritten > 0 || stream.writableLength > 0)) {
+                await endMember();
+                stream = createMember();
+            }
+            while (tap.readableLength > 0 || tap.writableLength > 0) {
+                if (failure) throw failure;
+                await once(fileStream, 'drain');
+            }
+            await new Promise((resolve, reject) => {
+                fileStream.write('', error => (error ? reject(error) : resolve()));
+            });
+            return (resumeAt || 0) + fileStream.bytesWritten;
+        },
+        // 结束写入并等待文件关闭，返回文件的字节数与 sha256
+        async close() {
+            const closed = once(fileStream, 'close');
+            if (gzip) {
+                await endMember();
+            }
+            tap.end();
+            await closed;
+            if (failure) throw failure;
+            return { bytes, sha256: hash.digest('hex') };
+        },
+        // 出错时丢弃未写完的内容并等待文件关闭
+        // 先断开管道并忽略之后的错误：销毁仍在管道中、有缓冲写入的流会触发 ERR_STREAM_DESTROYED，没有监听时进程会崩溃
+        async abort() {
+            const streams = gzip ? [stream, tap, fileStream] : [tap, fileStream];
+            streams.forEach(item => item.on('error', () => {}));
+            if (gzip) stream.unpipe(tap);
+            tap.unpipe(fileStream);
+            const closed = new Promise(resolve => finished(fileStream, () => resolve()));
+            streams.forEach(item => item.destroy());
+            await closed;
+        }
+    };
+}
+
+// 表名中不适合作为文件名的字符替换为下划线
+function fileNameOf(table) {
+    return table.replace(/[^\w.-]/g, '_');
+}
+
+// 创建导出输出
+// options.gzip: 使用 gzip 压缩；options.split: 按表拆分，outputPath 为目录
+// options.header: 文件头部，单文件模式写在文件开头，拆分模式单独写入 0000_header 文件
+// options.footer: 文件尾部，拆分模式下每个文件都以它结尾
+// options.tableHeader(table): 拆分模式下每个表文件的头部（应包含会话设置与该表的清空语句）
+// options.onCheckpoint(table, rows, state): 每个表写完后的回调，state 为可以恢复写入的输出状态（见 lib/checkpoint）；
+// options.resume: 之前中断的导出保存的 state，从该状态继续写入 <输出路径>.partial，不再写入头部
+// 单文件模式下 mysqldump / pg_dump 直接写入 stream，一批表导出完成后依次调用 closeTable 记录可恢复的位置
+// close() 将输出重命名为输出路径，返回写入的文件信息（字节数与 sha256），由 lib/manifest 写入 manifest
+// 失败时等待 abort() 关闭文件，再调用 discard() 删除未完成的输出
+async function createOutput(outputPath, options = {}) {
+    const { gzip = false, split = false, header = '', footer = '', tableHeader, onCheckpoint, resume = null } = options;
+    const workingPath = partialPath(outputPath);
+    const discard = () => fs.promises.rm(workingPath, { recursive: true, force: true });
+
+    if (!split) {
+        const file = await openFile(workingPath, gzip, resume ? resume.bytes : null);
+        if (!resume) {
+            await write(file.stream, header);
+        }
+        return {
+            split: false,
+            path: outputPath,
+            get stream() {
+                return file.stream;
+            },
+            // 所有表写入同一个流
+            async openTable() {
+                return file.stream;
+            },
+            async closeTable(table, rows) {
+                if (onCheckpoint) {
+                    await onCheckpoint(table, rows, { bytes: await file.mark() });
+                }
+            },
+            async close() {
+                await write(file.stream, footer);
+                const { bytes, sha256 } = await file.close();
+                await fs.promises.rename(workingPath, outputPath);
+                return { path: outputPath, split: false, gzip, bytes, sha256, files: 1 };
+            },
+            async abort() {
+                await file.abort();
+            },
+            discard
+        };
+    }
+
+    const extension = gzip ? '.sql.gz' : '.sql';
+    const headerName = `0000_header${extension}`;
+    let headerInfo;
+    if (resume) {
+        headerInfo = resume.header;
+    } else {
+        await discard();
+        await fs.promises.mkdir(workingPath, { recursive: true });
+        const headerFile = await openFile(path.join(workingPath, headerName), gzip);
+        await write(headerFile.stream, header + footer);
+        headerInfo = await headerFile.close();
+    }
+
+    const tables = resume ? [...resume.tables] : [];
+    let current = null;
+
+    return {
+        split: true,
+        path: outputPath,
+        // 每个表写入单独的文件，文件名带序号以保持导出顺序
+        async openTable(table) {
+            const name = `${String(tables.length + 1).padStart(4, '0')}_${fileNameOf(table)}${extension}`;
+            current = { table, name, file: await openFile(path.join(workingPath, name), gzip) };
+            await write(current.file.stream, tableHeader ? tableHeader(table) : header);
+            return current.file.stream;
+        },
+        async closeTable(table, rows) {
+            await write(current.file.stream, '\n' + footer);
+            const { bytes, sha256 } = await current.file.close();
+            tables.push({ table, file: current.name, rows, bytes, sha256 });
+            current = null;
+            if (onCheckpoint) {
+                await onCheckpoint(table, rows, { header: headerInfo, tables: [...tables] });
+            }
+        },
+        async close() {
+            await fs.promises.rename(workingPath, outputPath);
+            return {
+                path: outputPath,
+                split: true,
+                gzip,
+                header: { file: headerName, bytes: headerInfo.bytes, sha256: headerInfo.sha256 },
+                tables,
+                bytes: tables.reduce((sum, item) => sum + item.bytes, headerInfo.bytes),
+                files: tables.length + 1
+            };
+        },
+        async abort() {
+            if (current) await current.file.abort();
+            current = null;
+        },
+        discard
+    };
+}
+
+// 打开 SQL 文件的文本读取流，.gz 文件自动解压
+function openScript(file) {
+    const stream = fs.createReadStream(file);
+    if (!/\.gz$/.test(file)) {
+        stream.setEncoding('utf8');
+        return stream;
+    }
+    const gunzip = zlib.createGunzip();
+    stream.on('error', error => gunzip.destroy(error));
+    gunzip.setEncoding('utf8');
+    return stream.pipe(gunzip);
+}
+
+module.exports = {
+    write,
+    copyFile,
+    partialPath,
+    createOutput,
+    openScript
+};
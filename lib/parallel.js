@@ -0,0 +1,108 @@
+/**
+ * 并行导出
+ * 多个连接共享同一个一致性快照，同时导出多个表；每个表先写入临时文件，再按原有顺序依次写入导出输出（lib/output），
+ * 因此导出文件的内容与顺序与串行导出相同
+ * 共享快照由方言实现（beginSharedSnapshot / joinSharedSnapshot / releaseSharedSnapshot）:
+ *   MySQL       协调连接加全局读锁（FLUSH TABLES WITH READ LOCK，需要 RELOAD 权限），各连接开启快照事务后立即释放锁
+ *   PostgreSQL  协调连接通过 pg_export_snapshot() 导出快照，各连接与 pg_dump（--snapshot）导入同一个快照
+ * 临时文件位于导出文件所在目录下的 .dbm-parts-* 目录中，导出结束或失败后删除
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { once } = require('events');
+const { copyFile } = require('./output');
+const { DumpError } = require('./errors');
+const { t } = require('./i18n');
+
+// 并行导出多个表，返回每个表导出的行数 [{ table, rows }]（顺序与 tables 相同）
+// options.concurrency: 同时导出的表数（即工作连接数）
+// options.connect(): 创建到 source 的连接，用于协调连接与工作连接
+// options.dumpTable(table, worker, stream): 导出单个表的数据到 stream，返回行数（未知时为 null）；
+//   worker 为 { connection, snapshot }，connection 已处于共享快照的事务中，snapshot 为方言导出的快照标识（可能为 null）
+// options.onTableDone(table, rows): 每个表导出完成后的回调（按完成顺序，不一定是 tables 的顺序）
+async function dumpTablesParallel(dialect, tables, output, options) {
+    const { concurrency, connect, dumpTable, onTableDone = () => {} } = options;
+    const workDir = await fs.promises.mkdtemp(path.join(path.dirname(output.path), '.dbm-parts-'));
+    const coordinator = await connect();
+    const workers = [];
+    const parts = new Array(tables.length).fill(null);
+    let failed = null;
+
+    // 按 tables 的顺序写入已完成的表，前面的表未完成时等待
+    let nextPart = 0;
+    let writing = Promise.resolve();
+    const writeReadyParts = async () => {
+        while (nextPart < tables.length && parts[nextPart]) {
+            const { table, rows, file } = parts[nextPart];
+            const stream = await output.openTable(table);
+            await copyFile(file, stream);
+            await output.closeTable(table, rows);
+            await fs.promises.unlink(file);
+            nextPart++;
+        }
+    };
+
+    try {
+        // 在持有共享快照（MySQL 为全局读锁）期间开启全部工作连接的事务
+        let snapshot;
+        try {
+            snapshot = await dialect.beginSharedSnapshot(coordinator);
+        } catch (error) {
+            throw new DumpError(t('parallel.snapshotFailed', { message: error.message }), { cause: error });
+        }
+        try {
+            const count = Math.min(concurrency, tables.length);
+            for (let i = 0; i < count; i++) {
+                const connection = await connect();
+                workers.push({ connection, snapshot });
+                await dialect.joinSharedSnapshot(connection, snapshot);
+            }
+        } finally {
+            await dialect.releaseSharedSnapshot(coordinator);
+        }
+
+        let nextTable = 0;
+        const runWorker = async (worker) => {
+            while (!failed && nextTable < tables.length) {
+                const index = nextTable++;
+                const table = tables[index];
+                const file = path.join(workDir, `${String(index + 1).padStart(4, '0')}.sql`);
+                const stream = fs.createWriteStream(file);
+                let rows;
+                try {
+                    rows = await dumpTable(table, worker, stream);
+                } finally {
+                    const closed = once(stream, 'close');
+                    stream.end();
+                    await closed;
+                }
+                parts[index] = { table, rows, file };
+                onTableDone(table, rows);
+                writing = writing.then(writeReadyParts);
+                writing.catch(error => { failed = failed || error; });
+            }
+        };
+
+        // 一个表失败后其他连接不再开始新的表，等待正在导出的表结束后抛出第一个错误
+        await Promise.all(workers.map(worker => runWorker(worker).catch((error) => {
+            failed = failed || error;
+        })));
+        await writing.catch(() => {});
+        if (failed) throw failed;
+    } finally {
+        for (const worker of workers) {
+            await dialect.endSnapshot(worker.connection).catch(() => {});
+            await worker.connection.end();
+        }
+        await dialect.endSnapshot(coordinator).catch(() => {});
+        await coordinator.end();
+        await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+
+    return parts.map(({ table, rows }) => ({ table, rows }));
+}
+
+module.exports = {
+    dumpTablesParallel
+};
@@ -0,0 +1,125 @@
+/**
+ * 配置文件中的命名环境（profiles）
+ * 在一个配置文件中定义多个数据库连接，通过 extends 继承共用的设置，顶层 export 为所有环境共用的导出设置:
+ * {
+ *   "export": { "excludeTables": ["users", "audit_*"], "strategy": "truncate" },
+ *   "profiles": {
+ *     "base":    { "dialect": "mysql", "port": 3306, "user": "root" },
+ *     "prod":    { "extends": "base", "host": "10.0.0.1", "database": "nocobase" },
+ *     "staging": { "extends": "base", "host": "10.0.0.2", "database": "nocobase", "target": "dev",
+ *                  "export": { "outputFile": "./staging_export.sql" } },
+ *     "dev":     { "extends": "base", "host": "127.0.0.1", "database": "nocobase_dev" }
+ *   }
+ * }
+ * --profile staging: 以 staging 为 source，target 为 staging 的 target 字段指定的 profile
+ * --from prod --to staging: 以 prod 为 source、staging 为 target
+ */
+
+const { ConfigError } = require('./errors');
+const { t } = require('./i18n');
+
+// profile 中不属于数据库连接的字段
+const PROFILE_KEYS = ['extends', 'export', 'target'];
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// 合并配置：对象逐键递归合并，数组与其他值由 override 覆盖
+function mergeSettings(base, override) {
+    const result = { ...base };
+    Object.keys(override).forEach(key => {
+        result[key] = isPlainObject(result[key]) && isPlainObject(override[key])
+            ? mergeSettings(result[key], override[key])
+            : override[key];
+    });
+    return result;
+}
+
+// 按 extends 继承链合并 profile，extends 可以是一个名称或名称数组（按顺序合并，后者优先）
+function resolveProfile(profiles, name, chain = []) {
+    if (!isPlainObject(profiles[name])) {
+        throw new ConfigError(t('profiles.undefined', { name, choices: Object.keys(profiles).join(', ') }));
+    }
+    if (chain.includes(name)) {
+        throw new ConfigError(t('profiles.cycle', { chain: [...chain, name].join(' -> ') }));
+    }
+
+    const { extends: parents, ...own } = profiles[name];
+    let resolved = {};
+    [].concat(parents || []).forEach(parent => {
+        resolved = mergeSettings(resolved, resolveProfile(profiles, parent, [...chain, name]));
+    });
+    return mergeSettings(resolved, own);
+}
+
+// 去掉 profile 中的非连接字段，得到数据库连接配置
+function connectionOf(profile) {
+    const connection = { ...profile };
+    PROFILE_KEYS.forEach(key => delete connection[key]);
+    return connection;
+}
+
+// 根据选择的 profile 生成 { source, target, export } 配置；没有 profiles 的配置原样返回
+// selection.profile: 使用该 profile 作为 source；selection.from / selection.to: 分别指定 source 与 target
+function resolveConfig(config, selection = {}) {
+    const { profile, from, to } = selection;
+
+    if (!isPlainObject(config.profiles)) {
+        if (profile || from || to) {
+            throw new ConfigError(t('profiles.notDefined'));
+        }
+        return config;
+    }
+    if (profile && (from || to)) {
+        throw new ConfigError(t('profiles.conflict'));
+    }
+
+    const profiles = config.profiles;
+    const sourceName = profile || from;
+    if (!sourceName) {
+        // 只指定 --to 时只解析 target（如 dbm rollback 只需要 target）
+        if (to) {
+            return {
+                target: connectionOf(resolveProfile(profiles, to)),
+                export: config.export || {},
+                profile: { source: null, target: to }
+            };
+        }
+        // 同时保留了旧格式 source 的配置文件，未选择 profile 时按旧格式使用
+        if (config.source) {
+            return config;
+        }
+        throw new ConfigError(t('profiles.selectionRequired', { choices: Object.keys(profiles).join(', ') }));
+    }
+
+    const sourceProfile = resolveProfile(profiles, sourceName);
+    const targetName = to || sourceProfile.target || null;
+    if (targetName !== null && typeof targetName !== 'string') {
+        throw new ConfigError(t('profiles.invalidTarget', { name: sourceName }));
+    }
+    if (targetName === sourceName) {
+        throw new ConfigError(t('profiles.sameProfile', { name: sourceName }));
+    }
+
+    const exportConfig = mergeSettings(config.export || {}, sourceProfile.export || {});
+    const resolved = {
+        source: connectionOf(sourceProfile),
+        export: {
+            excludeTables: [],
+            outputFile: `./${sourceName}_export.sql`,
+            ...exportConfig
+        },
+        profile: { source: sourceName, target: targetName }
+    };
+    if (targetName) {
+        resolved.target = connectionOf(resolveProfile(profiles, targetName));
+    }
+    return resolved;
+}
+
+module.exports = {
+    mergeSettings,
+    resolveProfile,
+    resolveConfig
+};
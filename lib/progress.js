@@ -0,0 +1,189 @@
+/**
+ * 每个表的导出进度
+ * 导出过程中按时间间隔发送 progress 事件（见 merge-export 的 mergeExports）:
+ *   { type: 'progress', phase, table, rows, bytes, expectedRows, elapsedMs, etaMs }
+ * expectedRows 为导出前读取的表行数统计（MySQL 为 information_schema.tables.table_rows，PostgreSQL 为 pg_class.reltuples），
+ * 是估算值，已写入的行数超过统计值或没有统计值时 etaMs 为 null
+ * 命令行中通过 createProgressDisplay 显示：终端（TTY）中在同一行刷新进度条，其他情况（CI 日志、重定向到文件）定期输出一行
+ */
+
+const { t } = require('./i18n');
+const { truncate } = require('./text');
+
+// 同一个表两次 progress 事件的最小间隔
+const PROGRESS_INTERVAL = 1000;
+// 非 TTY 时两行进度之间的最小间隔
+const LINE_INTERVAL = 10000;
+const BAR_WIDTH = 20;
+
+// 格式化字节数
+function formatBytes(bytes) {
+    if (bytes === null || bytes === undefined) return '-';
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+}
+
+// 格式化时长：mm:ss，超过一小时为 h:mm:ss
+function formatDuration(ms) {
+    const seconds = Math.round(ms / 1000);
+    const pad = value => String(value).padStart(2, '0');
+    const hours = Math.floor(seconds / 3600);
+    const clock = `${pad(Math.floor(seconds / 60) % 60)}:${pad(seconds % 60)}`;
+    return hours > 0 ? `${hours}:${clock}` : clock;
+}
+
+// 根据已用时间与已写入的行数估算剩余时间，无法估算时返回 null
+function estimateRemaining(rows, expectedRows, elapsedMs) {
+    if (!expectedRows || rows <= 0 || rows >= expectedRows) return null;
+    return Math.round(elapsedMs * (expectedRows - rows) / rows);
+}
+
+// 单个表的导出进度，创建时发送一次 progress 事件，之后每次 update 最多每 interval 毫秒发送一次
+// update(rows, bytes) 传入该表累计写入的行数与字节数
+function createTableProgress(table, options = {}) {
+    const { phase = 'export', expectedRows = null, onProgress = () => {}, interval = PROGRESS_INTERVAL } = options;
+    const startedAt = Date.now();
+    let lastEmitAt = startedAt;
+    let rows = 0;
+    let bytes = 0;
+
+    const emit = () => {
+        const elapsedMs = Date.now() - startedAt;
+        onProgress({
+            type: 'progress',
+            phase,
+            table,
+            rows,
+            bytes,
+            expectedRows,
+            elapsedMs,
+            etaMs: estimateRemaining(rows, expectedRows, elapsedMs)
+        });
+    };
+    emit();
+
+    return {
+        update(currentRows, currentBytes) {
+            rows = currentRows;
+            bytes = currentBytes;
+            const now = Date.now();
+            if (now - lastEmitAt >= interval) {
+                lastEmitAt = now;
+                emit();
+            }
+        }
+    };
+}
+
+// 统计 mysqldump / pg_dump 输出中每个表的行数与字节数
+// 按行读取标准输出：dialect.dumpTableMarker(line) 返回表数据开始处注释中的表名，dialect.countInsertRows(line) 返回 INSERT 语句中的行数
+// track(table) 在每个表开始时调用，返回 createTableProgress 创建的进度
+function createDumpMeter(dialect, track) {
+    let pending = '';
+    let current = null;
+
+    const handleLine = (line) => {
+        const table = dialect.dumpTableMarker(line);
+        if (table) {
+            current = { progress: track(table), rows: 0, bytes: 0 };
+            return;
+        }
+        if (!current) return;
+        current.rows += dialect.countInsertRows(line);
+        current.bytes += Buffer.byteLength(line, 'utf8') + 1;
+        current.progress.update(current.rows, current.bytes);
+    };
+
+    return {
+        write(chunk) {
+            const lines = (pending + chunk).split('\n');
+            pending = lines.pop();
+            lines.forEach(handleLine);
+        },
+        end() {
+            if (pending) handleLine(pending);
+            pending = '';
+            current = null;
+        }
+    };
+}
+
+// progress 事件的文字说明：表名、行数（有统计值时带百分比）、字节数、已用时间与剩余时间
+function describeProgress(event) {
+    const rows = event.rows.toLocaleString('en-US');
+    const parts = [event.expectedRows
+        ? t('progress.rowsOf', { rows, total: event.expectedRows.toLocaleString('en-US') })
+        : t('progress.rows', { rows })];
+    parts.push(formatBytes(event.bytes));
+    parts.push(t('progress.elapsed', { time: formatDuration(event.elapsedMs) }));
+    if (event.etaMs !== null) {
+        parts.push(t('progress.remaining', { time: formatDuration(event.etaMs) }));
+    }
+    return `${event.table}: ${parts.join(', ')}`;
+}
+
+// 进度条，没有统计值时只显示文字
+function renderBar(event) {
+    if (!event.expectedRows) {
+        return `   ⏳ ${describeProgress(event)}`;
+    }
+    const ratio = Math.min(event.rows / event.expectedRows, 1);
+    const filled = Math.round(ratio * BAR_WIDTH);
+    const percent = `${Math.floor(ratio * 100)}%`.padStart(4);
+    return `   [${'█'.repeat(filled)}${'░'.repeat(BAR_WIDTH - filled)}] ${percent} ${describeProgress(event)}`;
+}
+
+// 在控制台显示 progress 事件，返回 { logger, onProgress }
+// logger 包装传入的 logger：输出日志前先清除进度条，避免与进度条写在同一行
+// stream: 进度条写入的流，为 TTY 时在同一行刷新进度条，否则对导出超过 LINE_INTERVAL 的表每隔 LINE_INTERVAL 通过 logger.info 输出一行；
+// enabled 为 false 时（--quiet）不显示进度
+function createProgressDisplay({ logger, stream = process.stdout, enabled = true, interactive = Boolean(stream.isTTY) }) {
+    let barVisible = false;
+    let lastLineAt = 0;
+
+    const clear = () => {
+        if (!barVisible) return;
+        stream.write('\r\x1b[K');
+        barVisible = false;
+    };
+    const wrap = method => (message) => {
+        clear();
+        logger[method](message);
+    };
+
+    const onProgress = (event) => {
+        if (!enabled) return;
+        if (event.type !== 'progress') {
+            // 表导出完成、进入下一批次等事件之后会输出日志，先清除进度条
+            clear();
+            return;
+        }
+        if (interactive) {
+            // 超过终端宽度时会折行，无法在同一行刷新
+            const bar = renderBar(event);
+            stream.write(`\r\x1b[K${stream.columns ? truncate(bar, stream.columns - 1) : bar}`);
+            barVisible = true;
+        } else if (event.elapsedMs >= LINE_INTERVAL && Date.now() - lastLineAt >= LINE_INTERVAL) {
+            lastLineAt = Date.now();
+            logger.info(`   ↳ ${describeProgress(event)}`);
+        }
+    };
+
+    return {
+        logger: { info: wrap('info'), warn: wrap('warn'), error: wrap('error'), debug: wrap('debug') },
+        onProgress,
+        clear
+    };
+}
+
+module.exports = {
+    PROGRESS_INTERVAL,
+    formatBytes,
+    formatDuration,
+    estimateRemaining,
+    createTableProgress,
+    createDumpMeter,
+    describeProgress,
+    createProgressDisplay
+};
@@ -0,0 +1,124 @@
+/**
+ * source 与 target 配置表的结构兼容性检查
+ * 导出脚本只包含数据，不包含表结构，两端列定义不一致时导入会在中途失败
+ */
+
+const { t } = require('./i18n');
+
+// 对比单个表的列定义
+function compareTable(table, sourceColumns, targetColumns) {
+    const result = {
+        table,
+        missingTable: false,
+        missingColumns: [],   // source 有、target 没有的列（INSERT 会失败）
+        extraColumns: [],     // target 有、source 没有的列
+        typeChanges: []       // 两端类型不同的列
+    };
+
+    if (!targetColumns) {
+        result.missingTable = true;
+        return result;
+    }
+
+    const targetByName = new Map(targetColumns.map(column => [column.name, column]));
+    const sourceNames = new Set(sourceColumns.map(column => column.name));
+
+    sourceColumns.forEach(column => {
+        // 生成列不会被导出，无需对比
+        if (column.generated) return;
+        const targetColumn = targetByName.get(column.name);
+        if (!targetColumn) {
+            result.missingColumns.push(column.name);
+        } else if (column.type !== targetColumn.type) {
+            result.typeChanges.push({ column: column.name, source: column.type, target: targetColumn.type });
+        }
+    });
+
+    targetColumns.forEach(column => {
+        if (column.generated || sourceNames.has(column.name)) return;
+        // NOT NULL 且没有默认值的新列，导入时无法写入
+        result.extraColumns.push({ name: column.name, required: !column.nullable && !column.hasDefault });
+    });
+
+    return result;
+}
+
+// 对比所有配置表，返回逐表差异以及错误 / 警告列表
+// matchColumns 开启时只导出两端共有的列，缺失的列与表不再视为不兼容
+function compareSchemas(tables, sourceSchema, targetSchema, options = {}) {
+    const { matchColumns = false } = options;
+    const errors = [];
+    const warnings = [];
+    const differences = [];
+
+    tables.forEach(table => {
+        const diff = compareTable(table, sourceSchema[table] || [], targetSchema[table]);
+
+        if (diff.missingTable) {
+            if (matchColumns) {
+                warnings.push(t('schema.missingTableSkipped', { table }));
+            } else {
+                errors.push(t('schema.missingTable', { table }));
+            }
+        }
+        diff.missingColumns.forEach(column => {
+            if (matchColumns) {
+                warnings.push(t('schema.missingColumnSkipped', { column: `${table}.${column}` }));
+            } else {
+                errors.push(t('schema.missingColumn', { column: `${table}.${column}` }));
+            }
+        });
+        diff.extraColumns.forEach(column => {
+            if (column.required && matchColumns) {
+                warnings.push(t('schema.requiredColumnFilled', { column: `${table}.${column.name}` }));
+            } else if (column.required) {
+                errors.push(t('schema.requiredColumn', { column: `${table}.${column.name}` }));
+            } else {
+                warnings.push(t('schema.extraColumn', { column: `${table}.${column.name}` }));
+            }
+        });
+        diff.typeChanges.forEach(change => {
+            warnings.push(t('schema.typeChanged', { column: `${table}.${change.column}`, source: change.source, target: change.target }));
+        });
+
+        if (diff.missingTable || diff.missingColumns.length || diff.extraColumns.length || diff.typeChanges.length) {
+            differences.push(diff);
+        }
+    });
+
+    return { differences, errors, warnings };
+}
+
+// 生成列匹配方案：每个表只导出两端共有的列，target 新增的 NOT NULL 且无默认值的列填充类型默认值
+// 返回 { 表名: { columns: [共有列], skipped: [target 缺少的列], fills: [{ name, value }] } }，
+// target 中不存在的表不会出现在结果中
+function buildColumnPlans(tables, sourceSchema, targetSchema, dialect) {
+    const plans = {};
+
+    tables.forEach(table => {
+        const targetColumns = targetSchema[table];
+        if (!targetColumns) return;
+
+        const diff = compareTable(table, sourceSchema[table] || [], targetColumns);
+        const missing = new Set(diff.missingColumns);
+        const required = new Set(diff.extraColumns.filter(column => column.required).map(column => column.name));
+
+        plans[table] = {
+            columns: (sourceSchema[table] || [])
+                .filter(column => !column.generated && !missing.has(column.name))
+                .map(column => column.name),
+            skipped: diff.missingColumns,
+            fills: targetColumns
+                .filter(column => required.has(column.name))
+                .map(column => ({ name: column.name, value: dialect.zeroValue(column.type) }))
+        };
+    });
+
+    return plans;
+}
+
+module.exports = {
+    compareTable,
+    compareSchemas,
+    buildColumnPlans
+};
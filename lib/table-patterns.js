@@ -0,0 +1,54 @@
+/**
+ * excludeTables / includeTables 中的表名模式
+ * 支持三种写法:
+ *   users          精确表名
+ *   audit_*        通配符，* 匹配任意字符，? 匹配单个字符
+ *   /^t_\d+$/i     正则表达式，以 / 包裹，可带 flags
+ */
+
+const { ConfigError } = require('./errors');
+const { t } = require('./i18n');
+
+// 是否为模式（通配符或正则），精确表名返回 false
+function isPattern(entry) {
+    return /^\/.+\/[a-z]*$/.test(entry) || /[*?]/.test(entry);
+}
+
+// 将模式编译为正则表达式，格式错误时抛出异常
+function compilePattern(entry) {
+    const regexMatch = entry.match(/^\/(.+)\/([a-z]*)$/);
+    if (regexMatch) {
+        try {
+            // 去掉 g / y，避免 test() 在多次调用之间保留 lastIndex
+            return new RegExp(regexMatch[1], regexMatch[2].replace(/[gy]/g, ''));
+        } catch (error) {
+            throw new ConfigError(t('patterns.invalidRegex', { entry, message: error.message }));
+        }
+    }
+    const source = entry
+        .split('')
+        .map(char => {
+            if (char === '*') return '.*';
+            if (char === '?') return '.';
+            return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        })
+        .join('');
+    return new RegExp(`^${source}$`);
+}
+
+// 创建匹配函数: 返回匹配到该表的第一个条目（精确表名或模式），未匹配时返回 null
+function createMatcher(entries) {
+    const names = new Set(entries.filter(entry => !isPattern(entry)));
+    const patterns = entries.filter(isPattern).map(entry => ({ entry, regex: compilePattern(entry) }));
+    return (table) => {
+        if (names.has(table)) return table;
+        const matched = patterns.find(pattern => pattern.regex.test(table));
+        return matched ? matched.entry : null;
+    };
+}
+
+module.exports = {
+    isPattern,
+    compilePattern,
+    createMatcher
+};
@@ -0,0 +1,24 @@
+/**
+ * 终端文本的显示宽度
+ * 中文等全角字符在终端中占两列，帮助文本、导出计划表格与进度条按显示宽度对齐和截断
+ */
+
+// 终端中的显示宽度，中文等全角字符占两列
+function displayWidth(text) {
+    return [...text].reduce((width, char) => width + (char.codePointAt(0) >= 0x2e80 ? 2 : 1), 0);
+}
+
+// 截断到显示宽度 width 以内
+function truncate(text, width) {
+    let result = '';
+    for (const char of text) {
+        if (displayWidth(result + char) > width) break;
+        result += char;
+    }
+    return result;
+}
+
+module.exports = {
+    displayWidth,
+    truncate
+};
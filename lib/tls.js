@@ -0,0 +1,74 @@
+/**
+ * 数据库连接的 TLS 设置
+ * 连接配置中的 ssl 字段:
+ *   "ssl": true                              使用 TLS 并校验证书与主机名（verify-identity）
+ *   "ssl": { "mode": "verify-ca", "ca": "./ca.pem", "cert": "./client-cert.pem", "key": "./client-key.pem" }
+ * mode:
+ *   required         使用 TLS，不校验证书
+ *   verify-ca        校验服务器证书由 ca 签发，不校验主机名
+ *   verify-identity  校验证书与主机名（默认）
+ *   disabled         不使用 TLS
+ * ca / cert / key 为 PEM 文件路径，同时传给驱动（mysql2 / pg）与导出命令（mysqldump / pg_dump）
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ConfigError } = require('./errors');
+const { t } = require('./i18n');
+
+const SSL_MODES = ['disabled', 'required', 'verify-ca', 'verify-identity'];
+
+// 展开路径开头的 ~ 并转为绝对路径
+function resolveFile(file) {
+    return path.resolve(file.replace(/^~(?=$|[\\/])/, os.homedir()));
+}
+
+// 读取连接配置中的 ssl 字段，未配置时返回 null
+// 返回 { mode, ca, cert, key }，文件为绝对路径
+function normalizeSsl(config) {
+    const ssl = config.ssl;
+    if (ssl === undefined || ssl === null || ssl === false) {
+        return null;
+    }
+    const settings = ssl === true ? {} : ssl;
+    if (typeof settings !== 'object' || Array.isArray(settings)) {
+        throw new ConfigError(t('tls.invalid'));
+    }
+
+    const mode = settings.mode || 'verify-identity';
+    if (!SSL_MODES.includes(mode)) {
+        throw new ConfigError(t('tls.unknownMode', { mode, choices: SSL_MODES.join(', ') }));
+    }
+    if (Boolean(settings.cert) !== Boolean(settings.key)) {
+        throw new ConfigError(t('tls.certWithoutKey'));
+    }
+
+    const normalized = { mode };
+    ['ca', 'cert', 'key'].forEach(name => {
+        if (!settings[name]) return;
+        const file = resolveFile(settings[name]);
+        if (!fs.existsSync(file)) {
+            throw new ConfigError(t('tls.fileMissing', { name, file: settings[name] }));
+        }
+        normalized[name] = file;
+    });
+    return normalized;
+}
+
+// 读取证书文件内容，生成传给 Node.js tls 的 ca / cert / key 选项（mysql2 / pg 使用）
+function readTlsFiles(ssl) {
+    const options = {};
+    ['ca', 'cert', 'key'].forEach(name => {
+        if (ssl[name]) {
+            options[name] = fs.readFileSync(ssl[name], 'utf8');
+        }
+    });
+    return options;
+}
+
+module.exports = {
+    SSL_MODES,
+    normalizeSsl,
+    readTlsFiles
+};
@@ -0,0 +1,164 @@
+/**
+ * 导出文件的完整性校验（dbm verify）
+ * 检查文件头部元数据、尾部语句、每个表的语句数，以及与 manifest 中记录的字节数和 sha256 是否一致，
+ * 用于发现 mysqldump / pg_dump 中途退出、复制不完整等导致的残缺文件
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getDialect } = require('./dialects');
+const { readScriptHeader } = require('./apply');
+const { hashFile, countStatements, readManifest, manifestPath } = require('./manifest');
+const { ConfigError } = require('./errors');
+const { t } = require('./i18n');
+
+// 校验导出结果（单文件或按表拆分的目录）
+// 返回 { ok, header, manifest, checks: [{ ok, warning, message }] }，任一检查未通过时 ok 为 false；
+// 导出文件不存在或 manifest 无法读取时抛出 ConfigError
+async function verifyOutput(outputPath) {
+    const checks = [];
+    const pass = message => checks.push({ ok: true, warning: false, message });
+    const fail = message => checks.push({ ok: false, warning: false, message });
+    const warn = message => checks.push({ ok: true, warning: true, message });
+
+    let stats;
+    try {
+        stats = await fs.promises.stat(outputPath);
+    } catch (error) {
+        const message = error.code === 'ENOENT'
+            ? t('verify.notFound', { path: outputPath })
+            : t('verify.statFailed', { path: outputPath, message: error.message });
+        throw new ConfigError(message, { cause: error });
+    }
+    const split = stats.isDirectory();
+    const manifest = await readManifest(outputPath);
+    if (manifest) {
+        pass(`manifest: ${manifestPath(outputPath, split)}`);
+    } else {
+        warn(t('verify.noManifest', { file: manifestPath(outputPath, split) }));
+    }
+
+    // 需要检查的文件，expected 为 manifest 中的记录
+    const entries = split
+        ? [
+            { file: path.join(outputPath, manifest.header.file), name: manifest.header.file, expected: manifest.header },
+            ...manifest.tables.map(item => ({ file: path.join(outputPath, item.file), name: item.file, table: item.table, expected: item }))
+        ]
+        : [{
+            file: outputPath,
+            name: path.basename(outputPath),
+            expected: manifest ? { bytes: manifest.totalBytes, sha256: manifest.sha256 } : null
+        }];
+
+    // 文件头部元数据
+    let header = null;
+    if (fs.existsSync(entries[0].file)) {
+        header = await readScriptHeader(entries[0].file).catch((error) => {
+            fail(t('verify.headerReadFailed', { message: error.message }));
+            return null;
+        });
+        if (header && !header.kind) {
+            fail(t('verify.headerMissing'));
+        } else if (header) {
+            const problems = [];
+            if (manifest && header.dialect && header.dialect !== manifest.dialect) {
+                problems.push(t('verify.dialectMismatch', { actual: header.dialect, expected: manifest.dialect }));
+            }
+            if (manifest && manifest.source && header.database && header.database !== manifest.source.database) {
+                problems.push(t('verify.databaseMismatch', { actual: header.database, expected: manifest.source.database }));
+            }
+            if (problems.length > 0) {
+                fail(t('verify.headerMismatch', { problems: problems.join(t('verify.separator')) }));
+            } else {
+                pass(t('verify.headerOk', {
+                    kind: header.kind,
+                    dialect: header.dialect || t('verify.unknown'),
+                    database: header.database || t('verify.unknown'),
+                    time: header.time || t('verify.unknown')
+                }));
+            }
+        }
+    }
+
+    const dialect = getDialect({ dialect: (manifest && manifest.dialect) || (header && header.dialect) || 'mysql' });
+    const footer = dialect.scriptFooter().trim();
+
+    for (const entry of entries) {
+        if (!fs.existsSync(entry.file)) {
+            fail(t('verify.fileMissing', { name: entry.name }));
+            continue;
+        }
+
+        if (entry.expected && entry.expected.sha256) {
+            let actual;
+            try {
+                actual = await hashFile(entry.file);
+            } catch (error) {
+                fail(t('verify.hashFailed', { name: entry.name, message: error.message }));
+                continue;
+            }
+            if (actual.sha256 !== entry.expected.sha256 || actual.bytes !== entry.expected.bytes) {
+                fail(t(actual.sha256 === entry.expected.sha256 ? 'verify.sizeMismatch' : 'verify.hashMismatch', {
+                    name: entry.name, expected: entry.expected.bytes, actual: actual.bytes
+                }));
+            } else {
+                pass(t('verify.hashOk', { name: entry.name, bytes: actual.bytes }));
+            }
+        }
+
+        // 拆分目录中的表文件各自带有头部
+        if (entry.table) {
+            const tableHeader = await readScriptHeader(entry.file).catch(() => ({ kind: null }));
+            if (tableHeader.kind !== 'export') {
+                fail(t('verify.tableHeaderMissing', { name: entry.name }));
+            }
+        }
+
+        let counts;
+        try {
+            counts = await countStatements(entry.file, dialect);
+        } catch (error) {
+            fail(t('verify.readFailed', { name: entry.name, message: error.message }));
+            continue;
+        }
+
+        if (counts.last !== footer) {
+            fail(t('verify.footerMissing', { name: entry.name, footer }));
+        } else {
+            pass(t('verify.footerOk', { name: entry.name, statements: counts.total }));
+        }
+
+        if (!manifest) continue;
+
+        // 每个表的语句数：拆分目录逐文件对比该文件的表，单文件对比 manifest 中的全部表
+        if (split) {
+            const actual = counts.tables[entry.table] || 0;
+            if (entry.table && actual !== entry.expected.statements) {
+                fail(t('verify.statementMismatch', { table: entry.table, actual, expected: entry.expected.statements }));
+            }
+        } else {
+            const mismatched = manifest.tables.filter(item => (counts.tables[item.table] || 0) !== item.statements);
+            mismatched.forEach(item => {
+                fail(t('verify.statementMismatch', { table: item.table, actual: counts.tables[item.table] || 0, expected: item.statements }));
+            });
+            const unexpected = Object.keys(counts.tables).filter(table => !manifest.tables.some(item => item.table === table));
+            unexpected.forEach(table => {
+                fail(t('verify.unexpectedTable', { table, statements: counts.tables[table] }));
+            });
+            if (mismatched.length === 0 && unexpected.length === 0) {
+                pass(t('verify.statementsOk', { tables: manifest.tables.length }));
+            }
+        }
+    }
+
+    return {
+        ok: checks.every(check => check.ok),
+        header,
+        manifest,
+        checks
+    };
+}
+
+module.exports = {
+    verifyOutput
+};
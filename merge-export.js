@@ -3,13 +3,30 @@
 /**
  * NocoBase 数据库导出合并工具
  * 用于在应用版本升级时，导出部分数据库结构并从另一个数据库填充数据
- * 支持 MySQL / MariaDB
+ * 支持 MySQL / MariaDB / PostgreSQL
  */
 
-const mysql = require('mysql2/promise');
 const fs = require('fs').promises;
-const { spawn } = require('child_process');
 const path = require('path');
+const { getDialect, describeAddress, mysqlDialect } = require('./lib/dialects');
+const builtinDumper = require('./lib/dumper');
+const { applyScript, readScriptHeader } = require('./lib/apply');
+const { compareSchemas, buildColumnPlans } = require('./lib/schema-check');
+const { describeReason } = require('./lib/exclusions');
+const { isPattern, createMatcher } = require('./lib/table-patterns');
+const { diffTables, writeDiff } = require('./lib/diff');
+const { createOutput } = require('./lib/output');
+const { formatBytes, createTableProgress, createDumpMeter, createProgressDisplay } = require('./lib/progress');
+const { dumpTablesParallel } = require('./lib/parallel');
+const { checkpointPath, findCheckpoint, settingsHash, checkpointMismatch, createCheckpoint } = require('./lib/checkpoint');
+const { writeManifest, listScriptFiles, manifestPath } = require('./lib/manifest');
+const { verifyOutput } = require('./lib/verify');
+const { resolveConfig } = require('./lib/profiles');
+const { consoleLogger, silentLogger, createConsoleLogger, createLogger } = require('./lib/logger');
+const errors = require('./lib/errors');
+const { DbmError, ConfigError, ConnectionError, SchemaCheckError, DumpError, ApplyError } = errors;
+const { t, setLocale, getLocale } = require('./lib/i18n');
+const { displayWidth } = require('./lib/text');
 
 // 驼峰命名转下划线命名
 function camelToSnake(str) {
@@ -43,6 +60,16 @@ function convertTableNames(tableNames, dbUnderscored) {
     return tableNames.map(name => convertTableName(name, dbUnderscored));
 }
 
+// 数据导出引擎：external 调用 mysqldump / pg_dump，builtin 使用内置的 JS 导出引擎
+const EXPORT_ENGINES = ['external', 'builtin'];
+
+// 合并策略：truncate 清空后写入；upsert 按主键 / 唯一键更新已有行；insert-ignore 跳过已存在的行；
+// replace 按主键替换整行。除 truncate 外都会保留 target 独有的配置行
+const MERGE_STRATEGIES = ['truncate', 'upsert', 'insert-ignore', 'replace'];
+
+// 表结构兼容性检查模式：error 发现不兼容时停止，warn 仅警告，off 不检查
+const SCHEMA_CHECK_MODES = ['error', 'warn', 'off'];
+
 // 预设环境数据表（approval定义的环境数据表）
 const PRESET_ENV_TABLES = [
     'workflow_cc_tasks',
@@ -61,187 +88,770 @@ const PRESET_ENV_TABLES = [
 ];
 
 // 读取配置文件
-async function loadConfig(configPath = './config.json') {
+// selection: 选择配置文件中的命名环境 { profile, from, to }（见 lib/profiles）
+// 配置文件无法读取、不是有效的 JSON 或 profile 选择无效时抛出 ConfigError
+async function loadConfig(configPath = './config.json', selection = {}) {
+    let config;
     try {
         const configData = await fs.readFile(configPath, 'utf8');
-        return JSON.parse(configData);
+        config = JSON.parse(configData);
     } catch (error) {
-        console.error(`✗ 读取配置文件失败: ${error.message}`);
-        process.exit(1);
+        throw new ConfigError(t('export.configReadFailed', { message: error.message }), { cause: error });
+    }
+    return resolveConfig(config, selection);
+}
+
+// 连接的描述（不含用户名与密码），用于 connection 事件与导出结果
+function describeConnection(config) {
+    const dialect = getDialect(config);
+    const description = { dialect: dialect.name, address: describeAddress(config), database: config.database };
+    if (dialect.getSchema) {
+        description.schema = dialect.getSchema(config);
     }
+    return description;
 }
 
-// 创建数据库连接
-async function createConnection(config) {
+// debug 级别输出连接上执行的查询，过长的语句（如批量 INSERT）截断显示
+function traceQueries(connection, log) {
+    const MAX_LENGTH = 500;
+    connection.traceQuery = (sql, params) => {
+        let text = String(typeof sql === 'string' ? sql : sql.sql).replace(/\s+/g, ' ').trim();
+        if (text.length > MAX_LENGTH) {
+            text = `${text.slice(0, MAX_LENGTH)}... (${text.length})`;
+        }
+        log.debug(`   ↳ SQL: ${text}${params && params.length > 0 ? ` ${JSON.stringify(params)}` : ''}`);
+    };
+    const query = connection.query.bind(connection);
+    connection.query = (sql, params) => {
+        connection.traceQuery(sql, params);
+        return params === undefined ? query(sql) : query(sql, params);
+    };
+}
+
+// 创建数据库连接，失败时抛出 ConnectionError
+// options.logger: verbose 时输出执行的查询；options.onProgress: 连接成功后发送 { type: 'connection', dialect, address, database }
+async function createConnection(config, options = {}) {
+    const dialect = getDialect(config);
     try {
-        const connection = await mysql.createConnection({
-            host: config.host,
-            port: config.port,
-            user: config.user,
-            password: config.password,
-            database: config.database,
-            charset: 'utf8mb4',  // 强制使用 utf8mb4 字符集
-            supportBigNumbers: true,
-            bigNumberStrings: true  // 将 BIGINT 作为字符串返回，避免精度丢失
-        });
+        const connection = await dialect.connect(config);
+        // 记录连接所属的方言，供后续查询使用
+        connection.dialect = dialect;
+        if (options.logger) {
+            traceQueries(connection, createLogger(options.logger));
+        }
+        if (options.onProgress) {
+            options.onProgress({ type: 'connection', ...describeConnection(config) });
+        }
         return connection;
     } catch (error) {
-        console.error(`✗ 连接数据库失败 [${config.database}]: ${error.message}`);
-        throw error;
+        // 密码、TLS 等配置错误原样抛出
+        if (error instanceof DbmError) throw error;
+        throw new ConnectionError(t('export.connectFailed', { database: config.database, message: error.message }), {
+            database: config.database,
+            cause: error
+        });
     }
 }
 
-// 生成 SQL 文件头部注释
-function generateSQLHeader(sourceConfig, targetConfig, excludeTables) {
+// 获取连接对应的方言（外部直接创建的 mysql2 连接默认按 mysql 处理）
+function dialectOf(connection) {
+    return connection.dialect || mysqlDialect;
+}
+
+// 生成 SQL 文件头部注释（文本使用当前语言，lib/apply 的 readScriptHeader 可识别任意语言的头部）
+function generateSQLHeader(sourceConfig, targetConfig, excludeTables, options = {}) {
+    const dialect = getDialect(sourceConfig);
     const now = new Date();
     const timestamp = now.toISOString().replace('T', ' ').replace(/\..+/, '');
 
     let header = '';
     header += '-- ============================================================\n';
-    header += '-- NocoBase Configuration Data Export Tool\n';
+    header += `-- ${t('header.exportTitle')}\n`;
     header += '-- ============================================================\n';
     header += '--\n';
-    header += `-- Export Time: ${timestamp}\n`;
+    header += `-- ${t('header.exportTime', { time: timestamp })}\n`;
     header += '--\n';
-    header += '-- SOURCE DATABASE:\n';
-    header += `--   Host:     ${sourceConfig.host}:${sourceConfig.port}\n`;
-    header += `--   Database: ${sourceConfig.database}\n`;
-    header += `--   User:     ${sourceConfig.user}\n`;
+    header += `-- ${t('header.source')}\n`;
+    header += `--   ${t('header.dialect', { dialect: dialect.name })}\n`;
+    header += `--   ${t('header.host', { host: describeAddress(sourceConfig) })}\n`;
+    header += `--   ${t('header.database', { database: sourceConfig.database })}\n`;
+    if (dialect.getSchema) {
+        header += `--   ${t('header.schema', { schema: dialect.getSchema(sourceConfig) })}\n`;
+    }
+    header += `--   ${t('header.user', { user: sourceConfig.user })}\n`;
     header += '--\n';
+    if (targetConfig) {
+        header += `-- ${t('header.target')}\n`;
+        header += `--   ${t('header.host', { host: describeAddress(targetConfig) })}\n`;
+        header += `--   ${t('header.database', { database: targetConfig.database })}\n`;
+        header += '--\n';
+    }
     if (excludeTables && excludeTables.length > 0) {
-        header += '-- EXCLUDED BUSINESS TABLES (Not Exported):\n';
+        header += `-- ${t('header.excluded')}\n`;
         excludeTables.forEach(table => {
-            header += `--   - ${table}\n`;
+            const reason = options.exclusionReasons && options.exclusionReasons.get(table);
+            header += reason ? `--   - ${table}  (${describeReason(reason)})\n` : `--   - ${table}\n`;
         });
     } else {
-        header += '-- EXCLUDED TABLES: None\n';
+        header += `-- ${t('header.excludedNone')}\n`;
     }
     header += '--\n';
-    header += '-- USAGE:\n';
-    header += '--   mysql -u username -p target_database_name < this_file.sql\n';
+    if (options.forcedTables && options.forcedTables.size > 0) {
+        header += `-- ${t('header.forced')}\n`;
+        options.forcedTables.forEach((forced, table) => {
+            header += `--   - ${table}  (${t('header.forcedTable', { entry: forced.entry, reason: describeReason(forced.reason) })})\n`;
+        });
+        header += '--\n';
+    }
+    if (options.strategies) {
+        header += `-- ${t('header.strategy', { strategy: options.defaultStrategy })}\n`;
+        Object.keys(options.strategies).forEach(table => {
+            if (options.strategies[table] !== options.defaultStrategy) {
+                header += `--   ${table}: ${options.strategies[table]}\n`;
+            }
+        });
+        header += '--\n';
+    }
+    const filteredTables = Object.keys(options.where || {});
+    if (filteredTables.length > 0) {
+        header += `-- ${t('header.rowFilters')}\n`;
+        filteredTables.forEach(table => {
+            header += `--   ${table}: WHERE ${options.where[table]}\n`;
+        });
+        header += '--\n';
+    }
+    if (options.diffResults) {
+        const changed = options.diffResults.filter(result => result.full ||
+            result.inserts + result.updates + result.deletes > 0);
+        header += `-- ${t('header.diff')}\n`;
+        changed.forEach(result => {
+            if (result.full) {
+                header += `--   ${t('header.diffFull', { table: result.table })}\n`;
+            } else {
+                header += `--   ${t('header.diffTable', {
+                    table: result.table,
+                    inserts: result.inserts,
+                    updates: result.updates,
+                    deletes: result.deletes
+                })}\n`;
+            }
+        });
+        header += `--   ${t('header.diffUnchanged', { count: options.diffResults.length - changed.length })}\n`;
+        header += '--\n';
+    }
+    if (options.columnPlans) {
+        header += `-- ${t('header.columns')}\n`;
+        Object.keys(options.columnPlans).forEach(table => {
+            const plan = options.columnPlans[table];
+            if (plan.skipped.length > 0) {
+                header += `--   ${table}: ${t('columns.skipped', { columns: plan.skipped.join(', ') })}\n`;
+            }
+            if (plan.fills.length > 0) {
+                header += `--   ${table}: ${t('columns.filled', { columns: plan.fills.map(fill => `${fill.name}=${fill.value}`).join(', ') })}\n`;
+            }
+        });
+        header += '--\n';
+    }
+    header += `-- ${t('header.usage')}\n`;
+    header += `--   ${dialect.usage(options.usageFile || 'this_file.sql')}\n`;
     header += '--\n';
-    header += '-- WARNING: This script will TRUNCATE the configuration tables\n';
-    header += '--          before inserting the new data.\n';
+    header += commentLines(t(options.diffResults ? 'header.warningDiff' : 'header.warning'));
     header += '-- ============================================================\n';
     header += '\n';
-    // 添加MySQL兼容的字符集设置，防止乱码
-    header += 'SET NAMES utf8mb4;\n';
-    header += '/*!40101 SET NAMES utf8mb4 */;\n';
-    header += 'SET FOREIGN_KEY_CHECKS=0;\n\n';
+    header += dialect.scriptHeader() + '\n';
+    return header;
+}
+
+// 将多行文本转为 SQL 注释
+function commentLines(text) {
+    return text.split('\n').map(line => `-- ${line}\n`).join('');
+}
+
+// 生成回滚脚本（target 备份）的头部注释
+function generateRollbackHeader(targetConfig, tables) {
+    const dialect = getDialect(targetConfig);
+    const timestamp = new Date().toISOString().replace('T', ' ').replace(/\..+/, '');
+
+    let header = '';
+    header += '-- ============================================================\n';
+    header += `-- ${t('header.rollbackTitle')}\n`;
+    header += '-- ============================================================\n';
+    header += '--\n';
+    header += `-- ${t('header.backupTime', { time: timestamp })}\n`;
+    header += '--\n';
+    header += `-- ${t('header.backupOf')}\n`;
+    header += `--   ${t('header.dialect', { dialect: dialect.name })}\n`;
+    header += `--   ${t('header.host', { host: describeAddress(targetConfig) })}\n`;
+    header += `--   ${t('header.database', { database: targetConfig.database })}\n`;
+    if (dialect.getSchema) {
+        header += `--   ${t('header.schema', { schema: dialect.getSchema(targetConfig) })}\n`;
+    }
+    header += '--\n';
+    header += `-- ${t('header.backupTables', { count: tables.length })}\n`;
+    header += '--\n';
+    header += `-- ${t('header.usage')}\n`;
+    header += '--   dbm rollback this_file.sql\n';
+    header += `--   ${dialect.usage('this_file.sql')}\n`;
+    header += '--\n';
+    header += commentLines(t('header.warningRollback'));
+    header += '-- ============================================================\n';
+    header += '\n';
+    header += dialect.scriptHeader() + '\n';
+    return header;
+}
+
+// 生成清空表的 SQL：tables 为需要清空的表，带 where 过滤的表只删除满足条件的行，其他表 TRUNCATE
+// 返回 { script, headerScript, tableScript(table) }：script 为单文件头部的全部清空语句，
+// headerScript / tableScript 为按表拆分时头部文件与每个表文件中的清空语句
+// PostgreSQL 的 TRUNCATE 会检查外键（session_replication_role 不会跳过），被引用的表只能与引用它的表在同一条语句中清空，
+// 因此合并为一条 TRUNCATE（dialect.truncateTogether），按表拆分时写在头部文件中
+function buildClearStatements(dialect, config, tables, where) {
+    const truncated = tables.filter(table => !where[table]);
+    const deleteStatement = table => (where[table] ? `${dialect.deleteStatement(config, table, where[table])}\n` : '');
+    const truncateStatement = list => (list.length > 0 ? `${dialect.truncateStatement(config, list)}\n` : '');
+    return {
+        script: truncateStatement(truncated) + tables.map(deleteStatement).join(''),
+        headerScript: dialect.truncateTogether ? truncateStatement(truncated) : '',
+        tableScript: (table) => {
+            if (!tables.includes(table)) return '';
+            if (where[table]) return deleteStatement(table);
+            return dialect.truncateTogether ? '' : truncateStatement([table]);
+        }
+    };
+}
+
+// 生成按表拆分时单个表文件的头部：说明注释与会话设置，使每个文件都可以单独导入
+function generateTableFileHeader(sourceConfig, table) {
+    const dialect = getDialect(sourceConfig);
+    let header = '';
+    header += `-- ${t('header.exportTitle')}\n`;
+    header += `-- ${t('header.tableSource', { database: sourceConfig.database })}\n`;
+    header += `-- ${t('header.table', { table })}\n`;
+    header += `-- ${t('header.tableSeeManifest')}\n`;
+    header += '\n';
+    header += dialect.scriptHeader() + '\n';
     return header;
 }
 
 // 核心逻辑重构：只导出单库的配置数据，通过 TRUNCATE 来实现目标覆盖
-async function exportConfigurationData(sourceConfig, configTables, outputFile, header) {
-    return new Promise((resolve, reject) => {
-        console.log(`\n[2/2] 从 source 数据库导出配置数据...`);
-        console.log(`   共将导出 ${configTables.length} 个配置表的数据`);
+// options.gzip / options.split: 输出压缩与按表拆分（见 lib/output）；options.manifest: 写入 manifest 的附加信息
+// options.logger / options.onProgress: 日志与进度回调（见 mergeExports）；options.phase: 进度事件中的阶段，默认 export
+// options.tableStats: 导出前读取的表统计（dialect.tableStats），用于估算每个表的剩余时间
+// options.concurrency: 同时导出的表数，大于 1 时并行导出（见 lib/parallel）
+// options.checkpoint: 检查点文件，每写完一个表保存一次（见 lib/checkpoint）；options.resume: 继续导出时读取的检查点
+// 返回输出信息 { path, bytes, files, manifest, batches, resumedTables }，batches 为每次导出的表与合并策略，
+// resumedTables 为继续导出时沿用的已完成的表
+async function exportConfigurationData(sourceConfig, configTables, outputFile, header, options = {}) {
+    const engine = options.engine || 'external';
+    const log = createLogger(options.logger);
+    const progress = options.onProgress || (() => {});
+    const phase = options.phase || 'export';
+    log.info(`   ${t('export.tableCount', { count: configTables.length })}`);
+
+    // 继续导出时跳过检查点中已完成的表
+    const resume = options.resume || null;
+    const resumedTables = resume ? resume.completed.map(item => item.table) : [];
+    const pendingTables = configTables.filter(table => !resumedTables.includes(table));
+    if (resume) {
+        log.info(`   ${t('checkpoint.skipping', { count: resumedTables.length, remaining: pendingTables.length })}`);
+    }
+    const checkpoint = options.checkpoint ? createCheckpoint(options.checkpoint, {
+        outputPath: outputFile,
+        split: options.split === true,
+        gzip: options.gzip === true,
+        source: { host: sourceConfig.host, port: sourceConfig.port, database: sourceConfig.database },
+        tables: configTables,
+        settings: settingsHash({ engine, where: options.where, strategies: options.strategies, columnPlans: options.columnPlans })
+    }, resume) : null;
+
+    const dialect = getDialect(sourceConfig);
+    const where = options.where || {};
+    const batches = [];
+    const startBatch = (tables, strategy) => {
+        const batch = { engine: engine === 'builtin' ? 'builtin' : dialect.dumpCommand, strategy, tables };
+        batches.push(batch);
+        progress({ type: 'batch', phase, ...batch });
+    };
+    // 每个表的进度（见 lib/progress），带 where 过滤的表没有可用的行数统计
+    const tableStats = options.tableStats || {};
+    const trackTable = table => createTableProgress(table, {
+        phase,
+        expectedRows: !where[table] && tableStats[table] ? tableStats[table].rows : null,
+        onProgress: progress
+    });
+    // mysqldump / pg_dump 从标准输出中统计进度，每次导出结束后调用 meter.end()
+    const meter = createDumpMeter(dialect, trackTable);
+    const dumpOptions = extra => ({ ...extra, logger: log, onData: meter.write });
 
-        const config = sourceConfig;
+    // 生成清空表的 SQL，带 where 过滤的表只删除满足条件的行；非 truncate 策略的表不清空
+    const strategies = options.strategies || {};
+    const strategyOf = table => strategies[table] || 'truncate';
+    const clear = buildClearStatements(dialect, sourceConfig, configTables.filter(table => strategyOf(table) === 'truncate'), where);
 
-        // 生成清空表的 SQL
-        let truncateSQL = '';
-        configTables.forEach(table => {
-            truncateSQL += `TRUNCATE TABLE \`${table}\`;\n`;
+    // 先写入头部和 truncate 语句；按表拆分时每个表文件自带会话设置与该表的清空语句
+    let output;
+    try {
+        output = await createOutput(outputFile, {
+            gzip: options.gzip,
+            split: options.split,
+            header: options.split ? header + clear.headerScript : header + clear.script + '\n',
+            footer: '\n' + dialect.scriptFooter(),
+            tableHeader: table => generateTableFileHeader(sourceConfig, table) + clear.tableScript(table) + '\n',
+            manifest: options.manifest,
+            onCheckpoint: checkpoint ? checkpoint.record : undefined,
+            resume: resume ? resume.output : null
         });
-        truncateSQL += '\n';
-
-        // mysqldump 参数：只导出数据，不带建结构，排除业务表，完整的 insert 语句
-        const args = [
-            '-h', config.host,
-            '-P', config.port.toString(),
-            '-u', config.user,
-            '--single-transaction',
-            '--skip-lock-tables',
-            '--skip-add-locks',
-            '--hex-blob',
-            '--no-create-info',
-            '--complete-insert',
-            '--skip-triggers',
-            '--default-character-set=utf8mb4',
-            config.database
-        ];
-
-        // 仅导出 configTables，为了避免命令行过长，我们通过获取完整的数据库数据，然后忽略掉其他的表
-        // 但对于大量表，更好的方式是只指定要导出的表。
-        // MySQL dump 支持将多个表名跟在数据库名后面: mysqldump db_name t1 t2 t3
-        const CHUNK_SIZE = 50; // 分批导出，避免命令行参数过长
-        const env = { ...process.env };
-        if (config.password) {
-            env.MYSQL_PWD = config.password;
-        }
-
-        // 先写入头部和 truncate 语句
-        const fs = require('fs');
-        try {
-            fs.writeFileSync(outputFile, header + truncateSQL, 'utf8');
-        } catch (err) {
-            return reject(new Error(`写入文件头部失败: ${err.message}`));
-        }
-
-        // 分批导出表的函数
-        const exportBatch = (tables) => {
-            return new Promise((res, rej) => {
-                const batchArgs = [...args, ...tables];
-                const dumpProcess = spawn('mysqldump', batchArgs, { env });
-                
-                dumpProcess.stdout.setEncoding('utf8');
-                dumpProcess.stderr.setEncoding('utf8');
-                
-                let errors = '';
-                
-                // 使用流追加到文件，避免内存溢出
-                const writeStream = fs.createWriteStream(outputFile, { flags: 'a', encoding: 'utf8' });
-                dumpProcess.stdout.pipe(writeStream);
-                
-                dumpProcess.stderr.on('data', (data) => {
-                    errors += data;
-                });
-                
-                dumpProcess.on('close', (code) => {
-                    writeStream.end();
-                    if (code !== 0) {
-                        rej(new Error(`mysqldump 失败: ${errors}`));
-                    } else {
-                        res();
+    } catch (err) {
+        if (err instanceof DbmError) throw err;
+        throw new DumpError(t('export.headerWriteFailed', { message: err.message }), { cause: err });
+    }
+
+    // mysqldump 无法共享快照，使用外部命令时只有支持 --snapshot 的 pg_dump 可以并行
+    const concurrency = engine === 'builtin' || dialect.dumpSharesSnapshot ? options.concurrency || 1 : 1;
+    try {
+        if (concurrency > 1 && pendingTables.length > 1) {
+            // 多个连接共享一致性快照并行导出；mysqldump 无法共享快照，此时已切换为内置引擎（见 mergeExports）
+            log.info(`   ${t('export.parallel', { concurrency })}`);
+            // 单文件时表的顺序与串行导出相同：按合并策略分组，带 where 过滤的表在最后
+            const tables = engine === 'builtin' || output.split ? pendingTables : [
+                ...MERGE_STRATEGIES.flatMap(strategy => pendingTables.filter(table => !where[table] && strategyOf(table) === strategy)),
+                ...pendingTables.filter(table => where[table])
+            ];
+            if (engine === 'builtin') startBatch(pendingTables, null);
+            await dumpTablesParallel(dialect, tables, output, {
+                concurrency,
+                connect: () => createConnection(sourceConfig, options),
+                dumpTable: async (table, worker, stream) => {
+                    if (engine === 'builtin') {
+                        const tableProgress = trackTable(table);
+                        return builtinDumper.dumpTable(worker.connection, dialect, sourceConfig, table, stream, {
+                            plan: options.columnPlans ? options.columnPlans[table] : null,
+                            where: where[table],
+                            strategy: strategies[table],
+                            onProgress: (rows, bytes) => tableProgress.update(rows, bytes)
+                        });
+                    }
+                    startBatch([table], strategyOf(table));
+                    const tableMeter = createDumpMeter(dialect, trackTable);
+                    await dialect.dumpTables(sourceConfig, [table], stream, {
+                        where: where[table], strategy: strategyOf(table), snapshot: worker.snapshot, logger: log, onData: tableMeter.write
+                    });
+                    tableMeter.end();
+                    // 按表拆分时在同一个快照中统计行数写入 manifest
+                    return output.split ? countRows(worker.connection, table, where[table]) : null;
+                },
+                onTableDone: (table, rows) => {
+                    log.info(`   ✓ ${rows === null ? table : t('export.tableRows', { table, rows })}`);
+                    progress({ type: 'table', phase, table, rows });
+                }
+            });
+        } else if (engine === 'builtin') {
+            // 内置引擎在同一个连接的一致性快照中导出全部表
+            log.info(`   ${t('export.usingBuiltin')}`);
+            const connection = await createConnection(sourceConfig, options);
+            startBatch(pendingTables, null);
+            try {
+                await builtinDumper.dumpTables(connection, sourceConfig, pendingTables, output, {
+                    columnPlans: options.columnPlans,
+                    where,
+                    strategies,
+                    onTableStart: table => {
+                        const tableProgress = trackTable(table);
+                        return (rows, bytes) => tableProgress.update(rows, bytes);
+                    },
+                    onTableDone: (table, rows) => {
+                        log.info(`   ✓ ${t('export.tableRows', { table, rows })}`);
+                        progress({ type: 'table', phase, table, rows });
                     }
                 });
-                
-                dumpProcess.on('error', (err) => {
-                    writeStream.end();
-                    rej(new Error(`执行 mysqldump 失败: ${err.message}`));
-                });
+            } finally {
+                await connection.end();
+            }
+        } else if (output.split) {
+            // 按表拆分时逐表导出到各自的文件，mysqldump / pg_dump 不输出行数，通过 COUNT(*) 统计后写入 manifest
+            const connection = await createConnection(sourceConfig, options);
+            try {
+                for (let i = 0; i < pendingTables.length; i++) {
+                    const table = pendingTables[i];
+                    log.info(`   ${t(where[table] ? 'export.tableProgressWhere' : 'export.tableProgress', { table, index: i + 1, total: pendingTables.length, where: where[table] })}`);
+                    const stream = await output.openTable(table);
+                    startBatch([table], strategyOf(table));
+                    await dialect.dumpTables(sourceConfig, [table], stream, dumpOptions({ where: where[table], strategy: strategyOf(table) }));
+                    meter.end();
+                    const rows = await countRows(connection, table, where[table]);
+                    await output.closeTable(table, rows);
+                    progress({ type: 'table', phase, table, rows });
+                }
+            } finally {
+                await connection.end();
+            }
+        } else {
+            // mysqldump / pg_dump 都支持在命令中列出多个表名，分批导出，避免命令行参数过长
+            const CHUNK_SIZE = 50;
+            const fullTables = pendingTables.filter(table => !where[table]);
+
+            // 同一合并策略的表串行分批导出
+            for (const strategy of MERGE_STRATEGIES) {
+                const strategyTables = fullTables.filter(table => strategyOf(table) === strategy);
+                for (let i = 0; i < strategyTables.length; i += CHUNK_SIZE) {
+                    const batch = strategyTables.slice(i, i + CHUNK_SIZE);
+                    log.info(`   ${t('export.batch', { strategy, from: i + 1, to: i + batch.length, total: strategyTables.length })}`);
+                    startBatch(batch, strategy);
+                    await dialect.dumpTables(sourceConfig, batch, output.stream, dumpOptions({ strategy }));
+                    meter.end();
+                    for (const table of batch) {
+                        await output.closeTable(table, null);
+                        progress({ type: 'table', phase, table, rows: null });
+                    }
+                }
+            }
+
+            // 带 where 过滤的表逐个导出
+            for (const table of pendingTables.filter(name => where[name])) {
+                log.info(`   ${t('export.tableWhere', { table, where: where[table] })}`);
+                startBatch([table], strategyOf(table));
+                await dialect.dumpTables(sourceConfig, [table], output.stream, dumpOptions({ where: where[table], strategy: strategyOf(table) }));
+                meter.end();
+                await output.closeTable(table, null);
+                progress({ type: 'table', phase, table, rows: null });
+            }
+        }
+    } catch (err) {
+        // 数据库驱动等抛出的错误包装为 DumpError
+        const error = err instanceof DbmError ? err : new DumpError(t('export.dumpFailed', { message: err.message }), { cause: err });
+        // 先等待已完成的表写入检查点，再关闭输出
+        if (checkpoint) await checkpoint.flush();
+        await output.abort();
+        // 已有完成的表时保留未完成的输出与检查点，可以通过 --resume 继续；否则全部删除
+        if (checkpoint && checkpoint.completed.length > 0) {
+            log.warn(`   ⚠ ${t('checkpoint.kept', { count: checkpoint.completed.length, total: configTables.length, file: checkpoint.file })}`);
+            if (error instanceof DbmError) error.checkpointFile = checkpoint.file;
+        } else {
+            await output.discard();
+            if (checkpoint) await checkpoint.remove();
+        }
+        throw error;
+    }
+
+    // 追加尾部，并写入供 dbm verify 校验的 manifest
+    let outputInfo;
+    try {
+        outputInfo = await output.close();
+        outputInfo.manifest = await writeManifest(outputInfo, dialect, options.manifest);
+    } catch (err) {
+        throw new DumpError(t('export.writeFailed', { message: err.message }), { cause: err });
+    }
+    outputInfo.batches = batches;
+    outputInfo.resumedTables = resumedTables;
+    if (checkpoint) await checkpoint.remove();
+    progress({ type: 'file', phase, path: outputInfo.path, bytes: outputInfo.bytes, files: outputInfo.files });
+    return outputInfo;
+}
+
+// 读取表的行数统计，用于显示导出进度；没有权限等原因读取失败时不影响导出，只是不显示剩余时间
+async function loadTableStats(connection, log) {
+    try {
+        return await dialectOf(connection).tableStats(connection);
+    } catch (error) {
+        log.debug(`   ↳ ${t('progress.statsFailed', { message: error.message })}`);
+        return {};
+    }
+}
+
+// 统计表中（满足 where 条件的）行数
+async function countRows(connection, table, where) {
+    const dialect = dialectOf(connection);
+    let sql = `SELECT COUNT(*) AS row_count FROM ${dialect.quoteIdentifier(table)}`;
+    if (where) {
+        sql += ` WHERE (${where})`;
+    }
+    const [rows] = await connection.query(sql);
+    return Number(rows[0].row_count);
+}
+
+// 按主键对比 source 与 target 的配置表，只导出差异；没有主键的表按全量导出
+// options.where: 各表的行过滤条件；options.columnPlans: 列匹配方案（可选）；
+// options.header(results): 根据对比结果生成 SQL 文件头部；
+// options.gzip / options.split / options.manifest / options.logger / options.onProgress 与 exportConfigurationData 相同
+async function exportConfigurationDiff(sourceConfig, targetConfig, configTables, outputFile, options = {}) {
+    const log = createLogger(options.logger);
+    log.info(`   ${t('export.diffTables', { count: configTables.length })}`);
+
+    // 每个表的差异先写入输出所在目录下的临时目录（.dbm-diff-*），生成头部后再依次写入导出输出，导出结束或失败后删除
+    let workDir;
+    try {
+        workDir = await fs.mkdtemp(path.join(path.dirname(outputFile), '.dbm-diff-'));
+    } catch (err) {
+        throw new DumpError(t('export.workDirFailed', { message: err.message }), { cause: err });
+    }
+    try {
+        return await writeConfigurationDiff(sourceConfig, targetConfig, configTables, outputFile, workDir, options);
+    } catch (error) {
+        // 数据库驱动等抛出的错误包装为 DumpError
+        if (error instanceof DbmError) throw error;
+        throw new DumpError(t('export.dumpFailed', { message: error.message }), { cause: error });
+    } finally {
+        await fs.rm(workDir, { recursive: true, force: true });
+    }
+}
+
+// 对比各表并将差异写入 workDir，再生成头部、写入导出输出与 manifest（见 exportConfigurationDiff）
+async function writeConfigurationDiff(sourceConfig, targetConfig, configTables, outputFile, workDir, options) {
+    const where = options.where || {};
+    const columnPlans = options.columnPlans || null;
+    const dialect = getDialect(sourceConfig);
+    const log = createLogger(options.logger);
+    const progress = options.onProgress || (() => {});
+
+    const batches = [{ engine: 'diff', strategy: null, tables: configTables }];
+    progress({ type: 'batch', phase: 'export', ...batches[0] });
+
+    let results;
+    const sourceConn = await createConnection(sourceConfig, options);
+    try {
+        const targetConn = await createConnection(targetConfig, options);
+        try {
+            results = await diffTables(sourceConn, targetConn, sourceConfig, configTables, {
+                where,
+                columnPlans,
+                workDir,
+                onTableDone: (result) => {
+                    progress({
+                        type: 'table',
+                        phase: 'export',
+                        table: result.table,
+                        rows: result.full ? null : result.inserts + result.updates + result.deletes
+                    });
+                    if (result.full) {
+                        log.warn(`   ⚠ ${t('export.diffNoPrimaryKey', { table: result.table })}`);
+                    } else if (result.inserts + result.updates + result.deletes > 0) {
+                        log.info(`   ✓ ${t('export.diffChanges', { table: result.table, inserts: result.inserts, updates: result.updates, deletes: result.deletes })}`);
+                    }
+                }
             });
-        };
+        } finally {
+            await targetConn.end();
+        }
+    } finally {
+        await sourceConn.end();
+    }
 
-        // 串行执行批次
-        const runBatches = async () => {
+    // 没有主键的表先清空，再在差异语句之后全量写入
+    const fullTables = results.filter(result => result.full).map(result => result.table);
+    const clear = buildClearStatements(dialect, sourceConfig, fullTables, where);
+    const header = options.header(results);
+    const output = await createOutput(outputFile, {
+        gzip: options.gzip,
+        split: options.split,
+        header: options.split ? header + clear.headerScript : header + clear.script + '\n',
+        footer: '\n' + dialect.scriptFooter(),
+        tableHeader: table => generateTableFileHeader(sourceConfig, table) + clear.tableScript(table) + '\n',
+        manifest: options.manifest
+    });
+
+    try {
+        await writeDiff(results, output);
+
+        if (fullTables.length > 0) {
+            const connection = await createConnection(sourceConfig, options);
             try {
-                for (let i = 0; i < configTables.length; i += CHUNK_SIZE) {
-                    const batch = configTables.slice(i, i + CHUNK_SIZE);
-                    console.log(`   导出批次: ${i + 1} - ${i + batch.length} / ${configTables.length}`);
-                    await exportBatch(batch);
-                }
-                
-                // 追加尾部
-                fs.appendFileSync(outputFile, '\nSET FOREIGN_KEY_CHECKS=1;\n', 'utf8');
-                resolve();
-            } catch (err) {
-                reject(err);
+                await builtinDumper.dumpTables(connection, sourceConfig, fullTables, output, { where, columnPlans });
+            } finally {
+                await connection.end();
             }
-        };
+        }
+    } catch (error) {
+        await output.abort();
+        await output.discard();
+        throw error;
+    }
+
+    const outputInfo = await output.close();
+    outputInfo.manifest = await writeManifest(outputInfo, dialect, options.manifest);
+    outputInfo.batches = batches;
+    progress({ type: 'file', phase: 'export', path: outputInfo.path, bytes: outputInfo.bytes, files: outputInfo.files });
+    return outputInfo;
+}
+
+// 校验 target 配置，避免写入错误的数据库
+function validateTarget(sourceConfig, targetConfig) {
+    if (!targetConfig) {
+        throw new ConfigError(t('export.applyWithoutTarget'));
+    }
+    const sourceDialect = getDialect(sourceConfig);
+    const targetDialect = getDialect(targetConfig);
+    if (sourceDialect.name !== targetDialect.name) {
+        throw new ConfigError(t('export.dialectMismatch', { source: sourceDialect.name, target: targetDialect.name }));
+    }
+    // 生成的 PostgreSQL 脚本使用带 schema 前缀的表名
+    if (sourceDialect.getSchema && sourceDialect.getSchema(sourceConfig) !== targetDialect.getSchema(targetConfig)) {
+        throw new ConfigError(t('export.schemaMismatch'));
+    }
+    if (sourceConfig.host === targetConfig.host &&
+        String(sourceConfig.port || sourceDialect.defaultPort) === String(targetConfig.port || targetDialect.defaultPort) &&
+        sourceConfig.database === targetConfig.database) {
+        throw new ConfigError(t('export.sameDatabase'));
+    }
+}
+
+// 读取 source 与 target 的列定义，用于结构兼容性检查和列匹配
+// options.logger / options.onProgress 见 mergeExports
+async function loadSchemas(sourceConn, targetConfig, options = {}) {
+    const targetConn = await createConnection(targetConfig, options);
+    try {
+        const sourceSchema = await dialectOf(sourceConn).listAllColumns(sourceConn);
+        const targetSchema = await dialectOf(targetConn).listAllColumns(targetConn);
+        return { sourceSchema, targetSchema };
+    } finally {
+        await targetConn.end();
+    }
+}
+
+// 文件名中的时间戳：YYYYMMDD_HHMMSS（UTC）
+function fileTimestamp(date = new Date()) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\..+/, '').replace('T', '_');
+}
+
+// 生成回滚文件路径：与导出文件位于同一目录，带时间戳
+function defaultRollbackFile(targetConfig, outputFile) {
+    return path.join(path.dirname(outputFile), `rollback_${targetConfig.database}_${fileTimestamp()}.sql`);
+}
+
+// 在覆盖前备份 target 数据库中相同的配置表，生成可恢复的回滚脚本
+// options.engine: 导出引擎；options.logger / options.onProgress 见 mergeExports
+async function backupTarget(targetConfig, configTables, rollbackFile, options = {}) {
+    const log = createLogger(options.logger);
+    const targetConn = await createConnection(targetConfig, options);
+    let tables;
+    let tableStats;
+    try {
+        // 只备份 target 中实际存在的表
+        const { allTables } = await getConfigTables(targetConn, []);
+        tables = configTables.filter(table => allTables.includes(table));
+        tableStats = await loadTableStats(targetConn, log);
+    } finally {
+        await targetConn.end();
+    }
 
-        runBatches();
+    const missing = configTables.length - tables.length;
+    if (missing > 0) {
+        log.warn(`   ⚠ ${t('export.backupMissingTables', { count: missing })}`);
+    }
+
+    const header = generateRollbackHeader(targetConfig, tables);
+    await exportConfigurationData(targetConfig, tables, rollbackFile, header, {
+        ...options,
+        tableStats,
+        phase: 'backup',
+        manifest: {
+            mode: 'rollback',
+            source: { host: targetConfig.host, port: targetConfig.port, database: targetConfig.database }
+        }
     });
+    log.info(`   ✓ ${t('export.backupDone', { file: rollbackFile })}`);
+    return { rollbackFile, tables };
+}
+
+// 使用回滚脚本恢复 target 数据库，options 与 applyToTarget 相同
+async function rollbackTarget(targetConfig, rollbackFile, options = {}) {
+    const log = createLogger(options.logger);
+    const info = await readScriptHeader(rollbackFile);
+    if (info.kind !== 'rollback') {
+        throw new ConfigError(t('rollback.notRollbackScript', { file: rollbackFile }));
+    }
+    if (info.database && info.database !== targetConfig.database) {
+        throw new ConfigError(t('rollback.databaseMismatch', { backup: info.database, target: targetConfig.database }));
+    }
+    if (info.dialect && info.dialect !== getDialect(targetConfig).name) {
+        throw new ConfigError(t('rollback.dialectMismatch', { dialect: info.dialect }));
+    }
+
+    log.info(t('rollback.file', { file: rollbackFile }));
+    log.info(t('rollback.time', { time: info.time || t('rollback.unknownTime') }));
+    log.info(t('rollback.target', { database: targetConfig.database, address: describeAddress(targetConfig) }));
+    return applyToTarget(targetConfig, rollbackFile, options);
+}
+
+// 校验导出文件（单文件或按表拆分的目录）是否完整，输出每项检查的结果
+// options.logger: 日志输出（见 lib/logger）
+async function verifyExport(outputPath, options = {}) {
+    const log = createLogger(options.logger);
+    log.info(`🔍 ${t('verify.start', { path: outputPath })}`);
+    const result = await verifyOutput(outputPath);
+    result.checks.forEach(check => {
+        const mark = !check.ok ? '✗' : (check.warning ? '⚠' : '✓');
+        log.info(`   ${mark} ${check.message}`);
+    });
+
+    const failed = result.checks.filter(check => !check.ok).length;
+    if (result.ok) {
+        log.info(`\n✓ ${t('verify.passed')}`);
+    } else {
+        log.info(`\n✗ ${t('verify.failed', { count: failed })}`);
+    }
+    return result;
+}
+
+// 将生成的脚本写入 target 数据库，失败时抛出 ApplyError
+// options.logger / options.onProgress 见 mergeExports
+async function applyToTarget(targetConfig, outputFile, options = {}) {
+    const log = createLogger(options.logger);
+    const progress = options.onProgress || (() => {});
+    const targetConn = await createConnection(targetConfig, options);
+    try {
+        if (targetConn.dialect.name === 'postgres') {
+            log.info(`   ${t('apply.transactional')}`);
+        } else {
+            log.info(`   ${t('apply.perTable')}`);
+        }
+        const files = await listScriptFiles(outputFile);
+        const result = await applyScript(targetConn, files, (table, statements) => {
+            log.info(`   ✓ ${t('apply.tableDone', { table, statements })}`);
+            progress({ type: 'table', phase: 'apply', table, statements });
+        });
+        log.info(`   ✓ ${t('apply.done', { statements: result.statements, tables: result.tables.length })}`);
+        return result;
+    } catch (error) {
+        if (error.completedTables) {
+            log.error(`   ✗ ${t('apply.failedTable', { table: error.table || t('apply.unknownTable') })}`);
+            if (targetConn.dialect.name === 'postgres') {
+                log.error(`   ✓ ${t('apply.rolledBack')}`);
+            } else {
+                log.error(`   ${t('apply.completedTables', { count: error.completedTables.length, tables: error.completedTables.join(', ') || t('apply.none') })}`);
+                log.error(`   ⚠ ${t('apply.partial')}`);
+            }
+            throw new ApplyError(error.message, {
+                table: error.table || null,
+                completedTables: error.completedTables,
+                transactional: targetConn.dialect.name === 'postgres',
+                cause: error
+            });
+        }
+        throw error;
+    } finally {
+        await targetConn.end();
+    }
+}
+
+// 检查当前库（schema）中是否存在指定的表
+async function tableExists(connection, tableName) {
+    const dialect = dialectOf(connection);
+    const [rows] = await connection.query(
+        `SELECT COUNT(*) as count FROM information_schema.tables WHERE table_schema = ${dialect.currentSchema} AND table_name = ?`,
+        [tableName]
+    );
+    // PostgreSQL 与开启 bigNumberStrings 的 mysql2 都会以字符串返回 COUNT(*)
+    return Number(rows[0].count) > 0;
 }
 
 // 获取所有基础表并过滤出配置表（完全忽略视图 VIEWs）
 async function getConfigTables(sourceConn, excludeTables) {
+    const dialect = dialectOf(sourceConn);
     // 从 information_schema 过滤掉视图（VIEW），只获取真正的基础表（BASE TABLE）
     const [rows] = await sourceConn.query(
-        `SELECT table_name 
+        `SELECT table_name AS table_name
          FROM information_schema.tables 
-         WHERE table_schema = DATABASE() 
+         WHERE table_schema = ${dialect.currentSchema} 
          AND table_type = 'BASE TABLE'`
     );
     const allTables = rows.map(row => row.table_name);
@@ -252,26 +862,28 @@ async function getConfigTables(sourceConn, excludeTables) {
 }
 
 // 获取排除表的多对多关联表（junction tables）
-async function getM2MJunctionTables(sourceConn, excludeTables, dbUnderscored) {
+async function getM2MJunctionTables(sourceConn, excludeTables, dbUnderscored, log = consoleLogger) {
     try {
-        console.log('\n🔍 查询多对多关联表...');
+        log.info(`\n🔍 ${t('tables.junctionQuery')}`);
 
         const junctionTables = [];
 
         // 检查 fields 表是否存在
-        const [tableCheck] = await sourceConn.query(
-            "SELECT COUNT(*) as count FROM information_schema.tables WHERE table_schema = DATABASE() AND table_name = 'fields'",
-            []
-        );
+        if (!(await tableExists(sourceConn, 'fields'))) {
+            log.warn(`   ⚠ ${t('tables.junctionNoFields')}`);
+            return junctionTables;
+        }
 
-        if (tableCheck[0].count === 0) {
-            console.log('   ⚠ fields 表不存在，跳过多对多关联表查询');
+        // 通配符 / 正则不是表名，不参与查询
+        const tableNames = excludeTables.filter(entry => !isPattern(entry));
+        if (tableNames.length === 0) {
+            log.info(`   ℹ ${t('tables.junctionNoExcludes')}`);
             return junctionTables;
         }
 
         // 查询排除表的多对多字段
         // 注意: collections 表中存储的是原始表名（通常是驼峰命名）
-        const placeholders = excludeTables.map(() => '?').join(',');
+        const placeholders = tableNames.map(() => '?').join(',');
         const query = `
             SELECT
                 f.collection_name,
@@ -283,9 +895,9 @@ async function getM2MJunctionTables(sourceConn, excludeTables, dbUnderscored) {
             AND f.options IS NOT NULL
         `;
 
-        const [fields] = await sourceConn.query(query, excludeTables);
+        const [fields] = await sourceConn.query(query, tableNames);
 
-        console.log(`   ✓ 找到 ${fields.length} 个多对多字段`);
+        log.info(`   ✓ ${t('tables.junctionFields', { count: fields.length })}`);
 
         // 解析 options JSON 获取 through 属性
         for (const field of fields) {
@@ -305,13 +917,13 @@ async function getM2MJunctionTables(sourceConn, excludeTables, dbUnderscored) {
                     junctionTables.push(convertedTableName);
 
                     if (dbUnderscored !== undefined) {
-                        console.log(`   ✓ ${field.collection_name}.${field.field_name} -> ${throughTableName} (转换为: ${convertedTableName})`);
+                        log.info(`   ✓ ${field.collection_name}.${field.field_name} -> ${throughTableName} (${t('tables.convertedTo', { table: convertedTableName })})`);
                     } else {
-                        console.log(`   ✓ ${field.collection_name}.${field.field_name} -> ${convertedTableName}`);
+                        log.info(`   ✓ ${field.collection_name}.${field.field_name} -> ${convertedTableName}`);
                     }
                 }
             } catch (error) {
-                console.log(`   ⚠ 解析字段 ${field.collection_name}.${field.field_name} 的 options 失败: ${error.message}`);
+                log.warn(`   ⚠ ${t('tables.junctionParseFailed', { field: `${field.collection_name}.${field.field_name}`, message: error.message })}`);
             }
         }
 
@@ -319,32 +931,393 @@ async function getM2MJunctionTables(sourceConn, excludeTables, dbUnderscored) {
         const uniqueJunctionTables = [...new Set(junctionTables)];
 
         if (uniqueJunctionTables.length > 0) {
-            console.log(`   ✓ 共找到 ${uniqueJunctionTables.length} 个唯一的多对多关联表:`);
-            uniqueJunctionTables.forEach(table => console.log(`      - ${table}`));
+            log.info(`   ✓ ${t('tables.junctionFound', { count: uniqueJunctionTables.length })}`);
+            uniqueJunctionTables.forEach(table => log.info(`      - ${table}`));
         } else {
-            console.log('   ℹ 未找到多对多关联表');
+            log.info(`   ℹ ${t('tables.junctionNone')}`);
         }
 
         return uniqueJunctionTables;
 
     } catch (error) {
-        console.error(`   ✗ 查询多对多关联表失败: ${error.message}`);
+        log.error(`   ✗ ${t('tables.junctionFailed', { message: error.message })}`);
         return [];
     }
 }
 
+// 解析 collections / fields 的 options 字段（MySQL 中为 JSON 字符串，PostgreSQL 中为已解析的对象）
+function parseOptions(options) {
+    if (!options) return {};
+    if (typeof options !== 'string') return options;
+    try {
+        return JSON.parse(options);
+    } catch (error) {
+        return {};
+    }
+}
+
+// 从排除的 collection 出发查找所有关联的业务表，返回 Map<表名, 排除原因>：
+//   - 继承了排除表的子 collection（collections.options.inherits），继续向下查找
+//   - 树形 collection 的路径表（main_<collection>_path）
+//   - 多对多等 belongsToMany 关系的 through 表（包括附件字段）
+//   - 关系字段指向的文件 collection（template 为 file）与附件表 attachments，继续向下查找
+//   - 序列字段的状态表 sequences
+async function getRelatedBusinessTables(sourceConn, collectionNames, dbUnderscored, log = consoleLogger) {
+    const related = new Map();
+    if (collectionNames.length === 0) {
+        return related;
+    }
+
+    try {
+        log.info(`\n🔍 ${t('tables.relatedQuery')}`);
+
+        const collections = new Map();
+        if (await tableExists(sourceConn, 'collections')) {
+            const [rows] = await sourceConn.query('SELECT name, options FROM collections');
+            rows.forEach(row => collections.set(row.name, parseOptions(row.options)));
+        } else {
+            log.warn(`   ⚠ ${t('tables.relatedNoCollections')}`);
+        }
+        const hasFields = await tableExists(sourceConn, 'fields');
+        if (!hasFields) {
+            log.warn(`   ⚠ ${t('tables.relatedNoFields')}`);
+        }
+
+        const isFileCollection = name => name === 'attachments' ||
+            (collections.has(name) && collections.get(name).template === 'file');
+
+        const visited = new Set(collectionNames);
+        let queue = [...collectionNames];
+
+        // 记录一个关联表；walk 为 true 时继续查找该 collection 关联的表
+        const add = (name, reason, walk) => {
+            if (visited.has(name)) return;
+            const table = convertTableName(name, dbUnderscored);
+            const existing = related.get(table);
+            if (existing) {
+                if (existing.fields && reason.fields) existing.fields.push(...reason.fields);
+                return;
+            }
+            related.set(table, table !== name ? { ...reason, renamedFrom: name } : reason);
+            log.info(`   ✓ ${table}: ${describeReason(related.get(table))}`);
+            if (walk) {
+                visited.add(name);
+                queue.push(name);
+            }
+        };
+
+        while (queue.length > 0) {
+            const batch = queue;
+            queue = [];
+
+            batch.forEach(name => {
+                collections.forEach((options, childName) => {
+                    const inherits = [].concat(options.inherits || []);
+                    if (inherits.includes(name)) {
+                        add(childName, { kind: 'inherits', parent: name }, true);
+                    }
+                });
+                const options = collections.get(name);
+                if (options && (options.tree || options.template === 'tree')) {
+                    add(`main_${name}_path`, { kind: 'treePath', collection: name }, false);
+                }
+            });
+
+            if (!hasFields) continue;
+
+            const placeholders = batch.map(() => '?').join(',');
+            const [fields] = await sourceConn.query(
+                `SELECT collection_name, name, type, interface, options FROM fields WHERE collection_name IN (${placeholders})`,
+                batch
+            );
+
+            fields.forEach(field => {
+                const options = parseOptions(field.options);
+                const fieldName = `${field.collection_name}.${field.name}`;
+                if ((field.type === 'belongsToMany' || field.interface === 'm2m') && options.through) {
+                    add(options.through, { kind: 'junction', fields: [fieldName] }, false);
+                }
+                if (field.interface === 'sequence') {
+                    add('sequences', { kind: 'sequence', fields: [fieldName] }, false);
+                }
+                const target = options.target || (field.interface === 'attachment' ? 'attachments' : null);
+                if (target && isFileCollection(target)) {
+                    add(target, { kind: 'attachment', fields: [fieldName] }, true);
+                }
+            });
+        }
+
+        if (related.size === 0) {
+            log.info(`   ℹ ${t('tables.relatedNone')}`);
+        }
+    } catch (error) {
+        log.error(`   ✗ ${t('tables.relatedFailed', { message: error.message })}`);
+    }
+
+    return related;
+}
+
+// 计算完整的排除表列表：配置的排除表（没有精确表名时从 collections 动态获取业务表并合并预设环境数据表）、
+// DB_UNDERSCORED 表名转换、通配符 / 正则匹配的表、排除表关联的业务表，最后移除 includeTables 中强制导出的表；
+// 返回排除表列表、每个排除表的排除原因（见 lib/exclusions.js）以及被强制导出的表
+async function resolveExcludeTables(sourceConn, source, options, log = consoleLogger) {
+    const { includeTables = [], dbUnderscored } = options;
+    // 模式不参与表名转换与 collections 查询，在获取到实际表名后再匹配
+    const excludePatterns = options.excludeTables.filter(isPattern);
+    const excludeMatcher = createMatcher(excludePatterns);
+    const includeMatcher = createMatcher(includeTables);
+    let excludeTables = options.excludeTables.filter(entry => !isPattern(entry));
+    let reasonList = excludeTables.map(() => ({ kind: 'configured' }));
+
+    // 没有配置精确表名时动态获取业务表；只配置了模式时同样获取，模式匹配到的表在之后追加
+    if (excludeTables.length === 0) {
+        log.info(`\n📋 ${t('tables.dynamicStart')}`);
+        const dynamicTables = await getDynamicBusinessTables(sourceConn, source, dbUnderscored, log);
+
+        // 合并预设的环境数据表（approval定义的环境数据）
+        const allTables = [...new Set([...dynamicTables, ...PRESET_ENV_TABLES])];
+
+        if (allTables.length > 0) {
+            excludeTables = allTables;
+            reasonList = allTables.map(table => (
+                dynamicTables.includes(table) ? { kind: 'collection', collection: table } : { kind: 'preset' }
+            ));
+            const presetCount = PRESET_ENV_TABLES.length;
+            const dynamicCount = dynamicTables.length;
+            const totalCount = excludeTables.length;
+            log.info(`   ✓ ${t('tables.dynamicDone', { dynamic: dynamicCount, preset: presetCount, total: totalCount })}`);
+
+            // 显示预设表信息
+            if (presetCount > 0) {
+                log.info(`   📋 ${t('tables.presetTables')}`);
+                PRESET_ENV_TABLES.forEach(table => log.info(`      - ${table}`));
+            }
+        } else {
+            log.warn(`   ⚠ ${t('tables.dynamicNone')}`);
+        }
+    }
+
+    // 根据 DB_UNDERSCORED 配置转换排除表名（如果动态获取的表名需要转换）
+    if (dbUnderscored !== undefined && excludeTables.length > 0) {
+        log.info(`\n📝 ${t('tables.underscored', { value: dbUnderscored })}`);
+        const originalTables = [...excludeTables];
+        excludeTables = convertTableNames(excludeTables, dbUnderscored);
+
+        // 显示转换信息
+        let hasConversion = false;
+        for (let i = 0; i < originalTables.length; i++) {
+            if (originalTables[i] !== excludeTables[i]) {
+                reasonList[i] = { ...reasonList[i], renamedFrom: originalTables[i] };
+                if (!hasConversion) {
+                    log.info(`   ${t('tables.renamed')}`);
+                    hasConversion = true;
+                }
+                log.info(`   ${originalTables[i]} -> ${excludeTables[i]}`);
+            }
+        }
+        if (!hasConversion) {
+            log.info(`   ${t('tables.renamedNone')}`);
+        }
+    }
+
+    // 展开通配符 / 正则匹配到的表
+    if (excludePatterns.length > 0) {
+        log.info(`\n🔍 ${t('tables.patterns', { patterns: excludePatterns.join(', ') })}`);
+        const { allTables } = await getConfigTables(sourceConn, []);
+        const matchedTables = allTables.filter(table => !excludeTables.includes(table) && excludeMatcher(table));
+        matchedTables.forEach(table => {
+            excludeTables.push(table);
+            reasonList.push({ kind: 'pattern', pattern: excludeMatcher(table) });
+            log.info(`   ✓ ${table} (${excludeMatcher(table)})`);
+        });
+        if (matchedTables.length === 0) {
+            log.info(`   ℹ ${t('tables.patternsNone')}`);
+        }
+    }
+
+    // 获取排除表关联的业务表（多对多关联表、子表、树路径表、附件表、序列状态表）
+    // 注意：需要传入原始表名（未转换的）来查询 collections / fields 表
+    const originalExcludeTables = dbUnderscored !== undefined
+        ? convertTableNames(excludeTables, !dbUnderscored) // 反向转换回原始格式
+        : excludeTables;
+
+    const relatedTables = await getRelatedBusinessTables(sourceConn, originalExcludeTables, dbUnderscored, log);
+
+    // 将关联的业务表合并到 excludeTables 列表
+    const reasons = new Map();
+    excludeTables.forEach((table, i) => {
+        if (!reasons.has(table)) reasons.set(table, reasonList[i]);
+    });
+    const newTables = [...relatedTables.keys()].filter(table => !reasons.has(table));
+    if (newTables.length > 0) {
+        const beforeCount = excludeTables.length;
+        excludeTables = [...excludeTables, ...newTables];
+        newTables.forEach(table => reasons.set(table, relatedTables.get(table)));
+        log.info(`\n   ✓ ${t('tables.relatedAdded', { count: newTables.length })}`);
+        log.info(`   ✓ ${t('tables.excludedTotal', { before: beforeCount, after: excludeTables.length })}`);
+    }
+
+    // includeTables 优先级最高：即使被配置、模式或自动检测排除，也强制导出
+    const forcedTables = new Map();
+    if (includeTables.length > 0) {
+        excludeTables.forEach(table => {
+            const entry = includeMatcher(table);
+            if (entry) forcedTables.set(table, { entry, reason: reasons.get(table) });
+        });
+        if (forcedTables.size > 0) {
+            log.info(`\n📌 ${t('tables.forced', { count: forcedTables.size })}`);
+            forcedTables.forEach((forced, table) => {
+                log.info(`   ✓ ${t('tables.forcedTable', { table, entry: forced.entry, reason: describeReason(forced.reason) })}`);
+                reasons.delete(table);
+            });
+            excludeTables = excludeTables.filter(table => !forcedTables.has(table));
+        }
+    }
+
+    return { excludeTables, reasons, forcedTables };
+}
+
+// 将导出的表和每个排除表的排除原因写入 JSON 报告
+async function writeExclusionReport(reportFile, sourceConfig, outputFile, tables) {
+    const { allTables, configTables, excludeTables, reasons, forcedTables } = tables;
+    const dialect = getDialect(sourceConfig);
+    const report = {
+        generatedAt: new Date().toISOString(),
+        outputFile,
+        source: {
+            dialect: dialect.name,
+            host: sourceConfig.host,
+            port: sourceConfig.port,
+            database: sourceConfig.database,
+            schema: dialect.getSchema ? dialect.getSchema(sourceConfig) : undefined
+        },
+        exported: configTables,
+        // includeTables 强制导出的表，以及被覆盖的排除原因
+        forced: [...forcedTables].map(([table, forced]) => ({ table, includedBy: forced.entry, overrides: forced.reason })),
+        excluded: excludeTables.map(table => ({
+            table,
+            // 预设表、collections 中的表在当前库中不一定存在
+            inDatabase: allTables.includes(table),
+            reason: reasons.get(table)
+        }))
+    };
+    await fs.writeFile(reportFile, JSON.stringify(report, null, 2) + '\n', 'utf8');
+}
+
+// 计算每个配置表的合并策略：精确表名优先，其次按配置顺序匹配通配符 / 正则，都不匹配时使用全局默认策略
+function resolveStrategies(configTables, defaultStrategy, tableStrategies) {
+    const entries = Object.keys(tableStrategies);
+    const patterns = entries.filter(isPattern).map(entry => ({ entry, matcher: createMatcher([entry]) }));
+    const strategies = {};
+    configTables.forEach(table => {
+        if (Object.prototype.hasOwnProperty.call(tableStrategies, table)) {
+            strategies[table] = tableStrategies[table];
+            return;
+        }
+        const matched = patterns.find(pattern => pattern.matcher(table));
+        strategies[table] = matched ? tableStrategies[matched.entry] : defaultStrategy;
+    });
+    return strategies;
+}
+
+// 检查 export.where 的格式：{ 表名: 非空的条件字符串 }
+function validateWhere(where) {
+    if (typeof where !== 'object' || Array.isArray(where)) {
+        throw new ConfigError(t('export.whereInvalid'));
+    }
+    Object.keys(where).forEach(table => {
+        if (typeof where[table] !== 'string' || where[table].trim() === '') {
+            throw new ConfigError(t('export.whereEmpty', { table }));
+        }
+    });
+}
+
 // 合并导出的 SQL
-async function mergeExports(config) {
-    const { source, export: exportConfig } = config;
-    let { excludeTables, outputFile, dbUnderscored } = exportConfig;
+// options.logger: 日志输出（见 lib/logger），默认输出到控制台，传入 silentLogger 关闭输出
+// options.timestamp: 输出文件名中的时间戳（见 fileTimestamp），调用方已在 outputFile 中加入时间戳时传入同一个值，
+//   --resume 时检查点按该位置匹配任意时间戳；默认为当前时间
+// options.onProgress(event): 进度回调，event 为:
+//   { type: 'step', step, totalSteps, message }        开始一个步骤
+//   { type: 'connection', dialect, address, database }  连接到数据库
+//   { type: 'excluded', tables: [{ table, reason, description }] }  排除的表
+//   { type: 'batch', phase, engine, strategy, tables }  开始一次导出（mysqldump / pg_dump 的一次调用，
+//                                                      内置引擎为全部表，strategy 为 null）
+//   { type: 'table', phase, table, rows / statements }  一个表完成，phase 为 export / backup / apply，
+//                                                      mysqldump / pg_dump 单文件导出时 rows 为 null
+//   { type: 'file', phase, path, bytes, files }         导出文件（或备份文件）写入完成
+// 失败时抛出 lib/errors 中的错误，不会退出进程；成功时返回导出结果:
+//   { source, target, outputPath, split, gzip, bytes, files, manifestPath, tables,
+//     excludedTables: [{ table, reason, description }], batches: [{ engine, strategy, tables }],
+//     rollbackFile, applied, durationMs }
+// source / target 为连接的描述 { dialect, address, database }；没有需要导出的配置表时 outputPath 为 null
+async function mergeExports(config, options = {}) {
+    const startedAt = Date.now();
+    const log = createLogger(options.logger);
+    const onProgress = options.onProgress || (() => {});
+    const runOptions = { logger: log, onProgress };
+    const { source, target, export: exportConfig = {} } = config;
+    if (!source) {
+        throw new ConfigError(t('export.missingSource'));
+    }
+    if (!exportConfig.outputFile) {
+        throw new ConfigError(t('export.missingOutputFile'));
+    }
+    let { excludeTables = [], outputFile, dbUnderscored } = exportConfig;
+    let engine = exportConfig.engine || 'external';
+    const apply = exportConfig.apply === true;
+    const schemaCheck = exportConfig.schemaCheck || 'error';
+    // 列匹配：只导出 source 与 target 共有的列，用于跨版本升级
+    const matchColumns = exportConfig.matchColumns === true;
+    // 行过滤：{ 表名: 条件 }，这些表只导出满足条件的行，并在 target 上只删除满足条件的行
+    const where = exportConfig.where || {};
+    // 合并策略：全局默认值与按表（支持通配符 / 正则）覆盖
+    const defaultStrategy = exportConfig.strategy || 'truncate';
+    const tableStrategies = exportConfig.strategies || {};
+    const usedStrategies = [defaultStrategy, ...Object.values(tableStrategies)];
+    // 差异模式：按主键对比 source 与 target，只导出 INSERT / UPDATE / DELETE 差异
+    const diff = exportConfig.diff === true;
+    // 继续之前中断的导出（见 lib/checkpoint）
+    const resumeRequested = exportConfig.resume === true;
+    // 输出格式：gzip 压缩、按表拆分为目录（每表一个文件并生成 manifest.json），默认为单个 .sql 文件
+    const gzip = exportConfig.gzip === true;
+    const split = exportConfig.split === true;
+    // 并行度：同时导出的表数，多个连接共享一致性快照（见 lib/parallel）
+    const concurrency = exportConfig.concurrency === undefined ? 1 : exportConfig.concurrency;
+    // 配置了 target 时默认同时备份 target 的配置表
+    const backup = Boolean(target) && exportConfig.backup !== false;
+    const totalSteps = 2 + (backup ? 1 : 0) + (apply ? 1 : 0);
+    let step = 2;
+    const startStep = (number, message) => {
+        log.info(`\n[${number}/${totalSteps}] ${message}`);
+        onProgress({ type: 'step', step: number, totalSteps, message });
+    };
 
     // 自动为输出文件添加时间戳（如果还没有）
-    const timestamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\..+/, '').replace('T', '_');
+    const timestamp = options.timestamp || fileTimestamp();
 
     // 检查文件名中是否已有时间戳模式（8位数字_6位数字）
     if (!/\d{8}_\d{6}/.test(outputFile)) {
         // 在 .sql 前插入时间戳
-        outputFile = outputFile.replace(/\.sql$/, `_${timestamp}.sql`);
+        outputFile = outputFile.replace(/\.sql(\.gz)?$/, `_${timestamp}.sql$1`);
+    }
+    if (split) {
+        // 按表拆分时输出为目录，目录名为去掉扩展名的文件名
+        outputFile = outputFile.replace(/\.sql(\.gz)?$/, '');
+    } else if (gzip && !/\.gz$/.test(outputFile)) {
+        outputFile += '.gz';
+    }
+    const scriptExtension = gzip ? '.sql.gz' : '.sql';
+
+    // 继续导出时使用检查点记录的输出路径（时间戳为中断的那次导出）
+    let resume = null;
+    if (resumeRequested) {
+        if (diff) {
+            throw new ConfigError(t('checkpoint.diffUnsupported'));
+        }
+        resume = await findCheckpoint(outputFile, timestamp);
+        if (resume) {
+            outputFile = resume.outputPath;
+        }
     }
 
     // 对排除表列表去重（初始去重，如果是从配置读取的）
@@ -352,149 +1325,489 @@ async function mergeExports(config) {
     excludeTables = [...new Set(excludeTables)];
     const duplicateCount = originalCount - excludeTables.length;
 
-    console.log('='.repeat(60));
-    console.log('NocoBase 配置数据全量导出工具');
-    console.log('='.repeat(60));
-    console.log(`Source 数据库: ${source.database}`);
-    console.log(`输出文件: ${outputFile}`);
+    const dialect = getDialect(source);
+
+    // mysqldump / pg_dump 无法按列导出，列匹配只能由内置引擎完成；pg_dump 也不支持行过滤
+    let engineSwitchReason = null;
+    if (engine === 'external') {
+        if (matchColumns) {
+            engineSwitchReason = t('export.engineSwitch.matchColumns');
+        } else if (Object.keys(where).length > 0 && !dialect.dumpSupportsWhere) {
+            engineSwitchReason = t('export.engineSwitch.where', { command: dialect.dumpCommand });
+        } else {
+            const unsupported = usedStrategies.find(strategy => !dialect.dumpStrategies.includes(strategy));
+            if (unsupported && MERGE_STRATEGIES.includes(unsupported)) {
+                engineSwitchReason = t('export.engineSwitch.strategy', { command: dialect.dumpCommand, strategy: unsupported });
+            } else if (concurrency > 1 && !diff && !dialect.dumpSharesSnapshot) {
+                engineSwitchReason = t('export.engineSwitch.concurrency', { command: dialect.dumpCommand });
+            }
+        }
+        if (engineSwitchReason) engine = 'builtin';
+    }
+
+    log.info('='.repeat(60));
+    log.info(t('export.title'));
+    log.info('='.repeat(60));
+    if (config.profile) {
+        log.info(t(config.profile.target ? 'export.profileTarget' : 'export.profile', config.profile));
+    }
+    log.info(t('export.source', { database: source.database, dialect: dialect.name }));
+    if (dialect.getSchema) {
+        log.info(t('export.schema', { schema: dialect.getSchema(source) }));
+    }
+    if (target) {
+        log.info(t(apply ? 'export.targetApply' : 'export.target', { database: target.database, address: describeAddress(target) }));
+    }
+    log.info(t(split ? 'export.outputDir' : 'export.outputFile', { path: outputFile }));
+    if (split || gzip) {
+        log.info(t('export.format', { format: [split ? t('export.format.split') : null, gzip ? t('export.format.gzip') : null].filter(Boolean).join(t('export.listSeparator')) }));
+    }
+    log.info(t('export.engine', { engine: engine === 'builtin' ? t('export.engine.builtin') : dialect.dumpCommand }));
+    if (engineSwitchReason) {
+        log.warn(`⚠ ${t('export.engineSwitched', { reason: engineSwitchReason })}`);
+    }
+    if (matchColumns) {
+        log.info(t('export.matchColumns'));
+    }
+    if (diff) {
+        log.info(t('export.diffMode'));
+    } else {
+        log.info(t(Object.keys(tableStrategies).length > 0 ? 'export.strategyWithTables' : 'export.strategy', { strategy: defaultStrategy, count: Object.keys(tableStrategies).length }));
+    }
     if (dbUnderscored !== undefined) {
-        console.log(`DB_UNDERSCORED: ${dbUnderscored ? '启用' : '禁用'}`);
+        log.info(t(dbUnderscored ? 'export.underscoredOn' : 'export.underscoredOff'));
     }
     if (duplicateCount > 0) {
-        console.log(`⚠ 检测到 ${duplicateCount} 个重复表名已自动去重`);
+        log.warn(`⚠ ${t('export.duplicates', { count: duplicateCount })}`);
+    }
+    if (resume) {
+        log.info(`📌 ${t('checkpoint.found', { file: resume.file, count: resume.completed.length, total: resume.tables.length })}`);
+    } else if (resumeRequested) {
+        log.warn(`⚠ ${t('checkpoint.notFound')}`);
     }
-    console.log('='.repeat(60));
+    log.info('='.repeat(60));
 
     let sourceConn = null;
 
     try {
+        if (!EXPORT_ENGINES.includes(engine)) {
+            throw new ConfigError(t('export.unsupportedEngine', { engine, choices: EXPORT_ENGINES.join(', ') }));
+        }
+        if (!SCHEMA_CHECK_MODES.includes(schemaCheck)) {
+            throw new ConfigError(t('export.unsupportedSchemaCheck', { value: schemaCheck, choices: SCHEMA_CHECK_MODES.join(', ') }));
+        }
+        if (apply) {
+            validateTarget(source, target);
+        }
+        validateWhere(where);
+        if (!Number.isInteger(concurrency) || concurrency < 1) {
+            throw new ConfigError(t('export.invalidConcurrency', { value: concurrency }));
+        }
+        if (diff) {
+            if (!target) {
+                throw new ConfigError(t('export.diffWithoutTarget'));
+            }
+            validateTarget(source, target);
+            // 差异语句会删除 target 独有的行，与保留 target 数据的合并策略相矛盾
+            if (usedStrategies.some(strategy => strategy !== 'truncate')) {
+                throw new ConfigError(t('export.diffWithStrategy'));
+            }
+        }
+        usedStrategies.forEach(strategy => {
+            if (!MERGE_STRATEGIES.includes(strategy)) {
+                throw new ConfigError(t('export.unsupportedStrategy', { strategy, choices: MERGE_STRATEGIES.join(', ') }));
+            }
+        });
+        if (matchColumns) {
+            if (!target) {
+                throw new ConfigError(t('export.matchColumnsWithoutTarget'));
+            }
+            if (getDialect(target).name !== dialect.name) {
+                throw new ConfigError(t('export.matchColumnsDialect'));
+            }
+        }
+
         // 步骤 0: 连接 source 数据库，获取多对多关联表
-        console.log(`\n[0/2] 连接 source 数据库，查询多对多关联表...`);
-        sourceConn = await createConnection(source);
-        console.log(`   ✓ 连接成功`);
-
-        // 动态获取业务表（如果排除表列表为空）
-        if (excludeTables.length === 0) {
-            console.log(`\n📋 排除表列表为空，自动从 collections 表动态获取业务表...`);
-            const dynamicTables = await getDynamicBusinessTables(sourceConn, source, dbUnderscored);
-
-            // 合并预设的环境数据表（approval定义的环境数据）
-            const allTables = [...new Set([...dynamicTables, ...PRESET_ENV_TABLES])];
-
-            if (allTables.length > 0) {
-                excludeTables = allTables;
-                const presetCount = PRESET_ENV_TABLES.length;
-                const dynamicCount = dynamicTables.length;
-                const totalCount = excludeTables.length;
-                console.log(`   ✓ 已动态获取 ${dynamicCount} 个业务表 + ${presetCount} 个预设环境数据表 = ${totalCount} 个排除表`);
-
-                // 显示预设表信息
-                if (presetCount > 0) {
-                    console.log(`   📋 预设环境数据表:`);
-                    PRESET_ENV_TABLES.forEach(table => console.log(`      - ${table}`));
-                }
+        startStep(0, t('export.step.connect'));
+        sourceConn = await createConnection(source, runOptions);
+        log.info(`   ✓ ${t('export.connected')}`);
+
+        // 配置了 where 的表需要部分导出，即使被自动检测为业务表也要导出
+        const resolved = await resolveExcludeTables(sourceConn, source, {
+            excludeTables,
+            includeTables: [...(exportConfig.includeTables || []), ...Object.keys(where)],
+            dbUnderscored
+        }, log);
+        excludeTables = resolved.excludeTables;
+        const exclusionReasons = resolved.reasons;
+        const { forcedTables } = resolved;
+
+        // 步骤 1: 获取所有的表，并过滤出配置表
+        startStep(1, t('export.step.tables'));
+        const tableInfo = await getConfigTables(sourceConn, excludeTables);
+        const { allTables } = tableInfo;
+        let { configTables } = tableInfo;
+        log.info(`   ${t('export.allTables', { count: allTables.length })}`);
+        log.info(`   ${t('export.excludedTables', { count: excludeTables.length })}`);
+        log.info(`   ${t('export.configTables', { count: configTables.length })}`);
+        const strategies = resolveStrategies(configTables, defaultStrategy, tableStrategies);
+        configTables.forEach(table => {
+            if (strategies[table] !== defaultStrategy) {
+                log.info(`   ↳ ${t('export.tableStrategy', { table, strategy: strategies[table] })}`);
+            }
+        });
+        Object.keys(where).forEach(table => {
+            if (configTables.includes(table)) {
+                log.info(`   ↳ ${t('export.tableFilter', { table, where: where[table] })}`);
             } else {
-                console.log(`   ⚠ 未找到业务表，将继续导出所有表（无排除）`);
+                log.warn(`   ⚠ ${t('export.whereTableMissing', { table })}`);
             }
+        });
+
+        // 列出数据库中实际存在且被排除的表及其排除原因
+        const excludedTables = allTables.filter(table => exclusionReasons.has(table));
+        if (excludedTables.length > 0) {
+            log.info(`   ${t('export.excludedList', { count: excludedTables.length })}`);
+            excludedTables.forEach(table => {
+                log.info(`      - ${table}: ${describeReason(exclusionReasons.get(table))}`);
+            });
         }
+        const result = {
+            source: describeConnection(source),
+            target: target ? describeConnection(target) : null,
+            outputPath: null,
+            split,
+            gzip,
+            bytes: 0,
+            files: 0,
+            manifestPath: null,
+            tables: configTables,
+            excludedTables: excludedTables.map(table => ({
+                table,
+                reason: exclusionReasons.get(table),
+                description: describeReason(exclusionReasons.get(table))
+            })),
+            batches: [],
+            resumedTables: [],
+            rollbackFile: null,
+            applied: false,
+            durationMs: 0
+        };
+        onProgress({ type: 'excluded', tables: result.excludedTables });
+
+        // 导入脚本不包含表结构，target 版本的列定义不同时导入会中途失败，需提前检查
+        let columnPlans = null;
+        if (target && (schemaCheck !== 'off' || matchColumns) && configTables.length > 0) {
+            const { sourceSchema, targetSchema } = await loadSchemas(sourceConn, target, runOptions);
 
-        // 根据 DB_UNDERSCORED 配置转换排除表名（如果动态获取的表名需要转换）
-        if (dbUnderscored !== undefined && excludeTables.length > 0) {
-            console.log(`\n📝 DB_UNDERSCORED 配置: ${dbUnderscored}`);
-            const originalTables = [...excludeTables];
-            excludeTables = convertTableNames(excludeTables, dbUnderscored);
+            if (schemaCheck === 'off') {
+                // 只做列匹配，不输出检查结果
+            } else if (getDialect(target).name !== dialect.name) {
+                log.warn(`\n   ⚠ ${t('schema.skippedDialect')}`);
+            } else {
+                log.info(`\n🔍 ${t('schema.checking')}`);
+                const report = compareSchemas(configTables, sourceSchema, targetSchema, { matchColumns });
+                report.errors.forEach(message => log.info(`   ✗ ${message}`));
+                report.warnings.forEach(message => log.warn(`   ⚠ ${message}`));
+
+                if (report.errors.length === 0 && report.warnings.length === 0) {
+                    log.info(`   ✓ ${t('schema.ok', { count: configTables.length })}`);
+                } else {
+                    log.info(`   ${t('schema.summary', { tables: report.differences.length, errors: report.errors.length, warnings: report.warnings.length })}`);
+                }
 
-            // 显示转换信息
-            let hasConversion = false;
-            for (let i = 0; i < originalTables.length; i++) {
-                if (originalTables[i] !== excludeTables[i]) {
-                    if (!hasConversion) {
-                        console.log('   表名转换:');
-                        hasConversion = true;
+                if (report.errors.length > 0) {
+                    if (schemaCheck === 'error') {
+                        throw new SchemaCheckError(t('schema.failed', { count: report.errors.length }), { report });
                     }
-                    console.log(`   ${originalTables[i]} -> ${excludeTables[i]}`);
+                    log.warn(`   ⚠ ${t('schema.ignored')}`);
                 }
             }
-            if (!hasConversion) {
-                console.log('   (无需转换)');
+
+            if (matchColumns) {
+                log.info(`\n🔗 ${t('columns.computing')}`);
+                columnPlans = buildColumnPlans(configTables, sourceSchema, targetSchema, dialect);
+                const skippedTables = configTables.filter(table => !columnPlans[table]);
+                if (skippedTables.length > 0) {
+                    log.warn(`   ⚠ ${t('columns.missingTables', { count: skippedTables.length, tables: skippedTables.join(', ') })}`);
+                    configTables = configTables.filter(table => columnPlans[table]);
+                }
+                let adjustedCount = 0;
+                configTables.forEach(table => {
+                    const plan = columnPlans[table];
+                    if (plan.skipped.length === 0 && plan.fills.length === 0) return;
+                    adjustedCount++;
+                    const parts = [];
+                    if (plan.skipped.length > 0) parts.push(t('columns.skipped', { columns: plan.skipped.join(', ') }));
+                    if (plan.fills.length > 0) parts.push(t('columns.filled', { columns: plan.fills.map(fill => `${fill.name}=${fill.value}`).join(', ') }));
+                    log.info(`   ↳ ${table}: ${parts.join('; ')}`);
+                });
+                log.info(`   ✓ ${t('columns.summary', { adjusted: adjustedCount, unchanged: configTables.length - adjustedCount })}`);
             }
         }
 
-        // 获取排除表的多对多关联表
-        // 注意：需要传入原始表名（未转换的）来查询 collections 表
-        const originalExcludeTables = dbUnderscored !== undefined
-            ? convertTableNames(excludeTables, !dbUnderscored) // 反向转换回原始格式
-            : excludeTables;
-
-        const junctionTables = await getM2MJunctionTables(sourceConn, originalExcludeTables, dbUnderscored);
-
-        // 将关联表合并到 excludeTables 列表
-        if (junctionTables.length > 0) {
-            const beforeCount = excludeTables.length;
-            // 添加新的关联表（去重）
-            const newTables = junctionTables.filter(t => !excludeTables.includes(t));
-            excludeTables = [...excludeTables, ...newTables];
-            console.log(`\n   ✓ 已将 ${newTables.length} 个多对多关联表添加到排除列表`);
-            console.log(`   ✓ 排除业务表总数: ${beforeCount} -> ${excludeTables.length}`);
+        // 检查点记录的表与本次导出不同时（如 source 新增了表），无法只补齐剩余的表
+        if (resume) {
+            const mismatch = checkpointMismatch(resume, {
+                source, split, gzip, tables: configTables, settings: settingsHash({ engine, where, strategies, columnPlans })
+            });
+            if (mismatch) {
+                throw new ConfigError(t('checkpoint.mismatch', { reason: mismatch, file: resume.file }));
+            }
         }
 
-        // 步骤 1: 获取所有的表，并过滤出配置表
-        console.log(`\n[1/2] 计算需要导出的配置表...`);
-        const { allTables, configTables } = await getConfigTables(sourceConn, excludeTables);
-        console.log(`   数据库总表数: ${allTables.length}`);
-        console.log(`   排除业务表数: ${excludeTables.length}`);
-        console.log(`   需要导出数据的配置表数: ${configTables.length}`);
+        // 导出进度中的剩余时间根据表的行数统计估算
+        const tableStats = diff ? {} : await loadTableStats(sourceConn, log);
 
         // 关闭 source 连接
         await sourceConn.end();
         sourceConn = null;
 
         if (configTables.length === 0) {
-            console.log(`   ⚠ 没有需要导出的配置表，任务结束。`);
-            return;
+            log.warn(`   ⚠ ${t('export.nothingToExport')}`);
+            return { ...result, tables: [], durationMs: Date.now() - startedAt };
         }
 
         // 步骤 2: 导出纯配置数据和覆盖脚本
-        const header = generateSQLHeader(source, null, excludeTables);
-        await exportConfigurationData(source, configTables, outputFile, header);
-        console.log(`   ✓ 配置数据导出并生成覆盖补丁完成`);
+        startStep(step, t('export.step.export'));
+        const headerOptions = {
+            columnPlans, exclusionReasons, forcedTables, where, strategies, defaultStrategy,
+            usageFile: split ? `this_directory/*${scriptExtension}` : `this_file${scriptExtension}`
+        };
+        const outputOptions = {
+            gzip,
+            split,
+            manifest: {
+                mode: diff ? 'diff' : 'full',
+                source: { host: source.host, port: source.port, database: source.database },
+                target: target ? { host: target.host, port: target.port, database: target.database } : null
+            }
+        };
+        let outputInfo;
+        if (diff) {
+            outputInfo = await exportConfigurationDiff(source, target, configTables, outputFile, {
+                ...outputOptions,
+                ...runOptions,
+                where,
+                columnPlans,
+                header: diffResults => generateSQLHeader(source, target, excludeTables, {
+                    ...headerOptions, strategies: null, diffResults
+                })
+            });
+        } else {
+            const header = generateSQLHeader(source, target || null, excludeTables, headerOptions);
+            outputInfo = await exportConfigurationData(source, configTables, outputFile, header, {
+                ...outputOptions, ...runOptions, engine, columnPlans, where, strategies, tableStats, concurrency,
+                checkpoint: checkpointPath(outputFile),
+                resume
+            });
+        }
+        log.info(`   ✓ ${t('export.exported')}`);
 
-        // 显示文件信息
-        const stats = await fs.stat(outputFile);
-        const fileSizeInMB = (stats.size / (1024 * 1024)).toFixed(2);
-
-        console.log('\n' + '='.repeat(60));
-        console.log('✓ 导出完成！');
-        console.log('='.repeat(60));
-        console.log(`输出文件: ${outputFile}`);
-        console.log(`文件大小: ${fileSizeInMB} MB`);
-        console.log('\n使用方法:');
-        console.log(`  mysql -u username -p target_database_name < ${outputFile}`);
-        console.log('='.repeat(60));
+        if (exportConfig.reportFile) {
+            await writeExclusionReport(exportConfig.reportFile, source, outputFile, {
+                allTables, configTables, excludeTables, reasons: exclusionReasons, forcedTables
+            });
+            log.info(`   ✓ ${t('export.reportWritten', { file: exportConfig.reportFile })}`);
+        }
 
-    } catch (error) {
-        console.error('\n✗ 导出过程中发生错误:');
-        console.error(error.message);
-        process.exit(1);
+        // 步骤 3: 备份 target 中将被覆盖的配置表
+        let rollbackFile = null;
+        if (backup) {
+            step++;
+            startStep(step, t('export.step.backup', { database: target.database }));
+            rollbackFile = exportConfig.backupFile || defaultRollbackFile(target, outputFile);
+            await backupTarget(target, configTables, rollbackFile, { ...runOptions, engine, concurrency });
+        }
+
+        // 步骤 4: 将脚本写入 target 数据库
+        if (apply) {
+            step++;
+            startStep(step, t('export.step.apply', { database: target.database }));
+            try {
+                await applyToTarget(target, outputFile, runOptions);
+            } catch (error) {
+                if (rollbackFile) {
+                    log.error(`\n   ${t('export.rollbackHint')}`);
+                    log.error(`   dbm rollback ${rollbackFile}`);
+                    error.rollbackFile = rollbackFile;
+                }
+                throw error;
+            }
+        }
+
+        // 显示文件信息
+        const fileSizeInMB = (outputInfo.bytes / (1024 * 1024)).toFixed(2);
+
+        log.info('\n' + '='.repeat(60));
+        log.info(`✓ ${t('export.done')}`);
+        log.info('='.repeat(60));
+        if (split) {
+            log.info(t('export.outputDir', { path: outputFile }));
+            log.info(t('export.fileCount', { count: outputInfo.files }));
+        } else {
+            log.info(t('export.outputFile', { path: outputFile }));
+        }
+        log.info(t('export.manifest', { file: manifestPath(outputFile, split), path: outputFile }));
+        log.info(t('export.fileSize', { size: fileSizeInMB }));
+        if (rollbackFile) {
+            log.info(t('rollback.file', { file: rollbackFile }));
+        }
+        if (apply) {
+            log.info(t('export.applied', { database: target.database }));
+            log.info(t('export.undoHint', { file: rollbackFile || `<${t('export.rollbackPlaceholder')}>` }));
+        } else {
+            log.info(`\n${t('export.usage')}`);
+            log.info(`  ${dialect.usage(split ? path.join(outputFile, `*${scriptExtension}`) : outputFile)}`);
+        }
+        log.info('='.repeat(60));
+
+        return {
+            ...result,
+            tables: configTables,
+            outputPath: outputFile,
+            bytes: outputInfo.bytes,
+            files: outputInfo.files,
+            manifestPath: manifestPath(outputFile, split),
+            batches: outputInfo.batches,
+            resumedTables: outputInfo.resumedTables || [],
+            rollbackFile,
+            applied: apply,
+            durationMs: Date.now() - startedAt
+        };
     } finally {
         // 关闭数据库连接
         if (sourceConn) await sourceConn.end();
     }
 }
 
+// 导出计划中表的分类说明
+function describeTableKind(item) {
+    if (item.reason) return t('plan.excluded', { reason: describeReason(item.reason) });
+    if (item.where) return t('plan.configWhere', { where: item.where });
+    if (item.includedBy) return t('plan.configForced', { entry: item.includedBy });
+    return t('plan.config');
+}
+
+// 预览导出计划：执行与导出相同的排除逻辑，列出每个表的分类、行数与数据大小，不生成任何 SQL
+// options.jsonFile: 同时将导出计划写入 JSON 文件；options.logger 见 mergeExports
+// 返回导出计划，失败时抛出 lib/errors 中的错误
+async function planExport(config, options = {}) {
+    const log = createLogger(options.logger);
+    const { source, export: exportConfig = {} } = config;
+    if (!source) {
+        throw new ConfigError(t('export.missingSource'));
+    }
+    const { dbUnderscored } = exportConfig;
+    const dialect = getDialect(source);
+
+    log.info('='.repeat(60));
+    log.info(t('plan.title'));
+    log.info('='.repeat(60));
+    if (config.profile) {
+        log.info(t('export.profile', config.profile));
+    }
+    log.info(t('plan.source', { dialect: dialect.name, database: source.database, address: describeAddress(source) }));
+    if (dialect.getSchema) {
+        log.info(t('export.schema', { schema: dialect.getSchema(source) }));
+    }
+    log.info('='.repeat(60));
+
+    let sourceConn = null;
+
+    try {
+        sourceConn = await createConnection(source, { logger: log });
+        const where = exportConfig.where || {};
+        validateWhere(where);
+        const { excludeTables, reasons, forcedTables } = await resolveExcludeTables(sourceConn, source, {
+            excludeTables: [...new Set(exportConfig.excludeTables || [])],
+            includeTables: [...(exportConfig.includeTables || []), ...Object.keys(where)],
+            dbUnderscored
+        }, log);
+        const { allTables, configTables } = await getConfigTables(sourceConn, excludeTables);
+        const stats = await dialect.tableStats(sourceConn);
+
+        const tables = allTables
+            .map(table => {
+                const reason = configTables.includes(table) ? null : reasons.get(table);
+                const forced = forcedTables.get(table);
+                return {
+                    table,
+                    kind: reason ? reason.kind : 'config',
+                    reason,
+                    includedBy: forced ? forced.entry : undefined,
+                    where: reason ? undefined : where[table],
+                    rows: stats[table] ? stats[table].rows : null,
+                    bytes: stats[table] ? stats[table].bytes : null
+                };
+            })
+            .sort((a, b) => {
+                if ((a.kind === 'config') !== (b.kind === 'config')) return a.kind === 'config' ? -1 : 1;
+                return a.kind === b.kind ? a.table.localeCompare(b.table) : a.kind.localeCompare(b.kind);
+            });
+
+        const summarize = (list) => ({
+            tables: list.length,
+            rows: list.reduce((sum, item) => sum + (item.rows || 0), 0),
+            bytes: list.reduce((sum, item) => sum + (item.bytes || 0), 0)
+        });
+        const summary = {
+            config: summarize(tables.filter(item => item.kind === 'config')),
+            excluded: summarize(tables.filter(item => item.kind !== 'config'))
+        };
+
+        const nameWidth = Math.max(4, ...tables.map(item => item.table.length));
+        // 表头按显示宽度对齐，中文每个字占两列
+        const pad = (text, width, start) => {
+            const fill = ' '.repeat(Math.max(0, width - displayWidth(text)));
+            return start ? fill + text : text + fill;
+        };
+        log.info(`\n${pad(t('plan.column.table'), nameWidth)}  ${pad(t('plan.column.rows'), 12, true)}  ${pad(t('plan.column.size'), 12, true)}  ${t('plan.column.kind')}`);
+        log.info('-'.repeat(nameWidth + 50));
+        tables.forEach(item => {
+            const rows = item.rows === null ? '-' : String(item.rows);
+            log.info(`${item.table.padEnd(nameWidth)}  ${rows.padStart(12)}  ${formatBytes(item.bytes).padStart(12)}  ${describeTableKind(item)}`);
+        });
+
+        log.info('\n' + '='.repeat(60));
+        log.info(t('plan.summaryConfig', { tables: summary.config.tables, rows: summary.config.rows, size: formatBytes(summary.config.bytes) }));
+        log.info(t('plan.summaryExcluded', { tables: summary.excluded.tables, rows: summary.excluded.rows, size: formatBytes(summary.excluded.bytes) }));
+        log.info(t('plan.estimateNote'));
+
+        const plan = {
+            generatedAt: new Date().toISOString(),
+            source: {
+                dialect: dialect.name,
+                host: source.host,
+                port: source.port || dialect.defaultPort,
+                database: source.database,
+                schema: dialect.getSchema ? dialect.getSchema(source) : undefined
+            },
+            summary,
+            tables
+        };
+
+        if (options.jsonFile) {
+            await fs.writeFile(options.jsonFile, JSON.stringify(plan, null, 2) + '\n', 'utf8');
+            log.info(t('plan.jsonWritten', { file: path.resolve(options.jsonFile) }));
+        }
+        log.info('='.repeat(60));
+
+        return plan;
+
+    } finally {
+        if (sourceConn) await sourceConn.end();
+    }
+}
+
 // 从 Source 数据库动态获取业务数据表（从 collections 表）
-async function getDynamicBusinessTables(connection, sourceConfig, dbUnderscored) {
+async function getDynamicBusinessTables(connection, sourceConfig, dbUnderscored, log = consoleLogger) {
     try {
-        console.log('\n🔍 正在从 collections 表动态获取业务表列表...');
+        log.info(`\n🔍 ${t('tables.dynamicQuery')}`);
 
         // 检查 collections 表是否存在
-        const [tableCheck] = await connection.query(
-            "SELECT COUNT(*) as count FROM information_schema.tables WHERE table_schema = DATABASE() AND table_name = 'collections'",
-            []
-        );
-
-        if (tableCheck[0].count === 0) {
-            console.log('   ⚠ collections 表不存在，无法动态获取业务表列表');
+        if (!(await tableExists(connection, 'collections'))) {
+            log.warn(`   ⚠ ${t('tables.dynamicNoCollections')}`);
             return [];
         }
 
@@ -504,26 +1817,21 @@ async function getDynamicBusinessTables(connection, sourceConfig, dbUnderscored)
         );
 
         const tableNames = rows.map(row => row.name);
-        console.log(`   ✓ 找到 ${tableNames.length} 个业务表`);
+        log.info(`   ✓ ${t('tables.dynamicFound', { count: tableNames.length })}`);
 
         // 验证这些表在数据库中是否真实存在（过滤虚拟表）
         const validTables = [];
         for (const tableName of tableNames) {
-            const [check] = await connection.query(
-                "SELECT COUNT(*) as count FROM information_schema.tables WHERE table_schema = DATABASE() AND table_name = ?",
-                [tableName]
-            );
-
-            if (check[0].count > 0) {
+            if (await tableExists(connection, tableName)) {
                 validTables.push(tableName);
             }
         }
 
-        console.log(`   ✓ 验证后有效表数量: ${validTables.length} 个`);
+        log.info(`   ✓ ${t('tables.dynamicValid', { count: validTables.length })}`);
         return validTables;
 
     } catch (error) {
-        console.error(`   ✗ 动态获取业务表失败: ${error.message}`);
+        log.error(`   ✗ ${t('tables.dynamicFailed', { message: error.message })}`);
         return [];
     }
 }
@@ -532,25 +1840,47 @@ async function getDynamicBusinessTables(connection, sourceConfig, dbUnderscored)
 async function main() {
     const configPath = process.argv[2] || './config.json';
 
-    console.log(`读取配置文件: ${configPath}\n`);
-    const config = await loadConfig(configPath);
+    console.log(`${t('export.readingConfig', { file: configPath })}\n`);
 
-    await mergeExports(config);
+    try {
+        const config = await loadConfig(configPath);
+        const display = createProgressDisplay({ logger: consoleLogger });
+        await mergeExports(config, { logger: display.logger, onProgress: display.onProgress });
+    } catch (error) {
+        console.error(`\n✗ ${t('export.failed')}`);
+        console.error(error.message);
+        process.exit(1);
+    }
 }
 
 // 导出函数供其他模块调用
 module.exports = {
     mergeExports,
+    planExport,
     loadConfig,
+    fileTimestamp,
     createConnection,
     getConfigTables,
-    getM2MJunctionTables
+    getM2MJunctionTables,
+    getDynamicBusinessTables,
+    tableExists,
+    applyToTarget,
+    backupTarget,
+    rollbackTarget,
+    verifyExport,
+    consoleLogger,
+    silentLogger,
+    createConsoleLogger,
+    createProgressDisplay,
+    setLocale,
+    getLocale,
+    ...errors
 };
 
 // 如果直接运行此文件，则执行主函数
 if (require.main === module) {
     main().catch(error => {
-        console.error('程序异常:', error);
+        console.error(t('export.unexpected'), error);
         process.exit(1);
     });
 }
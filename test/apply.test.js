@@ -0,0 +1,93 @@
+const assert = require('assert').strict;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { readStatements, statementTable } = require('../lib/apply');
+
+const mysql = { name: 'mysql' };
+const postgres = { name: 'postgres' };
+
+describe('statementTable', () => {
+    it('从 TRUNCATE / INSERT / DELETE / UPDATE 语句中提取表名', () => {
+        assert.equal(statementTable('TRUNCATE TABLE `roles`;'), 'roles');
+        assert.equal(statementTable('INSERT IGNORE INTO `roles` (`id`) VALUES (1);'), 'roles');
+        assert.equal(statementTable('DELETE FROM "public"."users" WHERE (id > 1);'), 'users');
+        assert.equal(statementTable('UPDATE users SET name = 1;'), 'users');
+        assert.equal(statementTable('SET NAMES utf8mb4;'), null);
+    });
+});
+
+describe('readStatements', () => {
+    let dir;
+    let count = 0;
+
+    // 将脚本写入临时文件，读取拆分后的语句
+    async function statementsOf(script, dialect, gzip = false) {
+        const file = path.join(dir, `script${++count}.sql${gzip ? '.gz' : ''}`);
+        await fs.promises.writeFile(file, gzip ? zlib.gzipSync(script) : script);
+        const statements = [];
+        for await (const sql of readStatements(file, dialect)) {
+            statements.push(sql);
+        }
+        return statements;
+    }
+
+    before(async () => {
+        dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'dbm-apply-'));
+    });
+
+    after(async () => {
+        await fs.promises.rm(dir, { recursive: true, force: true });
+    });
+
+    it('按分号拆分语句并跳过 -- 注释', async () => {
+        const script = '-- header; with semicolon\nSET NAMES utf8mb4;\n\nTRUNCATE TABLE `a`; -- trailing\nINSERT INTO `a` VALUES (1);\n';
+        assert.deepEqual(await statementsOf(script, mysql), [
+            'SET NAMES utf8mb4;',
+            'TRUNCATE TABLE `a`;',
+            'INSERT INTO `a` VALUES (1);'
+        ]);
+    });
+
+    it('字符串与带引号的标识符中的分号和注释不拆分', async () => {
+        const script = "INSERT INTO `a;b` VALUES ('x; -- y', \"z;\");\nSELECT 1;";
+        assert.deepEqual(await statementsOf(script, mysql), [
+            "INSERT INTO `a;b` VALUES ('x; -- y', \"z;\");",
+            'SELECT 1;'
+        ]);
+    });
+
+    it('MySQL 字符串支持反斜杠转义', async () => {
+        const script = "INSERT INTO `a` VALUES ('it\\'s; fine', 'c:\\\\');\nSELECT 1;";
+        assert.deepEqual(await statementsOf(script, mysql), [
+            "INSERT INTO `a` VALUES ('it\\'s; fine', 'c:\\\\');",
+            'SELECT 1;'
+        ]);
+    });
+
+    it('PostgreSQL 字符串中的反斜杠不是转义字符', async () => {
+        const script = "INSERT INTO \"a\" VALUES ('c:\\', 'it''s; fine');\nSELECT 1;";
+        assert.deepEqual(await statementsOf(script, postgres), [
+            "INSERT INTO \"a\" VALUES ('c:\\', 'it''s; fine');",
+            'SELECT 1;'
+        ]);
+    });
+
+    it('保留 /* */ 注释，跳过 psql 元命令', async () => {
+        const script = '\\restrict abc\n/*!40101 SET NAMES utf8mb4; */;\nSELECT 1;\n\\unrestrict abc\n';
+        assert.deepEqual(await statementsOf(script, postgres), [
+            '/*!40101 SET NAMES utf8mb4; */;',
+            'SELECT 1;'
+        ]);
+    });
+
+    it('跳过空语句，最后一条语句没有分号时也会返回', async () => {
+        assert.deepEqual(await statementsOf(';\n;SELECT 1;\nSELECT 2', mysql), ['SELECT 1;', 'SELECT 2']);
+        assert.deepEqual(await statementsOf('-- only a comment\n', mysql), []);
+    });
+
+    it('.sql.gz 文件自动解压', async () => {
+        assert.deepEqual(await statementsOf('SET NAMES utf8mb4;\nSELECT 1;\n', mysql, true), ['SET NAMES utf8mb4;', 'SELECT 1;']);
+    });
+});
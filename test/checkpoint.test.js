@@ -0,0 +1,156 @@
+const assert = require('assert').strict;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    checkpointPath, readCheckpoint, findCheckpoint, settingsHash, checkpointMismatch, createCheckpoint
+} = require('../lib/checkpoint');
+const { ConfigError } = require('../lib/errors');
+const { setLocale, t } = require('../lib/i18n');
+
+let dir;
+
+const info = {
+    outputPath: '/tmp/out.sql',
+    split: false,
+    gzip: false,
+    source: { host: 'db', database: 'nocobase' },
+    tables: ['a', 'b', 'c'],
+    settings: settingsHash({})
+};
+
+before(async () => {
+    setLocale('en');
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'dbm-checkpoint-'));
+});
+
+after(async () => {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+});
+
+describe('settingsHash', () => {
+    const settings = {
+        engine: 'builtin',
+        where: { users: 'id > 1', roles: "name <> 'root'" },
+        strategies: { roles: 'upsert' },
+        columnPlans: { users: { columns: ['id', 'name'], fills: [] } }
+    };
+
+    it('相同的设置得到相同的摘要，与键的顺序无关', () => {
+        const reordered = {
+            columnPlans: { users: { fills: [], columns: ['id', 'name'] } },
+            strategies: { roles: 'upsert' },
+            where: { roles: "name <> 'root'", users: 'id > 1' },
+            engine: 'builtin'
+        };
+        assert.equal(settingsHash(settings), settingsHash(reordered));
+    });
+
+    it('未配置的设置与空设置一致，引擎默认为 external', () => {
+        assert.equal(settingsHash({}), settingsHash({ engine: 'external', where: {}, strategies: {}, columnPlans: null }));
+    });
+
+    it('导出引擎、行过滤条件、合并策略或列匹配方案变化时摘要不同', () => {
+        const base = settingsHash(settings);
+        assert.notEqual(settingsHash({ ...settings, engine: 'external' }), base);
+        assert.notEqual(settingsHash({ ...settings, where: { users: 'id > 2', roles: "name <> 'root'" } }), base);
+        assert.notEqual(settingsHash({ ...settings, strategies: { roles: 'replace' } }), base);
+        assert.notEqual(settingsHash({ ...settings, columnPlans: { users: { columns: ['id'], fills: [] } } }), base);
+        assert.notEqual(settingsHash({ ...settings, columnPlans: null }), base);
+    });
+});
+
+describe('checkpointMismatch', () => {
+    const expected = {
+        source: { host: 'db', database: 'nocobase' },
+        split: false,
+        gzip: true,
+        tables: ['roles', 'uiSchemas'],
+        settings: settingsHash({ engine: 'builtin', strategies: { roles: 'upsert' } })
+    };
+
+    it('一致时返回 null', () => {
+        assert.equal(checkpointMismatch({ ...expected }, expected), null);
+    });
+
+    it('source 库、输出格式、导出的表或导出设置不同时返回原因', () => {
+        const cases = [
+            [{ source: { host: 'db', database: 'other' } }, t('checkpoint.mismatch.source', { database: 'other' })],
+            [{ source: { host: 'other', database: 'nocobase' } }, t('checkpoint.mismatch.source', { database: 'nocobase' })],
+            [{ split: true }, t('checkpoint.mismatch.format')],
+            [{ gzip: false }, t('checkpoint.mismatch.format')],
+            [{ tables: ['uiSchemas', 'roles'] }, t('checkpoint.mismatch.tables')],
+            [{ tables: ['roles'] }, t('checkpoint.mismatch.tables')],
+            [{ settings: settingsHash({ engine: 'builtin', strategies: { roles: 'replace' } }) }, t('checkpoint.mismatch.settings')],
+            // 旧版本的检查点没有记录导出设置
+            [{ settings: undefined }, t('checkpoint.mismatch.settings')]
+        ];
+        cases.forEach(([change, reason]) => assert.equal(checkpointMismatch({ ...expected, ...change }, expected), reason));
+    });
+});
+
+describe('createCheckpoint', () => {
+    it('record 按调用顺序保存，flush 后文件为最后一次的状态', async () => {
+        const file = path.join(dir, 'order.checkpoint.json');
+        const checkpoint = createCheckpoint(file, info);
+        // 不等待每次保存，模拟导出失败时还有保存未完成
+        checkpoint.record('a', 1, { bytes: 10 });
+        checkpoint.record('b', 2, { bytes: 20 });
+        await checkpoint.flush();
+
+        const saved = await readCheckpoint(file);
+        assert.deepEqual(saved.completed, [{ table: 'a', rows: 1 }, { table: 'b', rows: 2 }]);
+        assert.deepEqual(saved.output, { bytes: 20 });
+        assert.equal(saved.settings, info.settings);
+        assert.equal(saved.file, file);
+    });
+
+    it('继续导出时保留已完成的表与开始时间', async () => {
+        const file = path.join(dir, 'resume.checkpoint.json');
+        const first = createCheckpoint(file, info);
+        await first.record('a', 1, { bytes: 10 });
+        const resume = await readCheckpoint(file);
+
+        const second = createCheckpoint(file, info, resume);
+        assert.deepEqual(second.completed.map(item => item.table), ['a']);
+        await second.record('b', 2, { bytes: 20 });
+        const saved = await readCheckpoint(file);
+        assert.equal(saved.startedAt, resume.startedAt);
+        assert.deepEqual(saved.completed.map(item => item.table), ['a', 'b']);
+    });
+
+    it('remove 等待保存完成后删除检查点', async () => {
+        const file = path.join(dir, 'remove.checkpoint.json');
+        const checkpoint = createCheckpoint(file, info);
+        checkpoint.record('a', 1, { bytes: 10 });
+        await checkpoint.remove();
+        assert.equal(fs.existsSync(file), false);
+    });
+});
+
+describe('readCheckpoint / findCheckpoint', () => {
+    it('内容无效或版本不支持时抛出 ConfigError', async () => {
+        const broken = path.join(dir, 'broken.checkpoint.json');
+        await fs.promises.writeFile(broken, '{', 'utf8');
+        await assert.rejects(readCheckpoint(broken), ConfigError);
+
+        const future = path.join(dir, 'future.checkpoint.json');
+        await fs.promises.writeFile(future, JSON.stringify({ version: 99, completed: [] }), 'utf8');
+        await assert.rejects(readCheckpoint(future), ConfigError);
+    });
+
+    it('按输出路径匹配任意时间戳，使用最新的一个', async () => {
+        const searchDir = path.join(dir, 'find');
+        await fs.promises.mkdir(searchDir);
+        for (const timestamp of ['20260101_080000', '20260102_080000']) {
+            const file = checkpointPath(path.join(searchDir, `export_${timestamp}.sql`));
+            await createCheckpoint(file, { ...info, timestamp }).record('a', 1, { bytes: 1 });
+        }
+        await fs.promises.writeFile(path.join(searchDir, 'other_20260103_080000.sql.checkpoint.json'), '{}', 'utf8');
+
+        const found = await findCheckpoint(path.join(searchDir, 'export_20261019_120000.sql'), '20261019_120000');
+        assert.equal(found.timestamp, '20260102_080000');
+        assert.equal(await findCheckpoint(path.join(searchDir, 'none_20261019_120000.sql'), '20261019_120000'), null);
+        assert.equal(await findCheckpoint(path.join(dir, 'missing', 'x.sql'), 'x'), null);
+    });
+});
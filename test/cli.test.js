@@ -0,0 +1,101 @@
+const assert = require('assert').strict;
+const { parseCommandLine, formatUsage, formatOptions, formatCommandHelp } = require('../lib/cli');
+const { setLocale } = require('../lib/i18n');
+
+// 断言解析失败，并且错误记录了出错的子命令（用于提示对应的帮助）
+function assertUsageError(argv, command, pattern) {
+    assert.throws(() => parseCommandLine(argv), (error) => {
+        assert.equal(error.command, command);
+        assert.match(error.message, pattern);
+        return true;
+    });
+}
+
+before(() => setLocale('zh-CN'));
+
+describe('parseCommandLine', () => {
+    it('未指定子命令时为 export，位置参数为配置文件', () => {
+        assert.deepEqual(parseCommandLine(['config.json']), {
+            command: 'export', explicit: false, options: {}, args: ['config.json']
+        });
+    });
+
+    it('支持 --name value、--name=value 与短参数', () => {
+        const parsed = parseCommandLine(['export', '--host', 'db', '--user=root', '-P3306', '-d', 'nocobase', '-y', '--gzip']);
+        assert.equal(parsed.command, 'export');
+        assert.equal(parsed.explicit, true);
+        assert.deepEqual(parsed.options, { host: 'db', user: 'root', port: '3306', database: 'nocobase', yes: true, gzip: true });
+    });
+
+    it('-- 之后的内容都是位置参数', () => {
+        assert.deepEqual(parseCommandLine(['verify', '--', '--odd-name.sql']).args, ['--odd-name.sql']);
+    });
+
+    it('dbm help <子命令> 与 dbm --init', () => {
+        assert.deepEqual(parseCommandLine(['help', 'plan']), { command: 'plan', explicit: true, options: { help: true }, args: [] });
+        assert.deepEqual(parseCommandLine(['help']), { command: null, explicit: false, options: { help: true }, args: [] });
+        assert.equal(parseCommandLine(['--init']).command, 'init');
+        assertUsageError(['help', 'nope'], 'export', /nope/);
+    });
+
+    it('请求帮助或版本时不检查位置参数', () => {
+        assert.equal(parseCommandLine(['rollback', '--help']).options.help, true);
+        assert.equal(parseCommandLine(['-v']).options.version, true);
+    });
+
+    it('未知参数与子命令不支持的参数', () => {
+        assertUsageError(['--nope'], 'export', /--nope/);
+        assertUsageError(['-Z'], 'export', /-Z/);
+        assertUsageError(['verify', 'out.sql', '--gzip'], 'verify', /gzip/);
+    });
+
+    it('参数值必须在可选范围内并符合格式', () => {
+        assertUsageError(['--strategy', 'merge'], 'export', /merge/);
+        assertUsageError(['--port', 'abc'], 'export', /abc/);
+        assertUsageError(['--db-underscored'], 'export', /db-underscored/);
+        assert.equal(parseCommandLine(['--engine=builtin']).options.engine, 'builtin');
+    });
+
+    it('缺少值、空值、开关带值与重复的参数', () => {
+        assertUsageError(['--host', '-P', '3306'], 'export', /--help/);
+        assertUsageError(['--output-file'], 'export', /output-file/);
+        assertUsageError(['--user='], 'export', /user/);
+        assertUsageError(['--gzip=true'], 'export', /gzip/);
+        assertUsageError(['--host', 'a', '-h', 'b'], 'export', /host/);
+    });
+
+    it('不能同时使用的参数', () => {
+        assertUsageError(['--quiet', '--verbose'], 'export', /quiet|verbose/);
+        assertUsageError(['verify', 'a.sql', '-q', '--verbose'], 'verify', /quiet|verbose/);
+        assertUsageError(['--json', '--ndjson'], 'export', /json/);
+        assert.deepEqual(parseCommandLine(['plan', '--json', '-q']).options, { json: true, quiet: true });
+    });
+
+    it('缺少或多余的位置参数', () => {
+        assertUsageError(['rollback'], 'rollback', /回滚文件/);
+        assertUsageError(['verify', 'a.sql', 'b.sql'], 'verify', /b\.sql/);
+        assertUsageError(['init', 'extra'], 'init', /extra/);
+        assert.deepEqual(parseCommandLine(['rollback', 'rollback.sql', 'config.json']).args, ['rollback.sql', 'config.json']);
+    });
+});
+
+describe('帮助文本', () => {
+    it('用法行列出位置参数与可选参数', () => {
+        assert.equal(formatUsage('init'), 'dbm init');
+        assert.equal(formatUsage('rollback'), 'dbm rollback <回滚文件> [配置文件] [选项]');
+    });
+
+    it('参数说明按显示宽度对齐，全角字符占两列', () => {
+        const lines = formatOptions(['yes', 'profile']).split('\n');
+        assert.match(lines[0], /^ {2}--yes, -y {9}写入/);
+        assert.match(lines[1], /^ {2}--profile <名称> {2}使用/);
+    });
+
+    it('子命令帮助只列出该子命令支持的参数', () => {
+        const help = formatCommandHelp('plan');
+        assert.match(help, /--json/);
+        assert.match(help, /数据库连接:/);
+        assert.doesNotMatch(help, /--gzip/);
+        assert.match(help, /--help/);
+    });
+});
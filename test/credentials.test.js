@@ -0,0 +1,90 @@
+const assert = require('assert').strict;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseOptionFile, resolvePassword, createMysqlOptionFile, createPgPassFile } = require('../lib/credentials');
+
+let dir;
+
+before(async () => {
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'dbm-credentials-'));
+});
+
+after(async () => {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+});
+
+describe('parseOptionFile', () => {
+    it('按分组解析选项，支持引号、行尾注释与下划线写法', () => {
+        const content = '# comment\n[client]\nuser = root\npassword = "p#ss \\"w\\""  # note\nhost=db # inline\n\n[mysqldump]\nsingle_transaction\n';
+        assert.deepEqual(parseOptionFile(content), {
+            client: { user: 'root', password: 'p#ss "w"', host: 'db' },
+            mysqldump: { 'single-transaction': '' }
+        });
+    });
+});
+
+describe('resolvePassword', () => {
+    it('按 password、passwordEnv、passwordFile 的顺序取第一个配置了的来源', async () => {
+        const file = path.join(dir, 'secret');
+        await fs.promises.writeFile(file, 'from-file\n');
+        process.env.DBM_TEST_PASSWORD = 'from-env';
+        try {
+            assert.equal(await resolvePassword({ password: 'plain', passwordEnv: 'DBM_TEST_PASSWORD' }), 'plain');
+            assert.equal(await resolvePassword({ passwordEnv: 'DBM_TEST_PASSWORD', passwordFile: file }), 'from-env');
+            assert.equal(await resolvePassword({ passwordFile: file }), 'from-file');
+        } finally {
+            delete process.env.DBM_TEST_PASSWORD;
+        }
+    });
+
+    it('同一个连接配置只解析一次', async () => {
+        process.env.DBM_TEST_PASSWORD = 'first';
+        const config = { passwordEnv: 'DBM_TEST_PASSWORD' };
+        try {
+            assert.equal(await resolvePassword(config), 'first');
+            process.env.DBM_TEST_PASSWORD = 'second';
+            assert.equal(await resolvePassword(config), 'first');
+        } finally {
+            delete process.env.DBM_TEST_PASSWORD;
+        }
+    });
+
+    it('读取 MySQL 选项文件 [client] 中的密码', async () => {
+        const file = path.join(dir, 'my.cnf');
+        await fs.promises.writeFile(file, '[client]\npassword=from-cnf\n');
+        assert.equal(await resolvePassword({ defaultsExtraFile: file }, { optionFile: true }), 'from-cnf');
+        assert.equal(await resolvePassword({ defaultsExtraFile: file }), null);
+    });
+
+    it('来源不可用时报错', async () => {
+        await assert.rejects(resolvePassword({ passwordEnv: 'DBM_TEST_MISSING' }), /DBM_TEST_MISSING/);
+        await assert.rejects(resolvePassword({ passwordFile: path.join(dir, 'missing') }), /missing/);
+        await assert.rejects(resolvePassword({ defaultsExtraFile: path.join(dir, 'missing.cnf') }, { optionFile: true }), /missing\.cnf/);
+    });
+});
+
+describe('临时密码文件', () => {
+    it('mysqldump 选项文件包含配置的选项文件并写入转义后的密码，仅当前用户可读', async () => {
+        const extra = path.join(dir, 'extra.cnf');
+        await fs.promises.writeFile(extra, '[client]\nuser=root\n');
+        const file = await createMysqlOptionFile({ password: 'a"b\\c', defaultsExtraFile: extra });
+        try {
+            assert.equal(await fs.promises.readFile(file.path, 'utf8'), `!include ${extra}\n[client]\npassword="a\\"b\\\\c"\n`);
+            assert.equal((await fs.promises.stat(file.path)).mode & 0o777, 0o600);
+        } finally {
+            await file.remove();
+        }
+        assert.equal(fs.existsSync(file.path), false);
+    });
+
+    it('PGPASSFILE 转义冒号与反斜杠，没有密码时不生成', async () => {
+        const file = await createPgPassFile({ password: 'a:b\\c' });
+        try {
+            assert.equal(await fs.promises.readFile(file.path, 'utf8'), '*:*:*:*:a\\:b\\\\c\n');
+        } finally {
+            await file.remove();
+        }
+        assert.equal(await createPgPassFile({}), null);
+    });
+});
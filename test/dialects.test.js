@@ -0,0 +1,128 @@
+const assert = require('assert').strict;
+const { getDialect, describeAddress, mysqlDialect, postgresDialect } = require('../lib/dialects');
+
+describe('getDialect', () => {
+    it('按 DB_DIALECT 的取值选择方言，未配置时为 mysql', () => {
+        assert.equal(getDialect({}), mysqlDialect);
+        assert.equal(getDialect({ dialect: 'mariadb' }), mysqlDialect);
+        assert.equal(getDialect({ dialect: 'PostgreSQL' }), postgresDialect);
+        assert.throws(() => getDialect({ dialect: 'sqlite' }), /sqlite/);
+    });
+
+    it('默认端口', () => {
+        assert.equal(mysqlDialect.defaultPort, 3306);
+        assert.equal(postgresDialect.defaultPort, 5432);
+    });
+
+    it('describeAddress 显示 socket 路径或 host:port，未配置端口时为默认端口', () => {
+        assert.equal(describeAddress({ host: 'db', port: 3307 }), 'db:3307');
+        assert.equal(describeAddress({ dialect: 'postgres', host: 'db' }), 'db:5432');
+        assert.equal(describeAddress({ host: 'db', socketPath: '/run/mysqld.sock' }), 'socket /run/mysqld.sock');
+    });
+
+    it('只有连接 PostgreSQL 时才加载 pg', () => {
+        assert.equal(Object.keys(require.cache).some(file => /[\\/]node_modules[\\/]pg[\\/]/.test(file)), false);
+    });
+});
+
+describe('mysql', () => {
+    const { quoteIdentifier, truncateStatement, literal } = mysqlDialect;
+
+    it('quoteIdentifier 加反引号，标识符中的反引号加倍', () => {
+        assert.equal(quoteIdentifier('users'), '`users`');
+        assert.equal(quoteIdentifier('a`b'), '`a``b`');
+    });
+
+    it('每个表一条 TRUNCATE', () => {
+        assert.equal(truncateStatement({}, ['a', 'b']), 'TRUNCATE TABLE `a`;\nTRUNCATE TABLE `b`;');
+    });
+
+    it('deleteStatement 只删除满足条件的行', () => {
+        assert.equal(mysqlDialect.deleteStatement({}, 'roles', "name = 'admin'"), "DELETE FROM `roles` WHERE (name = 'admin');");
+    });
+
+    it('合并策略决定 INSERT 的写法', () => {
+        const columns = [{ name: 'id' }, { name: 'title' }];
+        assert.equal(mysqlDialect.insertPrefix({}, 'roles', columns, 'insert-ignore'), 'INSERT IGNORE INTO `roles` (`id`, `title`) VALUES');
+        assert.equal(mysqlDialect.insertPrefix({}, 'roles', columns, 'replace'), 'REPLACE INTO `roles` (`id`, `title`) VALUES');
+        assert.equal(mysqlDialect.insertSuffix({}, 'roles', columns, 'upsert'),
+            '\nON DUPLICATE KEY UPDATE `id` = VALUES(`id`), `title` = VALUES(`title`)');
+        assert.equal(mysqlDialect.insertSuffix({}, 'roles', columns, 'truncate'), '');
+    });
+
+    it('literal 处理 NULL、二进制、布尔与字符串转义', () => {
+        assert.equal(literal(null), 'NULL');
+        assert.equal(literal(Buffer.from([0, 255])), '0x00ff');
+        assert.equal(literal(Buffer.alloc(0)), "''");
+        assert.equal(literal(true), '1');
+        assert.equal(literal(12.5), '12.5');
+        assert.equal(literal("a'b\\c"), "'a\\'b\\\\c'");
+        assert.equal(literal('{"a":1}', { type: 'json' }), `'{\\"a\\":1}'`);
+    });
+
+    it('literal 输出 BIGINT / DECIMAL 字符串时不加引号，保证精度', () => {
+        assert.equal(literal('9007199254740993', { type: 'bigint' }), '9007199254740993');
+        assert.equal(literal('-0.10', { type: 'decimal' }), '-0.10');
+        assert.equal(literal('12abc', { type: 'bigint' }), "'12abc'");
+        assert.equal(literal('42', { type: 'varchar' }), "'42'");
+    });
+
+    it('zeroValue 按列类型返回填充值', () => {
+        assert.equal(mysqlDialect.zeroValue('int(11)'), '0');
+        assert.equal(mysqlDialect.zeroValue("enum('draft','published')"), "'draft'");
+        assert.equal(mysqlDialect.zeroValue('json'), "'{}'");
+        assert.equal(mysqlDialect.zeroValue('datetime'), 'CURRENT_TIMESTAMP');
+        assert.equal(mysqlDialect.zeroValue('varchar(255)'), "''");
+    });
+});
+
+describe('postgres', () => {
+    const { quoteIdentifier, qualifiedName, truncateStatement, literal, sequenceResetStatement } = postgresDialect;
+
+    it('quoteIdentifier 加双引号，标识符中的双引号加倍', () => {
+        assert.equal(quoteIdentifier('users'), '"users"');
+        assert.equal(quoteIdentifier('a"b'), '"a""b"');
+    });
+
+    it('qualifiedName 带 schema 前缀，未配置时为 public', () => {
+        assert.equal(qualifiedName({}, 'users'), '"public"."users"');
+        assert.equal(qualifiedName({ schema: 'nocobase' }, 'users'), '"nocobase"."users"');
+    });
+
+    it('所有表在同一条 TRUNCATE 中清空，被外键引用的表不会清空失败', () => {
+        assert.equal(truncateStatement({ schema: 'app' }, ['roles', 'rolesUsers']), 'TRUNCATE TABLE "app"."roles", "app"."rolesUsers";');
+    });
+
+    it('deleteStatement 只删除满足条件的行', () => {
+        assert.equal(postgresDialect.deleteStatement({}, 'roles', 'id > 1'), 'DELETE FROM "public"."roles" WHERE (id > 1);');
+    });
+
+    it('upsert / replace 按主键覆盖非主键列，insert-ignore 忽略冲突', () => {
+        const columns = [{ name: 'id' }, { name: 'title' }];
+        assert.equal(postgresDialect.insertSuffix({}, 'roles', columns, 'upsert', ['id']),
+            '\nON CONFLICT ("id") DO UPDATE SET "title" = EXCLUDED."title"');
+        assert.equal(postgresDialect.insertSuffix({}, 'roles', columns, 'replace', ['id', 'title']), '\nON CONFLICT ("id", "title") DO NOTHING');
+        assert.equal(postgresDialect.insertSuffix({}, 'roles', columns, 'insert-ignore', []), '\nON CONFLICT DO NOTHING');
+        assert.throws(() => postgresDialect.insertSuffix({}, 'roles', columns, 'upsert', []), /roles/);
+    });
+
+    it('literal 只转义单引号，反斜杠保持原样', () => {
+        assert.equal(literal(null), 'NULL');
+        assert.equal(literal(false), 'false');
+        assert.equal(literal(7n), '7');
+        assert.equal(literal("it's \\x00"), "'it''s \\x00'");
+    });
+
+    it('zeroValue 按列类型返回填充值', () => {
+        assert.equal(postgresDialect.zeroValue('bigint'), '0');
+        assert.equal(postgresDialect.zeroValue('boolean'), 'false');
+        assert.equal(postgresDialect.zeroValue('uuid'), 'gen_random_uuid()');
+        assert.equal(postgresDialect.zeroValue('timestamp with time zone'), 'CURRENT_TIMESTAMP');
+        assert.equal(postgresDialect.zeroValue('character varying(255)'), "''");
+    });
+
+    it('sequenceResetStatement 按表中的最大值重置序列', () => {
+        assert.equal(sequenceResetStatement({ schema: "o'k" }, 'users', 'id'),
+            'SELECT setval(pg_get_serial_sequence(\'"o\'\'k"."users"\', \'id\'), COALESCE(MAX("id"), 0) + 1, false) FROM "o\'k"."users";');
+    });
+});
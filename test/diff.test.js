@@ -0,0 +1,139 @@
+const assert = require('assert').strict;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { diffTables, writeDiff } = require('../lib/diff');
+const { createOutput } = require('../lib/output');
+const { mysqlDialect, postgresDialect } = require('../lib/dialects');
+
+// 用给定的表数据模拟一端的数据库连接，只替换读取数据的方法，SQL 生成使用真实方言
+// 对比时两端都通过 source 连接的 dialect 读取，表数据因此放在连接对象上
+function fakeConnection(dialect, tables, queries = []) {
+    return {
+        tables,
+        dialect: {
+            ...dialect,
+            async beginSnapshot() {},
+            async endSnapshot() {},
+            async listColumns(connection, table) {
+                return connection.tables[table].columns.map(name => ({ name, type: 'varchar' }));
+            },
+            async listPrimaryKey(connection, table) {
+                return connection.tables[table].primaryKey || [];
+            },
+            async listSequenceColumns(connection, table) {
+                return connection.tables[table].sequences || [];
+            },
+            async* iterateRows(connection, sql) {
+                queries.push(sql);
+                const table = Object.keys(connection.tables).find(name => sql.includes(`FROM ${dialect.quoteIdentifier(name)}`));
+                yield* connection.tables[table].rows;
+            }
+        }
+    };
+}
+
+describe('diffTables', () => {
+    let dir;
+    let workDir;
+
+    beforeEach(async () => {
+        dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'dbm-diff-'));
+        workDir = path.join(dir, 'work');
+        await fs.promises.mkdir(workDir);
+    });
+
+    afterEach(async () => {
+        await fs.promises.rm(dir, { recursive: true, force: true });
+    });
+
+    // 对比后将差异写入导出文件，返回对比结果与文件内容
+    async function runDiff(source, target, tables, options = {}) {
+        const results = await diffTables(source, target, options.config || {}, tables, { ...options, workDir });
+        const outputFile = path.join(dir, 'diff.sql');
+        const output = await createOutput(outputFile);
+        await writeDiff(results, output);
+        await output.close();
+        return { results, sql: await fs.promises.readFile(outputFile, 'utf8') };
+    }
+
+    it('按主键生成 DELETE、UPDATE、INSERT，未变化的表不输出', async () => {
+        const roles = { columns: ['id', 'title'], primaryKey: ['id'] };
+        const source = fakeConnection(mysqlDialect, {
+            roles: { ...roles, rows: [['1', 'admin'], ['2', 'member (renamed)'], ['4', 'guest']] },
+            same: { ...roles, rows: [['1', 'x']] }
+        });
+        const target = fakeConnection(mysqlDialect, {
+            roles: { ...roles, rows: [['1', 'admin'], ['2', 'member'], ['3', 'root']] },
+            same: { ...roles, rows: [['1', 'x']] }
+        });
+
+        const { results, sql } = await runDiff(source, target, ['roles', 'same']);
+
+        assert.deepEqual(results.map(({ file, ...rest }) => rest), [
+            { table: 'roles', full: false, inserts: 1, updates: 1, deletes: 1 },
+            { table: 'same', full: false, inserts: 0, updates: 0, deletes: 0 }
+        ]);
+        assert.equal(sql,
+            '--\n-- Changes for table roles: 1 insert, 1 update, 1 delete\n--\n\n' +
+            "DELETE FROM `roles` WHERE (`id` = '3');\n" +
+            "UPDATE `roles` SET `title` = 'member (renamed)' WHERE (`id` = '2');\n" +
+            "INSERT INTO `roles` (`id`, `title`) VALUES\n('4','guest');\n\n");
+        // 差异文件写入导出文件后即删除
+        assert.deepEqual(await fs.promises.readdir(workDir), []);
+    });
+
+    it('只对比两端都存在的列，where 同时作用于两端', async () => {
+        const queries = [];
+        const source = fakeConnection(mysqlDialect, {
+            roles: { columns: ['id', 'title', 'legacy'], primaryKey: ['id'], rows: [['1', 'a']] }
+        }, queries);
+        const target = fakeConnection(mysqlDialect, {
+            roles: { columns: ['id', 'title'], primaryKey: ['id'], rows: [['1', 'a']] }
+        }, queries);
+
+        const { results } = await runDiff(source, target, ['roles'], { where: { roles: "id > '0'" } });
+
+        assert.equal(results[0].inserts + results[0].updates + results[0].deletes, 0);
+        assert.deepEqual(queries, [
+            "SELECT `id`, `title` FROM `roles` WHERE (id > '0')",
+            "SELECT `id`, `title` FROM `roles` WHERE (id > '0')"
+        ]);
+    });
+
+    it('matchColumns 的列匹配方案为新增的行写入 target 必填列的固定值', async () => {
+        const source = fakeConnection(mysqlDialect, {
+            roles: { columns: ['id'], primaryKey: ['id'], rows: [['1'], ['2']] }
+        });
+        const target = fakeConnection(mysqlDialect, {
+            roles: { columns: ['id', 'sort'], primaryKey: ['id'], rows: [['1', '5']] }
+        });
+        const columnPlans = { roles: { columns: ['id'], skipped: [], fills: [{ name: 'sort', value: '0' }] } };
+
+        const { sql } = await runDiff(source, target, ['roles'], { columnPlans });
+
+        assert.match(sql, /INSERT INTO `roles` \(`id`, `sort`\) VALUES\n\('2',0\);/);
+    });
+
+    it('没有主键的表返回 full，由调用方全量导出', async () => {
+        const logs = { columns: ['message'], rows: [['a']] };
+        const { results, sql } = await runDiff(
+            fakeConnection(mysqlDialect, { logs }),
+            fakeConnection(mysqlDialect, { logs }),
+            ['logs']
+        );
+
+        assert.deepEqual(results, [{ table: 'logs', full: true }]);
+        assert.equal(sql, '');
+    });
+
+    it('PostgreSQL 插入了新行时重置序列', async () => {
+        const users = { columns: ['id', 'name'], primaryKey: ['id'], sequences: ['id'] };
+        const source = fakeConnection(postgresDialect, { users: { ...users, rows: [['1', 'a'], ['2', 'b']] } });
+        const target = fakeConnection(postgresDialect, { users: { ...users, rows: [['1', 'a']] } });
+
+        const { sql } = await runDiff(source, target, ['users'], { config: { schema: 'app' } });
+
+        assert.match(sql, /INSERT INTO "app"\."users" \("id", "name"\) VALUES\n\('2','b'\);\nSELECT setval\(pg_get_serial_sequence\('"app"\."users"', 'id'\)/);
+    });
+});
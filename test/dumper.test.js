@@ -0,0 +1,115 @@
+const assert = require('assert').strict;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { dumpTables } = require('../lib/dumper');
+const { createOutput } = require('../lib/output');
+const { mysqlDialect, postgresDialect } = require('../lib/dialects');
+
+// 用给定的表数据模拟数据库连接，只替换读取数据的方法，SQL 生成使用真实方言
+function fakeConnection(dialect, tables, sequenceColumns = {}) {
+    const queries = [];
+    return {
+        queries,
+        dialect: {
+            ...dialect,
+            async beginSnapshot() {},
+            async endSnapshot() {},
+            async listColumns(connection, table) {
+                return tables[table].columns;
+            },
+            async listSequenceColumns(connection, table) {
+                return sequenceColumns[table] || [];
+            },
+            async* iterateRows(connection, sql) {
+                queries.push(sql);
+                const table = Object.keys(tables).find(name => sql.endsWith(dialect.quoteIdentifier(name)));
+                yield* tables[table].rows;
+            }
+        }
+    };
+}
+
+// 导出到单个 .sql 文件
+async function dumpToFile(connection, config, tables, outputFile, options) {
+    const output = await createOutput(outputFile);
+    const results = await dumpTables(connection, config, tables, output, options);
+    await output.close();
+    return results;
+}
+
+describe('dumpTables', () => {
+    let dir;
+
+    before(async () => {
+        dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'dbm-dumper-'));
+    });
+
+    after(async () => {
+        await fs.promises.rm(dir, { recursive: true, force: true });
+    });
+
+    it('按列顺序生成多行 INSERT，返回每个表的行数', async () => {
+        const connection = fakeConnection(mysqlDialect, {
+            roles: {
+                columns: [{ name: 'id', type: 'bigint' }, { name: 'title', type: 'varchar' }, { name: 'icon', type: 'blob' }],
+                rows: [['9007199254740993', "it's", Buffer.from('ab')], ['2', null, Buffer.alloc(0)]]
+            },
+            empty: { columns: [], rows: [] }
+        });
+        const outputFile = path.join(dir, 'mysql.sql');
+        const done = [];
+
+        const results = await dumpToFile(connection, {}, ['roles', 'empty'], outputFile, {
+            onTableDone: (table, rows) => done.push(table)
+        });
+
+        assert.deepEqual(results, [{ table: 'roles', rows: 2 }, { table: 'empty', rows: 0 }]);
+        assert.deepEqual(done, ['roles', 'empty']);
+        assert.deepEqual(connection.queries, ['SELECT `id`, `title`, `icon` FROM `roles`']);
+        assert.equal(await fs.promises.readFile(outputFile, 'utf8'),
+            '--\n-- Data for table roles\n--\n\n' +
+            'INSERT INTO `roles` (`id`, `title`, `icon`) VALUES\n' +
+            "(9007199254740993,'it\\'s',0x6162),\n(2,NULL,'');\n\n");
+    });
+
+    it('单条语句超过 1MB 时拆分为多条 INSERT', async () => {
+        const text = 'x'.repeat(400 * 1024);
+        const connection = fakeConnection(mysqlDialect, {
+            logs: { columns: [{ name: 'body', type: 'text' }], rows: [[text], [text], [text]] }
+        });
+        const outputFile = path.join(dir, 'split.sql');
+
+        await dumpToFile(connection, {}, ['logs'], outputFile);
+
+        const content = await fs.promises.readFile(outputFile, 'utf8');
+        assert.equal(content.split('INSERT INTO').length - 1, 2);
+    });
+
+    it('按列匹配方案只导出共有的列，并为 target 的必填列写入固定值', async () => {
+        const connection = fakeConnection(mysqlDialect, {
+            roles: { columns: [{ name: 'id', type: 'int' }, { name: 'legacy', type: 'varchar' }], rows: [[1], [2]] }
+        });
+        const outputFile = path.join(dir, 'plan.sql');
+        const columnPlans = { roles: { columns: ['id'], skipped: ['legacy'], fills: [{ name: 'sort', value: '0' }] } };
+
+        await dumpToFile(connection, {}, ['roles'], outputFile, { columnPlans });
+
+        assert.deepEqual(connection.queries, ['SELECT `id` FROM `roles`']);
+        assert.match(await fs.promises.readFile(outputFile, 'utf8'), /INSERT INTO `roles` \(`id`, `sort`\) VALUES\n\(1,0\),\n\(2,0\);/);
+    });
+
+    it('PostgreSQL 写入数据后重置导出列的序列', async () => {
+        const connection = fakeConnection(postgresDialect, {
+            users: { columns: [{ name: 'id', type: 'integer' }, { name: 'name', type: 'text' }], rows: [[1, 'a']] }
+        }, { users: ['id', 'skipped'] });
+        const outputFile = path.join(dir, 'postgres.sql');
+
+        await dumpToFile(connection, { schema: 'app' }, ['users'], outputFile);
+
+        assert.equal(await fs.promises.readFile(outputFile, 'utf8'),
+            '--\n-- Data for table users\n--\n\n' +
+            'INSERT INTO "app"."users" ("id", "name") VALUES\n(1,\'a\');\n' +
+            'SELECT setval(pg_get_serial_sequence(\'"app"."users"\', \'id\'), COALESCE(MAX("id"), 0) + 1, false) FROM "app"."users";\n\n');
+    });
+});
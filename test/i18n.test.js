@@ -0,0 +1,63 @@
+const assert = require('assert').strict;
+const { LOCALES, normalizeLocale, detectLocale, setLocale, getLocale, t, allTranslations } = require('../lib/i18n');
+const { ConfigError } = require('../lib/errors');
+
+const catalogs = {
+    'zh-CN': require('../lib/locales/zh-CN'),
+    en: require('../lib/locales/en')
+};
+
+// 文本中的占位符名称
+function placeholders(message) {
+    return (message.match(/\{\w+\}/g) || []).sort();
+}
+
+describe('语言选择', () => {
+    let previous;
+
+    before(() => {
+        previous = getLocale();
+    });
+
+    after(() => setLocale(previous));
+
+    it('归一 zh_CN.UTF-8、en-US 等写法，C / POSIX 无法判断', () => {
+        assert.equal(normalizeLocale('zh_CN.UTF-8'), 'zh-CN');
+        assert.equal(normalizeLocale('zh-TW'), 'zh-CN');
+        assert.equal(normalizeLocale('en_US.UTF-8'), 'en');
+        assert.equal(normalizeLocale('de_DE'), 'en');
+        assert.equal(normalizeLocale('C.UTF-8'), null);
+        assert.equal(normalizeLocale(''), null);
+    });
+
+    it('按 LC_ALL、LC_MESSAGES、LANG 的顺序选择系统语言', () => {
+        assert.equal(detectLocale({ LC_ALL: 'en_US.UTF-8', LANG: 'zh_CN.UTF-8' }), 'en');
+        assert.equal(detectLocale({ LC_ALL: 'C', LANG: 'zh_CN.UTF-8' }), 'zh-CN');
+    });
+
+    it('t 替换占位符，未提供的参数与未知的 key 保持原样', () => {
+        setLocale('en');
+        assert.equal(t('verify.notFound', { path: 'a.sql' }), 'File not found: a.sql');
+        setLocale('zh-CN');
+        assert.equal(t('verify.notFound', { path: 'a.sql' }), '文件不存在: a.sql');
+        assert.equal(t('verify.notFound'), '文件不存在: {path}');
+        assert.equal(t('no.such.key'), 'no.such.key');
+        assert.deepEqual(allTranslations('verify.notFound'), ['文件不存在: {path}', 'File not found: {path}']);
+    });
+
+    it('不支持的语言抛出 ConfigError', () => {
+        assert.throws(() => setLocale('fr'), ConfigError);
+    });
+});
+
+describe('文本目录', () => {
+    it('每种语言的 key 相同，占位符一致', () => {
+        const keys = Object.keys(catalogs['zh-CN']).sort();
+        LOCALES.forEach(locale => {
+            assert.deepEqual(Object.keys(catalogs[locale]).sort(), keys, locale);
+            keys.forEach(key => {
+                assert.deepEqual(placeholders(catalogs[locale][key]), placeholders(catalogs['zh-CN'][key]), `${locale} ${key}`);
+            });
+        });
+    });
+});
@@ -0,0 +1,58 @@
+const assert = require('assert').strict;
+const { createConsoleLogger, createLogger, consoleLogger } = require('../lib/logger');
+
+// 捕获 console.log / console.error 的输出
+function captureConsole(fn) {
+    const output = { stdout: [], stderr: [] };
+    const { log, error } = console;
+    console.log = message => output.stdout.push(message);
+    console.error = message => output.stderr.push(message);
+    try {
+        fn();
+    } finally {
+        console.log = log;
+        console.error = error;
+    }
+    return output;
+}
+
+// 依次调用 logger 的每个方法
+function logAll(logger) {
+    logger.info('info');
+    logger.warn('warn');
+    logger.error('error');
+    logger.debug('debug');
+}
+
+describe('createConsoleLogger', () => {
+    it('normal 输出 info / warn / error，不输出 debug', () => {
+        assert.deepEqual(captureConsole(() => logAll(createConsoleLogger())), { stdout: ['info', 'warn'], stderr: ['error'] });
+    });
+
+    it('quiet 只输出警告与错误，verbose 额外输出 debug', () => {
+        assert.deepEqual(captureConsole(() => logAll(createConsoleLogger({ level: 'quiet' }))), { stdout: ['warn'], stderr: ['error'] });
+        assert.deepEqual(captureConsole(() => logAll(createConsoleLogger({ level: 'verbose' }))).stdout, ['info', 'warn', 'debug']);
+    });
+
+    it('stderr 为 true 时全部写入 stderr，stdout 留给 JSON 结果', () => {
+        assert.deepEqual(captureConsole(() => logAll(createConsoleLogger({ stderr: true }))), { stdout: [], stderr: ['info', 'warn', 'error'] });
+    });
+});
+
+describe('createLogger', () => {
+    it('未传入时使用控制台输出', () => {
+        assert.equal(createLogger(), consoleLogger);
+    });
+
+    it('补全自定义 logger 缺少的方法，并保留 this', () => {
+        const messages = [];
+        const custom = {
+            prefix: '>',
+            warn(message) {
+                messages.push(`${this.prefix} ${message}`);
+            }
+        };
+        logAll(createLogger(custom));
+        assert.deepEqual(messages, ['> warn']);
+    });
+});
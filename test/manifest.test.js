@@ -0,0 +1,178 @@
+const assert = require('assert').strict;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const {
+    MANIFEST_FILE, manifestPath, hashFile, countStatements, writeManifest, readManifest, listScriptFiles
+} = require('../lib/manifest');
+const { write, createOutput } = require('../lib/output');
+const { verifyOutput } = require('../lib/verify');
+const { mysqlDialect } = require('../lib/dialects');
+const { ConfigError } = require('../lib/errors');
+const { setLocale } = require('../lib/i18n');
+
+let dir;
+
+before(async () => {
+    setLocale('zh-CN');
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'dbm-manifest-'));
+});
+
+after(async () => {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+});
+
+// dbm 导出脚本的头部注释
+const HEADER = '-- NocoBase Configuration Data Export Tool\n' +
+    '-- Export Time: 2024-01-01 00:00:00\n' +
+    '-- Source Database:\n' +
+    '--   Dialect:  mysql\n' +
+    '--   Database: app\n\n' +
+    mysqlDialect.scriptHeader();
+
+// 导出一个包含 roles、users 两个表的单文件或拆分目录，并写入清单
+async function exportSample(name, options = {}) {
+    const outputPath = path.join(dir, name);
+    const output = await createOutput(outputPath, {
+        ...options,
+        header: HEADER,
+        footer: mysqlDialect.scriptFooter(),
+        tableHeader: table => `${HEADER}TRUNCATE TABLE \`${table}\`;\n`
+    });
+    for (const table of ['roles', 'users']) {
+        await write(await output.openTable(table), `INSERT INTO \`${table}\` VALUES (1),(2);\n`);
+        await output.closeTable(table, 2);
+    }
+    await writeManifest(await output.close(), mysqlDialect, { source: { database: 'app' } });
+    return outputPath;
+}
+
+// 未通过的检查项
+function failures(result) {
+    return result.checks.filter(check => !check.ok).map(check => check.message);
+}
+
+describe('manifestPath', () => {
+    it('单文件为 <输出文件>.manifest.json，拆分为目录下的 manifest.json', () => {
+        assert.equal(manifestPath('/out/export.sql', false), '/out/export.sql.manifest.json');
+        assert.equal(manifestPath('/out/export', true), path.join('/out/export', MANIFEST_FILE));
+    });
+});
+
+describe('hashFile / countStatements', () => {
+    it('计算字节数与 sha256，统计每个表的语句数与最后一条语句', async () => {
+        const content = 'TRUNCATE TABLE `a`;\nINSERT INTO `a` VALUES (1);\nINSERT INTO `b` VALUES (2);\nSET FOREIGN_KEY_CHECKS=1;\n';
+        const file = path.join(dir, 'count.sql');
+        await fs.promises.writeFile(file, content, 'utf8');
+
+        assert.deepEqual(await hashFile(file), {
+            bytes: Buffer.byteLength(content),
+            sha256: crypto.createHash('sha256').update(content).digest('hex')
+        });
+        assert.deepEqual(await countStatements(file, mysqlDialect), {
+            tables: { a: 2, b: 1 },
+            total: 4,
+            last: 'SET FOREIGN_KEY_CHECKS=1;'
+        });
+    });
+});
+
+describe('writeManifest / readManifest / listScriptFiles', () => {
+    it('单文件导出', async () => {
+        const outputPath = await exportSample('single.sql');
+        const manifest = await readManifest(outputPath);
+
+        assert.equal(manifest.file, 'single.sql');
+        assert.equal(manifest.dialect, 'mysql');
+        assert.deepEqual(manifest.source, { database: 'app' });
+        assert.deepEqual(manifest.tables, [{ table: 'roles', statements: 1 }, { table: 'users', statements: 1 }]);
+        assert.deepEqual({ bytes: manifest.totalBytes, sha256: manifest.sha256 }, await hashFile(outputPath));
+        assert.deepEqual(await listScriptFiles(outputPath), [outputPath]);
+    });
+
+    it('单文件没有清单时 readManifest 返回 null', async () => {
+        const file = path.join(dir, 'plain.sql');
+        await fs.promises.writeFile(file, 'SELECT 1;\n', 'utf8');
+        assert.equal(await readManifest(file), null);
+    });
+
+    it('按表拆分的导出按清单顺序列出文件', async () => {
+        const outputPath = await exportSample('split', { split: true, gzip: true });
+        const manifest = await readManifest(outputPath);
+
+        assert.deepEqual(manifest.tables.map(item => [item.table, item.file, item.rows, item.statements]), [
+            ['roles', '0001_roles.sql.gz', 2, 2],
+            ['users', '0002_users.sql.gz', 2, 2]
+        ]);
+        assert.equal(manifest.totalRows, 4);
+        assert.deepEqual(await listScriptFiles(outputPath), ['0000_header.sql.gz', '0001_roles.sql.gz', '0002_users.sql.gz']
+            .map(name => path.join(outputPath, name)));
+    });
+
+    it('清单不是有效的 JSON 时报错', async () => {
+        const file = path.join(dir, 'broken.sql');
+        await fs.promises.writeFile(file, 'SELECT 1;\n', 'utf8');
+        await fs.promises.writeFile(manifestPath(file, false), '{', 'utf8');
+        await assert.rejects(readManifest(file), /broken\.sql\.manifest\.json/);
+        await assert.rejects(readManifest(file), ConfigError);
+    });
+});
+
+describe('verifyOutput', () => {
+    it('完整的单文件与拆分目录校验通过', async () => {
+        for (const [name, options] of [['ok.sql', {}], ['ok-split', { split: true, gzip: true }]]) {
+            const result = await verifyOutput(await exportSample(name, options));
+            assert.deepEqual(failures(result), []);
+            assert.equal(result.ok, true);
+            assert.equal(result.header.database, 'app');
+        }
+    });
+
+    it('文件被截断时报告尾部缺失与 sha256 不一致', async () => {
+        const outputPath = await exportSample('truncated.sql');
+        const content = await fs.promises.readFile(outputPath, 'utf8');
+        await fs.promises.writeFile(outputPath, content.slice(0, content.indexOf('INSERT INTO `users`')), 'utf8');
+
+        const result = await verifyOutput(outputPath);
+        assert.equal(result.ok, false);
+        assert.ok(failures(result).some(message => /manifest/.test(message) && /sha256 不同/.test(message)));
+        assert.ok(failures(result).some(message => /SET FOREIGN_KEY_CHECKS=1;/.test(message)));
+        assert.ok(failures(result).some(message => /^users: 0 条语句，manifest 记录 1 条$/.test(message)));
+    });
+
+    it('拆分目录中的表文件缺失或语句数与清单不一致时报错', async () => {
+        const outputPath = await exportSample('broken-split', { split: true });
+        await fs.promises.unlink(path.join(outputPath, '0001_roles.sql'));
+        const users = path.join(outputPath, '0002_users.sql');
+        const content = await fs.promises.readFile(users, 'utf8');
+        await fs.promises.writeFile(users, content.replace('INSERT INTO `users` VALUES (1),(2);\n', ''), 'utf8');
+
+        const messages = failures(await verifyOutput(outputPath));
+        assert.ok(messages.includes('0001_roles.sql: 文件不存在'));
+        assert.ok(messages.includes('users: 1 条语句，manifest 记录 2 条'));
+    });
+
+    it('没有清单的单文件只检查头部与尾部', async () => {
+        const file = path.join(dir, 'no-manifest.sql');
+        await fs.promises.writeFile(file, HEADER + mysqlDialect.scriptFooter(), 'utf8');
+
+        const result = await verifyOutput(file);
+        assert.equal(result.ok, true);
+        assert.equal(result.manifest, null);
+        assert.ok(result.checks.some(check => check.warning));
+    });
+
+    it('导出文件不存在或拆分目录缺少 manifest.json 时抛出 ConfigError', async () => {
+        await assert.rejects(verifyOutput(path.join(dir, 'missing.sql')), ConfigError);
+        const empty = path.join(dir, 'empty-split');
+        await fs.promises.mkdir(empty);
+        await assert.rejects(verifyOutput(empty), ConfigError);
+    });
+
+    it('不是 dbm 导出的脚本时报错', async () => {
+        const file = path.join(dir, 'foreign.sql');
+        await fs.promises.writeFile(file, 'SELECT 1;\n', 'utf8');
+        assert.equal((await verifyOutput(file)).ok, false);
+    });
+});
@@ -0,0 +1,91 @@
+const assert = require('assert').strict;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, mergeExports, silentLogger, ConfigError, ConnectionError } = require('../merge-export');
+const { checkpointPath, createCheckpoint } = require('../lib/checkpoint');
+const { setLocale } = require('../lib/i18n');
+
+let dir;
+
+before(async () => {
+    setLocale('zh-CN');
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'dbm-config-'));
+});
+
+after(async () => {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+});
+
+describe('loadConfig', () => {
+    it('读取 JSON 配置文件', async () => {
+        const file = path.join(dir, 'config.json');
+        const config = {
+            source: { host: 'localhost', port: 3306, user: 'root', password: 'secret', database: 'nocobase' },
+            export: { excludeTables: ['users'], outputFile: 'out.sql' }
+        };
+        await fs.promises.writeFile(file, JSON.stringify(config), 'utf8');
+        assert.deepEqual(await loadConfig(file), config);
+    });
+
+    it('配置文件无法读取或不是有效的 JSON 时抛出 ConfigError', async () => {
+        const file = path.join(dir, 'broken.json');
+        await fs.promises.writeFile(file, '{', 'utf8');
+        await assert.rejects(loadConfig(file), ConfigError);
+        await assert.rejects(loadConfig(path.join(dir, 'missing.json')), { code: 'ERR_DBM_CONFIG' });
+    });
+});
+
+describe('mergeExports', () => {
+    const source = { host: 'source-db', user: 'root', database: 'nocobase' };
+    const target = { host: 'target-db', user: 'root', database: 'nocobase' };
+
+    // 配置无效时在连接数据库之前抛出 ConfigError
+    async function assertConfigError(config, pattern) {
+        await assert.rejects(mergeExports(config, { logger: silentLogger }), (error) => {
+            assert.ok(error instanceof ConfigError);
+            assert.match(error.message, pattern);
+            return true;
+        });
+    }
+
+    it('缺少 source 或输出文件时抛出 ConfigError', async () => {
+        await assertConfigError({ export: { outputFile: 'out.sql' } }, /source/);
+        await assertConfigError({ source, export: {} }, /outputFile/);
+    });
+
+    it('diff 模式不能与合并策略同时使用', async () => {
+        const outputFile = path.join(dir, 'diff.sql');
+        await assertConfigError({ source, target, export: { outputFile, diff: true, strategy: 'upsert' } }, /diff/);
+        await assertConfigError({ source, target, export: { outputFile, diff: true, strategies: { roles: 'insert-ignore' } } }, /diff/);
+    });
+
+    it('diff 模式需要 target，且 target 不能是 source', async () => {
+        const outputFile = path.join(dir, 'diff.sql');
+        await assertConfigError({ source, export: { outputFile, diff: true } }, /target/);
+        await assertConfigError({ source, target: { ...source, port: 3306 }, export: { outputFile, diff: true } }, /同一个数据库/);
+    });
+
+    // 调用方已在 outputFile 中加入时间戳时，检查点按 timestamp 选项的位置匹配之前导出的时间戳
+    it('resume 时按 timestamp 选项匹配其他时间戳的检查点', async () => {
+        const resumeDir = path.join(dir, 'resume');
+        await fs.promises.mkdir(resumeDir);
+        const interrupted = path.join(resumeDir, 'export_20260101_080000.sql');
+        await createCheckpoint(checkpointPath(interrupted), {
+            outputPath: interrupted, split: false, gzip: false, source: {}, tables: ['roles']
+        }).record('roles', 1, { bytes: 10 });
+
+        // 连接到不存在的端口，找到检查点之后在连接数据库时失败
+        const unreachable = { host: '127.0.0.1', port: 1, user: 'root', database: 'nocobase' };
+        const config = { source: unreachable, export: { outputFile: path.join(resumeDir, 'export_20261019_120000.sql'), resume: true } };
+        const run = async (options) => {
+            const messages = [];
+            const logger = { info: message => messages.push(message), warn: message => messages.push(message), error() {}, debug() {} };
+            await assert.rejects(mergeExports(config, { ...options, logger }), ConnectionError);
+            return messages.join('\n');
+        };
+
+        assert.match(await run({ timestamp: '20261019_120000' }), /export_20260101_080000\.sql\.checkpoint\.json/);
+        assert.doesNotMatch(await run({ timestamp: '20261019_120001' }), /checkpoint\.json/);
+    });
+});
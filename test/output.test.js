@@ -0,0 +1,147 @@
+const assert = require('assert').strict;
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { write, partialPath, createOutput, openScript } = require('../lib/output');
+
+let dir;
+
+// 读取输出文件的文本，.gz 文件自动解压
+function readText(file) {
+    const content = fs.readFileSync(file);
+    return (/\.gz$/.test(file) ? zlib.gunzipSync(content) : content).toString('utf8');
+}
+
+// 通过 openScript 读取 SQL 文件的全部文本
+async function readScript(file) {
+    let text = '';
+    for await (const chunk of openScript(file)) {
+        text += chunk;
+    }
+    return text;
+}
+
+before(async () => {
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'dbm-output-'));
+});
+
+after(async () => {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+});
+
+for (const gzip of [false, true]) {
+    describe(gzip ? '单文件输出（gzip）' : '单文件输出', () => {
+        const extension = gzip ? '.sql.gz' : '.sql';
+
+        it('所有表依次写在文件头部与尾部之间，写入 .partial，close() 时重命名为输出路径并返回落盘的字节数', async () => {
+            const outputPath = path.join(dir, `close${extension}`);
+            const output = await createOutput(outputPath, { gzip, header: 'H;\n', footer: 'F;\n' });
+            await write(await output.openTable('a'), 'A;\n');
+            await output.closeTable('a', 1);
+            await write(await output.openTable('b'), 'B;\n');
+            await output.closeTable('b', 1);
+            assert.equal(fs.existsSync(partialPath(outputPath)), true);
+
+            const info = await output.close();
+            assert.equal(fs.existsSync(partialPath(outputPath)), false);
+            assert.equal(readText(outputPath), 'H;\nA;\nB;\nF;\n');
+            assert.equal(await readScript(outputPath), 'H;\nA;\nB;\nF;\n');
+            assert.equal(info.bytes, fs.statSync(outputPath).size);
+            assert.equal(info.files, 1);
+            assert.match(info.sha256, /^[0-9a-f]{64}$/);
+        });
+
+        it('从检查点记录的位置继续写入，sha256 与一次写完相同', async () => {
+            const outputPath = path.join(dir, `resume${extension}`);
+            const states = [];
+            const onCheckpoint = (table, rows, state) => states.push(state);
+            const first = await createOutput(outputPath, { gzip, header: 'H;\n', footer: 'F;\n', onCheckpoint });
+            await write(await first.openTable('a'), 'A;\n');
+            await first.closeTable('a', 1);
+            await write(await first.openTable('b'), 'B (unfinished)');
+            await first.abort();
+
+            const second = await createOutput(outputPath, { gzip, header: 'H;\n', footer: 'F;\n', onCheckpoint, resume: states[0] });
+            await write(await second.openTable('b'), 'B;\n');
+            await second.closeTable('b', 1);
+            const info = await second.close();
+            assert.equal(readText(outputPath), 'H;\nA;\nB;\nF;\n');
+            assert.equal(info.sha256, crypto.createHash('sha256').update(fs.readFileSync(outputPath)).digest('hex'));
+        });
+
+        it('.partial 比检查点记录的位置短时拒绝继续写入', async () => {
+            const outputPath = path.join(dir, `truncated${extension}`);
+            await fs.promises.writeFile(partialPath(outputPath), 'H;\n');
+            await assert.rejects(createOutput(outputPath, { gzip, resume: { bytes: 1024 } }), { name: 'ConfigError' });
+        });
+
+        // 导出失败时 mysqldump / pg_dump 可能仍在向流中写入，abort() 不能因流已销毁的错误使进程崩溃
+        it('abort() 丢弃缓冲中的内容，之后的写入不会导致进程崩溃', async () => {
+            const outputPath = path.join(dir, `abort${extension}`);
+            const output = await createOutput(outputPath, { gzip, header: 'H;\n' });
+            const stream = await output.openTable('a');
+            stream.write('x'.repeat(4 * 1024 * 1024));
+            await output.abort();
+            stream.write('late');
+            await new Promise(resolve => setImmediate(resolve));
+
+            await output.discard();
+            assert.equal(fs.existsSync(partialPath(outputPath)), false);
+            assert.equal(fs.existsSync(outputPath), false);
+        });
+    });
+}
+
+describe('按表拆分输出', () => {
+    it('每个表写入单独的文件，close() 返回各文件的信息，检查点记录已完成的文件', async () => {
+        const outputPath = path.join(dir, 'split');
+        const states = [];
+        const output = await createOutput(outputPath, {
+            split: true,
+            header: 'H;\n',
+            footer: 'F;\n',
+            tableHeader: table => `H ${table};\n`,
+            onCheckpoint: (table, rows, state) => states.push(state)
+        });
+        await write(await output.openTable('a/b'), 'A;\n');
+        await output.closeTable('a/b', 3);
+        const info = await output.close();
+
+        assert.equal(readText(path.join(outputPath, '0000_header.sql')), 'H;\nF;\n');
+        assert.equal(readText(path.join(outputPath, '0001_a_b.sql')), 'H a/b;\nA;\n\nF;\n');
+        assert.equal(info.files, 2);
+        assert.equal(info.header.file, '0000_header.sql');
+        assert.deepEqual(info.tables.map(item => [item.table, item.file, item.rows]), [['a/b', '0001_a_b.sql', 3]]);
+        assert.equal(info.bytes, info.header.bytes + info.tables[0].bytes);
+        assert.deepEqual(states[0].tables, info.tables);
+    });
+
+    it('abort() 关闭未完成的表文件，discard() 删除输出', async () => {
+        const outputPath = path.join(dir, 'split-abort');
+        const output = await createOutput(outputPath, { split: true, gzip: true });
+        const stream = await output.openTable('a');
+        stream.write('x'.repeat(4 * 1024 * 1024));
+        await output.abort();
+        stream.write('late');
+        await new Promise(resolve => setImmediate(resolve));
+
+        await output.discard();
+        assert.equal(fs.existsSync(partialPath(outputPath)), false);
+    });
+});
+
+describe('写入失败', () => {
+    it('输出文件无法打开时 createOutput 返回失败而不是使进程崩溃', async () => {
+        await assert.rejects(createOutput(path.join(dir, 'missing', 'out.sql')), { code: 'ENOENT' });
+    });
+
+    it('写入文件失败时 close() 返回失败', async function () {
+        if (!fs.existsSync('/dev/full')) this.skip();
+        const outputPath = path.join(dir, 'full.sql');
+        await fs.promises.symlink('/dev/full', partialPath(outputPath));
+        const output = await createOutput(outputPath, { header: 'H;\n' });
+        await assert.rejects(output.close(), { code: 'ENOSPC' });
+    });
+});
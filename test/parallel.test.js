@@ -0,0 +1,117 @@
+const assert = require('assert').strict;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { write, createOutput } = require('../lib/output');
+const { dumpTablesParallel } = require('../lib/parallel');
+
+let dir;
+
+before(async () => {
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'dbm-parallel-'));
+});
+
+after(async () => {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+});
+
+// 记录共享快照调用顺序的方言
+function createDialect(calls) {
+    return {
+        async beginSharedSnapshot(connection) {
+            calls.push(`begin ${connection.id}`);
+            return 'snap-1';
+        },
+        async joinSharedSnapshot(connection, snapshot) {
+            calls.push(`join ${connection.id} ${snapshot}`);
+        },
+        async releaseSharedSnapshot(connection) {
+            calls.push(`release ${connection.id}`);
+        },
+        async endSnapshot(connection) {
+            calls.push(`end ${connection.id}`);
+        }
+    };
+}
+
+// 创建连接的计数器，返回 { connect, ended }
+function createConnector() {
+    let next = 0;
+    const ended = [];
+    return {
+        ended,
+        connect: async () => {
+            const id = next++;
+            return { id, end: async () => { ended.push(id); } };
+        }
+    };
+}
+
+describe('dumpTablesParallel', () => {
+    it('表的完成顺序不影响输出顺序，所有工作连接在释放快照前加入快照', async () => {
+        const calls = [];
+        const connector = createConnector();
+        const outputPath = path.join(dir, 'ordered.sql');
+        const output = await createOutput(outputPath, { header: 'H;\n' });
+        const delays = { a: 30, b: 0, c: 10 };
+        const done = [];
+
+        const result = await dumpTablesParallel(createDialect(calls), ['a', 'b', 'c'], output, {
+            concurrency: 2,
+            connect: connector.connect,
+            dumpTable: async (table, worker, stream) => {
+                assert.equal(worker.snapshot, 'snap-1');
+                await new Promise(resolve => setTimeout(resolve, delays[table]));
+                await write(stream, `${table};\n`);
+                return table.charCodeAt(0);
+            },
+            onTableDone: table => done.push(table)
+        });
+        await output.close();
+
+        assert.equal(fs.readFileSync(outputPath, 'utf8'), 'H;\na;\nb;\nc;\n');
+        assert.deepEqual(result, [{ table: 'a', rows: 97 }, { table: 'b', rows: 98 }, { table: 'c', rows: 99 }]);
+        assert.deepEqual(done, ['b', 'c', 'a']);
+        assert.deepEqual(calls.slice(0, 4), ['begin 0', 'join 1 snap-1', 'join 2 snap-1', 'release 0']);
+        assert.deepEqual(connector.ended.sort(), [0, 1, 2]);
+        assert.deepEqual(fs.readdirSync(dir).filter(name => name.startsWith('.dbm-parts-')), []);
+    });
+
+    it('一个表失败后不再开始新的表，关闭全部连接并删除临时文件', async () => {
+        const connector = createConnector();
+        const output = await createOutput(path.join(dir, 'failed.sql'));
+        const started = [];
+
+        await assert.rejects(dumpTablesParallel(createDialect([]), ['a', 'b', 'c', 'd'], output, {
+            concurrency: 1,
+            connect: connector.connect,
+            dumpTable: async (table) => {
+                started.push(table);
+                if (table === 'b') throw new Error('boom');
+                return 0;
+            }
+        }), /boom/);
+        await output.abort();
+
+        assert.deepEqual(started, ['a', 'b']);
+        assert.deepEqual(connector.ended.sort(), [0, 1]);
+        assert.deepEqual(fs.readdirSync(dir).filter(name => name.startsWith('.dbm-parts-')), []);
+    });
+
+    it('无法建立共享快照时返回 DumpError', async () => {
+        const connector = createConnector();
+        const output = await createOutput(path.join(dir, 'snapshot.sql'));
+        const dialect = {
+            ...createDialect([]),
+            beginSharedSnapshot: async () => { throw new Error('Access denied; you need the RELOAD privilege'); }
+        };
+
+        await assert.rejects(dumpTablesParallel(dialect, ['a', 'b'], output, {
+            concurrency: 2,
+            connect: connector.connect,
+            dumpTable: async () => 0
+        }), { name: 'DumpError', message: /RELOAD/ });
+        await output.abort();
+        assert.deepEqual(connector.ended, [0]);
+    });
+});
@@ -0,0 +1,84 @@
+const assert = require('assert').strict;
+const { mergeSettings, resolveProfile, resolveConfig } = require('../lib/profiles');
+const { ConfigError } = require('../lib/errors');
+const { setLocale } = require('../lib/i18n');
+
+const config = {
+    export: { excludeTables: ['users'], strategy: 'truncate', where: { roles: 'id > 1' } },
+    profiles: {
+        base: { dialect: 'mysql', port: 3306, user: 'root' },
+        prod: { extends: 'base', host: '10.0.0.1', database: 'nocobase' },
+        staging: {
+            extends: 'base',
+            host: '10.0.0.2',
+            database: 'nocobase',
+            target: 'dev',
+            export: { outputFile: './staging.sql', where: { users: 'id = 1' } }
+        },
+        dev: { extends: ['base', 'local'], database: 'nocobase_dev' },
+        local: { host: '127.0.0.1', port: 3307 }
+    }
+};
+
+before(() => setLocale('zh-CN'));
+
+describe('mergeSettings', () => {
+    it('对象逐键递归合并，数组与其他值由后者覆盖', () => {
+        assert.deepEqual(mergeSettings({ a: { x: 1, y: 2 }, list: [1, 2] }, { a: { y: 3 }, list: [3] }),
+            { a: { x: 1, y: 3 }, list: [3] });
+    });
+});
+
+describe('resolveProfile', () => {
+    it('按 extends 继承链合并，多个父 profile 按顺序合并，后者优先', () => {
+        assert.deepEqual(resolveProfile(config.profiles, 'dev'),
+            { dialect: 'mysql', port: 3307, user: 'root', host: '127.0.0.1', database: 'nocobase_dev' });
+    });
+
+    it('未定义的 profile 与循环继承报错', () => {
+        assert.throws(() => resolveProfile(config.profiles, 'missing'), /missing/);
+        assert.throws(() => resolveProfile({ a: { extends: 'b' }, b: { extends: 'a' } }, 'a'), /a -> b -> a/);
+    });
+});
+
+describe('resolveConfig', () => {
+    it('--profile 使用 profile 的 target 字段作为 target，合并顶层与 profile 的 export', () => {
+        const resolved = resolveConfig(config, { profile: 'staging' });
+        assert.deepEqual(resolved.source, { dialect: 'mysql', port: 3306, user: 'root', host: '10.0.0.2', database: 'nocobase' });
+        assert.equal(resolved.target.database, 'nocobase_dev');
+        assert.deepEqual(resolved.profile, { source: 'staging', target: 'dev' });
+        assert.deepEqual(resolved.export, {
+            excludeTables: ['users'],
+            strategy: 'truncate',
+            outputFile: './staging.sql',
+            where: { roles: 'id > 1', users: 'id = 1' }
+        });
+    });
+
+    it('--from / --to 分别指定 source 与 target，默认输出文件以 source 命名', () => {
+        const resolved = resolveConfig(config, { from: 'prod', to: 'staging' });
+        assert.equal(resolved.source.host, '10.0.0.1');
+        assert.equal(resolved.target.host, '10.0.0.2');
+        assert.equal(resolved.target.target, undefined);
+        assert.equal(resolved.export.outputFile, './prod_export.sql');
+    });
+
+    it('只指定 --to 时只解析 target', () => {
+        const resolved = resolveConfig(config, { to: 'dev' });
+        assert.equal(resolved.source, undefined);
+        assert.equal(resolved.target.database, 'nocobase_dev');
+    });
+
+    it('没有 profiles 的配置原样返回，选择 profile 时报错', () => {
+        const legacy = { source: { database: 'a' }, export: {} };
+        assert.equal(resolveConfig(legacy), legacy);
+        assert.throws(() => resolveConfig(legacy, { profile: 'prod' }), /profiles/);
+    });
+
+    it('参数组合无效时报错', () => {
+        assert.throws(() => resolveConfig(config, {}), ConfigError);
+        assert.throws(() => resolveConfig(config, {}), /--profile/);
+        assert.throws(() => resolveConfig(config, { profile: 'prod', to: 'dev' }), /同时使用/);
+        assert.throws(() => resolveConfig(config, { from: 'prod', to: 'prod' }), /同一个 profile/);
+    });
+});
@@ -0,0 +1,105 @@
+const assert = require('assert').strict;
+const { setLocale } = require('../lib/i18n');
+const { mysqlDialect } = require('../lib/dialects');
+const {
+    formatBytes,
+    formatDuration,
+    estimateRemaining,
+    createTableProgress,
+    createDumpMeter,
+    describeProgress,
+    createProgressDisplay
+} = require('../lib/progress');
+
+before(() => {
+    setLocale('zh-CN');
+});
+
+// 记录写入内容的流
+function createStream(options = {}) {
+    return { ...options, output: '', write(text) { this.output += text; } };
+}
+
+describe('格式化', () => {
+    it('formatBytes / formatDuration', () => {
+        assert.equal(formatBytes(null), '-');
+        assert.equal(formatBytes(512), '512 B');
+        assert.equal(formatBytes(1536), '1.5 KB');
+        assert.equal(formatBytes(3 * 1024 * 1024), '3.00 MB');
+        assert.equal(formatDuration(65 * 1000), '01:05');
+        assert.equal(formatDuration((3600 + 61) * 1000), '1:01:01');
+    });
+
+    it('estimateRemaining 按已写入的行数估算，没有统计值或已超过统计值时为 null', () => {
+        assert.equal(estimateRemaining(25, 100, 1000), 3000);
+        assert.equal(estimateRemaining(25, null, 1000), null);
+        assert.equal(estimateRemaining(0, 100, 1000), null);
+        assert.equal(estimateRemaining(120, 100, 1000), null);
+    });
+
+    it('describeProgress 有统计值时显示总行数与剩余时间', () => {
+        const event = { table: 'users', rows: 1500, bytes: 2048, expectedRows: 3000, elapsedMs: 5000, etaMs: 5000 };
+        assert.equal(describeProgress(event), 'users: 1,500 / ~3,000 行, 2.0 KB, 已用 00:05, 剩余约 00:05');
+        assert.equal(describeProgress({ ...event, expectedRows: null, etaMs: null }), 'users: 1,500 行, 2.0 KB, 已用 00:05');
+    });
+});
+
+describe('createTableProgress', () => {
+    it('创建时发送一次事件，之后按间隔发送', () => {
+        const events = [];
+        const progress = createTableProgress('users', { expectedRows: 10, onProgress: event => events.push(event), interval: 0 });
+        progress.update(5, 100);
+        assert.equal(events.length, 2);
+        assert.deepEqual(events.map(event => [event.type, event.phase, event.table, event.rows, event.bytes]),
+            [['progress', 'export', 'users', 0, 0], ['progress', 'export', 'users', 5, 100]]);
+
+        const throttled = [];
+        createTableProgress('users', { onProgress: event => throttled.push(event), interval: 60000 }).update(5, 100);
+        assert.equal(throttled.length, 1);
+    });
+});
+
+describe('createDumpMeter', () => {
+    it('按 mysqldump 输出中的表注释与 INSERT 语句统计每个表的行数', () => {
+        const tracked = {};
+        const meter = createDumpMeter(mysqlDialect, (table) => {
+            tracked[table] = { rows: 0 };
+            return { update: (rows) => { tracked[table].rows = rows; } };
+        });
+        meter.write('-- Dumping data for table `roles`\nINSERT INTO `roles` VALUES (1),(2),');
+        meter.write('(3);\n-- Dumping data for table `users`\nINSERT INTO `users` VALUES (1);');
+        meter.end();
+        assert.deepEqual(tracked, { roles: { rows: 3 }, users: { rows: 1 } });
+    });
+});
+
+describe('createProgressDisplay', () => {
+    const event = { type: 'progress', table: 'users', rows: 5, bytes: 10, expectedRows: 10, elapsedMs: 0, etaMs: null };
+
+    it('终端中在同一行刷新进度条并截断到终端宽度，输出日志前先清除进度条', () => {
+        const messages = [];
+        const stream = createStream({ isTTY: true, columns: 40 });
+        const display = createProgressDisplay({ logger: { info: message => messages.push(message) }, stream });
+        display.onProgress(event);
+        assert.ok(stream.output.startsWith(`\r\x1b[K   [${'█'.repeat(10)}${'░'.repeat(10)}]  50% `));
+        assert.equal(stream.output.length - '\r\x1b[K'.length, 39);
+
+        display.logger.info('done');
+        assert.ok(stream.output.endsWith('\r\x1b[K'));
+        assert.deepEqual(messages, ['done']);
+    });
+
+    it('非终端时只对导出较久的表输出进度行，--quiet 时不显示', () => {
+        const messages = [];
+        const stream = createStream();
+        const display = createProgressDisplay({ logger: { info: message => messages.push(message) }, stream });
+        display.onProgress(event);
+        display.onProgress({ ...event, elapsedMs: 60000 });
+        assert.equal(stream.output, '');
+        assert.deepEqual(messages, ['   ↳ users: 5 / ~10 行, 10 B, 已用 01:00']);
+
+        const quiet = createStream({ isTTY: true });
+        createProgressDisplay({ logger: {}, stream: quiet, enabled: false }).onProgress(event);
+        assert.equal(quiet.output, '');
+    });
+});
@@ -0,0 +1,88 @@
+const assert = require('assert').strict;
+const { compareTable, compareSchemas, buildColumnPlans } = require('../lib/schema-check');
+const { mysqlDialect } = require('../lib/dialects');
+
+// 构造列定义，默认可为空、无默认值
+function column(name, type = 'varchar(255)', extra = {}) {
+    return { name, type, nullable: true, hasDefault: false, generated: false, ...extra };
+}
+
+describe('compareTable', () => {
+    it('找出缺少的列、新增的列与类型变化，忽略生成列', () => {
+        const source = [column('id', 'bigint'), column('title'), column('legacy'), column('full', 'text', { generated: true })];
+        const target = [
+            column('id', 'integer'),
+            column('title'),
+            column('sort', 'int', { nullable: false }),
+            column('status', 'int', { nullable: false, hasDefault: true }),
+            column('search', 'text', { generated: true })
+        ];
+
+        assert.deepEqual(compareTable('roles', source, target), {
+            table: 'roles',
+            missingTable: false,
+            missingColumns: ['legacy'],
+            extraColumns: [{ name: 'sort', required: true }, { name: 'status', required: false }],
+            typeChanges: [{ column: 'id', source: 'bigint', target: 'integer' }]
+        });
+    });
+
+    it('target 中不存在的表', () => {
+        assert.equal(compareTable('roles', [column('id')], undefined).missingTable, true);
+    });
+});
+
+describe('compareSchemas', () => {
+    it('缺少的表与列、必填的新列为错误，可选的新列与类型变化为警告', () => {
+        const source = {
+            roles: [column('id', 'bigint'), column('legacy')],
+            users: [column('id')],
+            same: [column('id')]
+        };
+        const target = {
+            roles: [column('id', 'integer'), column('sort', 'int', { nullable: false }), column('note')],
+            same: [column('id')]
+        };
+
+        const { differences, errors, warnings } = compareSchemas(['roles', 'users', 'same'], source, target);
+
+        assert.deepEqual(differences.map(diff => diff.table), ['roles', 'users']);
+        assert.equal(errors.length, 3);
+        assert.ok(errors.some(error => error.startsWith('users:')));
+        assert.ok(errors.some(error => error.startsWith('roles.legacy')));
+        assert.ok(errors.some(error => error.startsWith('roles.sort')));
+        assert.equal(warnings.length, 2);
+        assert.ok(warnings.some(warning => warning.startsWith('roles.note')));
+        assert.ok(warnings.some(warning => warning.startsWith('roles.id')));
+    });
+
+    it('matchColumns 开启时缺少的表与列、必填的新列只作为警告', () => {
+        const source = { roles: [column('id'), column('legacy')], users: [column('id')] };
+        const target = { roles: [column('id'), column('sort', 'int', { nullable: false })] };
+
+        const { errors, warnings } = compareSchemas(['roles', 'users'], source, target, { matchColumns: true });
+
+        assert.deepEqual(errors, []);
+        assert.equal(warnings.length, 3);
+    });
+});
+
+describe('buildColumnPlans', () => {
+    it('只保留两端共有的列，为必填的新列填充类型默认值，跳过 target 中不存在的表', () => {
+        const source = {
+            roles: [column('id', 'int'), column('legacy'), column('full', 'text', { generated: true })],
+            users: [column('id')]
+        };
+        const target = {
+            roles: [
+                column('id', 'int'),
+                column('sort', 'int(11)', { nullable: false }),
+                column('note', 'text', { nullable: false, hasDefault: true })
+            ]
+        };
+
+        assert.deepEqual(buildColumnPlans(['roles', 'users'], source, target, mysqlDialect), {
+            roles: { columns: ['id'], skipped: ['legacy'], fills: [{ name: 'sort', value: '0' }] }
+        });
+    });
+});
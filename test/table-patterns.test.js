@@ -0,0 +1,57 @@
+const assert = require('assert').strict;
+const { isPattern, compilePattern, createMatcher } = require('../lib/table-patterns');
+const { ConfigError } = require('../lib/errors');
+
+describe('isPattern', () => {
+    it('通配符与 /正则/ 是模式，精确表名不是', () => {
+        assert.equal(isPattern('users'), false);
+        assert.equal(isPattern('audit_*'), true);
+        assert.equal(isPattern('log_?'), true);
+        assert.equal(isPattern('/^t_\\d+$/i'), true);
+        assert.equal(isPattern('a/b'), false);
+    });
+});
+
+describe('compilePattern', () => {
+    it('* 匹配任意字符，? 匹配单个字符，其他字符按原样匹配', () => {
+        const regex = compilePattern('audit_*.log?');
+        assert.equal(regex.test('audit_2024.log1'), true);
+        assert.equal(regex.test('audit_.log1'), true);
+        assert.equal(regex.test('audit_2024xlog1'), false);
+        assert.equal(regex.test('audit_2024.log'), false);
+        assert.equal(regex.test('x_audit_2024.log1'), false);
+    });
+
+    it('正则表达式保留 flags，去掉 g / y', () => {
+        const regex = compilePattern('/^T_\\d+$/gi');
+        assert.equal(regex.flags, 'i');
+        // 带 g 时第二次 test() 会从 lastIndex 开始而失败
+        assert.equal(regex.test('t_1'), true);
+        assert.equal(regex.test('t_1'), true);
+    });
+
+    it('无效的正则表达式抛出异常，说明出错的条目', () => {
+        assert.throws(() => compilePattern('/(/'), /\/\(\//);
+        assert.throws(() => compilePattern('/(/'), ConfigError);
+    });
+});
+
+describe('createMatcher', () => {
+    it('返回匹配到的第一个条目，未匹配时返回 null', () => {
+        const match = createMatcher(['users', 'audit_*', '/^tmp_/']);
+        assert.equal(match('users'), 'users');
+        assert.equal(match('audit_logs'), 'audit_*');
+        assert.equal(match('tmp_import'), '/^tmp_/');
+        assert.equal(match('roles'), null);
+    });
+
+    it('精确表名优先于模式', () => {
+        const match = createMatcher(['*', 'users']);
+        assert.equal(match('users'), 'users');
+        assert.equal(match('roles'), '*');
+    });
+
+    it('没有条目时不匹配任何表', () => {
+        assert.equal(createMatcher([])('users'), null);
+    });
+});
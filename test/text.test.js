@@ -0,0 +1,19 @@
+const assert = require('assert').strict;
+const { displayWidth, truncate } = require('../lib/text');
+
+describe('displayWidth', () => {
+    it('中文等全角字符占两列', () => {
+        assert.equal(displayWidth('abc'), 3);
+        assert.equal(displayWidth('表名'), 4);
+        assert.equal(displayWidth('a 表'), 4);
+        assert.equal(displayWidth(''), 0);
+    });
+});
+
+describe('truncate', () => {
+    it('截断到显示宽度以内，不会截断半个中文字符', () => {
+        assert.equal(truncate('abcdef', 4), 'abcd');
+        assert.equal(truncate('表名abc', 3), '表');
+        assert.equal(truncate('abc', 10), 'abc');
+    });
+});
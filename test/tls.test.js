@@ -0,0 +1,63 @@
+const assert = require('assert').strict;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { normalizeSsl } = require('../lib/tls');
+const { mysqlDialect } = require('../lib/dialects');
+const { ConfigError } = require('../lib/errors');
+const { setLocale } = require('../lib/i18n');
+
+let dir;
+let ca;
+
+before(async () => {
+    setLocale('zh-CN');
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'dbm-tls-'));
+    ca = path.join(dir, 'ca.pem');
+    await fs.promises.writeFile(ca, '');
+});
+
+after(async () => {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+});
+
+describe('normalizeSsl', () => {
+    it('未配置时返回 null，true 等同于 verify-identity', () => {
+        assert.equal(normalizeSsl({}), null);
+        assert.equal(normalizeSsl({ ssl: false }), null);
+        assert.deepEqual(normalizeSsl({ ssl: true }), { mode: 'verify-identity' });
+    });
+
+    it('证书文件转为绝对路径', () => {
+        assert.deepEqual(normalizeSsl({ ssl: { mode: 'verify-ca', ca: path.relative(process.cwd(), ca) } }), { mode: 'verify-ca', ca });
+    });
+
+    it('配置无效时报错', () => {
+        assert.throws(() => normalizeSsl({ ssl: 'yes' }), ConfigError);
+        assert.throws(() => normalizeSsl({ ssl: { mode: 'prefer' } }), /prefer/);
+        assert.throws(() => normalizeSsl({ ssl: { cert: ca } }), /ssl\.cert 与 ssl\.key/);
+        assert.throws(() => normalizeSsl({ ssl: { ca: path.join(dir, 'missing.pem') } }), /missing\.pem/);
+    });
+});
+
+describe('mysqldump 的连接参数', () => {
+    const { connectionArgs } = mysqlDialect;
+
+    it('MySQL 客户端使用 --ssl-mode，未配置端口时使用默认端口', () => {
+        assert.deepEqual(connectionArgs({ host: 'db', ssl: { mode: 'verify-ca', ca } }),
+            ['-h', 'db', '-P', '3306', '--ssl-mode=VERIFY_CA', `--ssl-ca=${ca}`]);
+        assert.deepEqual(connectionArgs({ socketPath: '/run/mysqld.sock' }), ['--socket=/run/mysqld.sock']);
+    });
+
+    it('MariaDB 客户端的 verify-ca 使用 ssl.ca 校验服务器证书，不退化为只加密', () => {
+        const args = connectionArgs({ host: 'db', port: 3307, ssl: { mode: 'verify-ca', ca } }, true);
+        assert.deepEqual(args, ['-h', 'db', '-P', '3307', '--ssl', '--ssl-verify-server-cert', `--ssl-ca=${ca}`]);
+        assert.equal(args.includes('--skip-ssl-verify-server-cert'), false);
+        assert.throws(() => connectionArgs({ host: 'db', ssl: { mode: 'verify-ca' } }, true), ConfigError);
+    });
+
+    it('MariaDB 客户端的 required 只加密，disabled 不使用 TLS', () => {
+        assert.deepEqual(connectionArgs({ host: 'db', ssl: { mode: 'required' } }, true).slice(4), ['--ssl', '--skip-ssl-verify-server-cert']);
+        assert.deepEqual(connectionArgs({ host: 'db', ssl: { mode: 'disabled' } }, true).slice(4), ['--skip-ssl']);
+    });
+});